@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+import { parsePort } from '../src/cli.js';
+import { createMockDevice } from '../src/mock/device.js';
+
+const USAGE = `Usage: thunderwpeconsole-mock [options]
+
+Options:
+  -c, --callsign <callsign>    Callsign of the browser plugin (default: WebKitBrowser)
+  -P, --thunder-port <port>    Thunder JSON-RPC and HTTP port (default: a free port)
+  -p, --inspector-port <port>  WebInspector port (default: a free port)
+  -m, --message <text>         Console message sent after every page load (repeatable)
+  -t, --token <token>          Require the SecurityAgent token
+`;
+
+let options;
+try {
+    const { values } = parseArgs({
+        options: {
+            callsign: { type: 'string', short: 'c', default: 'WebKitBrowser' },
+            'thunder-port': { type: 'string', short: 'P' },
+            'inspector-port': { type: 'string', short: 'p' },
+            message: { type: 'string', short: 'm', multiple: true, default: [] },
+            token: { type: 'string', short: 't' },
+        },
+    });
+    // Port 0 lets the system pick a free port
+    const port = (value, name) => (value === undefined ? 0 : parsePort(value, name));
+    options = {
+        callsign: values.callsign,
+        thunderPort: port(values['thunder-port'], '--thunder-port'),
+        inspectorPort: port(values['inspector-port'], '--inspector-port'),
+        console: values.message.map((text, index) => ({ text, delay: index * 100 })),
+        token: values.token,
+    };
+} catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+}
+
+const device = createMockDevice(options);
+
+const { host, thunderPort, inspectorPort } = await device.start();
+process.stdout.write(
+    `Mock device listening: --host ${host} --thunder-port ${thunderPort} --inspector-port ${inspectorPort}\n`
+);
+
+process.on('SIGINT', () => device.stop().then(() => process.exit(0)));
+process.on('SIGTERM', () => device.stop().then(() => process.exit(0)));
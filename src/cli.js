@@ -0,0 +1,725 @@
+import fs from 'node:fs';
+import { parseArgs } from 'node:util';
+import WebSocket from 'ws';
+import { createThunderWebkitAPI } from './index.js';
+import { startRepl } from './repl.js';
+import { startDashboard } from './dashboard/server.js';
+import { createConsoleFilter } from './lib/consoleFilter.js';
+import { formatStack } from './lib/pageException.js';
+import { loadScenario, runScenario } from './scenario.js';
+import { loadPlaylist, runPlaylist } from './playlist.js';
+import { toJUnitXml } from './lib/junit.js';
+import { validateBrowserProperties } from './lib/browserProperties.js';
+import { CONFIG_FILE, ConfigError, resolveConfig, resolveProfile } from './lib/configFile.js';
+
+/**
+ * @typedef {Object} CliOptions
+ * @property {string} [profile] - Device profile of the configuration file the options are merged over.
+ * @property {string} [config] - The configuration file, the nearest one from the working directory by default.
+ * @property {string} [host] - The host IP address or DNS name of the Thunder instance.
+ * @property {string} [callsign] - Callsign of the WebKitBrowser plugin.
+ * @property {number} [thunderPort] - Port of the Thunder JSON-RPC and HTTP interface.
+ * @property {number} [inspectorPort] - Port for WebInspector.
+ * @property {boolean} [secure] - Connect to Thunder with wss and https.
+ * @property {string} [token] - SecurityAgent token for Thunder.
+ * @property {boolean} [securityAgent] - Request the token from the SecurityAgent plugin.
+ * @property {string} [url] - The URL to launch, optional in REPL mode.
+ * @property {number} [duration] - Number of seconds to run before quitting.
+ * @property {RegExp} [untilPattern] - Quit once a console message matches this pattern.
+ * @property {boolean} [reconnect] - Reconnect when the device drops the connection.
+ * @property {boolean} [repl] - Start an interactive REPL evaluating input in the page.
+ * @property {number} [dashboardPort] - Serve the web dashboard on this port, 0 picks a free port.
+ * @property {import("./lib/recorder.js").RecordOptions} [record] - Record the session events to files.
+ * @property {import("./lib/consoleFilter.js").ConsoleFilterOptions} [filter] - Only print console messages passing this filter.
+ * @property {boolean} [network] - Print finished and failed network requests.
+ * @property {string} [har] - Write the captured network requests to this HAR file when quitting.
+ * @property {import("./lib/sourceMap.js").SourceMapOptions} [sourceMaps] - Resolve exception stacks through source maps.
+ * @property {import("./lib/metrics.js").MetricsOptions} [metrics] - Sample memory and write the summary when quitting.
+ * @property {import("./index.js").ScreenshotOptions} [screenshot] - Where screenshots are taken from and saved to.
+ * @property {import("./lib/browserProperties.js").BrowserProperties} [browser] - Browser properties set on every launch.
+ * @property {import("./lib/watchdog.js").WatchdogOptions} [watchdog] - Report crashes and hangs of the page.
+ * @property {string[]} [scenarios] - Scenario files to run instead of launching a URL.
+ * @property {string} [junit] - Write the scenario results to this JUnit XML file.
+ * @property {string} [playlist] - Playlist file to play instead of launching a URL.
+ * @property {number} [cycles] - Overrides the number of cycles of the playlist, 0 plays until stopped.
+ * @property {string} [playlistReport] - Write the playlist report to this JSON file.
+ * @property {boolean} [help] - Print the usage and exit.
+ *
+ * @typedef {Object} CliStreams
+ * @property {{ write: (chunk: string) => void }} stdout - Receives the device console output.
+ * @property {{ write: (chunk: string) => void }} stderr - Receives session events and errors.
+ */
+
+export const USAGE = `Usage: thunderwpeconsole --host <host> [options] <url>
+       thunderwpeconsole --host <host> --repl [options] [url]
+       thunderwpeconsole --host <host> --dashboard [options] [url]
+       thunderwpeconsole --host <host> --scenario <file> [--junit <path>] [options]
+       thunderwpeconsole --host <host> --playlist <file> [--cycles <n>] [options]
+
+Launches <url> in the WPE WebKit browser of a Thunder device and streams the
+console output of the page to stdout. Press Ctrl+C to quit.
+
+In REPL mode lines typed are evaluated in the page while the console output
+keeps streaming. Use .launch <url>, .reload and .close to control the browser
+and .exit to quit.
+
+With --dashboard a local web page shows the console, the plugin states and
+controls for the session; its address is printed when the session started.
+
+In scenario mode the steps of the JSON or YAML scenario files are run and a
+pass/fail report is printed. The exit code is 1 when a scenario failed.
+
+In playlist mode the URLs of the JSON or YAML playlist are launched in turn,
+each for its dwell time, and the outcome of every entry is printed. Ctrl+C or
+--duration stop the playlist after the current entry is reported. The exit
+code is 1 when a launch failed, the browser crashed or the page hung.
+
+With --watchdog the page is checked for crashes and for hangs by evaluating a
+heartbeat expression; both are reported with the last console lines of the
+page and --relaunch launches the URL again.
+
+The device settings can come from a named profile of the configuration file
+${CONFIG_FILE}, looked up from the working directory upwards. Options given
+on the command line replace the settings of the profile.
+
+Options:
+  --profile <name>             Device profile of the configuration file
+  --config <file>              Configuration file (default: the nearest ${CONFIG_FILE})
+  -H, --host <host>            Host IP address or DNS name of the Thunder device
+  -c, --callsign <callsign>    Callsign of the browser plugin (default: WebKitBrowser)
+  -P, --thunder-port <port>    Thunder JSON-RPC and HTTP port (default: 80)
+  -p, --inspector-port <port>  WebInspector port (default: 9998)
+  --secure                     Connect to Thunder with wss and https (default port: 443)
+  -t, --token <token>          SecurityAgent token for Thunder
+  --security-agent             Request the token from the SecurityAgent plugin
+  -d, --duration <seconds>     Quit after the given number of seconds
+  -u, --until-pattern <regex>  Quit once a console message matches the pattern
+  -r, --reconnect              Reconnect when the device drops the connection
+  -i, --repl                   Start an interactive REPL attached to the page
+  --dashboard                  Serve a web dashboard for the session on localhost
+  --dashboard-port <port>      Port of the dashboard (default: a free port)
+  --record <path>              Record session events to <path>.jsonl and/or <path>.log
+  --record-format <formats>    Comma separated: jsonl, text (default: jsonl)
+  --rotate-size <megabytes>    Start a new record file once it exceeds the size
+  --rotate-interval <minutes>  Start a new record file after the interval
+  --level <level>              Minimum console level: debug, log, info, warn, error
+  --include <regex>            Only print messages matching the pattern (repeatable)
+  --exclude <regex>            Hide messages matching the pattern (repeatable)
+  --include-url <regex>        Only print messages from matching script URLs (repeatable)
+  --exclude-url <regex>        Hide messages from matching script URLs (repeatable)
+  -n, --network                Print finished and failed network requests
+  --har <path>                 Write the network requests to a HAR file when quitting
+  --source-maps                Resolve exception stacks through the scripts' source maps
+  --source-map-dir <dir>       Look up source maps in a local directory first
+  --metrics <path>             Sample memory and write the samples to <path> (.csv or .json) when quitting
+  --metrics-interval <seconds> Time between memory samples (default: 5)
+  --screenshot-dir <dir>       Save a screenshot for every error and failed scenario step
+  --screen-capture             Take screenshots through the ScreenCapture plugin
+  --user-agent <agent>         User agent of the browser
+  --language <tag>             Preferred language, e.g. de-DE (repeatable, in order)
+  --header <name: value>       Extra HTTP header sent with every request (repeatable)
+  --watchdog                   Report crashes and hangs of the page with its last console lines
+  --relaunch                   Relaunch the URL after a crash or hang, implies --watchdog
+  --heartbeat <seconds>        Time between checks whether the page responds (default: 5)
+  --hang-timeout <seconds>     Time the page may take to respond before it is hung (default: 10)
+  -s, --scenario <file>        Run a JSON or YAML test scenario (repeatable)
+  --junit <path>               Write the scenario results as JUnit XML
+  --playlist <file>            Play a JSON or YAML playlist of URLs
+  --cycles <n>                 Times the playlist is played, 0 until stopped
+  --playlist-report <path>     Write the playlist results as JSON
+  -h, --help                   Show this help
+`;
+
+/**
+ * Parses the command line arguments.
+ * @param {string[]} argv - Arguments without the node binary and script path.
+ * @returns {CliOptions} Parsed options.
+ * @throws {Error} Throws when an argument is missing or invalid.
+ */
+export function parseCliArgs(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            profile: { type: 'string' },
+            config: { type: 'string' },
+            host: { type: 'string', short: 'H' },
+            callsign: { type: 'string', short: 'c' },
+            'thunder-port': { type: 'string', short: 'P' },
+            'inspector-port': { type: 'string', short: 'p' },
+            secure: { type: 'boolean', default: false },
+            token: { type: 'string', short: 't' },
+            'security-agent': { type: 'boolean', default: false },
+            duration: { type: 'string', short: 'd' },
+            'until-pattern': { type: 'string', short: 'u' },
+            reconnect: { type: 'boolean', short: 'r', default: false },
+            repl: { type: 'boolean', short: 'i', default: false },
+            dashboard: { type: 'boolean', default: false },
+            'dashboard-port': { type: 'string' },
+            record: { type: 'string' },
+            'record-format': { type: 'string', default: 'jsonl' },
+            'rotate-size': { type: 'string' },
+            'rotate-interval': { type: 'string' },
+            level: { type: 'string' },
+            include: { type: 'string', multiple: true },
+            exclude: { type: 'string', multiple: true },
+            'include-url': { type: 'string', multiple: true },
+            'exclude-url': { type: 'string', multiple: true },
+            network: { type: 'boolean', short: 'n', default: false },
+            har: { type: 'string' },
+            'source-maps': { type: 'boolean', default: false },
+            'source-map-dir': { type: 'string' },
+            metrics: { type: 'string' },
+            'metrics-interval': { type: 'string' },
+            watchdog: { type: 'boolean', default: false },
+            relaunch: { type: 'boolean', default: false },
+            heartbeat: { type: 'string' },
+            'hang-timeout': { type: 'string' },
+            'screenshot-dir': { type: 'string' },
+            'screen-capture': { type: 'boolean', default: false },
+            'user-agent': { type: 'string' },
+            language: { type: 'string', multiple: true },
+            header: { type: 'string', multiple: true },
+            scenario: { type: 'string', short: 's', multiple: true },
+            junit: { type: 'string' },
+            playlist: { type: 'string' },
+            cycles: { type: 'string' },
+            'playlist-report': { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    if (values.help) {
+        return { help: true, host: '', callsign: '', inspectorPort: 0, url: '' };
+    }
+
+    if (values.scenario && values.playlist !== undefined) {
+        throw new Error('Use either --scenario or --playlist');
+    }
+    if (values.scenario || values.playlist !== undefined) {
+        if (positionals.length) {
+            throw new Error(
+                `${values.scenario ? 'Scenarios' : 'Playlists'} launch their own URLs, remove the URL`
+            );
+        }
+    } else if (
+        positionals.length > 1 ||
+        (positionals.length === 0 && !values.repl && !values.dashboard)
+    ) {
+        throw new Error('Expected exactly one URL to launch');
+    }
+    if (values.junit !== undefined && !values.scenario) {
+        throw new Error('--junit requires --scenario');
+    }
+
+    if (values.playlist === undefined) {
+        if (values.cycles !== undefined) throw new Error('--cycles requires --playlist');
+        if (values['playlist-report'] !== undefined) {
+            throw new Error('--playlist-report requires --playlist');
+        }
+    } else if (values['until-pattern'] !== undefined) {
+        throw new Error('--until-pattern is not available in playlist mode');
+    }
+    let cycles;
+    if (values.cycles !== undefined) {
+        cycles = Number(values.cycles);
+        if (!Number.isInteger(cycles) || cycles < 0) {
+            throw new Error(`Invalid --cycles: ${values.cycles}`);
+        }
+    }
+
+    if (values.dashboard && values.scenario) {
+        throw new Error('--dashboard is not available in scenario mode');
+    }
+    let dashboardPort;
+    if (values.dashboard) {
+        dashboardPort =
+            values['dashboard-port'] === undefined
+                ? 0
+                : parsePort(values['dashboard-port'], '--dashboard-port');
+    } else if (values['dashboard-port'] !== undefined) {
+        throw new Error('--dashboard-port requires --dashboard');
+    }
+
+    const inspectorPort =
+        values['inspector-port'] === undefined
+            ? undefined
+            : parsePort(values['inspector-port'], '--inspector-port');
+    const thunderPort =
+        values['thunder-port'] === undefined
+            ? undefined
+            : parsePort(values['thunder-port'], '--thunder-port');
+
+    let duration;
+    if (values.duration !== undefined) {
+        duration = Number(values.duration);
+        if (!Number.isFinite(duration) || duration <= 0) {
+            throw new Error(`Invalid --duration: ${values.duration}`);
+        }
+    }
+
+    let untilPattern;
+    if (values['until-pattern'] !== undefined) {
+        try {
+            untilPattern = new RegExp(values['until-pattern']);
+        } catch (error) {
+            throw new Error(`Invalid --until-pattern: ${error.message}`);
+        }
+    }
+
+    let record;
+    if (values.record !== undefined) {
+        const formats = values['record-format'].split(',').map((format) => format.trim());
+        const invalid = formats.find((format) => format !== 'jsonl' && format !== 'text');
+        if (invalid !== undefined) throw new Error(`Invalid --record-format: ${invalid}`);
+
+        record = {
+            path: values.record,
+            formats: /** @type {import("./lib/recorder.js").RecordFormat[]} */ (formats),
+            maxBytes: parsePositive(values['rotate-size'], '--rotate-size', 1024 * 1024),
+            maxAge: parsePositive(values['rotate-interval'], '--rotate-interval', 60 * 1000),
+        };
+    }
+
+    let filter;
+    const filterOptions = {
+        level: values.level,
+        include: values.include,
+        exclude: values.exclude,
+        includeUrl: values['include-url'],
+        excludeUrl: values['exclude-url'],
+    };
+    if (Object.values(filterOptions).some((value) => value !== undefined)) {
+        filter = Object.fromEntries(
+            Object.entries(filterOptions).filter(([, value]) => value !== undefined)
+        );
+        // Validates the level and patterns
+        createConsoleFilter(filter);
+    }
+
+    // A local directory alone means the maps are not published next to the scripts
+    let sourceMaps;
+    if (values['source-maps'] || values['source-map-dir'] !== undefined) {
+        sourceMaps = { directory: values['source-map-dir'], fetch: values['source-maps'] };
+    }
+
+    let metrics;
+    if (values.metrics !== undefined) {
+        metrics = { output: values.metrics };
+        const interval = parsePositive(values['metrics-interval'], '--metrics-interval', 1000);
+        if (interval !== undefined) metrics.interval = interval;
+    } else if (values['metrics-interval'] !== undefined) {
+        throw new Error('--metrics-interval requires --metrics');
+    }
+
+    let watchdog;
+    if (values.watchdog || values.relaunch) {
+        watchdog = { relaunch: values.relaunch };
+        const interval = parsePositive(values.heartbeat, '--heartbeat', 1000);
+        if (interval !== undefined) watchdog.interval = interval;
+        const timeout = parsePositive(values['hang-timeout'], '--hang-timeout', 1000);
+        if (timeout !== undefined) watchdog.timeout = timeout;
+    } else if (values.heartbeat !== undefined || values['hang-timeout'] !== undefined) {
+        throw new Error('--heartbeat and --hang-timeout require --watchdog');
+    }
+    if (values.relaunch && values.playlist !== undefined) {
+        throw new Error(
+            '--relaunch is not available in playlist mode, the next entry launches again'
+        );
+    }
+
+    let screenshot;
+    if (values['screenshot-dir'] !== undefined || values['screen-capture']) {
+        screenshot = { source: values['screen-capture'] ? 'screencapture' : 'inspector' };
+        if (values['screenshot-dir'] !== undefined) {
+            screenshot.onError = true;
+            screenshot.directory = values['screenshot-dir'];
+        }
+    }
+
+    let browser;
+    if (values['user-agent'] !== undefined || values.language || values.header) {
+        browser = {};
+        if (values['user-agent'] !== undefined) browser.useragent = values['user-agent'];
+        if (values.language) browser.languages = values.language;
+        if (values.header) {
+            browser.headers = values.header.map((header) => {
+                const separator = header.indexOf(':');
+                if (separator <= 0) throw new Error(`Invalid --header: ${header}`);
+                return {
+                    name: header.slice(0, separator).trim(),
+                    value: header.slice(separator + 1).trim(),
+                };
+            });
+        }
+        // Validates the values before anything connects
+        validateBrowserProperties(browser);
+    }
+
+    return {
+        profile: values.profile,
+        config: values.config,
+        host: values.host,
+        callsign: values.callsign,
+        thunderPort,
+        inspectorPort,
+        secure: values.secure,
+        token: values.token,
+        securityAgent: values['security-agent'],
+        url: positionals[0],
+        duration,
+        untilPattern,
+        reconnect: values.reconnect,
+        repl: values.repl,
+        dashboardPort,
+        record,
+        filter,
+        network: values.network,
+        har: values.har,
+        sourceMaps,
+        metrics,
+        screenshot,
+        browser,
+        watchdog,
+        scenarios: values.scenario,
+        junit: values.junit,
+        playlist: values.playlist,
+        cycles,
+        playlistReport: values['playlist-report'],
+    };
+}
+
+/**
+ * Parses a port argument.
+ * @param {string} value - The raw argument.
+ * @param {string} name - Option name used in the error message.
+ * @returns {number} The port.
+ * @throws {Error} Throws for values that are no port number.
+ */
+export function parsePort(value, name) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return port;
+}
+
+/**
+ * Parses an optional positive number argument.
+ * @param {string|undefined} value - The raw argument.
+ * @param {string} name - Option name used in the error message.
+ * @param {number} unit - Multiplier converting the value to bytes or milliseconds.
+ * @returns {number|undefined} The scaled value, undefined when the option was omitted.
+ */
+function parsePositive(value, name, unit) {
+    if (value === undefined) return undefined;
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) throw new Error(`Invalid ${name}: ${value}`);
+    return number * unit;
+}
+
+/**
+ * Builds the device configuration of the unified API from the command line options.
+ * @param {CliOptions} options - Parsed options.
+ * @returns {import("./index.js").config} The configuration.
+ */
+function toDeviceConfig(options) {
+    return {
+        host: options.host,
+        callsign: options.callsign,
+        thunderPort: options.thunderPort,
+        webInspectorPort: options.inspectorPort,
+        secure: options.secure,
+        token: options.token,
+        securityAgent: options.securityAgent,
+        reconnect: options.reconnect,
+        record: options.record,
+        filter: options.filter,
+        network: options.network || options.har !== undefined,
+        sourceMaps: options.sourceMaps,
+        metrics: options.metrics,
+        screenshot: options.screenshot,
+        browser: options.browser,
+        watchdog: options.watchdog,
+    };
+}
+
+/**
+ * Resolves the device configuration: the settings of the profile, replaced by the options given
+ * on the command line. The result is complete, the unified API reads no configuration file for it.
+ * @param {CliOptions} options - Parsed options.
+ * @param {Object<string, string|undefined>} [env=process.env] - Environment the profile overrides are read from.
+ * @returns {import("./index.js").config} The configuration.
+ * @throws {Error} Throws when the profile cannot be resolved, a setting is invalid or no host is configured.
+ */
+export function resolveDeviceConfig(options, env = process.env) {
+    const settings = resolveProfile(options.profile, {
+        file: options.config,
+        env,
+        complete: false,
+    });
+    // Switches left off and omitted options keep the setting of the profile
+    const given = Object.entries(toDeviceConfig(options)).filter(
+        ([, value]) => value !== undefined && value !== false
+    );
+    const config = { callsign: 'WebKitBrowser', ...settings, ...Object.fromEntries(given) };
+    if (!config.host) throw new Error('Missing required option --host');
+    return resolveConfig(/** @type {import("./index.js").config} */ (config));
+}
+
+/**
+ * Runs the scenario files one after the other and prints a line per step.
+ * @param {CliOptions} options - Parsed options.
+ * @param {import("./index.js").config} config - Device configuration.
+ * @param {CliStreams} streams - Output streams.
+ * @returns {Promise<number>} Resolves with 0 when all scenarios passed, 1 otherwise and 2 on invalid scenarios.
+ */
+async function runScenarios(options, config, streams) {
+    const { stdout, stderr } = streams;
+
+    let scenarios;
+    try {
+        scenarios = options.scenarios.map((file) => loadScenario(file));
+    } catch (error) {
+        stderr.write(`${error.message}\n`);
+        return 2;
+    }
+
+    const labels = { passed: 'PASS', failed: 'FAIL', skipped: 'SKIP' };
+    const reports = [];
+    for (const scenario of scenarios) {
+        stdout.write(`${scenario.name}\n`);
+        try {
+            const report = await runScenario(scenario, config, undefined, (step) => {
+                const error = step.error ? `: ${step.error}` : '';
+                stdout.write(
+                    `  ${labels[step.status]} ${step.name} (${step.duration}ms)${error}\n`
+                );
+            });
+            reports.push(report);
+        } catch (error) {
+            if (!(error instanceof ConfigError)) throw error;
+            stderr.write(`${error.message}\n`);
+            return 2;
+        }
+    }
+
+    const passed = reports.filter((report) => report.passed).length;
+    stdout.write(`\n${passed} of ${reports.length} scenario(s) passed\n`);
+
+    if (options.junit) {
+        try {
+            fs.writeFileSync(options.junit, toJUnitXml(reports));
+        } catch (error) {
+            stderr.write(`Failed to write JUnit report: ${error.message}\n`);
+            return 1;
+        }
+    }
+
+    return passed === reports.length ? 0 : 1;
+}
+
+/**
+ * Plays the playlist on the started session and prints a line per entry.
+ * @param {import("./index.js").UnifiedAPI} api - The started unified API.
+ * @param {import("./playlist.js").Playlist} playlist - The playlist.
+ * @param {CliOptions} options - Parsed options.
+ * @param {string} callsign - Callsign of the browser plugin.
+ * @param {AbortSignal} signal - Stops the playlist.
+ * @param {(line: string) => void} print - Prints a line.
+ * @param {CliStreams["stderr"]} stderr - Error stream.
+ * @returns {Promise<number>} Resolves with 0 when every entry passed or was stopped, 1 otherwise.
+ */
+async function playPlaylist(api, playlist, options, callsign, signal, print, stderr) {
+    const labels = {
+        passed: 'PASS',
+        failed: 'FAIL',
+        crashed: 'CRASH',
+        hung: 'HANG',
+        stopped: 'STOP',
+    };
+    const report = await runPlaylist(api, playlist, {
+        callsign,
+        signal,
+        onEntry: (entry) => {
+            const launch = entry.launchTime === null ? '' : `launch ${entry.launchTime}ms, `;
+            const error = entry.error ? `: ${entry.error}` : '';
+            print(
+                `${labels[entry.status]} ${entry.name} [${entry.cycle}.${entry.iteration}] ` +
+                    `(${launch}${entry.errors} errors, ${entry.exceptions} exceptions)${error}`
+            );
+        },
+    });
+
+    const { summary } = report;
+    const average = summary.averageLaunchTime === null ? '-' : `${summary.averageLaunchTime}ms`;
+    print(
+        `${playlist.name}: ${summary.passed} of ${summary.entries} entries passed, ` +
+            `${summary.failed} failed, ${summary.crashed} crashed, ${summary.hung} hung, ` +
+            `average launch ${average}`
+    );
+
+    if (options.playlistReport) {
+        try {
+            fs.writeFileSync(options.playlistReport, JSON.stringify(report, null, 2));
+        } catch (error) {
+            stderr.write(`Failed to write playlist report: ${error.message}\n`);
+            return 1;
+        }
+    }
+    return report.passed ? 0 : 1;
+}
+
+/**
+ * Runs the console runner until the exit condition is met or the user presses Ctrl+C.
+ * @param {string[]} argv - Arguments without the node binary and script path.
+ * @param {CliStreams} [streams=process] - Output streams.
+ * @returns {Promise<number>} Resolves with the process exit code.
+ */
+export async function run(argv, streams = process) {
+    const { stdout, stderr } = streams;
+
+    /** @type {CliOptions} */
+    let options;
+    try {
+        options = parseCliArgs(argv);
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.help) {
+        stdout.write(USAGE);
+        return 0;
+    }
+
+    /** @type {import("./index.js").config} */
+    let config;
+    try {
+        config = resolveDeviceConfig(options);
+    } catch (error) {
+        stderr.write(`${error.message}\n`);
+        return 2;
+    }
+
+    // Node.js before 22 has no global WebSocket without --experimental-websocket
+    if (typeof globalThis.WebSocket === 'undefined') globalThis.WebSocket = WebSocket;
+
+    let finish;
+    /** @type {Promise<number>} */
+    const done = new Promise((resolve) => (finish = resolve));
+
+    /** @type {import("./repl.js").ConsoleRepl | null} */
+    let consoleRepl = null;
+    /** @type {import("./dashboard/server.js").Dashboard | null} */
+    let dashboard = null;
+    const print = (line) => (consoleRepl ? consoleRepl.print(line) : stdout.write(`${line}\n`));
+
+    if (options.scenarios) return runScenarios(options, config, streams);
+
+    let playlist = null;
+    if (options.playlist !== undefined) {
+        try {
+            playlist = loadPlaylist(options.playlist);
+        } catch (error) {
+            stderr.write(`${error.message}\n`);
+            return 2;
+        }
+        if (options.cycles !== undefined) playlist.cycles = options.cycles;
+    }
+    // A playlist is stopped after the current entry so its report is complete
+    const playlistStop = new AbortController();
+    const stop = () => (playlist ? playlistStop.abort() : finish(0));
+
+    /** @type {import("./index.js").UnifiedAPI} */
+    let api;
+    try {
+        api = createThunderWebkitAPI(config, handleEvent);
+    } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
+        stderr.write(`${error.message}\n`);
+        return 2;
+    }
+
+    /**
+     * Prints the session events.
+     * @param {import("./index.js").SessionEvent} event - The event.
+     */
+    function handleEvent(event) {
+        // Started requests are only interesting together with their outcome
+        if (event.type === 'network-request') return;
+        if (event.type.startsWith('network-') && !options.network) return;
+
+        if (event.type !== 'console') {
+            let line = `[${event.source}] ${event.type}: ${event.message}`;
+            if (event.type === 'exception' && event.data.stackTrace.length) {
+                line += `\n${formatStack(event.data.stackTrace)}`;
+            }
+            if (consoleRepl) consoleRepl.print(line);
+            else stderr.write(`${line}\n`);
+            return;
+        }
+
+        print(event.message);
+        if (options.untilPattern && options.untilPattern.test(event.message)) finish(0);
+    }
+
+    const onSignal = () => stop();
+    process.once('SIGINT', onSignal);
+
+    let timer;
+    const session = async () => {
+        if (!(await api.start())) return 1;
+        if (options.url && !(await api.launch(options.url))) return 1;
+        if (options.duration) timer = setTimeout(stop, options.duration * 1000);
+
+        if (options.dashboardPort !== undefined) {
+            try {
+                dashboard = await startDashboard(api, {
+                    port: options.dashboardPort,
+                    url: options.url,
+                    onQuit: stop,
+                });
+            } catch (error) {
+                stderr.write(`Failed to start the dashboard: ${error.message}\n`);
+                return 1;
+            }
+            stderr.write(`Dashboard: ${dashboard.url}\n`);
+        }
+        if (options.repl) {
+            consoleRepl = startRepl(api, { url: options.url });
+            consoleRepl.closed.then(stop);
+        }
+        if (playlist) {
+            return playPlaylist(
+                api,
+                playlist,
+                options,
+                config.callsign,
+                playlistStop.signal,
+                print,
+                stderr
+            );
+        }
+        return done;
+    };
+
+    try {
+        return await Promise.race([session(), done]);
+    } finally {
+        if (consoleRepl) consoleRepl.close();
+        clearTimeout(timer);
+        process.off('SIGINT', onSignal);
+        await api.quit();
+        if (dashboard) await dashboard.close();
+
+        if (options.har) {
+            try {
+                fs.writeFileSync(options.har, JSON.stringify(api.exportHar(), null, 2));
+            } catch (error) {
+                stderr.write(`Failed to write HAR file: ${error.message}\n`);
+            }
+        }
+    }
+}
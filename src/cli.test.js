@@ -0,0 +1,397 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseCliArgs, resolveDeviceConfig, run } from './cli.js';
+import { CONFIG_FILE } from './lib/configFile.js';
+
+describe('parseCliArgs', () => {
+    it('should parse the host, url and defaults', () => {
+        const options = parseCliArgs(['--host', '192.168.1.100', 'https://example.com']);
+        expect(options).toEqual({
+            profile: undefined,
+            config: undefined,
+            host: '192.168.1.100',
+            callsign: undefined,
+            thunderPort: undefined,
+            inspectorPort: undefined,
+            secure: false,
+            token: undefined,
+            securityAgent: false,
+            url: 'https://example.com',
+            duration: undefined,
+            untilPattern: undefined,
+            reconnect: false,
+            repl: false,
+            dashboardPort: undefined,
+            record: undefined,
+            filter: undefined,
+            network: false,
+            har: undefined,
+            sourceMaps: undefined,
+            metrics: undefined,
+            screenshot: undefined,
+            browser: undefined,
+            watchdog: undefined,
+            scenarios: undefined,
+            junit: undefined,
+            playlist: undefined,
+            cycles: undefined,
+            playlistReport: undefined,
+        });
+    });
+
+    it('should parse the exit conditions', () => {
+        const options = parseCliArgs([
+            '-H',
+            'tv.local',
+            '-c',
+            'UX',
+            '-p',
+            '10000',
+            '--duration',
+            '30',
+            '--until-pattern',
+            'App (started|ready)',
+            'https://example.com',
+        ]);
+        expect(options.callsign).toBe('UX');
+        expect(options.inspectorPort).toBe(10000);
+        expect(options.duration).toBe(30);
+        expect(options.untilPattern.test('App ready')).toBe(true);
+    });
+
+    it('should reject a missing url', () => {
+        expect(() => parseCliArgs(['--host', 'tv.local'])).toThrow('Expected exactly one URL');
+    });
+
+    it('should accept a missing url in REPL mode', () => {
+        const options = parseCliArgs(['--host', 'tv.local', '--repl']);
+        expect(options.repl).toBe(true);
+        expect(options.url).toBeUndefined();
+    });
+
+    it('should parse the dashboard options', () => {
+        const options = parseCliArgs(['--host', 'tv.local', '--dashboard']);
+        expect(options.dashboardPort).toBe(0);
+        expect(options.url).toBeUndefined();
+
+        expect(
+            parseCliArgs([
+                '-H',
+                'tv.local',
+                '--dashboard',
+                '--dashboard-port',
+                '8088',
+                'https://a.b',
+            ]).dashboardPort
+        ).toBe(8088);
+        expect(() =>
+            parseCliArgs(['-H', 'tv.local', '--dashboard-port', '8088', 'https://a.b'])
+        ).toThrow('--dashboard-port requires --dashboard');
+    });
+
+    it('should parse the record options', () => {
+        const options = parseCliArgs([
+            '--host',
+            'tv.local',
+            '--record',
+            'logs/soak',
+            '--record-format',
+            'jsonl,text',
+            '--rotate-size',
+            '10',
+            '--rotate-interval',
+            '60',
+            'https://example.com',
+        ]);
+        expect(options.record).toEqual({
+            path: 'logs/soak',
+            formats: ['jsonl', 'text'],
+            maxBytes: 10 * 1024 * 1024,
+            maxAge: 60 * 60 * 1000,
+        });
+    });
+
+    it('should reject an unknown record format', () => {
+        expect(() =>
+            parseCliArgs([
+                '-H',
+                'tv.local',
+                '--record',
+                'soak',
+                '--record-format',
+                'xml',
+                'https://a.b',
+            ])
+        ).toThrow('Invalid --record-format: xml');
+    });
+
+    it('should parse the console filter', () => {
+        const options = parseCliArgs([
+            '-H',
+            'tv.local',
+            '--level',
+            'warn',
+            '--include',
+            'Player',
+            '--include',
+            'Router',
+            '--exclude-url',
+            'framework',
+            'https://example.com',
+        ]);
+        expect(options.filter).toEqual({
+            level: 'warn',
+            include: ['Player', 'Router'],
+            excludeUrl: ['framework'],
+        });
+    });
+
+    it('should reject an invalid console level', () => {
+        expect(() => parseCliArgs(['-H', 'tv.local', '--level', 'loud', 'https://a.b'])).toThrow(
+            'Invalid level: loud'
+        );
+    });
+
+    it('should reject an invalid duration', () => {
+        expect(() =>
+            parseCliArgs(['--host', 'tv.local', '-d', 'soon', 'https://example.com'])
+        ).toThrow('Invalid --duration: soon');
+    });
+
+    it('should parse and validate the Thunder port', () => {
+        expect(parseCliArgs(['-H', 'tv.local', '-P', '8080', 'https://a.b']).thunderPort).toBe(
+            8080
+        );
+        expect(() => parseCliArgs(['-H', 'tv.local', '-P', '80a', 'https://a.b'])).toThrow(
+            'Invalid --thunder-port: 80a'
+        );
+    });
+
+    it('should parse the Thunder security options', () => {
+        const options = parseCliArgs(['-H', 'tv.local', '--secure', '-t', 'abc', 'https://a.b']);
+        expect(options).toMatchObject({ secure: true, token: 'abc', securityAgent: false });
+        expect(
+            parseCliArgs(['-H', 'tv.local', '--security-agent', 'https://a.b']).securityAgent
+        ).toBe(true);
+    });
+
+    it('should parse the source map options', () => {
+        const parse = (...args) => parseCliArgs(['-H', 'tv.local', ...args, 'https://a.b']);
+
+        expect(parse('--source-maps').sourceMaps).toEqual({ directory: undefined, fetch: true });
+        expect(parse('--source-map-dir', 'dist').sourceMaps).toEqual({
+            directory: 'dist',
+            fetch: false,
+        });
+    });
+
+    it('should parse the metrics options', () => {
+        const parse = (...args) => parseCliArgs(['-H', 'tv.local', ...args, 'https://a.b']);
+
+        expect(parse('--metrics', 'memory.csv').metrics).toEqual({ output: 'memory.csv' });
+        expect(parse('--metrics', 'memory.json', '--metrics-interval', '0.5').metrics).toEqual({
+            output: 'memory.json',
+            interval: 500,
+        });
+        expect(() => parse('--metrics-interval', '2')).toThrow(
+            '--metrics-interval requires --metrics'
+        );
+    });
+
+    it('should parse the screenshot options', () => {
+        const parse = (...args) => parseCliArgs(['-H', 'tv.local', ...args, 'https://a.b']);
+
+        expect(parse('--screenshot-dir', 'shots').screenshot).toEqual({
+            source: 'inspector',
+            onError: true,
+            directory: 'shots',
+        });
+        expect(parse('--screen-capture').screenshot).toEqual({ source: 'screencapture' });
+    });
+
+    it('should parse the browser properties', () => {
+        const parse = (...args) => parseCliArgs(['-H', 'tv.local', ...args, 'https://a.b']);
+
+        expect(
+            parse(
+                '--user-agent',
+                'RegionTest/1.0',
+                '--language',
+                'de-DE',
+                '--language',
+                'en',
+                '--header',
+                'X-Flags: beta=1; ab=b'
+            ).browser
+        ).toEqual({
+            useragent: 'RegionTest/1.0',
+            languages: ['de-DE', 'en'],
+            headers: [{ name: 'X-Flags', value: 'beta=1; ab=b' }],
+        });
+        expect(() => parse('--header', 'no separator')).toThrow('Invalid --header: no separator');
+        expect(() => parse('--language', 'german')).toThrow('"german" is not a language tag');
+    });
+
+    it('should parse the watchdog options', () => {
+        const parse = (...args) => parseCliArgs(['-H', 'tv.local', ...args, 'https://a.b']);
+
+        expect(parse('--watchdog').watchdog).toEqual({ relaunch: false });
+        expect(parse('--relaunch', '--heartbeat', '2', '--hang-timeout', '0.5').watchdog).toEqual({
+            relaunch: true,
+            interval: 2000,
+            timeout: 500,
+        });
+        expect(() => parse('--heartbeat', '2')).toThrow(
+            '--heartbeat and --hang-timeout require --watchdog'
+        );
+        expect(() => parse('--watchdog', '--hang-timeout', '0')).toThrow(
+            'Invalid --hang-timeout: 0'
+        );
+        expect(() =>
+            parseCliArgs(['-H', 'tv.local', '--playlist', 'soak.yaml', '--relaunch'])
+        ).toThrow('--relaunch is not available in playlist mode');
+    });
+
+    it('should parse scenario mode without a URL', () => {
+        const options = parseCliArgs([
+            '-H',
+            'tv.local',
+            '-s',
+            'smoke.yaml',
+            '--scenario',
+            'login.json',
+            '--junit',
+            'report.xml',
+        ]);
+        expect(options.scenarios).toEqual(['smoke.yaml', 'login.json']);
+        expect(options.junit).toBe('report.xml');
+
+        expect(() => parseCliArgs(['-H', 'tv.local', '-s', 'a.json', 'https://a.b'])).toThrow(
+            'Scenarios launch their own URLs'
+        );
+        expect(() => parseCliArgs(['-H', 'tv.local', '--junit', 'r.xml', 'https://a.b'])).toThrow(
+            '--junit requires --scenario'
+        );
+    });
+
+    it('should parse playlist mode without a URL', () => {
+        const options = parseCliArgs([
+            '-H',
+            'tv.local',
+            '--playlist',
+            'soak.yaml',
+            '--cycles',
+            '0',
+            '--playlist-report',
+            'soak.json',
+        ]);
+        expect(options.playlist).toBe('soak.yaml');
+        expect(options.cycles).toBe(0);
+        expect(options.playlistReport).toBe('soak.json');
+
+        const parse = (...args) => parseCliArgs(['-H', 'tv.local', ...args]);
+        expect(() => parse('--playlist', 'a.json', 'https://a.b')).toThrow(
+            'Playlists launch their own URLs'
+        );
+        expect(() => parse('--playlist', 'a.json', '-s', 'b.json')).toThrow(
+            'Use either --scenario or --playlist'
+        );
+        expect(() => parse('--playlist', 'a.json', '-u', 'done')).toThrow(
+            '--until-pattern is not available in playlist mode'
+        );
+        expect(() => parse('--playlist', 'a.json', '--cycles', 'many')).toThrow(
+            'Invalid --cycles: many'
+        );
+        expect(() => parse('--cycles', '2', 'https://a.b')).toThrow('--cycles requires --playlist');
+    });
+
+    it('should reject an invalid pattern', () => {
+        expect(() =>
+            parseCliArgs(['--host', 'tv.local', '-u', '(', 'https://example.com'])
+        ).toThrow('Invalid --until-pattern');
+    });
+});
+
+describe('resolveDeviceConfig', () => {
+    let directory;
+    let file;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+        file = path.join(directory, 'devices.json');
+        fs.writeFileSync(
+            file,
+            JSON.stringify({
+                defaults: { webInspectorPort: 10000 },
+                profiles: { lab: { host: '10.0.0.5', secure: true, reconnect: true } },
+            })
+        );
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true });
+    });
+
+    it('should default the callsign without a profile', () => {
+        const config = resolveDeviceConfig(
+            parseCliArgs(['-H', 'tv.local', 'https://example.com']),
+            {}
+        );
+        expect(config).toEqual({ host: 'tv.local', callsign: 'WebKitBrowser' });
+    });
+
+    it('should replace the settings of the profile with the given options', () => {
+        const options = parseCliArgs([
+            '--config',
+            file,
+            '--profile',
+            'lab',
+            '-c',
+            'UX',
+            '--watchdog',
+            'https://example.com',
+        ]);
+        expect(resolveDeviceConfig(options, {})).toEqual({
+            host: '10.0.0.5',
+            callsign: 'UX',
+            webInspectorPort: 10000,
+            secure: true,
+            reconnect: true,
+            watchdog: { relaunch: false },
+        });
+    });
+
+    it('should reject a missing host and unknown profiles', () => {
+        expect(() => resolveDeviceConfig(parseCliArgs(['https://example.com']), {})).toThrow(
+            'Missing required option --host'
+        );
+        expect(() =>
+            resolveDeviceConfig(parseCliArgs(['--config', file, '--profile', 'tv', 'x']), {})
+        ).toThrow('Unknown profile "tv", expected one of lab');
+    });
+
+    it('should only read the named configuration file', async () => {
+        // The nearest configuration file of the working directory is broken
+        fs.writeFileSync(path.join(directory, CONFIG_FILE), '{ "profiles": ');
+        fs.writeFileSync(
+            file,
+            JSON.stringify({ profiles: { lab: { host: '127.0.0.1', thunderPort: 1 } } })
+        );
+        const output = { stdout: { write: () => true }, stderr: { text: '' } };
+        output.stderr.write = (text) => (output.stderr.text += text);
+        const cwd = process.cwd();
+        process.chdir(directory);
+        try {
+            const code = await run(
+                ['--config', file, '--profile', 'lab', 'https://example.com'],
+                output
+            );
+            expect(code).toBe(1);
+            expect(output.stderr.text).not.toContain(CONFIG_FILE);
+        } finally {
+            process.chdir(cwd);
+        }
+    });
+});
@@ -0,0 +1,204 @@
+import fs from 'node:fs';
+import http from 'node:http';
+import { WebSocketServer } from 'ws';
+import { evaluateInPage } from '../repl.js';
+
+/**
+ * @typedef {Object} DashboardOptions
+ * @property {string} [host='127.0.0.1'] - Interface to listen on. Anyone reaching the dashboard can run code in
+ *   the page, only listen on other interfaces in trusted networks.
+ * @property {number} [port=0] - Port to listen on, 0 picks a free port.
+ * @property {string} [url] - URL the launch field starts with.
+ * @property {number} [history=500] - Number of recent events a newly opened page receives.
+ * @property {() => any} [onQuit] - Called for the quit button, quits the session by default.
+ *
+ * @typedef {Object} Dashboard
+ * @property {string} url - Address of the dashboard.
+ * @property {() => Promise<void>} close - Disconnects the pages and stops listening.
+ *
+ * The messages on the dashboard socket, the server sends:
+ * @typedef {{ type: 'hello', url: string, events: SessionEvent[] } |
+ *   { type: 'event', event: SessionEvent } |
+ *   { type: 'plugins', plugins: import("../lib/thunderSession.js").PluginInfo[] } |
+ *   { type: 'result', id: number, ok: boolean, value?: any, error?: string }} DashboardMessage
+ *
+ * and the page sends:
+ * @typedef {{ id: number, command: 'launch', url: string } | { id: number, command: 'evaluate', expression: string } |
+ *   { id: number, command: 'close'|'quit'|'plugins' }} DashboardCommand
+ *
+ * imports
+ * @typedef {import("../index.js").UnifiedAPI} UnifiedAPI
+ * @typedef {import("../index.js").SessionEvent} SessionEvent
+ */
+
+const PAGE = new URL('./page.html', import.meta.url);
+
+/**
+ * Checks the Host and Origin headers, so other websites open in the browser cannot reach the
+ * dashboard, neither directly nor through a DNS name rebound to this machine.
+ * @param {http.IncomingMessage} request - The request.
+ * @param {string[]} hosts - The accepted "host:port" values.
+ * @returns {boolean} True when the request comes from the dashboard or a non-browser client.
+ */
+function isAllowed(request, hosts) {
+    if (!hosts.includes(request.headers.host)) return false;
+
+    const { origin } = request.headers;
+    return origin === undefined || hosts.some((host) => origin === `http://${host}`);
+}
+
+/**
+ * Starts a local web dashboard for a session: the live console with level and text filters, the
+ * plugin states, launch, close and quit buttons and an input evaluating expressions in the page.
+ * The page is a single file without external assets and receives the session events over a
+ * WebSocket as they are emitted.
+ * @param {UnifiedAPI} api - The unified API, started or not.
+ * @param {DashboardOptions} [options={}] - Dashboard options.
+ * @returns {Promise<Dashboard>} Resolves once the dashboard listens.
+ */
+export async function startDashboard(api, options = {}) {
+    const { host = '127.0.0.1', port = 0, history = 500, onQuit = () => api.quit() } = options;
+    let currentUrl = options.url || '';
+    /** @type {SessionEvent[]} */
+    const recent = [];
+    /** @type {string[]} */
+    let hosts = [];
+
+    const page = fs.readFileSync(PAGE);
+    const server = http.createServer((request, response) => {
+        if (!isAllowed(request, hosts)) {
+            response.writeHead(403).end();
+            return;
+        }
+        if (request.method !== 'GET' || request.url !== '/') {
+            response.writeHead(404).end();
+            return;
+        }
+        response
+            .writeHead(200, {
+                'Content-Type': 'text/html; charset=utf-8',
+                'Content-Security-Policy':
+                    "default-src 'self'; style-src 'unsafe-inline'; script-src 'unsafe-inline'",
+            })
+            .end(page);
+    });
+    const sockets = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (request, socket, head) => {
+        if (request.url !== '/events' || !isAllowed(request, hosts)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+        sockets.handleUpgrade(request, socket, head, (ws) => sockets.emit('connection', ws));
+    });
+
+    /**
+     * Sends a message to one page.
+     * @param {import("ws").WebSocket} socket - The page socket.
+     * @param {DashboardMessage} message - The message.
+     */
+    function send(socket, message) {
+        if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+    }
+
+    /**
+     * Sends a message to every open page.
+     * @param {DashboardMessage} message - The message.
+     */
+    function broadcast(message) {
+        sockets.clients.forEach((socket) => send(socket, message));
+    }
+
+    /**
+     * Sends the plugin states, nothing while the session is not started.
+     * @param {(message: DashboardMessage) => void} deliver - Sends the message.
+     */
+    function sendPlugins(deliver) {
+        api.listPlugins().then(
+            (plugins) => deliver({ type: 'plugins', plugins }),
+            () => {}
+        );
+    }
+
+    const removeHandler = api.on('*', (event) => {
+        recent.push(event);
+        if (recent.length > history) recent.shift();
+        broadcast({ type: 'event', event });
+        // Fresh sessions have not reported any plugin yet
+        if (event.type === 'connected') sendPlugins(broadcast);
+    });
+
+    /**
+     * Runs a command of the page.
+     * @param {DashboardCommand} request - The command.
+     * @returns {Promise<any>} Resolves with the value shown to the user.
+     */
+    async function runCommand(request) {
+        switch (request.command) {
+            case 'launch':
+                if (typeof request.url !== 'string' || !request.url.trim()) {
+                    throw new Error('Enter a URL to launch');
+                }
+                currentUrl = request.url.trim();
+                return api.launch(currentUrl);
+            case 'close':
+                return api.close();
+            case 'quit':
+                return onQuit();
+            case 'evaluate':
+                if (typeof request.expression !== 'string') throw new Error('Missing expression');
+                return evaluateInPage(api, request.expression);
+            case 'plugins':
+                return api.listPlugins();
+            default:
+                throw new Error(`Unknown command: ${request.command}`);
+        }
+    }
+
+    sockets.on('connection', (socket) => {
+        send(socket, { type: 'hello', url: currentUrl, events: recent });
+        sendPlugins((message) => send(socket, message));
+
+        socket.on('message', async (data) => {
+            /** @type {DashboardCommand} */
+            let request;
+            try {
+                request = JSON.parse(data.toString());
+            } catch (_) {
+                return;
+            }
+
+            try {
+                const value = await runCommand(request);
+                send(socket, { type: 'result', id: request.id, ok: true, value });
+            } catch (error) {
+                send(socket, { type: 'result', id: request.id, ok: false, error: error.message });
+            }
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            resolve();
+        });
+    });
+
+    const { port: boundPort } = /** @type {import("node:net").AddressInfo} */ (server.address());
+    const address = host.includes(':') ? `[${host}]:${boundPort}` : `${host}:${boundPort}`;
+    hosts = [address, `localhost:${boundPort}`, `127.0.0.1:${boundPort}`, `[::1]:${boundPort}`];
+
+    /**
+     * Disconnects the pages and stops listening.
+     * @returns {Promise<void>} Resolves when the server is closed.
+     */
+    function close() {
+        removeHandler();
+        sockets.clients.forEach((socket) => socket.terminate());
+        sockets.close();
+        return new Promise((resolve) => server.close(() => resolve()));
+    }
+
+    return { url: `http://${address}/`, close };
+}
@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import WebSocket from 'ws';
+import { startDashboard } from './server.js';
+import { createEventBus } from '../lib/eventBus.js';
+
+/**
+ * Creates a unified API double with a working event bus.
+ */
+function createFakeApi() {
+    const bus = createEventBus();
+    return {
+        emit: bus.emit,
+        on: bus.on,
+        launch: vi.fn(async () => true),
+        close: vi.fn(async () => {}),
+        quit: vi.fn(async () => {}),
+        evaluate: vi.fn(async () => ({ type: 'string', value: 'Home' })),
+        getProperties: vi.fn(async () => []),
+        listPlugins: vi.fn(async () => [
+            { callsign: 'WebKitBrowser', classname: 'WebKitBrowser', state: 'activated' },
+        ]),
+    };
+}
+
+describe('startDashboard', () => {
+    let api;
+    let dashboard;
+    let clients;
+
+    beforeEach(async () => {
+        api = createFakeApi();
+        api.emit({ type: 'connected', source: 'Thunder', message: 'Session connected' });
+        dashboard = await startDashboard(api, { url: 'https://example.com/', history: 2 });
+        clients = [];
+    });
+
+    afterEach(async () => {
+        clients
+            .filter((client) => client.readyState === WebSocket.OPEN)
+            .forEach((client) => client.terminate());
+        await dashboard.close();
+    });
+
+    /**
+     * Opens the dashboard socket, collecting the messages.
+     * @param {Object} [headers] - Extra request headers.
+     */
+    function open(headers) {
+        const client = new WebSocket(dashboard.url.replace('http', 'ws') + 'events', { headers });
+        clients.push(client);
+        client.on('error', () => {});
+        const messages = [];
+        client.on('message', (data) => messages.push(JSON.parse(data.toString())));
+
+        /** Waits for the first message matching the predicate */
+        const next = async (predicate) => {
+            for (let i = 0; i < 100; i++) {
+                const message = messages.find(predicate);
+                if (message) return message;
+                await new Promise((resolve) => setTimeout(resolve, 10));
+            }
+            throw new Error('Message not received');
+        };
+        return { client, messages, next };
+    }
+
+    it('should serve the page', async () => {
+        const response = await fetch(dashboard.url);
+        expect(response.status).toBe(200);
+        expect(await response.text()).toContain('<title>ThunderWPEConsole</title>');
+        expect(dashboard.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/$/);
+    });
+
+    it('should send the recent events and plugins, then push new events', async () => {
+        const { next } = open();
+
+        const hello = await next((message) => message.type === 'hello');
+        expect(hello.url).toBe('https://example.com/');
+        expect(hello.events.map((event) => event.type)).toEqual([]);
+        expect((await next((message) => message.type === 'plugins')).plugins).toHaveLength(1);
+
+        api.emit({
+            type: 'console',
+            source: 'WebInspector',
+            message: 'ready',
+            data: { level: 'info' },
+        });
+        const pushed = await next((message) => message.type === 'event');
+        expect(pushed.event).toMatchObject({ type: 'console', message: 'ready' });
+
+        // Only the last events are kept for pages opened later
+        api.emit({ type: 'console', source: 'WebInspector', message: 'two' });
+        api.emit({ type: 'console', source: 'WebInspector', message: 'three' });
+        const later = open();
+        const replay = await later.next((message) => message.type === 'hello');
+        expect(replay.events.map((event) => event.message)).toEqual(['two', 'three']);
+    });
+
+    it('should run the commands of the page', async () => {
+        const { client, next } = open();
+        await new Promise((resolve) => client.once('open', resolve));
+        const command = (id, request) => client.send(JSON.stringify({ id, ...request }));
+
+        command(1, { command: 'launch', url: ' https://example.com/other ' });
+        command(2, { command: 'evaluate', expression: 'document.title' });
+        command(3, { command: 'launch', url: '' });
+        command(4, { command: 'quit' });
+
+        expect(await next((message) => message.id === 1)).toMatchObject({ ok: true, value: true });
+        expect(api.launch).toHaveBeenCalledWith('https://example.com/other');
+        expect(await next((message) => message.id === 2)).toMatchObject({
+            ok: true,
+            value: "'Home'",
+        });
+        expect(await next((message) => message.id === 3)).toMatchObject({
+            ok: false,
+            error: 'Enter a URL to launch',
+        });
+        await next((message) => message.id === 4);
+        expect(api.quit).toHaveBeenCalled();
+    });
+
+    it('should refuse other origins and hosts', async () => {
+        const port = new URL(dashboard.url).port;
+        const foreign = open({ Origin: 'http://evil.example' });
+        const rebound = open({ Host: `evil.example:${port}` });
+
+        const refused = (client) =>
+            new Promise((resolve) =>
+                client.once('unexpected-response', (_, res) => resolve(res.statusCode))
+            );
+        expect(await refused(foreign.client)).toBe(403);
+        expect(await refused(rebound.client)).toBe(403);
+
+        const local = open({ Origin: `http://localhost:${port}` });
+        await expect(local.next((message) => message.type === 'hello')).resolves.toBeTruthy();
+    });
+});
@@ -1,115 +1,823 @@
-import { createThunderSession } from './lib/thunderSession.js';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createThunderSession, isCrash } from './lib/thunderSession.js';
 import { createWebInspectorClient } from './lib/webInspector.js';
-import { delay } from './lib/util.js';
+import { createRecorder } from './lib/recorder.js';
+import { createConsoleFilter } from './lib/consoleFilter.js';
+import { toHar } from './lib/har.js';
+import { createEventBus } from './lib/eventBus.js';
+import { requestSecurityToken } from './lib/securityAgent.js';
+import { createSourceMapResolver } from './lib/sourceMap.js';
+import { validateBrowserProperties } from './lib/browserProperties.js';
+import { createWatchdog } from './lib/watchdog.js';
+import { resolveConfig } from './lib/configFile.js';
+import {
+    createMetricsCollector,
+    formatBytes,
+    metricsToCsv,
+    summarizeMetrics,
+} from './lib/metrics.js';
+
+export { EvaluationError } from './lib/webInspector.js';
+export { JsonRpcError } from './lib/jsonRpc.js';
+export { UnknownCallsignError } from './lib/thunderSession.js';
+export { BrowserPropertyError, BROWSER_PROPERTIES } from './lib/browserProperties.js';
+export { ConfigError } from './lib/configFile.js';
+
+/** Default time in milliseconds each launch step may take */
+const DEFAULT_TIMEOUTS = {
+    stop: 10000,
+    start: 10000,
+    inspector: 10000,
+    resume: 10000,
+    properties: 10000,
+    load: 30000,
+};
+
+/** Time a dropped WebInspector connection waits for Thunder to report the browser deactivation */
+const DROP_GRACE = 1000;
 
 /**
  * Creates a unified API layer for managing Thunder and WebInspector sessions
  *
  * Configuration object:
  * @typedef {Object} config - Configuration object.
+ * @property {string} [profile] - Device profile of the configuration file, the other properties replace its settings.
  * @property {string} host - The host IP address or DNS name of the Thunder instance.
  * @property {string} callsign - Callsign for the module (e.g., "UX" or "Browser").
+ * @property {number} [thunderPort] - Port of the Thunder JSON-RPC and HTTP interface, 80 or 443 with `secure` by default.
+ * @property {boolean} [secure=false] - Connect to Thunder with wss and https.
+ * @property {string} [token] - Token for Thunder builds with the SecurityAgent enabled.
+ * @property {boolean | SecurityAgentOptions} [securityAgent=false] - Request the token from the SecurityAgent
+ *   plugin when the session starts, unless `token` is set.
  * @property {number} [webInspectorPort=9998] - Port for WebInspector.
+ * @property {(targets: InspectorTarget[], url?: string) => InspectorTarget | undefined} [inspectorTarget] - Picks
+ *   the WebInspector target to attach to, by default the page showing the launched URL or else the newest page.
+ * @property {boolean | ReconnectOptions} [reconnect=false] - Reconnect both sockets with exponential backoff when they drop.
+ * @property {LaunchTimeouts} [timeouts] - Timeouts for the individual launch steps.
+ * @property {BrowserProperties} [browser] - Browser properties set on every launch, e.g. the user agent.
+ * @property {RecordOptions} [record] - Record all session events to JSONL and/or plain-text files.
+ * @property {ConsoleFilterOptions} [filter] - Only forward console messages passing this filter.
+ * @property {boolean} [network=false] - Capture network requests, reported as network events and exportable as HAR.
+ * @property {boolean | SourceMapOptions} [sourceMaps=false] - Resolve exception stacks to original locations.
+ * @property {boolean | MetricsOptions} [metrics=false] - Sample page and process memory, reported as metrics events.
+ * @property {ScreenshotOptions} [screenshot] - Screenshot source, and whether errors capture one automatically.
+ * @property {boolean | WatchdogOptions} [watchdog=false] - Watch the launched page for crashes and hangs, reported
+ *   as crash and hang events, and optionally launch it again.
+ *
+ * @typedef {Object} LaunchTimeouts - Time in milliseconds each launch step may take.
+ * @property {number} [stop=10000] - Deactivating the browser plugin.
+ * @property {number} [start=10000] - Activating the browser plugin.
+ * @property {number} [inspector=10000] - WebInspector becoming available.
+ * @property {number} [resume=10000] - Resuming the browser plugin.
+ * @property {number} [properties=10000] - Setting the browser properties.
+ * @property {number} [load=30000] - Loading the URL.
+ *
+ * @typedef {Object} LaunchOptions
+ * @property {BrowserProperties} [browser] - Browser properties for this launch, merged over the configured ones.
+ * @property {number} [timeout] - Time the whole launch may take in milliseconds, each step gets at most what is left.
+ *
+ * @typedef {Object} SecurityAgentOptions
+ * @property {string} [callsign='SecurityAgent'] - Callsign of the SecurityAgent plugin.
+ * @property {string} [url] - URL the token is issued for, the origin of the Thunder interface by default.
+ *
+ * @typedef {Object} ScreenshotOptions
+ * @property {'inspector'|'screencapture'} [source='inspector'] - Capture the page through WebInspector
+ *   `Page.snapshotRect`, or the whole screen through Thunder's ScreenCapture plugin.
+ * @property {string} [callsign='ScreenCapture'] - Callsign of the ScreenCapture plugin.
+ * @property {boolean} [onError=false] - Capture a screenshot for every error and exception event.
+ * @property {string} [directory='screenshots'] - Directory the automatic screenshots are saved to.
+ *
+ * @typedef {Object} CaptureOptions
+ * @property {string} [path] - Save the PNG to this file, missing directories are created.
+ * @property {'inspector'|'screencapture'} [source] - Overrides the configured source.
+ * @property {number} [timeout=10000] - Time the capture may take in milliseconds.
+ *
+ * Event object:
+ * @typedef {Object} SessionEvent - Event passed to the `onEvent` callback and the `on` handlers.
+ * @property {SessionEventType} type - Event type, see `SessionEventData` for the `data` of each type.
+ * @property {string} source - Component that emitted the event (e.g. "Thunder", "WebInspector").
+ * @property {string} message - Human readable message, the plain text for console events.
+ * @property {SessionEventData[SessionEventType]} [data] - Structured payload of the event.
+ *
+ * @typedef {'connected'|'console'|'exception'|'statechange'|'url-launch'|'closed'|'error'|'warning'|'quit'|
+ *   'disconnected'|'reconnecting'|'reconnected'|'network-request'|'network-response'|'network-failed'|
+ *   'metrics'|'metrics-summary'|'screenshot'|'attached'|'crash'|'hang'} SessionEventType
+ *
+ * @typedef {Object} SessionEventData - The `data` of each event type, types not listed here carry no data.
+ * @property {ConsoleMessage} console - The structured console message.
+ * @property {PageException} exception - The uncaught exception or unhandled rejection.
+ * @property {StateChange} statechange - The plugin state change, reported for every callsign.
+ * @property {NetworkRequest} network-request - The request that started.
+ * @property {NetworkRequest} network-response - The finished request.
+ * @property {NetworkRequest} network-failed - The failed request.
+ * @property {MetricsSample} metrics - The metrics sample.
+ * @property {MetricsSummary} metrics-summary - The summary of all samples.
+ * @property {{ path: string, trigger: string }} screenshot - The saved screenshot and the message that triggered it.
+ * @property {InspectorTarget} attached - The WebInspector target the session moved to.
+ * @property {Incident} crash - The crash of the browser or its web process.
+ * @property {Incident} hang - The page that stopped answering.
  *
  * API object:
  * @typedef {Object} UnifiedAPI - Unified API object.
- * @property {() => Promise<void>} start - Starts a new session, launching the initial URL.
- * @property {(url: string) => Promise<void>} launch - Launches a new URL in the browser.
+ * @property {() => Promise<boolean>} start - Starts a new session, resolves with false on failure.
+ * @property {(url: string, options?: LaunchOptions) => Promise<boolean>} launch - Launches a new URL, resolves with false on failure.
  * @property {() => Promise<void>} close - Closes the current browser instance.
  * @property {() => Promise<void>} quit - Stops the entire session and disposes of the Thunder API.
+ * @property {(expression: string, options?: EvaluateOptions) => Promise<any>} evaluate - Evaluates JavaScript in the page.
+ * @property {(objectId: string) => Promise<PropertyDescriptor[]>} getProperties - Lists the own properties of a remote object.
+ * @property {(property: string) => Promise<any>} getBrowserProperty - Reads a property of the browser plugin.
+ * @property {(property: string, value: any) => Promise<void>} setBrowserProperty - Changes a property of the
+ *   browser plugin until it is deactivated.
+ * @property {(filter: ConsoleFilterOptions) => void} setFilter - Replaces the console filter, takes effect immediately.
+ * @property {() => ConsoleFilterOptions} getFilter - Returns the current console filter.
+ * @property {(callsign?: string) => Promise<string>} getState - Returns the state of a plugin, the browser callsign by default.
+ * @property {() => Promise<PluginInfo[]>} listPlugins - Lists all plugins known to the Controller.
+ * @property {(callback: (change: StateChange) => void) => () => void} onStateChange - Registers a callback for plugin state changes.
+ * @property {(callsign: string, state: string, timeout?: number) => Promise<void>} waitForState - Waits until a plugin reaches a state.
+ * @property {() => { log: Object }} exportHar - Returns the finished and failed requests of the session as a HAR log.
+ * @property {(options?: CaptureOptions) => Promise<Buffer>} screenshot - Captures the page or screen as PNG.
+ * @property {() => { samples: MetricsSample[], summary: MetricsSummary }} getMetrics - Returns the metrics samples of the session and their summary.
+ * @property {() => Promise<InspectorTarget[]>} listTargets - Lists the inspectable pages and workers, including
+ *   the ones the session is not attached to.
+ * @property {(target: InspectorTarget) => Promise<boolean>} attach - Attaches WebInspector to another target,
+ *   resolves with false on failure.
+ * @property {(type: SessionEventType | '*', handler: (event: SessionEvent) => void) => () => void} on - Subscribes to an
+ *   event type, "*" receives every event. Returns a function that unsubscribes.
+ * @property {(type: SessionEventType | '*', handler: (event: SessionEvent) => void) => void} off - Unsubscribes a handler.
+ * @property {(type: SessionEventType | '*', handler: (event: SessionEvent) => void) => () => void} once - Subscribes to
+ *   the next event of a type only.
  *
  * Imports
  * @typedef {import("./lib/thunderSession.js").ThunderSession} ThunderSession
  * @typedef {import("./lib/thunderSession.js").ThunderSessionConfig} ThunderSessionConfig
+ * @typedef {import("./lib/thunderSession.js").PluginInfo} PluginInfo
+ * @typedef {import("./lib/thunderSession.js").StateChange} StateChange
  * @typedef {import("./lib/webInspector.js").webInspectorConfig} webInspectorConfig
  * @typedef {import("./lib/webInspector.js").WebInspectorClient} WebInspectorClient
+ * @typedef {import("./lib/webInspector.js").EvaluateOptions} EvaluateOptions
+ * @typedef {import("./lib/webInspector.js").PropertyDescriptor} PropertyDescriptor
+ * @typedef {import("./lib/inspectorTargets.js").InspectorTarget} InspectorTarget
+ * @typedef {import("./lib/browserProperties.js").BrowserProperties} BrowserProperties
  * @typedef {import("./lib/websocket.js").WebSocketClient} WebSocketClient
+ * @typedef {import("./lib/websocket.js").ReconnectOptions} ReconnectOptions
+ * @typedef {import("./lib/consoleMessage.js").ConsoleMessage} ConsoleMessage
+ * @typedef {import("./lib/recorder.js").RecordOptions} RecordOptions
+ * @typedef {import("./lib/recorder.js").Recorder} Recorder
+ * @typedef {import("./lib/consoleFilter.js").ConsoleFilterOptions} ConsoleFilterOptions
+ * @typedef {import("./lib/networkCapture.js").NetworkEvent} NetworkEvent
+ * @typedef {import("./lib/networkCapture.js").NetworkRequest} NetworkRequest
+ * @typedef {import("./lib/pageException.js").PageException} PageException
+ * @typedef {import("./lib/sourceMap.js").SourceMapOptions} SourceMapOptions
+ * @typedef {import("./lib/metrics.js").MetricsOptions} MetricsOptions
+ * @typedef {import("./lib/metrics.js").MetricsSample} MetricsSample
+ * @typedef {import("./lib/metrics.js").MetricsSummary} MetricsSummary
+ * @typedef {import("./lib/metrics.js").MetricsCollector} MetricsCollector
+ * @typedef {import("./lib/watchdog.js").WatchdogOptions} WatchdogOptions
+ * @typedef {import("./lib/watchdog.js").Incident} Incident
+ * @typedef {import("./lib/watchdog.js").Watchdog} Watchdog
+ * @typedef {import("./lib/configFile.js").ConfigError} ConfigError
  *
- * @param {config} config - Configuration object.
- * @param {Function} onEvent - Callback function for handling events and errors.
+ * @param {config | string} options - Configuration object, or the name of a device profile of the configuration file.
+ * @param {(event: SessionEvent) => void} [onEvent] - Callback receiving every event, same as `on("*", onEvent)`.
  * @returns {UnifiedAPI} Unified API object.
+ * @throws {ConfigError} Throws when the profile cannot be resolved.
  */
-export function createThunderWebkitAPI(config, onEvent) {
+export function createThunderWebkitAPI(options, onEvent) {
+    const config = resolveConfig(options);
     /** @type {ThunderSession | null} */
     let thunderSession = null;
     /** @type {WebInspectorClient | null} */
     let webInspector = null;
+    /** @type {Recorder | null} */
+    let recorder = null;
+    /** @type {import("./lib/eventBus.js").EventBus<SessionEvent>} */
+    const bus = createEventBus();
+    if (onEvent) bus.on('*', onEvent);
+    const consoleFilter = createConsoleFilter(config.filter);
+    /** @type {NetworkRequest[]} */
+    let networkRequests = [];
+    const sourceMaps = config.sourceMaps
+        ? createSourceMapResolver(config.sourceMaps === true ? {} : config.sourceMaps)
+        : null;
+    const metricsOptions = config.metrics === true ? {} : config.metrics || null;
+    /** @type {MetricsCollector | null} */
+    let metrics = null;
+    const screenshotOptions = {
+        source: 'inspector',
+        callsign: 'ScreenCapture',
+        onError: false,
+        directory: 'screenshots',
+        ...config.screenshot,
+    };
+    /** Errors often come in bursts, only one automatic capture runs at a time */
+    let capturingOnError = false;
+    /** Console output of the page waiting for an exception ahead of it, see emitPageEvent */
+    let pageEvents = Promise.resolve();
+    let pendingPageEvents = 0;
+    /**
+     * Output of the loaded page arriving while a launch attaches to it, reported after the outcome.
+     * @type {SessionEvent[] | null}
+     */
+    let heldEvents = null;
+    const watchdogOptions = config.watchdog === true ? {} : config.watchdog || null;
+    /** @type {Watchdog | null} */
+    let watchdog = null;
+    /** The last successful launch, watched until the next launch, close or quit */
+    let watched = null;
+    /** Relaunches by the watchdog since the page last answered a heartbeat */
+    let relaunches = 0;
+
+    /**
+     * Passes an event to the recorder and the subscribers.
+     * @param {SessionEvent} event - The event.
+     */
+    function emit(event) {
+        if (heldEvents && (event.type === 'console' || event.type === 'exception')) {
+            heldEvents.push(event);
+            return;
+        }
+
+        if (recorder) recorder.write(event);
+        bus.emit(event);
+
+        if (screenshotOptions.onError && (event.type === 'error' || event.type === 'exception')) {
+            captureOnError(event);
+        }
+    }
+
+    /**
+     * Saves a screenshot for an error event and reports it as a screenshot event.
+     * A page screenshot needs the inspector, without it there is nothing to capture.
+     * Failures are reported as warnings, an error event would trigger the next capture.
+     * @param {SessionEvent} event - The error or exception event.
+     */
+    async function captureOnError(event) {
+        if (capturingOnError) return;
+        if (screenshotOptions.source === 'inspector' && !webInspector?.isConnected()) return;
+
+        capturingOnError = true;
+        const file = path.join(
+            screenshotOptions.directory,
+            `${new Date().toISOString().replace(/[:.]/g, '-')}-${event.type}.png`
+        );
+        try {
+            await screenshot({ path: file });
+            emit({
+                type: 'screenshot',
+                source: 'UnifiedAPI',
+                message: `Screenshot saved: ${file}`,
+                data: { path: file, trigger: event.message },
+            });
+        } catch (error) {
+            emit({
+                type: 'warning',
+                source: 'UnifiedAPI',
+                message: 'Screenshot failed: ' + error.message,
+            });
+        } finally {
+            capturingOnError = false;
+        }
+    }
 
     /**
      * Handles WebInspector console messages.
+     * The plain text is exposed as `message`, the structured console message as `data`.
      * @param {Error|null} error - Error, if any.
-     * @param {string} message - Console message.
+     * @param {ConsoleMessage} [message] - Console message.
      */
     function handleConsoleMessage(error, message) {
         if (error) {
-            onEvent({ type: 'error', source: 'WebInspector', message: error.message });
-        } else {
-            onEvent({ type: 'console', source: 'WebInspector', message });
+            emit({ type: 'error', source: 'WebInspector', message: error.message });
+            return;
+        }
+
+        // The watchdog keeps the lines the filter hides as well, they may explain a crash
+        if (watchdog) watchdog.record(message.text);
+        if (consoleFilter.matches(message)) {
+            emitPageEvent({
+                type: 'console',
+                source: 'WebInspector',
+                message: message.text,
+                data: message,
+            });
+        }
+    }
+
+    /**
+     * Emits console output of the page in the order it arrived. While an exception ahead is still
+     * being source-mapped, later events wait for it.
+     * @param {SessionEvent | Promise<SessionEvent>} event - The event, or a promise resolving with it.
+     * @returns {Promise<void>} Resolves once the event is emitted.
+     */
+    function emitPageEvent(event) {
+        if (pendingPageEvents === 0 && !(event instanceof Promise)) {
+            emit(event);
+            return Promise.resolve();
+        }
+
+        pendingPageEvents++;
+        // A failed event must not hold up the ones behind it
+        pageEvents = pageEvents
+            .catch(() => {})
+            .then(() => event)
+            .then(emit)
+            .finally(() => pendingPageEvents--);
+        return pageEvents;
+    }
+
+    /**
+     * Handles WebInspector network events, keeping finished and failed requests for the HAR export.
+     * @param {NetworkEvent} event - The network event.
+     */
+    function handleNetworkEvent({ type, request }) {
+        let message = `${request.method} ${request.url}`;
+        if (type === 'network-response') {
+            message += ` ${request.status} (${request.size ?? 0} bytes, ${request.duration ?? 0}ms)`;
+        } else if (type === 'network-failed') {
+            message += ` failed: ${request.errorText}`;
+        }
+
+        if (type !== 'network-request') networkRequests.push(request);
+        emit({ type, source: 'WebInspector', message, data: request });
+    }
+
+    /**
+     * Handles uncaught exceptions and unhandled rejections, resolving their stacks through source maps
+     * when configured. Resolving never fails the event, unresolved locations keep `original` set to null.
+     * @param {PageException} exception - The exception.
+     * @returns {Promise<void>} Resolves once the exception is emitted or filtered out.
+     */
+    function handleException(exception) {
+        if (watchdog) watchdog.record(exception.text);
+        // Exceptions are console errors the filter applies to as well
+        if (!consoleFilter.matches({ ...exception, level: 'error' })) return Promise.resolve();
+
+        /** @type {SessionEvent} */
+        const event = {
+            type: 'exception',
+            source: 'WebInspector',
+            message: exception.text,
+            data: exception,
+        };
+        if (!sourceMaps) return emitPageEvent(event);
+
+        const resolved = Promise.all([
+            sourceMaps.resolve(exception.url, exception.line, exception.column),
+            ...exception.stackTrace.map((frame) =>
+                sourceMaps.resolve(frame.url, frame.line, frame.column)
+            ),
+        ]).then(
+            ([original, ...frames]) => {
+                exception.original = original;
+                exception.stackTrace.forEach((frame, index) => (frame.original = frames[index]));
+                return event;
+            },
+            () => event
+        );
+        return emitPageEvent(resolved);
+    }
+
+    let monitorAvailable = true;
+
+    /**
+     * Reads the memory of the browser process for the metrics. Monitor is an optional plugin,
+     * once it failed the process memory is left out for the rest of the session.
+     * @returns {Promise<import("./lib/metrics.js").ProcessMemory|null>} The memory, null when not available.
+     */
+    async function readProcessMemory() {
+        if (!monitorAvailable || metricsOptions.monitor === false || !thunderSession) return null;
+
+        try {
+            return await thunderSession.getProcessMemory();
+        } catch (error) {
+            monitorAvailable = false;
+            emit({
+                type: 'warning',
+                source: 'Thunder',
+                message: 'Process memory not available: ' + error.message,
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Reports a metrics sample.
+     * @param {MetricsSample} sample - The sample.
+     */
+    function handleMetricsSample(sample) {
+        const parts = [];
+        if (sample.jsHeap !== null) parts.push(`JS heap ${formatBytes(sample.jsHeap)}`);
+        if (sample.pageMemory !== null) parts.push(`page ${formatBytes(sample.pageMemory)}`);
+        if (sample.resident !== null) parts.push(`resident ${formatBytes(sample.resident)}`);
+        parts.push(`${sample.gcCount} GC(s)`);
+
+        emit({ type: 'metrics', source: 'UnifiedAPI', message: parts.join(', '), data: sample });
+    }
+
+    /**
+     * Stops the metrics sampling and writes the summary to the configured output file.
+     */
+    function finishMetrics() {
+        metrics.stop();
+        const summary = summarizeMetrics(metrics.samples());
+
+        if (metricsOptions.output) {
+            try {
+                const content = /\.csv$/i.test(metricsOptions.output)
+                    ? metricsToCsv(metrics.samples())
+                    : JSON.stringify({ summary, samples: metrics.samples() }, null, 2);
+                fs.writeFileSync(metricsOptions.output, content);
+            } catch (error) {
+                emit({
+                    type: 'error',
+                    source: 'UnifiedAPI',
+                    message: 'Failed to write metrics: ' + error.message,
+                });
+            }
+        }
+
+        emit({
+            type: 'metrics-summary',
+            source: 'UnifiedAPI',
+            message: `${summary.samples} sample(s), peak JS heap ${summary.jsHeap ? formatBytes(summary.jsHeap.max) : 'n/a'}, peak resident ${summary.resident ? formatBytes(summary.resident.max) : 'n/a'}`,
+            data: summary,
+        });
+    }
+
+    /**
+     * Surfaces the reconnection events of a connection as session events.
+     * @param {ThunderSession | WebInspectorClient} connection - Thunder session or WebInspector client.
+     * @param {string} source - Event source name.
+     */
+    function forwardReconnectEvents(connection, source) {
+        connection.on('reconnecting', ({ detail }) => {
+            emit({
+                type: 'reconnecting',
+                source,
+                message: `Connection lost, reconnecting in ${detail.delay}ms (attempt ${detail.attempt})`,
+            });
+        });
+
+        connection.on('reconnected', ({ detail }) => {
+            emit({
+                type: 'reconnected',
+                source,
+                message: `Reconnected after ${detail.attempt} attempt(s)`,
+            });
+        });
+
+        connection.on('reconnect-failed', ({ detail }) => {
+            emit({
+                type: 'error',
+                source,
+                message: `Reconnection failed after ${detail.attempts} attempt(s)`,
+            });
+        });
+    }
+
+    /**
+     * Reports a crash or hang of the watched page with its last console lines, and launches it again
+     * when configured. A crash ends the watch, a hung page stays watched so its recovery is noticed.
+     * @param {'crash'|'hang'} type - The incident.
+     * @param {string} source - Component that noticed it.
+     * @param {string} reason - What happened.
+     */
+    function reportIncident(type, source, reason) {
+        const { url, options } = watched;
+        const { relaunch = false, maxRelaunches = 3 } = watchdogOptions;
+        const relaunching = relaunch && relaunches < maxRelaunches;
+        const lines = watchdog.recentConsole();
+
+        if (type === 'crash' || relaunching) {
+            watched = null;
+            watchdog.reset();
+        }
+        emit({
+            type,
+            source,
+            message:
+                `${type === 'crash' ? 'Browser crashed' : 'Page not responding'} (${reason}): ${url}` +
+                (relaunching ? ', relaunching' : ''),
+            data: { reason, url, console: lines, relaunch: relaunching },
+        });
+
+        if (relaunching) {
+            relaunches++;
+            launch(url, options);
+        }
+    }
+
+    /**
+     * Looks into a dropped WebInspector connection of the watched page. A deactivated browser is
+     * reported by Thunder with its reason meanwhile; a page that moved to another web process is
+     * followed, otherwise the web process is gone.
+     */
+    async function checkInspectorDrop() {
+        const dropped = watched;
+        await new Promise((resolve) => setTimeout(resolve, DROP_GRACE));
+        if (!dropped || watched !== dropped || !webInspector) return;
+
+        try {
+            const timeouts = { ...DEFAULT_TIMEOUTS, ...config.timeouts };
+            const target = await webInspector.reattach(dropped.url, timeouts.inspector);
+            if (target && watched === dropped) {
+                emitAttached(target);
+                return;
+            }
+        } catch (_) {
+            // No page to attach to, reported below
+        }
+        if (watched === dropped) {
+            reportIncident('crash', 'WebInspector', 'WebInspector disconnected');
         }
     }
 
     /**
      * Starts a new session, launching the initial URL.
-     * @returns {Promise<void>} Resolves when the session is fully started.
+     * @returns {Promise<boolean>} Resolves with true when the session is started, false otherwise.
      */
     async function start() {
         if (thunderSession) {
-            onEvent({ type: 'error', source: 'Thunder', message: 'Session already started' });
-            return;
+            emit({ type: 'error', source: 'Thunder', message: 'Session already started' });
+            return false;
         }
 
+        let token = config.token;
+        if (!token && config.securityAgent) {
+            try {
+                token = await requestSecurityToken({
+                    host: config.host,
+                    port: config.thunderPort,
+                    secure: config.secure,
+                    ...(config.securityAgent === true ? {} : config.securityAgent),
+                });
+            } catch (error) {
+                emit({
+                    type: 'error',
+                    source: 'Thunder',
+                    message: 'Failed to obtain a SecurityAgent token: ' + error.message,
+                });
+                return false;
+            }
+        }
+
+        // Created once the start can no longer fail early, quit() closes it
+        if (config.record) {
+            try {
+                recorder = createRecorder(
+                    config.record,
+                    { host: config.host, callsign: config.callsign },
+                    (error) =>
+                        emit({
+                            type: 'error',
+                            source: 'UnifiedAPI',
+                            message: 'Recording stopped: ' + error.message,
+                        })
+                );
+            } catch (error) {
+                emit({
+                    type: 'error',
+                    source: 'UnifiedAPI',
+                    message: 'Failed to start recording: ' + error.message,
+                });
+            }
+        }
+
+        networkRequests = [];
+        monitorAvailable = true;
+        if (metricsOptions) {
+            metrics = createMetricsCollector(
+                metricsOptions,
+                readProcessMemory,
+                handleMetricsSample
+            );
+        }
+        watched = null;
+        relaunches = 0;
+        if (watchdogOptions) {
+            watchdog = createWatchdog(
+                watchdogOptions,
+                async (timeout) => {
+                    await webInspector.evaluate('1', { returnByValue: true, timeout });
+                    relaunches = 0;
+                },
+                (timeout) =>
+                    reportIncident('hang', 'WebInspector', `No response within ${timeout}ms`)
+            );
+        }
         thunderSession = createThunderSession({
             host: config.host,
+            port: config.thunderPort,
+            secure: config.secure,
+            token,
             callsign: config.callsign,
+            reconnect: config.reconnect,
         });
 
         webInspector = createWebInspectorClient(
             {
                 hostIP: config.host,
                 port: config.webInspectorPort || 9998,
+                reconnect: config.reconnect,
+                network: config.network,
+                memory: Boolean(metricsOptions),
+                target: config.inspectorTarget,
             },
-            handleConsoleMessage
+            handleConsoleMessage,
+            handleNetworkEvent,
+            handleException
         );
 
+        forwardReconnectEvents(thunderSession, 'Thunder');
+        forwardReconnectEvents(webInspector, 'WebInspector');
+        webInspector.on('close', () => {
+            emit({ type: 'disconnected', source: 'WebInspector', message: 'Connection closed' });
+            // With reconnection the client tries the same page again, see reconnect-failed
+            if (watched && !config.reconnect) checkInspectorDrop();
+        });
+        webInspector.on('reconnect-failed', () => {
+            if (watched) reportIncident('crash', 'WebInspector', 'WebInspector disconnected');
+        });
+        thunderSession.onStateChange((change) => {
+            const reason = change.reason ? ` (${change.reason})` : '';
+            emit({
+                type: 'statechange',
+                source: 'Thunder',
+                message: `${change.callsign} ${change.state}${reason}`,
+                data: change,
+            });
+            if (watched && change.callsign === config.callsign && isCrash(change)) {
+                reportIncident('crash', 'Thunder', change.reason);
+            }
+        });
+        if (metrics) webInspector.on('notification', ({ detail }) => metrics.handle(detail));
+
         try {
             await thunderSession.connect();
 
-            onEvent({ type: 'connected', source: 'Thunder', message: 'Session connected' });
+            emit({ type: 'connected', source: 'Thunder', message: 'Session connected' });
+            if (metrics) metrics.start();
+            return true;
         } catch (error) {
-            onEvent({
+            emit({
                 type: 'error',
                 source: 'Thunder',
                 message: 'Failed to start Thunder session: ' + error.message,
             });
+            return false;
         }
     }
 
     /**
      * Launches a new URL in the browser.
      * @param {string} url - The URL to load.
-     * @returns {Promise<void>} Resolves when the URL is loaded.
+     * @param {LaunchOptions} [options={}] - Browser properties and time limit of this launch.
+     * @returns {Promise<boolean>} Resolves with true when the URL is loaded, false otherwise.
      */
-    async function launch(url) {
+    async function launch(url, options = {}) {
         if (!thunderSession) {
-            onEvent({ type: 'error', source: 'Thunder', message: 'Session not started' });
-            return;
+            emit({ type: 'error', source: 'Thunder', message: 'Session not started' });
+            return false;
         }
 
+        // Checked up front so an invalid value does not leave the browser stopped
+        const properties = { ...config.browser, ...options.browser };
         try {
+            validateBrowserProperties(properties);
+        } catch (error) {
+            emit({
+                type: 'error',
+                source: 'Thunder',
+                message: 'Failed to launch URL: ' + error.message,
+            });
+            return false;
+        }
+
+        const timeouts = { ...DEFAULT_TIMEOUTS, ...config.timeouts };
+        const deadline = options.timeout === undefined ? Infinity : Date.now() + options.timeout;
+        /**
+         * Limits a step timeout to the time left of the launch.
+         * @param {number} timeout - The step timeout in milliseconds.
+         * @returns {number} The timeout the step gets.
+         */
+        const left = (timeout) => Math.max(1, Math.min(timeout, deadline - Date.now()));
+
+        /**
+         * Runs a launch step, prefixing its error with the step name.
+         * @param {string} name - Name of the step.
+         * @param {() => Promise<any>} action - The step to run.
+         */
+        const step = async (name, action) => {
+            try {
+                await action();
+            } catch (error) {
+                throw new Error(`${name} step failed: ${error.message}`);
+            }
+        };
+
+        try {
+            watched = null;
+            if (watchdog) watchdog.reset();
             await webInspector.disconnect();
-            await thunderSession.stop();
-            await delay(1000);
-            await thunderSession.start();
-            await delay(1000);
-            await webInspector.connect();
-            await thunderSession.resume();
-            await delay(1000);
-            await thunderSession.setURL(url);
-
-            onEvent({ type: 'url-launch', source: 'Thunder', message: `URL launched: ${url}` });
-            
+            if (metrics) metrics.reset();
+            await step('stop', () => thunderSession.stop(left(timeouts.stop)));
+            await step('start', () => thunderSession.start(left(timeouts.start)));
+            await step('inspector', () => webInspector.connect(left(timeouts.inspector), { url }));
+            await step('resume', () => thunderSession.resume(left(timeouts.resume)));
+            // The plugin forgets the properties on deactivation, and they must be set before the page loads
+            await step('properties', async () => {
+                for (const [property, value] of Object.entries(properties)) {
+                    await thunderSession.setBrowserProperty(
+                        property,
+                        value,
+                        left(timeouts.properties)
+                    );
+                }
+            });
+            await step('load', () => thunderSession.setURL(url, left(timeouts.load)));
+            // Loading the URL may have moved the page to a new web process with its own target, the
+            // output of the loaded page waits for the outcome of the attach
+            heldEvents = heldEvents || [];
+            await step('attach', async () => {
+                const target = await webInspector.reattach(url, left(timeouts.inspector));
+                if (target) emitAttached(target);
+            });
+
+            if (recorder) recorder.setUrl(url);
+            if (watchdog) {
+                watched = { url, options };
+                watchdog.start();
+            }
+            emit({ type: 'url-launch', source: 'Thunder', message: `URL launched: ${url}` });
+            return true;
         } catch (error) {
-            onEvent({ type: 'error', source: 'Thunder', message: 'Failed to launch URL: ' + error.message });
+            emit({
+                type: 'error',
+                source: 'Thunder',
+                message: 'Failed to launch URL: ' + error.message,
+            });
+            return false;
+        } finally {
+            releaseHeldEvents();
+        }
+    }
+
+    /**
+     * Reports the page output held back during a launch.
+     */
+    function releaseHeldEvents() {
+        const held = heldEvents || [];
+        heldEvents = null;
+        held.forEach(emit);
+    }
+
+    /**
+     * Reports the target WebInspector moved to.
+     * @param {InspectorTarget} target - The target.
+     */
+    function emitAttached(target) {
+        emit({
+            type: 'attached',
+            source: 'WebInspector',
+            message: `Attached to ${target.type} ${target.id} ${target.url}`.trimEnd(),
+            data: target,
+        });
+    }
+
+    /**
+     * Lists the inspectable targets of the browser.
+     * @returns {Promise<InspectorTarget[]>} Resolves with the pages and workers.
+     */
+    async function listTargets() {
+        if (!webInspector) throw new Error('Session not started');
+        return webInspector.listTargets();
+    }
+
+    /**
+     * Attaches WebInspector to a target from `listTargets`, e.g. a service worker or an iframe.
+     * The next `launch` attaches to the page of the launched URL again.
+     * @param {InspectorTarget} target - The target.
+     * @returns {Promise<boolean>} Resolves with true when attached, false otherwise.
+     */
+    async function attach(target) {
+        if (!webInspector) {
+            emit({ type: 'error', source: 'WebInspector', message: 'Session not started' });
+            return false;
+        }
+
+        try {
+            const timeouts = { ...DEFAULT_TIMEOUTS, ...config.timeouts };
+            await webInspector.connect(timeouts.inspector, { target });
+            emitAttached(target);
+            return true;
+        } catch (error) {
+            emit({
+                type: 'error',
+                source: 'WebInspector',
+                message: `Failed to attach to ${target.id}: ${error.message}`,
+            });
+            return false;
         }
     }
 
@@ -119,17 +827,172 @@ export function createThunderWebkitAPI(config, onEvent) {
      */
     async function close() {
         if (!thunderSession) {
-            onEvent({ type: 'error', source: 'Thunder', message: 'Session not started' });
+            emit({ type: 'error', source: 'Thunder', message: 'Session not started' });
             return;
         }
 
         try {
+            watched = null;
+            if (watchdog) watchdog.reset();
             await webInspector.disconnect();
+            if (metrics) metrics.reset();
             await thunderSession.stop();
-            onEvent({ type: 'closed', source: 'Thunder', message: 'Browser instance closed' });
+            emit({ type: 'closed', source: 'Thunder', message: 'Browser instance closed' });
         } catch (error) {
-            onEvent({ type: 'error', source: 'Thunder', message: 'Failed to close instance' });
+            emit({ type: 'error', source: 'Thunder', message: 'Failed to close instance' });
+        }
+    }
+
+    /**
+     * Evaluates a JavaScript expression in the page of the launched URL.
+     * Unlike the lifecycle methods this rejects instead of reporting through an event,
+     * since the caller needs the result.
+     * @param {string} expression - The expression to evaluate.
+     * @param {EvaluateOptions} [options] - Evaluation options.
+     * @returns {Promise<any>} Resolves with the value or remote object, rejects with an EvaluationError when the page threw.
+     */
+    async function evaluate(expression, options) {
+        if (!webInspector) throw new Error('Session not started');
+        return webInspector.evaluate(expression, options);
+    }
+
+    /**
+     * Lists the own properties of a remote object returned by `evaluate`.
+     * @param {string} objectId - The `objectId` of the remote object.
+     * @returns {Promise<PropertyDescriptor[]>} Resolves with the property descriptors.
+     */
+    async function getProperties(objectId) {
+        if (!webInspector) throw new Error('Session not started');
+        return webInspector.getProperties(objectId);
+    }
+
+    /**
+     * Replaces the console filter. Applies to the next message, no reconnect needed.
+     * @param {ConsoleFilterOptions} filter - The new filter, an empty object passes everything.
+     * @throws {Error} Throws on an unknown level or an invalid pattern, keeping the previous filter.
+     */
+    function setFilter(filter) {
+        consoleFilter.update(filter);
+    }
+
+    /**
+     * Returns the current console filter.
+     * @returns {ConsoleFilterOptions} The filter options.
+     */
+    function getFilter() {
+        return consoleFilter.get();
+    }
+
+    /**
+     * Returns the started Thunder session for the plugin state methods.
+     * @returns {ThunderSession} The Thunder session.
+     * @throws {Error} Throws when the session is not started.
+     */
+    function requireSession() {
+        if (!thunderSession) throw new Error('Session not started');
+        return thunderSession;
+    }
+
+    /**
+     * Returns the state of a plugin.
+     * @param {string} [callsign] - Callsign of the plugin, defaults to the browser callsign.
+     * @returns {Promise<string>} Resolves with the state, rejects with an UnknownCallsignError for unknown callsigns.
+     */
+    async function getState(callsign) {
+        return requireSession().getState(callsign);
+    }
+
+    /**
+     * Lists all plugins known to the Controller.
+     * @returns {Promise<PluginInfo[]>} Resolves with the callsign, class name and state of every plugin.
+     */
+    async function listPlugins() {
+        return requireSession().listPlugins();
+    }
+
+    /**
+     * Registers a callback for plugin state changes of any callsign.
+     * @param {(change: StateChange) => void} callback - Called with every state change.
+     * @returns {() => void} Function that removes the callback.
+     */
+    function onStateChange(callback) {
+        return requireSession().onStateChange(callback);
+    }
+
+    /**
+     * Waits until a plugin reaches a state, e.g. to make sure dependencies are active before launching.
+     * @param {string} callsign - Callsign of the plugin.
+     * @param {string} state - The state to wait for, case-insensitive (e.g. "activated").
+     * @param {number} [timeout] - Time to wait in milliseconds.
+     * @returns {Promise<void>} Resolves when the plugin is in the state.
+     */
+    async function waitForState(callsign, state, timeout) {
+        return requireSession().waitForState(callsign, state, timeout);
+    }
+
+    /**
+     * Reads a property of the browser plugin, e.g. "useragent", "languages" or "fps".
+     * @param {string} property - The property, one of `BROWSER_PROPERTIES`.
+     * @returns {Promise<any>} Resolves with the value, rejects with a BrowserPropertyError for unknown properties.
+     */
+    async function getBrowserProperty(property) {
+        return requireSession().getBrowserProperty(property);
+    }
+
+    /**
+     * Changes a property of the browser plugin. The next `launch` restarts the plugin, which then only
+     * gets the configured and launch properties.
+     * @param {string} property - The property, one of `BROWSER_PROPERTIES`.
+     * @param {any} value - The new value.
+     * @returns {Promise<void>} Resolves when the plugin accepted the value, rejects with a BrowserPropertyError
+     *   for unknown and read-only properties and invalid values.
+     */
+    async function setBrowserProperty(property, value) {
+        return requireSession().setBrowserProperty(property, value);
+    }
+
+    /**
+     * Returns the finished and failed requests captured during the session as a HAR log.
+     * The requests stay available after `quit` until the next `start`.
+     * @returns {{ log: Object }} The HAR 1.2 document.
+     */
+    function exportHar() {
+        return toHar(networkRequests);
+    }
+
+    /**
+     * Captures a screenshot as PNG. Like `evaluate` this rejects instead of reporting through an event.
+     * @param {CaptureOptions} [options={}] - Capture options.
+     * @returns {Promise<Buffer>} Resolves with the PNG image, after it was saved when `path` is set.
+     */
+    async function screenshot(options = {}) {
+        const { path: file, source = screenshotOptions.source, timeout = 10000 } = options;
+
+        let image;
+        if (source === 'screencapture') {
+            image = await requireSession().captureScreen(screenshotOptions.callsign, timeout);
+        } else if (source === 'inspector') {
+            if (!webInspector) throw new Error('Session not started');
+            image = await webInspector.captureScreenshot(timeout);
+        } else {
+            throw new Error(`Unknown screenshot source: ${source}`);
+        }
+
+        if (file) {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, image);
         }
+        return image;
+    }
+
+    /**
+     * Returns the metrics samples taken during the session and their summary.
+     * The samples stay available after `quit` until the next `start`.
+     * @returns {{ samples: MetricsSample[], summary: MetricsSummary }} The samples and summary.
+     */
+    function getMetrics() {
+        const samples = metrics ? metrics.samples() : [];
+        return { samples, summary: summarizeMetrics(samples) };
     }
 
     /**
@@ -137,6 +1000,11 @@ export function createThunderWebkitAPI(config, onEvent) {
      * @returns {Promise<void>} Resolves when the session is fully stopped.
      */
     async function quit() {
+        // The summary is written while the recorder is still open
+        if (metrics && thunderSession) finishMetrics();
+        watched = null;
+        if (watchdog) watchdog.reset();
+
         if (webInspector) {
             webInspector.disconnect();
             webInspector = null;
@@ -146,13 +1014,41 @@ export function createThunderWebkitAPI(config, onEvent) {
             try {
                 await thunderSession.disconnect();
             } catch (error) {
-                onEvent({ type: 'error', source: 'Thunder', message: 'Failed to stop instance' });
+                emit({ type: 'error', source: 'Thunder', message: 'Failed to stop instance' });
             }
             thunderSession = null;
         }
 
-        onEvent({ type: 'quit', source: 'UnifiedAPI', message: 'Session fully stopped' });
+        emit({ type: 'quit', source: 'UnifiedAPI', message: 'Session fully stopped' });
+
+        if (recorder) {
+            recorder.close();
+            recorder = null;
+        }
     }
 
-    return { start, launch, close, quit };
+    return {
+        start,
+        launch,
+        close,
+        quit,
+        evaluate,
+        getProperties,
+        getBrowserProperty,
+        setBrowserProperty,
+        setFilter,
+        getFilter,
+        getState,
+        listPlugins,
+        onStateChange,
+        waitForState,
+        exportHar,
+        getMetrics,
+        screenshot,
+        listTargets,
+        attach,
+        on: bus.on,
+        off: bus.off,
+        once: bus.once,
+    };
 }
@@ -1,8 +1,13 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
 import { createThunderWebkitAPI } from "./index.js";
+import { createWebInspectorClient } from "./lib/webInspector.js";
+import { createThunderSession } from "./lib/thunderSession.js";
 
 // Mock dependencies
-vi.mock("../src/thunderSession.js", () => ({
+vi.mock("./lib/thunderSession.js", () => ({
   createThunderSession: vi.fn(() => ({
     connect: vi.fn(() => Promise.resolve()),
     stop: vi.fn(() => Promise.resolve()),
@@ -10,13 +15,18 @@ vi.mock("../src/thunderSession.js", () => ({
     resume: vi.fn(() => Promise.resolve()),
     setURL: vi.fn(() => Promise.resolve()),
     disconnect: vi.fn(() => Promise.resolve()),
+    onStateChange: vi.fn(() => () => {}),
+    on: vi.fn(),
   })),
 }));
 
-vi.mock("../src/webInspector.js", () => ({
+vi.mock("./lib/webInspector.js", () => ({
   createWebInspectorClient: vi.fn(() => ({
     connect: vi.fn(() => Promise.resolve()),
     disconnect: vi.fn(() => Promise.resolve()),
+    evaluate: vi.fn(() => Promise.resolve(42)),
+    reattach: vi.fn(() => Promise.resolve(null)),
+    on: vi.fn(),
   })),
 }));
 
@@ -28,10 +38,8 @@ describe("ThunderWebkitAPI", () => {
     mockEventHandler = vi.fn();
     api = createThunderWebkitAPI(
       {
-        thunderUrl: "ws://localhost:9998",
+        host: "192.168.1.100",
         callsign: "UX",
-        targetUrl: "https://example.com",
-        webInspectorHost: "192.168.1.100",
       },
       mockEventHandler
     );
@@ -107,4 +115,297 @@ describe("ThunderWebkitAPI", () => {
       message: "Session fully stopped",
     });
   });
+
+  it("should let several subscribers listen to event types independently", async () => {
+    const errors = vi.fn();
+    const everything = vi.fn();
+    const first = vi.fn();
+    const standalone = createThunderWebkitAPI({ host: "127.0.0.1", callsign: "UX" });
+    standalone.on("error", errors);
+    const unsubscribe = standalone.on("*", everything);
+    standalone.once("connected", first);
+
+    await standalone.start();
+    await standalone.start();
+    unsubscribe();
+    await standalone.quit();
+
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(errors).toHaveBeenCalledWith({
+      type: "error",
+      source: "Thunder",
+      message: "Session already started",
+    });
+    expect(everything.mock.calls.map(([event]) => event.type)).toEqual(["connected", "error"]);
+  });
+
+  it("should report plugin state changes as statechange events", async () => {
+    await api.start();
+    const session = vi.mocked(createThunderSession).mock.results.at(-1).value;
+    const onStateChange = session.onStateChange.mock.calls[0][0];
+
+    onStateChange({ callsign: "UX", state: "deactivated", reason: "Crash" });
+    expect(mockEventHandler).toHaveBeenCalledWith({
+      type: "statechange",
+      source: "Thunder",
+      message: "UX deactivated (Crash)",
+      data: { callsign: "UX", state: "deactivated", reason: "Crash" },
+    });
+  });
+
+  it("should forward structured console messages with their plain text", async () => {
+    await api.start();
+    const onMessage = vi.mocked(createWebInspectorClient).mock.calls.at(-1)[1];
+    const message = { text: "Hello", level: "warn", url: "https://example.com/app.js" };
+
+    onMessage(null, message);
+    expect(mockEventHandler).toHaveBeenCalledWith({
+      type: "console",
+      source: "WebInspector",
+      message: "Hello",
+      data: message,
+    });
+  });
+
+  it("should surface reconnection events of the Thunder connection", async () => {
+    await api.start();
+    const session = vi.mocked(createThunderSession).mock.results.at(-1).value;
+    const handlers = Object.fromEntries(session.on.mock.calls);
+
+    handlers.reconnecting({ detail: { attempt: 2, delay: 2000 } });
+    handlers.reconnected({ detail: { attempt: 2 } });
+
+    expect(mockEventHandler).toHaveBeenCalledWith({
+      type: "reconnecting",
+      source: "Thunder",
+      message: "Connection lost, reconnecting in 2000ms (attempt 2)",
+    });
+    expect(mockEventHandler).toHaveBeenCalledWith({
+      type: "reconnected",
+      source: "Thunder",
+      message: "Reconnected after 2 attempt(s)",
+    });
+  });
+
+  it("should report the launch step that failed", async () => {
+    await api.start();
+    const session = vi.mocked(createThunderSession).mock.results.at(-1).value;
+    session.start.mockRejectedValueOnce(
+      new Error("Timed out after 10000ms waiting for statechange")
+    );
+
+    await expect(api.launch("https://new-url.com")).resolves.toBe(false);
+    expect(session.setURL).not.toHaveBeenCalled();
+    expect(mockEventHandler).toHaveBeenCalledWith({
+      type: "error",
+      source: "Thunder",
+      message:
+        "Failed to launch URL: start step failed: Timed out after 10000ms waiting for statechange",
+    });
+  });
+
+  it("should report the page output while it loads and hold it back during the attach", async () => {
+    await api.start();
+    const session = vi.mocked(createThunderSession).mock.results.at(-1).value;
+    const inspector = vi.mocked(createWebInspectorClient).mock.results.at(-1).value;
+    const onMessage = vi.mocked(createWebInspectorClient).mock.calls.at(-1)[1];
+    let finishLoad;
+    session.setURL.mockReturnValueOnce(new Promise((resolve) => (finishLoad = resolve)));
+    let finishAttach;
+    inspector.reattach.mockReturnValueOnce(new Promise((resolve) => (finishAttach = resolve)));
+    const messages = () => mockEventHandler.mock.calls.map(([event]) => event.message);
+
+    const launching = api.launch("https://new-url.com");
+    await vi.waitFor(() => expect(session.setURL).toHaveBeenCalled());
+    onMessage(null, { text: "loading", level: "log" });
+    expect(messages().at(-1)).toBe("loading");
+
+    finishLoad();
+    await vi.waitFor(() => expect(inspector.reattach).toHaveBeenCalled());
+    onMessage(null, { text: "loaded", level: "log" });
+    expect(messages().at(-1)).toBe("loading");
+
+    finishAttach(null);
+    await launching;
+    expect(messages().slice(-2)).toEqual(["URL launched: https://new-url.com", "loaded"]);
+  });
+
+  it("should pass the configured step timeouts to the session", async () => {
+    api = createThunderWebkitAPI(
+      { host: "192.168.1.100", callsign: "UX", timeouts: { load: 5000 } },
+      mockEventHandler
+    );
+    await api.start();
+    const session = vi.mocked(createThunderSession).mock.results.at(-1).value;
+
+    await api.launch("https://new-url.com");
+    expect(session.stop).toHaveBeenCalledWith(10000);
+    expect(session.setURL).toHaveBeenCalledWith("https://new-url.com", 5000);
+  });
+
+  it("should evaluate expressions through the WebInspector", async () => {
+    await api.start();
+    const inspector = vi.mocked(createWebInspectorClient).mock.results.at(-1).value;
+
+    await expect(api.evaluate("6 * 7", { returnByValue: true })).resolves.toBe(42);
+    expect(inspector.evaluate).toHaveBeenCalledWith("6 * 7", { returnByValue: true });
+  });
+
+  it("should reject evaluations without a started session", async () => {
+    await expect(api.evaluate("1")).rejects.toThrow("Session not started");
+  });
+
+  it("should only forward console messages passing the filter", async () => {
+    api.setFilter({ level: "warn", exclude: "ignore" });
+    await api.start();
+    const onMessage = vi.mocked(createWebInspectorClient).mock.calls.at(-1)[1];
+
+    onMessage(null, { text: "debug noise", level: "debug", stackTrace: [] });
+    onMessage(null, { text: "please ignore", level: "error", stackTrace: [] });
+    onMessage(null, { text: "Broken", level: "error", stackTrace: [] });
+
+    const texts = mockEventHandler.mock.calls
+      .filter(([event]) => event.type === "console")
+      .map(([event]) => event.message);
+    expect(texts).toEqual(["Broken"]);
+    expect(api.getFilter()).toEqual({ level: "warn", exclude: "ignore" });
+  });
+
+  it("should report network requests and export them as HAR", async () => {
+    api = createThunderWebkitAPI(
+      { host: "192.168.1.100", callsign: "UX", network: true },
+      mockEventHandler
+    );
+    await api.start();
+    const [config, , onNetwork] = vi.mocked(createWebInspectorClient).mock.calls.at(-1);
+    expect(config.network).toBe(true);
+
+    const request = {
+      url: "https://api.example.com/config",
+      method: "GET",
+      status: 503,
+      size: 120,
+      duration: 45,
+      startedAt: 0,
+      requestHeaders: {},
+      responseHeaders: {},
+      postData: null,
+      timings: null,
+    };
+    onNetwork({ type: "network-request", request });
+    onNetwork({ type: "network-response", request });
+
+    expect(mockEventHandler).toHaveBeenCalledWith({
+      type: "network-response",
+      source: "WebInspector",
+      message: "GET https://api.example.com/config 503 (120 bytes, 45ms)",
+      data: request,
+    });
+
+    await api.quit();
+    const har = api.exportHar();
+    expect(har.log.entries).toHaveLength(1);
+    expect(har.log.entries[0].response.status).toBe(503);
+  });
+
+  it("should report exceptions with source-mapped stacks", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "sourcemaps-"));
+    fs.writeFileSync(
+      path.join(directory, "app.min.js.map"),
+      JSON.stringify({ version: 3, sources: ["app.ts"], names: [], mappings: "AAAA,IAAI" })
+    );
+    api = createThunderWebkitAPI(
+      { host: "192.168.1.100", callsign: "UX", sourceMaps: { directory, fetch: false } },
+      mockEventHandler
+    );
+    await api.start();
+    const onException = vi.mocked(createWebInspectorClient).mock.calls.at(-1)[3];
+
+    await onException({
+      kind: "exception",
+      text: "TypeError: x is undefined",
+      message: "TypeError: x is undefined",
+      url: "https://example.com/app.min.js",
+      line: 1,
+      column: 6,
+      stackTrace: [
+        { functionName: "run", url: "https://example.com/app.min.js", line: 1, column: 6 },
+      ],
+    });
+
+    const [event] = mockEventHandler.mock.calls.at(-1);
+    expect(event).toMatchObject({
+      type: "exception",
+      source: "WebInspector",
+      message: "TypeError: x is undefined",
+    });
+    expect(event.data.original).toMatchObject({ line: 1, column: 5 });
+    expect(event.data.stackTrace[0].original.source).toBe(path.join(directory, "app.ts"));
+
+    fs.rmSync(directory, { recursive: true });
+  });
+
+  it("should keep console messages behind the exception they follow and filter both", async () => {
+    api = createThunderWebkitAPI(
+      {
+        host: "192.168.1.100",
+        callsign: "UX",
+        sourceMaps: { directory: os.tmpdir(), fetch: false },
+        filter: { exclude: "ignore" },
+      },
+      mockEventHandler
+    );
+    await api.start();
+    const [, onMessage, , onException] = vi.mocked(createWebInspectorClient).mock.calls.at(-1);
+    const exception = (text) => ({
+      kind: "exception",
+      text,
+      message: text,
+      url: "https://example.com/app.js",
+      line: 1,
+      column: 1,
+      stackTrace: [{ functionName: "run", url: "https://example.com/app.js", line: 1, column: 1 }],
+    });
+
+    const thrown = onException(exception("TypeError: x is undefined"));
+    onMessage(null, { text: "after the exception", level: "log", stackTrace: [] });
+    onException(exception("TypeError: please ignore"));
+    await thrown;
+
+    await vi.waitFor(() =>
+      expect(mockEventHandler).toHaveBeenCalledWith(
+        expect.objectContaining({ type: "console", message: "after the exception" })
+      )
+    );
+    const page = mockEventHandler.mock.calls
+      .map(([event]) => event)
+      .filter((event) => event.type === "console" || event.type === "exception");
+    expect(page.map((event) => event.message)).toEqual([
+      "TypeError: x is undefined",
+      "after the exception",
+    ]);
+  });
+
+  it("should not open the recording when the SecurityAgent token request fails", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "record-"));
+    vi.stubGlobal("fetch", vi.fn(() => Promise.reject(new Error("connection refused"))));
+    api = createThunderWebkitAPI(
+      {
+        host: "192.168.1.100",
+        callsign: "UX",
+        securityAgent: true,
+        record: { path: path.join(directory, "session") },
+      },
+      mockEventHandler
+    );
+
+    expect(await api.start()).toBe(false);
+    expect(mockEventHandler).toHaveBeenCalledWith(
+      expect.objectContaining({ type: "error", message: expect.stringContaining("SecurityAgent") })
+    );
+    expect(fs.readdirSync(directory)).toEqual([]);
+
+    vi.unstubAllGlobals();
+    fs.rmSync(directory, { recursive: true });
+  });
 });
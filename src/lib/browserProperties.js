@@ -0,0 +1,163 @@
+/**
+ * @typedef {Object} HttpHeader
+ * @property {string} name - Header name.
+ * @property {string} value - Header value.
+ *
+ * @typedef {Object} BrowserProperties - Properties of the WebKitBrowser plugin, named like the plugin does.
+ * @property {string} [useragent] - User agent sent with every request and reported by `navigator.userAgent`.
+ * @property {'visible'|'hidden'} [visibility] - Whether the browser is shown, reported by `document.visibilityState`.
+ * @property {HttpHeader[] | Object<string, string>} [headers] - Extra headers sent with every request.
+ * @property {boolean} [localstorageenabled] - Whether `localStorage` is available to pages.
+ * @property {string[]} [languages] - Preferred languages as BCP 47 tags, reported by `navigator.languages`.
+ * @property {number} [fps] - Frames per second the browser renders, read-only.
+ */
+
+/**
+ * Error raised when a browser property is unknown, read-only or gets an invalid value.
+ */
+export class BrowserPropertyError extends Error {
+    /**
+     * @param {string} property - The property.
+     * @param {string} message - What is wrong.
+     */
+    constructor(property, message) {
+        super(`Invalid browser property ${property}: ${message}`);
+        this.name = 'BrowserPropertyError';
+        this.property = property;
+    }
+}
+
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z\d]{1,8})*$/i;
+const HEADER_NAME = /^[!#$%&'*+.^_`|~\w-]+$/;
+
+/**
+ * Converts headers given as a name to value map or a list to the list the plugin uses.
+ * @param {any} value - The headers.
+ * @returns {HttpHeader[]|null} The headers, null when the value is not headers.
+ */
+function toHeaderList(value) {
+    if (Array.isArray(value)) {
+        const valid = value.every(
+            (header) => typeof header?.name === 'string' && typeof header.value === 'string'
+        );
+        return valid ? value.map(({ name, value }) => ({ name, value })) : null;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value);
+        if (!entries.every(([, header]) => typeof header === 'string')) return null;
+        return entries.map(([name, header]) => ({ name, value: header }));
+    }
+    return null;
+}
+
+/**
+ * How each property is checked and converted between the API and the plugin's JSON-RPC interface.
+ * Values are sent as is unless `encode` / `decode` are set.
+ * @type {Object<string, { check?: (value: any) => string|null, encode?: (value: any) => any,
+ *   decode?: (value: any) => any }>}
+ */
+const PROPERTIES = {
+    useragent: {
+        check: (value) =>
+            typeof value === 'string' && value.trim() ? null : 'expected a non-empty string',
+    },
+    visibility: {
+        check: (value) =>
+            value === 'visible' || value === 'hidden' ? null : 'expected "visible" or "hidden"',
+    },
+    headers: {
+        check: (value) => {
+            const headers = toHeaderList(value);
+            if (!headers) return 'expected a list of { name, value } or a name to value map';
+            const invalid = headers.find((header) => !HEADER_NAME.test(header.name));
+            if (invalid) return `"${invalid.name}" is not a header name`;
+            return headers.some((header) => /[\r\n]/.test(header.value))
+                ? 'header values must not contain line breaks'
+                : null;
+        },
+        // The plugin takes the list as JSON encoded string
+        encode: (value) => JSON.stringify(toHeaderList(value)),
+        decode: (value) => (value ? JSON.parse(value) : []),
+    },
+    localstorageenabled: {
+        check: (value) => (typeof value === 'boolean' ? null : 'expected a boolean'),
+    },
+    languages: {
+        check: (value) => {
+            if (!Array.isArray(value) || !value.length) return 'expected a non-empty list';
+            const invalid = value.find((tag) => typeof tag !== 'string' || !LANGUAGE_TAG.test(tag));
+            return invalid === undefined ? null : `"${invalid}" is not a language tag`;
+        },
+    },
+    fps: {},
+};
+
+/** Names of the supported properties */
+export const BROWSER_PROPERTIES = Object.keys(PROPERTIES);
+
+/** Properties that cannot be set */
+const READ_ONLY = ['fps'];
+
+/**
+ * Returns the definition of a property.
+ * @param {string} property - The property.
+ * @returns {typeof PROPERTIES[string]} The definition.
+ * @throws {BrowserPropertyError} Throws for unknown properties.
+ */
+function definition(property) {
+    if (!Object.hasOwn(PROPERTIES, property)) {
+        throw new BrowserPropertyError(
+            property,
+            `unknown property, expected one of ${BROWSER_PROPERTIES.join(', ')}`
+        );
+    }
+    return PROPERTIES[property];
+}
+
+/**
+ * Checks that a property is supported.
+ * @param {string} property - The property.
+ * @throws {BrowserPropertyError} Throws for unknown properties.
+ */
+export function assertBrowserProperty(property) {
+    definition(property);
+}
+
+/**
+ * Checks a value for a property and converts it to what the plugin expects.
+ * @param {string} property - The property.
+ * @param {any} value - The value.
+ * @returns {any} The value to send.
+ * @throws {BrowserPropertyError} Throws for unknown and read-only properties and invalid values.
+ */
+export function encodeBrowserProperty(property, value) {
+    const { check, encode } = definition(property);
+    if (READ_ONLY.includes(property)) throw new BrowserPropertyError(property, 'read-only');
+
+    const problem = check(value);
+    if (problem) throw new BrowserPropertyError(property, problem);
+    return encode ? encode(value) : value;
+}
+
+/**
+ * Converts a value reported by the plugin.
+ * @param {string} property - The property.
+ * @param {any} value - The reported value.
+ * @returns {any} The value.
+ * @throws {BrowserPropertyError} Throws for unknown properties.
+ */
+export function decodeBrowserProperty(property, value) {
+    const { decode } = definition(property);
+    return decode ? decode(value) : value;
+}
+
+/**
+ * Checks a set of properties, e.g. launch options, before any of them is applied.
+ * @param {BrowserProperties} properties - The properties.
+ * @throws {BrowserPropertyError} Throws for the first property that cannot be set.
+ */
+export function validateBrowserProperties(properties) {
+    Object.entries(properties).forEach(([property, value]) =>
+        encodeBrowserProperty(property, value)
+    );
+}
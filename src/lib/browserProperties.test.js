@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import {
+    BrowserPropertyError,
+    encodeBrowserProperty,
+    decodeBrowserProperty,
+    validateBrowserProperties,
+} from './browserProperties.js';
+
+describe('encodeBrowserProperty', () => {
+    it('should pass valid values and encode the headers', () => {
+        expect(encodeBrowserProperty('useragent', 'Test/1.0')).toBe('Test/1.0');
+        expect(encodeBrowserProperty('languages', ['de-DE', 'en'])).toEqual(['de-DE', 'en']);
+        expect(encodeBrowserProperty('headers', { 'X-Flag': 'beta' })).toBe(
+            '[{"name":"X-Flag","value":"beta"}]'
+        );
+        expect(encodeBrowserProperty('headers', [{ name: 'X-A', value: '1' }])).toBe(
+            '[{"name":"X-A","value":"1"}]'
+        );
+    });
+
+    it.each([
+        ['visibility', 'shown', 'expected "visible" or "hidden"'],
+        ['localstorageenabled', 'yes', 'expected a boolean'],
+        ['languages', [], 'expected a non-empty list'],
+        ['languages', ['en_US'], '"en_US" is not a language tag'],
+        ['headers', { 'Bad Name': 'x' }, '"Bad Name" is not a header name'],
+        ['headers', { 'X-A': 'a\r\nX-B: b' }, 'header values must not contain line breaks'],
+        ['useragent', ' ', 'expected a non-empty string'],
+        ['fps', 30, 'read-only'],
+        ['zoom', 2, 'unknown property'],
+    ])('should reject %s = %j', (property, value, message) => {
+        expect(() => encodeBrowserProperty(property, value)).toThrow(BrowserPropertyError);
+        expect(() => encodeBrowserProperty(property, value)).toThrow(message);
+    });
+});
+
+describe('decodeBrowserProperty', () => {
+    it('should decode the headers and pass the other values', () => {
+        expect(decodeBrowserProperty('headers', '[{"name":"X-A","value":"1"}]')).toEqual([
+            { name: 'X-A', value: '1' },
+        ]);
+        expect(decodeBrowserProperty('headers', '')).toEqual([]);
+        expect(decodeBrowserProperty('fps', 60)).toBe(60);
+    });
+});
+
+describe('validateBrowserProperties', () => {
+    it('should report the first invalid property', () => {
+        expect(() =>
+            validateBrowserProperties({ useragent: 'Test/1.0', visibility: 'gone' })
+        ).toThrow('Invalid browser property visibility');
+        expect(() => validateBrowserProperties({})).not.toThrow();
+    });
+});
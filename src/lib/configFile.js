@@ -0,0 +1,293 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { validateBrowserProperties } from './browserProperties.js';
+import { createConsoleFilter } from './consoleFilter.js';
+
+/**
+ * @typedef {Partial<import("../index.js").config>} DeviceSettings - Settings of the unified API configuration.
+ *
+ * @typedef {Object} ConfigFile - Content of the configuration file.
+ * @property {DeviceSettings} [defaults] - Settings shared by all profiles.
+ * @property {Object<string, DeviceSettings>} [profiles] - Named device profiles, their settings replace the
+ *   defaults key by key.
+ * @property {string} [defaultProfile] - Profile used when none is named.
+ *
+ * @typedef {Object} ResolveOptions
+ * @property {string} [file] - The configuration file, by default THUNDERWPECONSOLE_CONFIG or the nearest
+ *   `CONFIG_FILE` from the directory up.
+ * @property {Object<string, string|undefined>} [env=process.env] - Environment the overrides are read from.
+ * @property {string} [directory=process.cwd()] - Directory the search for the configuration file starts in.
+ * @property {boolean} [complete=true] - Require the settings every session needs, host and callsign.
+ */
+
+/** Name of the configuration file */
+export const CONFIG_FILE = '.thunderwpeconsolerc.json';
+
+const ENV_PREFIX = 'THUNDERWPECONSOLE_';
+
+const FILE_KEYS = ['defaults', 'profiles', 'defaultProfile'];
+
+const REQUIRED_KEYS = ['host', 'callsign'];
+
+const TIMEOUT_KEYS = ['stop', 'start', 'inspector', 'resume', 'properties', 'load'];
+
+/** Settings only the configuration object can carry, they are passed on unchecked */
+const CODE_KEYS = ['inspectorTarget'];
+
+/**
+ * Error raised for unreadable configuration files, invalid settings and unknown profiles.
+ */
+export class ConfigError extends Error {
+    /**
+     * @param {string} message - What is wrong.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Runs a validation that throws and returns its message instead.
+ * @param {() => void} validate - The validation.
+ * @returns {string|null} The problem, null when the value is valid.
+ */
+function problemOf(validate) {
+    try {
+        validate();
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+const checkString = (value) =>
+    typeof value === 'string' && value.trim() ? null : 'expected a non-empty string';
+const checkPort = (value) =>
+    Number.isInteger(value) && value > 0 && value <= 65535 ? null : 'expected a port number';
+const checkBoolean = (value) => (typeof value === 'boolean' ? null : 'expected true or false');
+const checkObject = (value) => (isObject(value) ? null : 'expected an object');
+const checkSwitch = (value) =>
+    typeof value === 'boolean' || isObject(value) ? null : 'expected true, false or an object';
+
+/**
+ * How each setting is checked, the names are the ones of the unified API configuration.
+ * Settings that only make sense in code, like the `inspectorTarget` function, are not available.
+ * @type {Object<string, (value: any) => string|null>}
+ */
+const SETTINGS = {
+    host: checkString,
+    callsign: checkString,
+    thunderPort: checkPort,
+    webInspectorPort: checkPort,
+    secure: checkBoolean,
+    token: checkString,
+    securityAgent: checkSwitch,
+    reconnect: checkSwitch,
+    timeouts: (value) => {
+        if (!isObject(value)) return 'expected an object';
+        const unknown = Object.keys(value).find((key) => !TIMEOUT_KEYS.includes(key));
+        if (unknown) return `unknown step "${unknown}", expected one of ${TIMEOUT_KEYS.join(', ')}`;
+        const invalid = Object.keys(value).find(
+            (key) => !(typeof value[key] === 'number' && value[key] > 0)
+        );
+        return invalid ? `"${invalid}" must be a positive number of milliseconds` : null;
+    },
+    browser: (value) =>
+        isObject(value) ? problemOf(() => validateBrowserProperties(value)) : 'expected an object',
+    record: checkObject,
+    filter: (value) =>
+        isObject(value) ? problemOf(() => createConsoleFilter(value)) : 'expected an object',
+    network: checkBoolean,
+    sourceMaps: checkSwitch,
+    metrics: checkSwitch,
+    screenshot: checkObject,
+    watchdog: checkSwitch,
+};
+
+/** Environment variables overriding single settings, with the setting and how the value is read */
+const ENV_OVERRIDES = {
+    HOST: ['host', String],
+    CALLSIGN: ['callsign', String],
+    THUNDER_PORT: ['thunderPort', Number],
+    INSPECTOR_PORT: ['webInspectorPort', Number],
+    SECURE: ['secure', (value) => ({ true: true, 1: true, false: false, 0: false })[value]],
+    TOKEN: ['token', String],
+};
+
+/**
+ * Checks the settings of a profile or the defaults, which may leave out any setting.
+ * @param {any} settings - The settings.
+ * @param {string} where - Names the settings in error messages, e.g. 'Profile "lab"'.
+ * @throws {ConfigError} Throws for unknown settings and invalid values.
+ */
+export function validateDeviceSettings(settings, where) {
+    if (!isObject(settings)) throw new ConfigError(`${where}: Expected an object`);
+
+    Object.entries(settings).forEach(([key, value]) => {
+        if (!Object.hasOwn(SETTINGS, key)) {
+            throw new ConfigError(
+                `${where}: Unknown key "${key}", expected one of ${Object.keys(SETTINGS).join(', ')}`
+            );
+        }
+        const problem = SETTINGS[key](value);
+        if (problem) throw new ConfigError(`${where}: Invalid "${key}": ${problem}`);
+    });
+}
+
+/**
+ * Looks for the configuration file in a directory and its parents.
+ * @param {string} [directory=process.cwd()] - Directory the search starts in.
+ * @returns {string|null} Path of the nearest configuration file, null when there is none.
+ */
+export function findConfigFile(directory = process.cwd()) {
+    for (let current = path.resolve(directory); ; current = path.dirname(current)) {
+        const file = path.join(current, CONFIG_FILE);
+        if (fs.existsSync(file)) return file;
+        if (path.dirname(current) === current) return null;
+    }
+}
+
+/**
+ * Loads and checks a configuration file.
+ * @param {string} file - Path of the JSON file.
+ * @returns {ConfigFile} The configuration.
+ * @throws {ConfigError} Throws on unreadable files, unknown keys and invalid settings.
+ */
+export function loadConfigFile(file) {
+    let content;
+    try {
+        content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(`Failed to load ${file}: ${error.message}`);
+    }
+
+    if (!isObject(content)) throw new ConfigError(`${file}: Expected an object`);
+    const unknown = Object.keys(content).find((key) => !FILE_KEYS.includes(key));
+    if (unknown) {
+        throw new ConfigError(
+            `${file}: Unknown key "${unknown}", expected one of ${FILE_KEYS.join(', ')}`
+        );
+    }
+
+    if (content.defaults !== undefined) {
+        validateDeviceSettings(content.defaults, `${file}: Defaults`);
+    }
+    if (content.profiles !== undefined) {
+        if (!isObject(content.profiles)) {
+            throw new ConfigError(`${file}: Invalid "profiles": expected an object`);
+        }
+        Object.entries(content.profiles).forEach(([name, settings]) =>
+            validateDeviceSettings(settings, `${file}: Profile "${name}"`)
+        );
+    }
+    if (
+        content.defaultProfile !== undefined &&
+        !Object.hasOwn(content.profiles || {}, content.defaultProfile)
+    ) {
+        throw new ConfigError(
+            `${file}: Invalid "defaultProfile": no profile "${content.defaultProfile}"`
+        );
+    }
+    return content;
+}
+
+/**
+ * Reads the settings overridden through THUNDERWPECONSOLE_* environment variables.
+ * @param {Object<string, string|undefined>} env - The environment.
+ * @returns {DeviceSettings} The overridden settings.
+ * @throws {ConfigError} Throws for invalid values.
+ */
+function readEnvOverrides(env) {
+    /** @type {Object<string, any>} */
+    const settings = {};
+    Object.entries(ENV_OVERRIDES).forEach(([name, [key, read]]) => {
+        const raw = env[ENV_PREFIX + name];
+        if (raw === undefined || raw === '') return;
+
+        const value = read(raw);
+        const problem = value === undefined ? 'expected true or false' : SETTINGS[key](value);
+        if (problem) {
+            throw new ConfigError(`Invalid ${ENV_PREFIX}${name}: ${problem}, got "${raw}"`);
+        }
+        settings[key] = value;
+    });
+    return settings;
+}
+
+/**
+ * Checks that the settings every session needs are present.
+ * @param {DeviceSettings} settings - The resolved settings.
+ * @param {string} where - Names the settings in error messages.
+ * @throws {ConfigError} Throws for the first missing setting.
+ */
+function assertComplete(settings, where) {
+    const missing = REQUIRED_KEYS.find((key) => settings[key] === undefined);
+    if (missing) throw new ConfigError(`${where}: Missing "${missing}"`);
+}
+
+/**
+ * Resolves the settings of a profile: the defaults of the configuration file, replaced by the
+ * profile's settings, replaced by the environment overrides. Without a name the profile named by
+ * THUNDERWPECONSOLE_PROFILE or the file's `defaultProfile` is used, or else the defaults alone.
+ * @param {string} [name] - Name of the profile.
+ * @param {ResolveOptions} [options={}] - Where the file and the overrides come from.
+ * @returns {DeviceSettings} The settings, complete unless `complete` is false.
+ * @throws {ConfigError} Throws for unknown profiles, invalid files and overrides and missing settings.
+ */
+export function resolveProfile(name, options = {}) {
+    const { env = process.env, directory = process.cwd(), complete = true } = options;
+    const file = options.file ?? env[`${ENV_PREFIX}CONFIG`] ?? findConfigFile(directory);
+    /** @type {ConfigFile} */
+    const content = file ? loadConfigFile(file) : {};
+    const profiles = content.profiles || {};
+
+    const profile = name ?? env[`${ENV_PREFIX}PROFILE`] ?? content.defaultProfile;
+    if (profile !== undefined && !Object.hasOwn(profiles, profile)) {
+        throw new ConfigError(
+            file
+                ? `${file}: Unknown profile "${profile}", expected one of ${Object.keys(profiles).join(', ') || 'none'}`
+                : `Unknown profile "${profile}", no ${CONFIG_FILE} found`
+        );
+    }
+
+    const settings = {
+        ...content.defaults,
+        ...(profile === undefined ? {} : profiles[profile]),
+        ...readEnvOverrides(env),
+    };
+    if (complete) {
+        assertComplete(settings, profile === undefined ? 'Configuration' : `Profile "${profile}"`);
+    }
+    return settings;
+}
+
+/**
+ * Turns what the unified API was created with into its configuration: a string names a profile, the
+ * settings of an object with `profile` replace the ones of that profile and other objects are the
+ * complete configuration, no configuration file or environment variable is read for them.
+ * @param {string | import("../index.js").config} config - Profile name or configuration.
+ * @returns {import("../index.js").config} The configuration.
+ * @throws {ConfigError} Throws when the profile cannot be resolved, for invalid settings and when the
+ *   result misses a setting.
+ */
+export function resolveConfig(config) {
+    if (typeof config === 'string') {
+        return /** @type {import("../index.js").config} */ (resolveProfile(config));
+    }
+
+    const { profile, ...inline } = config;
+    const where = profile === undefined ? 'Configuration' : `Profile "${profile}"`;
+    validateDeviceSettings(
+        Object.fromEntries(Object.entries(inline).filter(([key]) => !CODE_KEYS.includes(key))),
+        where
+    );
+    const settings =
+        profile === undefined
+            ? inline
+            : { ...resolveProfile(profile, { complete: false }), ...inline };
+    assertComplete(settings, where);
+    return /** @type {import("../index.js").config} */ (settings);
+}
@@ -0,0 +1,165 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+    CONFIG_FILE,
+    ConfigError,
+    findConfigFile,
+    loadConfigFile,
+    resolveConfig,
+    resolveProfile,
+} from './configFile.js';
+
+const CONFIG = {
+    defaults: { callsign: 'WebKitBrowser', webInspectorPort: 9998, timeouts: { load: 60000 } },
+    profiles: {
+        lab: { host: '10.0.0.5', reconnect: true },
+        living: { host: 'tv.local', callsign: 'UX', secure: true, timeouts: { start: 5000 } },
+    },
+    defaultProfile: 'lab',
+};
+
+describe('configFile', () => {
+    let directory;
+    let file;
+
+    /**
+     * Writes the configuration file to the temporary directory.
+     * @param {any} content - The content, serialized as JSON.
+     */
+    const write = (content) => fs.writeFileSync(file, JSON.stringify(content));
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+        file = path.join(directory, CONFIG_FILE);
+        write(CONFIG);
+    });
+
+    afterEach(() => {
+        vi.unstubAllEnvs();
+        fs.rmSync(directory, { recursive: true });
+    });
+
+    it('should find the nearest configuration file', () => {
+        const nested = path.join(directory, 'a', 'b');
+        fs.mkdirSync(nested, { recursive: true });
+        expect(findConfigFile(nested)).toBe(file);
+    });
+
+    it('should merge the profile over the defaults', () => {
+        expect(resolveProfile('living', { file, env: {} })).toEqual({
+            host: 'tv.local',
+            callsign: 'UX',
+            webInspectorPort: 9998,
+            secure: true,
+            timeouts: { start: 5000 },
+        });
+        expect(resolveProfile(undefined, { directory, env: {} })).toEqual({
+            host: '10.0.0.5',
+            callsign: 'WebKitBrowser',
+            webInspectorPort: 9998,
+            reconnect: true,
+            timeouts: { load: 60000 },
+        });
+    });
+
+    it('should apply the environment overrides', () => {
+        const settings = resolveProfile(undefined, {
+            directory: os.tmpdir(),
+            env: {
+                THUNDERWPECONSOLE_CONFIG: file,
+                THUNDERWPECONSOLE_PROFILE: 'living',
+                THUNDERWPECONSOLE_HOST: '192.168.1.100',
+                THUNDERWPECONSOLE_THUNDER_PORT: '8080',
+                THUNDERWPECONSOLE_SECURE: 'false',
+            },
+        });
+        expect(settings).toMatchObject({
+            host: '192.168.1.100',
+            callsign: 'UX',
+            thunderPort: 8080,
+            secure: false,
+        });
+
+        expect(() =>
+            resolveProfile('lab', { file, env: { THUNDERWPECONSOLE_INSPECTOR_PORT: 'abc' } })
+        ).toThrow('Invalid THUNDERWPECONSOLE_INSPECTOR_PORT: expected a port number, got "abc"');
+        expect(() =>
+            resolveProfile('lab', { file, env: { THUNDERWPECONSOLE_SECURE: 'yes' } })
+        ).toThrow('Invalid THUNDERWPECONSOLE_SECURE: expected true or false');
+    });
+
+    it('should reject unknown profiles and missing settings', () => {
+        expect(() => resolveProfile('kitchen', { file, env: {} })).toThrow(
+            `${file}: Unknown profile "kitchen", expected one of lab, living`
+        );
+
+        write({ defaults: { callsign: 'UX' } });
+        expect(() => resolveProfile(undefined, { file, env: {} })).toThrow(
+            'Configuration: Missing "host"'
+        );
+        expect(resolveProfile(undefined, { file, env: {}, complete: false })).toEqual({
+            callsign: 'UX',
+        });
+    });
+
+    it('should reject unknown keys and invalid values with their location', () => {
+        const rejects = (content, message) => {
+            write(content);
+            expect(() => loadConfigFile(file)).toThrow(ConfigError);
+            expect(() => loadConfigFile(file)).toThrow(`${file}: ${message}`);
+        };
+
+        rejects({ profile: {} }, 'Unknown key "profile", expected one of defaults, profiles');
+        rejects({ defaults: { hostname: 'tv' } }, 'Defaults: Unknown key "hostname"');
+        rejects({ profiles: { lab: { thunderPort: 0 } } }, 'Profile "lab": Invalid "thunderPort"');
+        rejects(
+            { profiles: { lab: { timeouts: { launch: 10 } } } },
+            'Profile "lab": Invalid "timeouts": unknown step "launch"'
+        );
+        rejects(
+            { profiles: { lab: { filter: { level: 'loud' } } } },
+            'Profile "lab": Invalid "filter": Invalid level: loud'
+        );
+        rejects(
+            { profiles: { lab: { browser: { fps: 30 } } } },
+            'Profile "lab": Invalid "browser": Invalid browser property fps'
+        );
+        rejects({ defaultProfile: 'lab' }, 'Invalid "defaultProfile": no profile "lab"');
+
+        fs.writeFileSync(file, '{ "defaults": ');
+        expect(() => loadConfigFile(file)).toThrow(`Failed to load ${file}`);
+    });
+
+    it('should resolve the configuration the unified API is created with', () => {
+        vi.stubEnv('THUNDERWPECONSOLE_CONFIG', file);
+        expect(resolveConfig('living')).toMatchObject({ host: 'tv.local', callsign: 'UX' });
+        expect(resolveConfig({ profile: 'lab', callsign: 'Apps' })).toMatchObject({
+            host: '10.0.0.5',
+            callsign: 'Apps',
+        });
+        expect(() => resolveConfig('kitchen')).toThrow('Unknown profile "kitchen"');
+
+        expect(() => resolveConfig({ profile: 'lab', secure: 'yes' })).toThrow(
+            'Profile "lab": Invalid "secure": expected true or false'
+        );
+    });
+
+    it('should take configuration objects without a profile as they are', () => {
+        // The file names a default profile, the environment another one and overrides a setting
+        vi.stubEnv('THUNDERWPECONSOLE_CONFIG', file);
+        vi.stubEnv('THUNDERWPECONSOLE_PROFILE', 'living');
+        vi.stubEnv('THUNDERWPECONSOLE_THUNDER_PORT', '9998');
+        const inspectorTarget = (targets) => targets[0];
+        const inline = { host: '10.0.0.9', callsign: 'Apps', inspectorTarget };
+
+        expect(resolveConfig(inline)).toEqual(inline);
+        expect(() => resolveConfig({ host: 'tv.local', hostname: 'tv' })).toThrow(
+            'Configuration: Unknown key "hostname"'
+        );
+        expect(() => resolveConfig({ host: 'tv.local' })).toThrow(
+            'Configuration: Missing "callsign"'
+        );
+    });
+});
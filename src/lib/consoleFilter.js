@@ -0,0 +1,107 @@
+/**
+ * @typedef {string | RegExp} Pattern - A regular expression, strings are compiled with `new RegExp`.
+ *
+ * @typedef {Object} ConsoleFilterOptions
+ * @property {import("./consoleMessage.js").ConsoleLevel} [level] - Minimum level, "debug" < "log" = "info" < "warn" < "error".
+ * @property {Pattern | Pattern[]} [include] - Only pass messages whose text matches one of the patterns.
+ * @property {Pattern | Pattern[]} [exclude] - Drop messages whose text matches one of the patterns.
+ * @property {Pattern | Pattern[]} [includeUrl] - Only pass messages whose source script URL matches one of the patterns.
+ * @property {Pattern | Pattern[]} [excludeUrl] - Drop messages whose source script URL matches one of the patterns.
+ *
+ * @typedef {Object} ConsoleFilter
+ * @property {(message: import("./consoleMessage.js").ConsoleMessage) => boolean} matches - Returns true when the message passes the filter.
+ * @property {(options: ConsoleFilterOptions) => void} update - Replaces the filter options.
+ * @property {() => ConsoleFilterOptions} get - Returns the current filter options.
+ */
+
+const LEVEL_ORDER = { debug: 0, log: 1, info: 1, warn: 2, error: 3 };
+
+/**
+ * Compiles a pattern option into a list of regular expressions.
+ * @param {Pattern | Pattern[] | undefined} patterns - The option value.
+ * @param {string} name - Option name used in the error message.
+ * @returns {RegExp[]} Compiled patterns.
+ */
+function compile(patterns, name) {
+    if (patterns === undefined || patterns === null) return [];
+
+    return (Array.isArray(patterns) ? patterns : [patterns]).map((pattern) => {
+        if (pattern instanceof RegExp) return pattern;
+        try {
+            return new RegExp(pattern);
+        } catch (error) {
+            throw new Error(`Invalid ${name} pattern: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Creates a console message filter that can be changed at runtime.
+ * A message passes when it meets the minimum level, matches an include pattern (if any are set)
+ * and does not match an exclude pattern. The source URL falls back to the top stack frame.
+ * @param {ConsoleFilterOptions} [options={}] - Initial filter options.
+ * @returns {ConsoleFilter} The filter.
+ */
+export function createConsoleFilter(options = {}) {
+    let current = {};
+    let compiled = null;
+
+    /**
+     * Replaces the filter options.
+     * @param {ConsoleFilterOptions} newOptions - The new options.
+     * @throws {Error} Throws on an unknown level or an invalid pattern, keeping the previous options.
+     */
+    function update(newOptions = {}) {
+        const { level } = newOptions;
+        if (level !== undefined && LEVEL_ORDER[level] === undefined) {
+            throw new Error(`Invalid level: ${level}`);
+        }
+
+        compiled = {
+            minLevel: level === undefined ? 0 : LEVEL_ORDER[level],
+            include: compile(newOptions.include, 'include'),
+            exclude: compile(newOptions.exclude, 'exclude'),
+            includeUrl: compile(newOptions.includeUrl, 'includeUrl'),
+            excludeUrl: compile(newOptions.excludeUrl, 'excludeUrl'),
+        };
+        current = { ...newOptions };
+    }
+
+    /**
+     * Checks a console message against the filter.
+     * @param {import("./consoleMessage.js").ConsoleMessage} message - The message.
+     * @returns {boolean} True when the message passes.
+     */
+    function matches(message) {
+        const { minLevel, include, exclude, includeUrl, excludeUrl } = compiled;
+        const test = (pattern, value) => {
+            // Reset global and sticky patterns so consecutive tests don't depend on each other
+            pattern.lastIndex = 0;
+            return pattern.test(value);
+        };
+
+        if ((LEVEL_ORDER[message.level] ?? LEVEL_ORDER.log) < minLevel) return false;
+
+        const text = message.text;
+        if (include.length && !include.some((pattern) => test(pattern, text))) return false;
+        if (exclude.some((pattern) => test(pattern, text))) return false;
+
+        const url = message.url || message.stackTrace?.[0]?.url || '';
+        if (includeUrl.length && !includeUrl.some((pattern) => test(pattern, url))) return false;
+        if (excludeUrl.some((pattern) => test(pattern, url))) return false;
+
+        return true;
+    }
+
+    /**
+     * Returns the current filter options.
+     * @returns {ConsoleFilterOptions} A copy of the options.
+     */
+    function get() {
+        return { ...current };
+    }
+
+    update(options);
+
+    return { matches, update, get };
+}
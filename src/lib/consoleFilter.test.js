@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { createConsoleFilter } from './consoleFilter.js';
+
+/**
+ * Creates a console message with defaults for the fields the filter ignores.
+ */
+function message(text, level = 'log', url = null, stackTrace = []) {
+    return { text, level, url, stackTrace };
+}
+
+describe('Console Filter', () => {
+    it('should pass everything without options', () => {
+        const filter = createConsoleFilter();
+        expect(filter.matches(message('anything', 'debug'))).toBe(true);
+    });
+
+    it('should drop messages below the minimum level', () => {
+        const filter = createConsoleFilter({ level: 'warn' });
+        expect(filter.matches(message('noise', 'debug'))).toBe(false);
+        expect(filter.matches(message('noise', 'info'))).toBe(false);
+        expect(filter.matches(message('careful', 'warn'))).toBe(true);
+        expect(filter.matches(message('broken', 'error'))).toBe(true);
+    });
+
+    it('should apply include and exclude patterns to the text', () => {
+        const filter = createConsoleFilter({
+            include: ['^\\[Player\\]', /^\[Router\]/],
+            exclude: 'tick',
+        });
+        expect(filter.matches(message('[Player] buffering'))).toBe(true);
+        expect(filter.matches(message('[Router] navigate /home'))).toBe(true);
+        expect(filter.matches(message('[Player] tick 42'))).toBe(false);
+        expect(filter.matches(message('[Blits] render'))).toBe(false);
+    });
+
+    it('should apply patterns to the source URL, falling back to the stack', () => {
+        const filter = createConsoleFilter({ includeUrl: '/src/player/', excludeUrl: 'vendor' });
+        expect(filter.matches(message('a', 'log', 'https://app/src/player/hls.js'))).toBe(true);
+        expect(filter.matches(message('b', 'log', 'https://app/src/player/vendor/x.js'))).toBe(
+            false
+        );
+        expect(
+            filter.matches(message('c', 'log', null, [{ url: 'https://app/src/player/dash.js' }]))
+        ).toBe(true);
+        expect(filter.matches(message('d', 'log', 'https://app/framework.js'))).toBe(false);
+    });
+
+    it('should replace the options at runtime', () => {
+        const filter = createConsoleFilter({ level: 'error' });
+        expect(filter.matches(message('hello'))).toBe(false);
+
+        filter.update({ include: 'hello' });
+        expect(filter.matches(message('hello'))).toBe(true);
+        expect(filter.get()).toEqual({ include: 'hello' });
+    });
+
+    it('should keep the previous options when the update is invalid', () => {
+        const filter = createConsoleFilter({ level: 'warn' });
+
+        expect(() => filter.update({ level: 'verbose' })).toThrow('Invalid level: verbose');
+        expect(() => filter.update({ include: '(' })).toThrow('Invalid include pattern');
+        expect(filter.get()).toEqual({ level: 'warn' });
+        expect(filter.matches(message('noise', 'log'))).toBe(false);
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * @typedef {'log'|'info'|'warn'|'error'|'debug'} ConsoleLevel
+ *
+ * @typedef {Object} StackFrame
+ * @property {string} functionName - Name of the function, empty for anonymous functions.
+ * @property {string} url - URL of the script.
+ * @property {number} line - 1-based line number.
+ * @property {number} column - 1-based column number.
+ *
+ * @typedef {Object} ConsoleMessage
+ * @property {string} text - Plain message text.
+ * @property {ConsoleLevel} level - Severity of the message.
+ * @property {string} origin - Origin of the message as reported by WebKit (e.g. "console-api", "javascript", "network").
+ * @property {string|null} kind - Message type as reported by WebKit (e.g. "log", "trace", "assert").
+ * @property {string|null} url - URL of the script that logged the message.
+ * @property {number|null} line - 1-based line number in the script.
+ * @property {number|null} column - 1-based column number in the script.
+ * @property {number} repeatCount - Number of times the message was repeated.
+ * @property {Object[]} parameters - Logged arguments as WebInspector remote objects.
+ * @property {StackFrame[]} stackTrace - Call stack at the time the message was logged.
+ * @property {number} timestamp - Host-side time the message was received, in ms since epoch.
+ * @property {number|null} deviceTimestamp - Device-side time the message was added, in ms since epoch.
+ */
+
+/** WebKit level names mapped onto the console method names used by consumers */
+const LEVELS = {
+    log: 'log',
+    info: 'info',
+    warning: 'warn',
+    warn: 'warn',
+    error: 'error',
+    debug: 'debug',
+};
+
+/**
+ * Converts a WebInspector call frame into a stack frame.
+ * @param {Object} frame - WebInspector `Console.CallFrame`.
+ * @returns {StackFrame} Stack frame.
+ */
+function toStackFrame(frame) {
+    return {
+        functionName: frame.functionName || '',
+        url: frame.url || '',
+        line: frame.lineNumber ?? 0,
+        column: frame.columnNumber ?? 0,
+    };
+}
+
+/**
+ * Normalizes the message of a WebInspector `Console.messageAdded` notification.
+ * @param {Object} message - The `params.message` object of the notification.
+ * @param {number} [receivedAt=Date.now()] - Host-side receive time in ms since epoch.
+ * @returns {ConsoleMessage} Structured console message.
+ */
+export function normalizeConsoleMessage(message, receivedAt = Date.now()) {
+    // Older WebKit versions send the call frames directly, newer ones wrap them in `callFrames`
+    const callFrames = Array.isArray(message.stackTrace)
+        ? message.stackTrace
+        : message.stackTrace?.callFrames || [];
+
+    return {
+        text: message.text ?? '',
+        level: LEVELS[message.level] || 'log',
+        origin: message.source || 'other',
+        kind: message.type || null,
+        url: message.url || null,
+        line: message.line ?? null,
+        column: message.column ?? null,
+        repeatCount: message.repeatCount ?? 1,
+        parameters: message.parameters || [],
+        stackTrace: callFrames.map(toStackFrame),
+        timestamp: receivedAt,
+        deviceTimestamp: typeof message.timestamp === 'number' ? message.timestamp * 1000 : null,
+    };
+}
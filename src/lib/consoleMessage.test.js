@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeConsoleMessage } from './consoleMessage.js';
+
+describe('normalizeConsoleMessage', () => {
+    it('should normalize a full WebKit console message', () => {
+        const message = normalizeConsoleMessage(
+            {
+                source: 'console-api',
+                level: 'warning',
+                text: 'Low memory',
+                type: 'log',
+                url: 'https://example.com/app.js',
+                line: 12,
+                column: 5,
+                repeatCount: 3,
+                parameters: [{ type: 'string', value: 'Low memory' }],
+                stackTrace: {
+                    callFrames: [
+                        {
+                            functionName: 'check',
+                            url: 'https://example.com/app.js',
+                            scriptId: '1',
+                            lineNumber: 12,
+                            columnNumber: 5,
+                        },
+                    ],
+                },
+                timestamp: 1700000000.5,
+            },
+            1700000001000
+        );
+
+        expect(message).toEqual({
+            text: 'Low memory',
+            level: 'warn',
+            origin: 'console-api',
+            kind: 'log',
+            url: 'https://example.com/app.js',
+            line: 12,
+            column: 5,
+            repeatCount: 3,
+            parameters: [{ type: 'string', value: 'Low memory' }],
+            stackTrace: [
+                { functionName: 'check', url: 'https://example.com/app.js', line: 12, column: 5 },
+            ],
+            timestamp: 1700000001000,
+            deviceTimestamp: 1700000000500,
+        });
+    });
+
+    it('should accept a stack trace sent as a plain array of call frames', () => {
+        const message = normalizeConsoleMessage({
+            level: 'error',
+            text: 'boom',
+            stackTrace: [{ functionName: '', url: 'app.js', lineNumber: 1, columnNumber: 2 }],
+        });
+
+        expect(message.level).toBe('error');
+        expect(message.stackTrace).toEqual([
+            { functionName: '', url: 'app.js', line: 1, column: 2 },
+        ]);
+    });
+
+    it('should fall back to defaults for a minimal message', () => {
+        const message = normalizeConsoleMessage({ text: 'hello' }, 42);
+
+        expect(message).toMatchObject({
+            text: 'hello',
+            level: 'log',
+            origin: 'other',
+            kind: null,
+            url: null,
+            line: null,
+            column: null,
+            repeatCount: 1,
+            parameters: [],
+            stackTrace: [],
+            timestamp: 42,
+            deviceTimestamp: null,
+        });
+    });
+});
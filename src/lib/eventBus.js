@@ -0,0 +1,86 @@
+/**
+ * @template {{ type: string }} T
+ * @typedef {Object} EventBus
+ * @property {(type: string, handler: (event: T) => void) => () => void} on - Registers a handler for an event
+ *   type, "*" receives every event. Returns a function that removes the handler.
+ * @property {(type: string, handler: (event: T) => void) => void} off - Removes a handler registered with `on` or `once`.
+ * @property {(type: string, handler: (event: T) => void) => () => void} once - Registers a handler that is removed
+ *   after the first event.
+ * @property {(event: T) => void} emit - Passes an event to the handlers of its type and the "*" handlers.
+ */
+
+/**
+ * Creates an event bus dispatching events by their `type`.
+ * Handlers are called synchronously in registration order, type handlers before "*" handlers.
+ * A handler that throws does not keep the event from the others, its error is rethrown in a microtask
+ * like EventTarget reports listener errors.
+ * @template {{ type: string }} T
+ * @returns {EventBus<T>} The event bus.
+ */
+export function createEventBus() {
+    /** @type {Map<string, Set<(event: T) => void>>} */
+    const handlers = new Map();
+    /**
+     * Wrappers of `once` handlers per type, so `off` accepts the original handler.
+     * @type {Map<string, Map<Function, (event: T) => void>>}
+     */
+    const onceWrappers = new Map();
+
+    /**
+     * Registers a handler.
+     * @param {string} type - Event type, "*" for all events.
+     * @param {(event: T) => void} handler - The handler.
+     * @returns {() => void} Function that removes the handler.
+     */
+    function on(type, handler) {
+        if (!handlers.has(type)) handlers.set(type, new Set());
+        handlers.get(type).add(handler);
+        return () => off(type, handler);
+    }
+
+    /**
+     * Removes a handler.
+     * @param {string} type - Event type the handler was registered for.
+     * @param {(event: T) => void} handler - The handler.
+     */
+    function off(type, handler) {
+        const wrapper = onceWrappers.get(type)?.get(handler);
+        onceWrappers.get(type)?.delete(handler);
+        handlers.get(type)?.delete(wrapper || handler);
+    }
+
+    /**
+     * Registers a handler for the next event of a type only.
+     * @param {string} type - Event type, "*" for the next event of any type.
+     * @param {(event: T) => void} handler - The handler.
+     * @returns {() => void} Function that removes the handler before it was called.
+     */
+    function once(type, handler) {
+        const wrapper = (event) => {
+            off(type, handler);
+            handler(event);
+        };
+        if (!onceWrappers.has(type)) onceWrappers.set(type, new Map());
+        onceWrappers.get(type).set(handler, wrapper);
+        on(type, wrapper);
+        return () => off(type, handler);
+    }
+
+    /**
+     * Passes an event to its handlers. Handlers added while dispatching get the next event.
+     * @param {T} event - The event.
+     */
+    function emit(event) {
+        [...(handlers.get(event.type) || []), ...(handlers.get('*') || [])].forEach((handler) => {
+            try {
+                handler(event);
+            } catch (error) {
+                queueMicrotask(() => {
+                    throw error;
+                });
+            }
+        });
+    }
+
+    return { on, off, once, emit };
+}
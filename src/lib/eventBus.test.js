@@ -0,0 +1,70 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createEventBus } from './eventBus.js';
+
+describe('createEventBus', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('should dispatch events by type and to the wildcard handlers', () => {
+        const bus = createEventBus();
+        const calls = [];
+        bus.on('*', (event) => calls.push(`* ${event.type}`));
+        bus.on('console', (event) => calls.push(`console ${event.message}`));
+
+        bus.emit({ type: 'console', message: 'hello' });
+        bus.emit({ type: 'error', message: 'oops' });
+
+        expect(calls).toEqual(['console hello', '* console', '* error']);
+    });
+
+    it('should remove handlers with off and the returned function', () => {
+        const bus = createEventBus();
+        const first = vi.fn();
+        const second = vi.fn();
+        bus.on('quit', first);
+        const remove = bus.on('quit', second);
+
+        bus.off('quit', first);
+        remove();
+        bus.emit({ type: 'quit' });
+
+        expect(first).not.toHaveBeenCalled();
+        expect(second).not.toHaveBeenCalled();
+    });
+
+    it('should call once handlers for the next event only', () => {
+        const bus = createEventBus();
+        const handler = vi.fn();
+        const removed = vi.fn();
+        bus.once('closed', handler);
+        bus.once('closed', removed);
+        bus.off('closed', removed);
+
+        bus.emit({ type: 'closed', message: 'first' });
+        bus.emit({ type: 'closed', message: 'second' });
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler).toHaveBeenCalledWith({ type: 'closed', message: 'first' });
+        expect(removed).not.toHaveBeenCalled();
+    });
+
+    it('should pass the event on when a handler throws and rethrow its error later', () => {
+        const reported = vi.fn();
+        vi.stubGlobal('queueMicrotask', reported);
+        const bus = createEventBus();
+        const typed = vi.fn();
+        const wildcard = vi.fn();
+        bus.on('console', () => {
+            throw new Error('UI failed');
+        });
+        bus.on('console', typed);
+        bus.on('*', wildcard);
+
+        expect(() => bus.emit({ type: 'console', message: 'hello' })).not.toThrow();
+        expect(typed).toHaveBeenCalledTimes(1);
+        expect(wildcard).toHaveBeenCalledTimes(1);
+        expect(reported).toHaveBeenCalledTimes(1);
+        expect(reported.mock.calls[0][0]).toThrow('UI failed');
+    });
+});
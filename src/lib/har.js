@@ -0,0 +1,126 @@
+/**
+ * @typedef {Object} HarOptions
+ * @property {string} [creatorName='thunderwpeconsole'] - Name of the tool recorded in the log.
+ * @property {string} [creatorVersion='0.0.1'] - Version of the tool recorded in the log.
+ *
+ * imports
+ * @typedef {import("./networkCapture.js").NetworkRequest} NetworkRequest
+ */
+
+/**
+ * Converts a header object into HAR name/value pairs.
+ * @param {Object<string, string>} headers - The headers.
+ * @returns {{ name: string, value: string }[]} HAR headers.
+ */
+function toPairs(headers) {
+    return Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Looks up a header case-insensitively.
+ * @param {Object<string, string>} headers - The headers.
+ * @param {string} name - Header name.
+ * @returns {string|undefined} The value.
+ */
+function header(headers, name) {
+    const key = Object.keys(headers || {}).find((key) => key.toLowerCase() === name);
+    return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Parses the query string of a URL into HAR name/value pairs.
+ * @param {string} url - The URL.
+ * @returns {{ name: string, value: string }[]} HAR query string.
+ */
+function queryString(url) {
+    try {
+        return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+    } catch (_) {
+        return [];
+    }
+}
+
+/**
+ * Converts a captured request into a HAR entry.
+ * @param {NetworkRequest} request - The request.
+ * @returns {Object} The HAR entry.
+ */
+function toEntry(request) {
+    const timings = request.timings || {
+        blocked: -1,
+        dns: -1,
+        connect: -1,
+        ssl: -1,
+        send: 0,
+        wait: request.duration ?? 0,
+        receive: 0,
+    };
+    // ssl is part of connect and not counted separately
+    const { ssl, ...phases } = timings;
+    const time = Object.values(phases).reduce((total, value) => total + Math.max(value, 0), 0);
+    const httpVersion = request.protocol ? request.protocol.toUpperCase() : '';
+
+    const entry = {
+        startedDateTime: new Date(request.startedAt).toISOString(),
+        time,
+        request: {
+            method: request.method,
+            url: request.url,
+            httpVersion,
+            cookies: [],
+            headers: toPairs(request.requestHeaders),
+            queryString: queryString(request.url),
+            headersSize: -1,
+            bodySize: request.postData === null ? 0 : Buffer.byteLength(request.postData),
+        },
+        response: {
+            status: request.status ?? 0,
+            statusText: request.statusText ?? '',
+            httpVersion,
+            cookies: [],
+            headers: toPairs(request.responseHeaders),
+            content: {
+                size: request.decodedSize ?? request.size ?? -1,
+                mimeType: request.mimeType ?? '',
+            },
+            redirectURL: header(request.responseHeaders, 'location') ?? '',
+            headersSize: -1,
+            bodySize: request.size ?? -1,
+        },
+        cache: {},
+        timings,
+    };
+
+    if (request.postData !== null) {
+        entry.request.postData = {
+            mimeType: header(request.requestHeaders, 'content-type') ?? '',
+            text: request.postData,
+        };
+    }
+    if (request.remoteAddress) entry.serverIPAddress = request.remoteAddress.replace(/:\d+$/, '');
+    if (request.resourceType) entry._resourceType = request.resourceType;
+    if (request.errorText) entry._error = request.errorText;
+
+    return entry;
+}
+
+/**
+ * Builds a HAR 1.2 log from captured requests, e.g. to open the session in browser devtools.
+ * Failed requests are included with status 0 and the failure reason in the custom `_error` field.
+ * @param {NetworkRequest[]} requests - Finished and failed requests.
+ * @param {HarOptions} [options={}] - HAR options.
+ * @returns {{ log: Object }} The HAR document.
+ */
+export function toHar(requests, options = {}) {
+    const { creatorName = 'thunderwpeconsole', creatorVersion = '0.0.1' } = options;
+
+    return {
+        log: {
+            version: '1.2',
+            creator: { name: creatorName, version: creatorVersion },
+            entries: [...requests]
+                .sort((a, b) => a.startedAt - b.startedAt)
+                .map((request) => toEntry(request)),
+        },
+    };
+}
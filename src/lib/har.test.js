@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { toHar } from './har.js';
+
+/**
+ * Creates a captured request with defaults for the fields a test doesn't care about.
+ */
+const captured = (overrides) => ({
+    requestId: '1',
+    url: 'https://api.example.com/items?page=2&sort=name',
+    method: 'GET',
+    resourceType: 'XHR',
+    requestHeaders: { Accept: 'application/json' },
+    postData: null,
+    status: 200,
+    statusText: 'OK',
+    mimeType: 'application/json',
+    responseHeaders: { 'Content-Type': 'application/json' },
+    protocol: 'http/1.1',
+    remoteAddress: '93.184.216.34:443',
+    fromCache: false,
+    startedAt: Date.UTC(2024, 0, 1),
+    duration: 80,
+    size: 1200,
+    decodedSize: 4000,
+    timings: { blocked: 6, dns: 5, connect: 14, ssl: 10, send: 0, wait: 25, receive: 30 },
+    errorText: null,
+    canceled: false,
+    ...overrides,
+});
+
+describe('toHar', () => {
+    it('should convert captured requests into HAR 1.2 entries', () => {
+        const har = toHar([captured()]);
+
+        expect(har.log.version).toBe('1.2');
+        expect(har.log.creator.name).toBe('thunderwpeconsole');
+
+        const [entry] = har.log.entries;
+        expect(entry).toMatchObject({
+            startedDateTime: '2024-01-01T00:00:00.000Z',
+            time: 80,
+            serverIPAddress: '93.184.216.34',
+            _resourceType: 'XHR',
+            request: {
+                method: 'GET',
+                httpVersion: 'HTTP/1.1',
+                headers: [{ name: 'Accept', value: 'application/json' }],
+                queryString: [
+                    { name: 'page', value: '2' },
+                    { name: 'sort', value: 'name' },
+                ],
+                bodySize: 0,
+            },
+            response: {
+                status: 200,
+                content: { size: 4000, mimeType: 'application/json' },
+                bodySize: 1200,
+                redirectURL: '',
+            },
+        });
+        expect(entry.request.postData).toBeUndefined();
+    });
+
+    it('should include post data, redirects and failures', () => {
+        const har = toHar([
+            captured({
+                requestId: '2',
+                startedAt: Date.UTC(2024, 0, 1, 0, 0, 2),
+                method: 'POST',
+                requestHeaders: { 'content-type': 'application/json' },
+                postData: '{"q":"tv"}',
+                status: null,
+                statusText: null,
+                timings: null,
+                duration: 300,
+                errorText: 'Timed out',
+            }),
+            captured({
+                startedAt: Date.UTC(2024, 0, 1, 0, 0, 1),
+                status: 302,
+                responseHeaders: { Location: '/login' },
+            }),
+        ]);
+
+        const [redirect, failed] = har.log.entries;
+        expect(redirect.response).toMatchObject({ status: 302, redirectURL: '/login' });
+        expect(failed).toMatchObject({
+            time: 300,
+            _error: 'Timed out',
+            request: {
+                bodySize: 10,
+                postData: { mimeType: 'application/json', text: '{"q":"tv"}' },
+            },
+            response: { status: 0, statusText: '' },
+            timings: { blocked: -1, dns: -1, connect: -1, send: 0, wait: 300, receive: 0 },
+        });
+    });
+});
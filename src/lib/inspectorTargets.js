@@ -0,0 +1,98 @@
+/**
+ * @typedef {Object} InspectorTarget
+ * @property {string} id - Target id, "<connectionId>:<targetId>".
+ * @property {string} type - Target type as reported by WebKit (e.g. "WebPage", "JavaScript", "ServiceWorker").
+ * @property {string} title - Title of the page or name of the worker.
+ * @property {string} url - URL of the page or script.
+ * @property {string} socketPath - Path of the inspector socket of the target (e.g. "/socket/1/1/WebPage").
+ */
+
+/** Socket path of the first page, used when the inspector does not list its targets */
+export const DEFAULT_SOCKET_PATH = '/socket/1/1/WebPage';
+
+/** The target types that are pages, the others are workers */
+const PAGE_TYPES = ['WebPage', 'Automation'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decodes the HTML entities WebKit escapes in titles and URLs.
+ * @param {string} text - The escaped text.
+ * @returns {string} The text.
+ */
+function unescapeHtml(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+        if (name[0] !== '#') return ENTITIES[name] ?? entity;
+        return String.fromCodePoint(
+            name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1))
+        );
+    });
+}
+
+/**
+ * Parses the target listing page WebKit's inspector server serves at "/". Every inspectable target is a
+ * table row holding its name, URL and an inspect button referencing "<connectionId>:<targetId>:<type>",
+ * either as socket path or as message to the embedding browser.
+ * @param {string} html - The listing page.
+ * @returns {InspectorTarget[]} The targets in listing order.
+ */
+export function parseTargetList(html) {
+    return html
+        .split(/<tr[\s>]/i)
+        .slice(1)
+        .map((row) => {
+            const reference =
+                /\/socket\/(\d+)\/(\d+)\/(\w+)/.exec(row) || /'(\d+):(\d+):(\w+)'/.exec(row);
+            if (!reference) return null;
+
+            const [, connectionId, targetId, type] = reference;
+            const field = (name) => {
+                const match = new RegExp(`class="${name}"[^>]*>([^<]*)<`).exec(row);
+                return match ? unescapeHtml(match[1].trim()) : '';
+            };
+
+            return {
+                id: `${connectionId}:${targetId}`,
+                type,
+                title: field('targetname'),
+                url: field('targeturl'),
+                socketPath: `/socket/${connectionId}/${targetId}/${type}`,
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Fetches the inspectable targets of a WebInspector server.
+ * @param {string} hostIP - Host of the inspector server.
+ * @param {number} port - Port of the inspector server.
+ * @param {number} [timeout=5000] - Time to wait for the listing in milliseconds.
+ * @returns {Promise<InspectorTarget[]>} Resolves with the targets.
+ */
+export async function fetchTargets(hostIP, port, timeout = 5000) {
+    const response = await fetch(`http://${hostIP}:${port}/`, {
+        signal: AbortSignal.timeout(timeout),
+    });
+    if (!response.ok) throw new Error(`Failed to list targets: HTTP ${response.status}`);
+    return parseTargetList(await response.text());
+}
+
+/**
+ * Picks the page to attach to: the page showing the URL, ignoring the fragment, or else the most
+ * recently created page, since WebKit creates a new target when a navigation swaps the process.
+ * @param {InspectorTarget[]} targets - The listed targets.
+ * @param {string} [url] - The launched URL.
+ * @returns {InspectorTarget|undefined} The target, undefined when no page is listed.
+ */
+export function selectTarget(targets, url) {
+    const pages = targets.filter((target) => PAGE_TYPES.includes(target.type));
+    const withoutHash = (value) => value.split('#')[0];
+
+    if (url) {
+        const match = pages.find((page) => withoutHash(page.url) === withoutHash(url));
+        if (match) return match;
+    }
+
+    const newest = (a, b) => Number(b.id.split(':')[1]) - Number(a.id.split(':')[1]);
+    return [...pages].sort(newest)[0];
+}
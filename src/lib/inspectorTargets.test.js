@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { parseTargetList, selectTarget } from './inspectorTargets.js';
+
+describe('parseTargetList', () => {
+    it('should read the socket path and the browser message forms', () => {
+        const html =
+            '<html><body><table>' +
+            '<tr><td><div class="targetname">Home &amp; Away</div>' +
+            '<div class="targeturl">https://example.com/?a=1&#38;b=2</div></td>' +
+            '<td class="input"><input type="button" value="Inspect" ' +
+            "onclick=\"window.open('/socket/1/3/WebPage', '_blank')\"></td></tr>" +
+            '<tr><td><div class="targetname">sw.js</div>' +
+            '<div class="targeturl">https://example.com/sw.js</div></td>' +
+            '<td class="input"><input type="button" value="Inspect" ' +
+            'onclick="window.webkit.messageHandlers.inspector.postMessage(\'1:7:ServiceWorker\');">' +
+            '</td></tr>' +
+            '<tr><td>No inspect button</td></tr>' +
+            '</table></body></html>';
+
+        expect(parseTargetList(html)).toEqual([
+            {
+                id: '1:3',
+                type: 'WebPage',
+                title: 'Home & Away',
+                url: 'https://example.com/?a=1&b=2',
+                socketPath: '/socket/1/3/WebPage',
+            },
+            {
+                id: '1:7',
+                type: 'ServiceWorker',
+                title: 'sw.js',
+                url: 'https://example.com/sw.js',
+                socketPath: '/socket/1/7/ServiceWorker',
+            },
+        ]);
+    });
+});
+
+describe('selectTarget', () => {
+    const target = (id, type, url) => ({ id, type, title: '', url, socketPath: '' });
+    const targets = [
+        target('1:2', 'WebPage', 'https://example.com/#home'),
+        target('1:10', 'WebPage', 'about:blank'),
+        target('1:11', 'ServiceWorker', 'https://example.com/sw.js'),
+    ];
+
+    it('should prefer the page showing the URL, ignoring the fragment', () => {
+        expect(selectTarget(targets, 'https://example.com/')).toBe(targets[0]);
+    });
+
+    it('should fall back to the newest page', () => {
+        expect(selectTarget(targets, 'https://other.example/')).toBe(targets[1]);
+        expect(selectTarget(targets)).toBe(targets[1]);
+    });
+
+    it('should not pick workers', () => {
+        expect(selectTarget([targets[2]], 'https://example.com/sw.js')).toBeUndefined();
+    });
+});
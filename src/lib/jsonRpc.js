@@ -0,0 +1,186 @@
+/**
+ * @typedef {Object} JsonRpcCallOptions
+ * @property {number} [timeout] - Timeout in milliseconds, overrides the client default.
+ *
+ * @typedef {Object} JsonRpcNotification
+ * @property {string} method - Notification method (e.g. "client.Controller.events.statechange").
+ * @property {Object} params - Notification parameters.
+ *
+ * @typedef {Object} JsonRpcClient
+ * @property {(method: string, params?: Object, options?: JsonRpcCallOptions) => Promise<any>} call - Sends a request and resolves with its result.
+ * @property {(handler: (notification: JsonRpcNotification) => void) => () => void} onNotification - Registers a notification handler, returns a function that removes it.
+ * @property {() => number} pending - Returns the number of requests awaiting a response.
+ * @property {() => void} dispose - Rejects all pending requests and detaches from the socket.
+ *
+ * @typedef {Object} JsonRpcClientOptions
+ * @property {number} [timeout=10000] - Default request timeout in milliseconds.
+ * @property {number} [firstId=1] - First request ID.
+ * @property {boolean} [envelope=true] - Adds the `jsonrpc: "2.0"` member to requests, WebInspector omits it.
+ *
+ * imports
+ * @typedef {import("./websocket.js").WebSocketClient} WebSocketClient
+ */
+
+/**
+ * Error returned by a JSON-RPC peer, or raised when a request could not complete.
+ * `code` is the JSON-RPC error code, or "TIMEOUT"/"CLOSED" when no response arrived.
+ */
+export class JsonRpcError extends Error {
+    /**
+     * @param {string} message - Error message.
+     * @param {number|'TIMEOUT'|'CLOSED'} code - Error code.
+     * @param {string} method - The method of the failed request.
+     * @param {any} [data] - Additional error data sent by the peer.
+     */
+    constructor(message, code, method, data) {
+        super(message);
+        this.name = 'JsonRpcError';
+        this.code = code;
+        this.method = method;
+        this.data = data;
+    }
+}
+
+/**
+ * Creates a JSON-RPC client on top of a connected WebSocket client.
+ * Responses are correlated to their request by ID, anything without an ID is a notification.
+ * @param {WebSocketClient} wsClient - WebSocket client to send and receive messages on.
+ * @param {JsonRpcClientOptions} [options={}] - Client options.
+ * @returns {JsonRpcClient} JSON-RPC client.
+ */
+export function createJsonRpcClient(wsClient, options = {}) {
+    const { timeout: defaultTimeout = 10000, firstId = 1, envelope = true } = options;
+
+    /** @type {Map<number, { method: string, resolve: Function, reject: Function, timer: any }>} */
+    const pendingRequests = new Map();
+    /** @type {Set<(notification: JsonRpcNotification) => void>} */
+    const notificationHandlers = new Set();
+    let messageId = firstId;
+
+    /**
+     * Routes an incoming message to its pending request or to the notification handlers.
+     * @param {CustomEvent} event - The raw message event.
+     */
+    function handleMessage(event) {
+        if (!event || !event.detail) return;
+
+        let message;
+        try {
+            message = JSON.parse(event.detail);
+        } catch (_) {
+            return;
+        }
+
+        if (message.id !== undefined && message.id !== null) {
+            const request = pendingRequests.get(message.id);
+            if (!request) return;
+
+            pendingRequests.delete(message.id);
+            clearTimeout(request.timer);
+
+            if (message.error) {
+                const { code, message: errorMessage, data } = message.error;
+                request.reject(
+                    new JsonRpcError(
+                        `${request.method} failed: ${errorMessage}`,
+                        code,
+                        request.method,
+                        data
+                    )
+                );
+            } else {
+                request.resolve(message.result);
+            }
+            return;
+        }
+
+        if (message.method) {
+            const notification = { method: message.method, params: message.params || {} };
+            notificationHandlers.forEach((handler) => handler(notification));
+        }
+    }
+
+    /**
+     * Rejects every pending request.
+     * @param {string} reason - Reason added to the error message.
+     */
+    function rejectAll(reason) {
+        pendingRequests.forEach((request) => {
+            clearTimeout(request.timer);
+            request.reject(
+                new JsonRpcError(`${request.method} failed: ${reason}`, 'CLOSED', request.method)
+            );
+        });
+        pendingRequests.clear();
+    }
+
+    function handleClose() {
+        rejectAll('connection closed');
+    }
+
+    wsClient.on('message', handleMessage);
+    wsClient.on('close', handleClose);
+
+    /**
+     * Sends a JSON-RPC request.
+     * @param {string} method - The JSON-RPC method to call.
+     * @param {Object} [params] - The parameters for the method.
+     * @param {JsonRpcCallOptions} [callOptions={}] - Per-call options.
+     * @returns {Promise<any>} Resolves with the `result` member of the response.
+     */
+    function call(method, params, callOptions = {}) {
+        const { timeout = defaultTimeout } = callOptions;
+
+        return new Promise((resolve, reject) => {
+            const id = messageId++;
+            const payload = envelope ? { jsonrpc: '2.0', id, method } : { id, method };
+            if (params !== undefined) payload.params = params;
+
+            try {
+                wsClient.send(JSON.stringify(payload));
+            } catch (error) {
+                reject(new JsonRpcError(`${method} failed: ${error.message}`, 'CLOSED', method));
+                return;
+            }
+
+            const timer = setTimeout(() => {
+                pendingRequests.delete(id);
+                reject(
+                    new JsonRpcError(`${method} timed out after ${timeout}ms`, 'TIMEOUT', method)
+                );
+            }, timeout);
+
+            pendingRequests.set(id, { method, resolve, reject, timer });
+        });
+    }
+
+    /**
+     * Registers a handler for incoming notifications.
+     * @param {(notification: JsonRpcNotification) => void} handler - Notification handler.
+     * @returns {() => void} Function that removes the handler.
+     */
+    function onNotification(handler) {
+        notificationHandlers.add(handler);
+        return () => notificationHandlers.delete(handler);
+    }
+
+    /**
+     * Number of requests awaiting a response.
+     * @returns {number} Pending request count.
+     */
+    function pending() {
+        return pendingRequests.size;
+    }
+
+    /**
+     * Rejects all pending requests and detaches from the WebSocket client.
+     */
+    function dispose() {
+        rejectAll('client disposed');
+        notificationHandlers.clear();
+        wsClient.off('message', handleMessage);
+        wsClient.off('close', handleClose);
+    }
+
+    return { call, onNotification, pending, dispose };
+}
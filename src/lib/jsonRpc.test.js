@@ -0,0 +1,130 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createJsonRpcClient, JsonRpcError } from './jsonRpc.js';
+
+/**
+ * Creates a minimal WebSocket client double that records sent messages.
+ */
+function createFakeWsClient() {
+    const events = new EventTarget();
+    const sent = [];
+
+    return {
+        sent,
+        send: vi.fn((data) => sent.push(JSON.parse(data))),
+        on: (event, handler) => events.addEventListener(event, handler),
+        off: (event, handler) => events.removeEventListener(event, handler),
+        receive: (message) =>
+            events.dispatchEvent(new CustomEvent('message', { detail: JSON.stringify(message) })),
+        close: () => events.dispatchEvent(new Event('close')),
+    };
+}
+
+describe('JSON-RPC Client', () => {
+    let wsClient;
+    let rpc;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        wsClient = createFakeWsClient();
+        rpc = createJsonRpcClient(wsClient, { timeout: 1000 });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should resolve a call with the result of the matching response', async () => {
+        const first = rpc.call('Controller.1.status');
+        const second = rpc.call('Controller.1.activate', { callsign: 'UX' });
+
+        expect(wsClient.sent).toEqual([
+            { jsonrpc: '2.0', id: 1, method: 'Controller.1.status' },
+            { jsonrpc: '2.0', id: 2, method: 'Controller.1.activate', params: { callsign: 'UX' } },
+        ]);
+
+        wsClient.receive({ jsonrpc: '2.0', id: 2, result: null });
+        wsClient.receive({ jsonrpc: '2.0', id: 1, result: [{ callsign: 'UX' }] });
+
+        await expect(second).resolves.toBeNull();
+        await expect(first).resolves.toEqual([{ callsign: 'UX' }]);
+        expect(rpc.pending()).toBe(0);
+    });
+
+    it('should reject with a JsonRpcError carrying the error code and message', async () => {
+        const call = rpc.call('Controller.1.activate', { callsign: 'Unknown' });
+        wsClient.receive({
+            jsonrpc: '2.0',
+            id: 1,
+            error: { code: 2, message: 'ERROR_UNAVAILABLE' },
+        });
+
+        const error = await call.catch((e) => e);
+        expect(error).toBeInstanceOf(JsonRpcError);
+        expect(error.code).toBe(2);
+        expect(error.method).toBe('Controller.1.activate');
+        expect(error.message).toBe('Controller.1.activate failed: ERROR_UNAVAILABLE');
+    });
+
+    it('should time out using the default and per-call timeouts', async () => {
+        const slow = rpc.call('Controller.1.status');
+        const fast = rpc.call('Controller.1.status', {}, { timeout: 100 });
+        const fastResult = expect(fast).rejects.toMatchObject({ code: 'TIMEOUT' });
+        const slowResult = expect(slow).rejects.toThrow(
+            'Controller.1.status timed out after 1000ms'
+        );
+
+        await vi.advanceTimersByTimeAsync(100);
+        await fastResult;
+        expect(rpc.pending()).toBe(1);
+
+        await vi.advanceTimersByTimeAsync(900);
+        await slowResult;
+        expect(rpc.pending()).toBe(0);
+    });
+
+    it('should reject all pending calls when the socket closes', async () => {
+        const call = rpc.call('Controller.1.status');
+        wsClient.close();
+
+        await expect(call).rejects.toMatchObject({ code: 'CLOSED' });
+        expect(rpc.pending()).toBe(0);
+    });
+
+    it('should reject a call when the socket is not open', async () => {
+        wsClient.send.mockImplementationOnce(() => {
+            throw new Error('WebSocket is not open');
+        });
+
+        await expect(rpc.call('Controller.1.status')).rejects.toThrow(
+            'Controller.1.status failed: WebSocket is not open'
+        );
+    });
+
+    it('should pass notifications to the registered handlers until removed', () => {
+        const handler = vi.fn();
+        const remove = rpc.onNotification(handler);
+
+        wsClient.receive({
+            jsonrpc: '2.0',
+            method: 'client.Controller.events.all',
+            params: { event: 'statechange' },
+        });
+        remove();
+        wsClient.receive({ jsonrpc: '2.0', method: 'client.Controller.events.all', params: {} });
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler).toHaveBeenCalledWith({
+            method: 'client.Controller.events.all',
+            params: { event: 'statechange' },
+        });
+    });
+
+    it('should omit the jsonrpc member when the envelope is disabled', () => {
+        const inspectorRpc = createJsonRpcClient(wsClient, { envelope: false, firstId: 100 });
+        const call = inspectorRpc.call('Console.enable');
+
+        expect(wsClient.sent.at(-1)).toEqual({ id: 100, method: 'Console.enable' });
+        inspectorRpc.dispose();
+        return expect(call).rejects.toThrow('Console.enable failed: client disposed');
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * @typedef {import("../scenario.js").ScenarioReport} ScenarioReport
+ */
+
+/**
+ * Escapes text for use in XML attributes and content.
+ * @param {string|number} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(text) {
+    return (
+        String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // Control characters are not allowed in XML 1.0, device logs do contain them
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    );
+}
+
+/**
+ * Renders an XML element.
+ * @param {string} name - Element name.
+ * @param {Object<string, string|number>} attributes - Attributes.
+ * @param {string[]} [children=[]] - Rendered child elements, or the text content when `text` is set.
+ * @param {string} [text] - Text content.
+ * @returns {string} The element.
+ */
+function element(name, attributes, children = [], text) {
+    const rendered = Object.entries(attributes)
+        .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+        .join('');
+
+    if (text !== undefined) return `<${name}${rendered}>${escapeXml(text)}</${name}>`;
+    if (!children.length) return `<${name}${rendered}/>`;
+
+    const indented = children.map((child) => child.replace(/^/gm, '  '));
+    return [`<${name}${rendered}>`, ...indented, `</${name}>`].join('\n');
+}
+
+/**
+ * Formats milliseconds as the seconds JUnit reports use.
+ * @param {number} ms - Milliseconds.
+ * @returns {string} Seconds with millisecond precision.
+ */
+function seconds(ms) {
+    return (ms / 1000).toFixed(3);
+}
+
+/**
+ * Converts scenario reports into a JUnit XML document, one test suite per scenario and one test case per step.
+ * @param {ScenarioReport[]} reports - The scenario reports.
+ * @returns {string} The XML document.
+ */
+export function toJUnitXml(reports) {
+    const count = (report, status) => report.steps.filter((step) => step.status === status).length;
+    const sum = (value) => reports.reduce((total, report) => total + value(report), 0);
+
+    const suites = reports.map((report) =>
+        element(
+            'testsuite',
+            {
+                name: report.name,
+                tests: report.steps.length,
+                failures: count(report, 'failed'),
+                skipped: count(report, 'skipped'),
+                time: seconds(report.duration),
+            },
+            report.steps.map((step) => {
+                const children = [];
+                if (step.status === 'skipped') children.push(element('skipped', {}));
+                if (step.status === 'failed') {
+                    children.push(
+                        element(
+                            'failure',
+                            { message: step.error, type: step.action },
+                            [],
+                            step.error
+                        )
+                    );
+                }
+                // Jenkins and GitLab pick up attachments announced in the test output
+                if (step.screenshot) {
+                    children.push(
+                        element('system-out', {}, [], `[[ATTACHMENT|${step.screenshot}]]`)
+                    );
+                }
+
+                return element(
+                    'testcase',
+                    { name: step.name, classname: report.name, time: seconds(step.duration) },
+                    children
+                );
+            })
+        )
+    );
+
+    const root = element(
+        'testsuites',
+        {
+            tests: sum((report) => report.steps.length),
+            failures: sum((report) => count(report, 'failed')),
+            time: seconds(sum((report) => report.duration)),
+        },
+        suites
+    );
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${root}\n`;
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { toJUnitXml } from './junit.js';
+
+describe('toJUnitXml', () => {
+    it('should write a test suite per scenario and a test case per step', () => {
+        const xml = toJUnitXml([
+            {
+                name: 'Smoke <home>',
+                passed: false,
+                duration: 1500,
+                events: [],
+                steps: [
+                    {
+                        name: 'start session',
+                        action: 'start',
+                        status: 'passed',
+                        duration: 20,
+                        error: null,
+                    },
+                    {
+                        name: 'waitForConsole ready',
+                        action: 'waitForConsole',
+                        status: 'failed',
+                        duration: 1000,
+                        error: 'No console message matching /"ready"/ within 1000ms',
+                    },
+                    { name: 'close', action: 'close', status: 'skipped', duration: 0, error: null },
+                ],
+            },
+        ]);
+
+        expect(xml).toBe(
+            [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<testsuites tests="3" failures="1" time="1.500">',
+                '  <testsuite name="Smoke &lt;home&gt;" tests="3" failures="1" skipped="1" time="1.500">',
+                '    <testcase name="start session" classname="Smoke &lt;home&gt;" time="0.020"/>',
+                '    <testcase name="waitForConsole ready" classname="Smoke &lt;home&gt;" time="1.000">',
+                '      <failure message="No console message matching /&quot;ready&quot;/ within 1000ms" type="waitForConsole">No console message matching /&quot;ready&quot;/ within 1000ms</failure>',
+                '    </testcase>',
+                '    <testcase name="close" classname="Smoke &lt;home&gt;" time="0.000">',
+                '      <skipped/>',
+                '    </testcase>',
+                '  </testsuite>',
+                '</testsuites>',
+                '',
+            ].join('\n')
+        );
+    });
+
+    it('should announce the screenshot of a failed step as attachment', () => {
+        const xml = toJUnitXml([
+            {
+                name: 'Smoke',
+                passed: false,
+                duration: 10,
+                events: [],
+                steps: [
+                    {
+                        name: 'close',
+                        action: 'close',
+                        status: 'failed',
+                        duration: 10,
+                        error: 'Failed to close instance',
+                        screenshot: 'screenshots/Smoke-step1.png',
+                    },
+                ],
+            },
+        ]);
+
+        expect(xml).toContain(
+            '      <system-out>[[ATTACHMENT|screenshots/Smoke-step1.png]]</system-out>\n    </testcase>'
+        );
+    });
+
+    it('should strip control characters from device output', () => {
+        const xml = toJUnitXml([
+            {
+                name: 'Log',
+                passed: false,
+                duration: 0,
+                events: [],
+                steps: [
+                    {
+                        name: 'a\u0007b',
+                        action: 'sleep',
+                        status: 'passed',
+                        duration: 0,
+                        error: null,
+                    },
+                ],
+            },
+        ]);
+        expect(xml).toContain('name="ab"');
+    });
+});
@@ -0,0 +1,215 @@
+/**
+ * @typedef {Object} MetricsOptions
+ * @property {number} [interval=5000] - Time between samples in milliseconds.
+ * @property {boolean} [monitor=true] - Sample the process memory from Thunder's Monitor plugin.
+ * @property {string} [output] - Write the summary to this file at quit, ".csv" files get the samples as CSV.
+ *
+ * @typedef {Object} ProcessMemory - Memory of the browser process as reported by the Monitor plugin, in bytes.
+ * @property {number|null} resident - Resident set size.
+ * @property {number|null} allocated - Allocated memory.
+ * @property {number|null} shared - Shared memory.
+ *
+ * @typedef {Object} MetricsSample
+ * @property {number} timestamp - Time of the sample in milliseconds since the epoch.
+ * @property {number|null} jsHeap - JavaScript heap size in bytes, null when the Memory domain is not available.
+ * @property {number|null} pageMemory - Memory of all categories tracked by WebKit (JavaScript, JIT, images, layers, page, other) in bytes.
+ * @property {Object<string, number>|null} categories - Bytes per WebKit memory category.
+ * @property {number} gcCount - Garbage collections since the previous sample.
+ * @property {number} gcDuration - Time spent in those garbage collections in milliseconds.
+ * @property {number|null} resident - Resident memory of the browser process in bytes, null without Monitor.
+ * @property {number|null} allocated - Allocated memory of the browser process in bytes.
+ * @property {number|null} shared - Shared memory of the browser process in bytes.
+ *
+ * @typedef {Object} MetricStats
+ * @property {number} min - Smallest value.
+ * @property {number} max - Largest value.
+ * @property {number} average - Average value, rounded.
+ * @property {number} first - First value.
+ * @property {number} last - Last value.
+ *
+ * @typedef {Object} MetricsSummary
+ * @property {number} samples - Number of samples.
+ * @property {number|null} startedAt - Time of the first sample.
+ * @property {number|null} endedAt - Time of the last sample.
+ * @property {MetricStats|null} jsHeap - JavaScript heap statistics, null when never sampled.
+ * @property {MetricStats|null} pageMemory - Tracked page memory statistics.
+ * @property {MetricStats|null} resident - Resident process memory statistics.
+ * @property {number} gcCount - Garbage collections over all samples.
+ * @property {number} gcDuration - Time spent in garbage collection over all samples in milliseconds.
+ *
+ * @typedef {Object} MetricsCollector
+ * @property {(message: { method: string, params?: Object }) => void} handle - Processes a WebInspector `Memory` or `Heap` notification.
+ * @property {() => void} start - Starts sampling at the configured interval.
+ * @property {() => void} stop - Stops sampling.
+ * @property {() => void} reset - Forgets the tracked page memory, called when the page goes away.
+ * @property {() => Promise<MetricsSample>} sample - Takes a sample right away.
+ * @property {() => MetricsSample[]} samples - Returns the samples taken so far.
+ */
+
+/** Columns of the CSV export, in order */
+const CSV_COLUMNS = [
+    'timestamp',
+    'jsHeap',
+    'pageMemory',
+    'gcCount',
+    'gcDuration',
+    'resident',
+    'allocated',
+    'shared',
+];
+
+/**
+ * Creates a collector sampling the memory of the page and the browser process.
+ * WebKit pushes the page memory through `Memory.trackingUpdate` and garbage collections through
+ * `Heap.garbageCollected`, the collector keeps the latest values and combines them with the process
+ * memory when a sample is taken.
+ * @param {MetricsOptions} options - Sampling options.
+ * @param {() => Promise<ProcessMemory|null>} readProcessMemory - Reads the process memory, null when not available.
+ * @param {(sample: MetricsSample) => void} onSample - Called with every sample.
+ * @returns {MetricsCollector} The collector.
+ */
+export function createMetricsCollector(options, readProcessMemory, onSample) {
+    const { interval = 5000 } = options;
+    /** @type {MetricsSample[]} */
+    const taken = [];
+    /** @type {Object<string, number>|null} */
+    let categories = null;
+    let gcCount = 0;
+    let gcDuration = 0;
+    let timer = null;
+
+    /**
+     * Processes a WebInspector notification, other domains are ignored.
+     * @param {{ method: string, params?: Object }} message - The notification.
+     */
+    function handle({ method, params }) {
+        if (method === 'Memory.trackingUpdate' && params?.event?.categories) {
+            categories = Object.fromEntries(
+                params.event.categories.map(({ type, size }) => [type, size])
+            );
+        } else if (method === 'Heap.garbageCollected' && params?.collection) {
+            const { startTime, endTime } = params.collection;
+            gcCount += 1;
+            // WebKit reports the collection times in seconds
+            gcDuration += Math.max(0, (endTime - startTime) * 1000);
+        }
+    }
+
+    /**
+     * Takes a sample, the garbage collection counters restart afterwards.
+     * @returns {Promise<MetricsSample>} Resolves with the sample.
+     */
+    async function sample() {
+        const memory = await readProcessMemory();
+
+        /** @type {MetricsSample} */
+        const result = {
+            timestamp: Date.now(),
+            jsHeap: categories?.javascript ?? null,
+            pageMemory: categories
+                ? Object.values(categories).reduce((total, size) => total + size, 0)
+                : null,
+            categories: categories && { ...categories },
+            gcCount,
+            gcDuration: Math.round(gcDuration),
+            resident: memory?.resident ?? null,
+            allocated: memory?.allocated ?? null,
+            shared: memory?.shared ?? null,
+        };
+
+        gcCount = 0;
+        gcDuration = 0;
+        taken.push(result);
+        onSample(result);
+        return result;
+    }
+
+    /**
+     * Starts sampling, a running collector keeps its interval.
+     */
+    function start() {
+        if (timer) return;
+        // A slow Monitor response must not stop the sampling, its error is already handled by the reader
+        timer = setInterval(() => sample().catch(() => {}), interval);
+    }
+
+    /**
+     * Stops sampling.
+     */
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    /**
+     * Forgets the tracked page memory so samples without a page don't repeat the last values.
+     */
+    function reset() {
+        categories = null;
+    }
+
+    return { handle, start, stop, reset, sample, samples: () => [...taken] };
+}
+
+/**
+ * Computes min, max, average, first and last of the non-null values.
+ * @param {(number|null)[]} values - The values.
+ * @returns {MetricStats|null} The statistics, null when there is no value.
+ */
+function stats(values) {
+    const present = values.filter((value) => value !== null);
+    if (!present.length) return null;
+
+    return {
+        min: Math.min(...present),
+        max: Math.max(...present),
+        average: Math.round(present.reduce((total, value) => total + value, 0) / present.length),
+        first: present[0],
+        last: present[present.length - 1],
+    };
+}
+
+/**
+ * Summarizes samples, growth between `first` and `last` hints at leaks.
+ * @param {MetricsSample[]} samples - The samples.
+ * @returns {MetricsSummary} The summary.
+ */
+export function summarizeMetrics(samples) {
+    const column = (name) => samples.map((sample) => sample[name]);
+    const total = (name) => column(name).reduce((sum, value) => sum + value, 0);
+
+    return {
+        samples: samples.length,
+        startedAt: samples.length ? samples[0].timestamp : null,
+        endedAt: samples.length ? samples[samples.length - 1].timestamp : null,
+        jsHeap: stats(column('jsHeap')),
+        pageMemory: stats(column('pageMemory')),
+        resident: stats(column('resident')),
+        gcCount: total('gcCount'),
+        gcDuration: total('gcDuration'),
+    };
+}
+
+/**
+ * Renders samples as CSV with a header line, missing values are left empty.
+ * @param {MetricsSample[]} samples - The samples.
+ * @returns {string} The CSV document.
+ */
+export function metricsToCsv(samples) {
+    const rows = samples.map((sample) =>
+        CSV_COLUMNS.map((name) =>
+            name === 'timestamp' ? new Date(sample.timestamp).toISOString() : (sample[name] ?? '')
+        ).join(',')
+    );
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Formats a byte count for event messages.
+ * @param {number} bytes - The byte count.
+ * @returns {string} The size in KB or MB.
+ */
+export function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
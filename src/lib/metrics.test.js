@@ -0,0 +1,151 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createMetricsCollector, summarizeMetrics, metricsToCsv, formatBytes } from './metrics.js';
+
+const trackingUpdate = (javascript, images) => ({
+    method: 'Memory.trackingUpdate',
+    params: {
+        event: {
+            timestamp: 1,
+            categories: [
+                { type: 'javascript', size: javascript },
+                { type: 'images', size: images },
+            ],
+        },
+    },
+});
+
+const garbageCollected = (startTime, endTime) => ({
+    method: 'Heap.garbageCollected',
+    params: { collection: { type: 'full', startTime, endTime } },
+});
+
+describe('createMetricsCollector', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should combine the page memory, collections and process memory', async () => {
+        const onSample = vi.fn();
+        const collector = createMetricsCollector(
+            {},
+            async () => ({ resident: 4096, allocated: null, shared: 1024 }),
+            onSample
+        );
+
+        collector.handle(trackingUpdate(1000, 500));
+        collector.handle(garbageCollected(1, 1.004));
+        collector.handle(garbageCollected(2, 2.002));
+        collector.handle({ method: 'Page.loadEventFired', params: {} });
+        const sample = await collector.sample();
+
+        expect(sample).toMatchObject({
+            jsHeap: 1000,
+            pageMemory: 1500,
+            categories: { javascript: 1000, images: 500 },
+            gcCount: 2,
+            gcDuration: 6,
+            resident: 4096,
+            allocated: null,
+            shared: 1024,
+        });
+        expect(onSample).toHaveBeenCalledWith(sample);
+
+        // Collections are counted per sample, the page memory is gone after a reset
+        collector.reset();
+        expect(await collector.sample()).toMatchObject({
+            jsHeap: null,
+            pageMemory: null,
+            gcCount: 0,
+        });
+        expect(collector.samples()).toHaveLength(2);
+    });
+
+    it('should sample at the interval until stopped', async () => {
+        vi.useFakeTimers();
+        const collector = createMetricsCollector(
+            { interval: 1000 },
+            async () => null,
+            () => {}
+        );
+
+        collector.start();
+        await vi.advanceTimersByTimeAsync(3500);
+        collector.stop();
+        await vi.advanceTimersByTimeAsync(3000);
+
+        expect(collector.samples()).toHaveLength(3);
+    });
+});
+
+describe('summarizeMetrics', () => {
+    it('should compute statistics over the present values', () => {
+        const samples = [
+            {
+                timestamp: 1000,
+                jsHeap: 100,
+                pageMemory: null,
+                resident: 10,
+                gcCount: 1,
+                gcDuration: 5,
+            },
+            {
+                timestamp: 2000,
+                jsHeap: 300,
+                pageMemory: null,
+                resident: null,
+                gcCount: 2,
+                gcDuration: 3,
+            },
+            {
+                timestamp: 3000,
+                jsHeap: 200,
+                pageMemory: null,
+                resident: 30,
+                gcCount: 0,
+                gcDuration: 0,
+            },
+        ];
+
+        expect(summarizeMetrics(samples)).toEqual({
+            samples: 3,
+            startedAt: 1000,
+            endedAt: 3000,
+            jsHeap: { min: 100, max: 300, average: 200, first: 100, last: 200 },
+            pageMemory: null,
+            resident: { min: 10, max: 30, average: 20, first: 10, last: 30 },
+            gcCount: 3,
+            gcDuration: 8,
+        });
+        expect(summarizeMetrics([])).toMatchObject({ samples: 0, startedAt: null, jsHeap: null });
+    });
+});
+
+describe('metricsToCsv', () => {
+    it('should write a row per sample with empty missing values', () => {
+        const csv = metricsToCsv([
+            {
+                timestamp: Date.UTC(2024, 0, 1),
+                jsHeap: 100,
+                pageMemory: 150,
+                categories: null,
+                gcCount: 1,
+                gcDuration: 2,
+                resident: null,
+                allocated: null,
+                shared: null,
+            },
+        ]);
+
+        expect(csv).toBe(
+            'timestamp,jsHeap,pageMemory,gcCount,gcDuration,resident,allocated,shared\n' +
+                '2024-01-01T00:00:00.000Z,100,150,1,2,,,\n'
+        );
+    });
+});
+
+describe('formatBytes', () => {
+    it('should format kilobytes and megabytes', () => {
+        expect(formatBytes(1536)).toBe('1.5 KB');
+        expect(formatBytes(5 * 1024 * 1024)).toBe('5.0 MB');
+    });
+});
@@ -0,0 +1,268 @@
+/**
+ * @typedef {Object} NetworkTimings - Phases of a request in milliseconds, -1 when WebKit did not report them.
+ * @property {number} blocked - Waiting in the queue before the connection was set up.
+ * @property {number} dns - DNS lookup.
+ * @property {number} connect - TCP connection, including the TLS handshake.
+ * @property {number} ssl - TLS handshake.
+ * @property {number} send - Sending the request.
+ * @property {number} wait - Waiting for the first byte of the response.
+ * @property {number} receive - Receiving the response.
+ *
+ * @typedef {Object} NetworkRequest
+ * @property {string} requestId - WebInspector request ID, redirects share the ID of the original request.
+ * @property {string} url - Request URL.
+ * @property {string} method - HTTP method.
+ * @property {string|null} resourceType - Resource type reported by WebKit (e.g. "Document", "Script", "XHR").
+ * @property {Object<string, string>} requestHeaders - Request headers.
+ * @property {string|null} postData - Request body, if any.
+ * @property {number|null} status - HTTP status, null while pending or when the request failed before a response.
+ * @property {string|null} statusText - HTTP status text.
+ * @property {string|null} mimeType - MIME type of the response.
+ * @property {Object<string, string>} responseHeaders - Response headers.
+ * @property {string|null} protocol - Network protocol (e.g. "http/1.1", "h2").
+ * @property {string|null} remoteAddress - Address of the server.
+ * @property {boolean} fromCache - True when the response came from the memory or disk cache.
+ * @property {number} startedAt - Device-side time the request started, in ms since epoch.
+ * @property {number|null} duration - Time from start to finish or failure in milliseconds.
+ * @property {number|null} size - Bytes received over the network.
+ * @property {number|null} decodedSize - Size of the decoded response body in bytes.
+ * @property {NetworkTimings|null} timings - Timing breakdown, null when WebKit did not report it.
+ * @property {string|null} errorText - Failure reason for failed requests.
+ * @property {boolean} canceled - True when the request was canceled.
+ *
+ * @typedef {Object} NetworkEvent
+ * @property {'network-request'|'network-response'|'network-failed'} type - A request started, finished or failed.
+ * @property {NetworkRequest} request - The request, complete for "network-response" and "network-failed".
+ *
+ * @typedef {Object} NetworkCapture
+ * @property {(message: { method: string, params?: Object }) => NetworkEvent[]} handle - Processes a `Network.*` notification.
+ * @property {() => void} reset - Drops the requests in flight, e.g. after the page was reloaded.
+ */
+
+/**
+ * Returns the duration between two WebKit monotonic timestamps (seconds).
+ * @param {number|undefined} start - Start timestamp.
+ * @param {number|undefined} end - End timestamp.
+ * @returns {number|null} Milliseconds, null when either is unknown.
+ */
+function elapsed(start, end) {
+    if (typeof start !== 'number' || typeof end !== 'number') return null;
+    return Math.max(0, Math.round((end - start) * 1000 * 1000) / 1000);
+}
+
+/**
+ * Returns the time between two resource timing marks, or -1 when either was not reported.
+ * @param {number|undefined} from - Start mark in ms relative to the start of the request.
+ * @param {number|undefined} to - End mark in ms relative to the start of the request.
+ * @returns {number} Milliseconds or -1.
+ */
+function span(from, to) {
+    if (typeof from !== 'number' || typeof to !== 'number' || from < 0 || to < 0) return -1;
+    return Math.max(0, to - from);
+}
+
+/**
+ * Converts a WebKit `Network.ResourceTiming` into a timing breakdown.
+ * @param {Object|undefined} timing - The resource timing, marks are ms relative to `startTime`.
+ * @param {number|null} duration - Total duration of the request in milliseconds.
+ * @returns {NetworkTimings|null} The timings, null when the request was not timed.
+ */
+function toTimings(timing, duration) {
+    if (!timing || typeof timing.requestStart !== 'number' || timing.requestStart < 0) return null;
+
+    const dns = span(timing.domainLookupStart, timing.domainLookupEnd);
+    const connect = span(timing.connectStart, timing.connectEnd);
+    const ssl = span(timing.secureConnectionStart, timing.connectEnd);
+    const wait = Math.max(0, span(timing.requestStart, timing.responseStart));
+    const responseStart = timing.responseStart >= 0 ? timing.responseStart : timing.requestStart;
+    const receive =
+        duration === null
+            ? Math.max(0, span(responseStart, timing.responseEnd))
+            : Math.max(0, duration - responseStart);
+
+    return {
+        blocked: Math.max(0, timing.requestStart - Math.max(dns, 0) - Math.max(connect, 0)),
+        dns,
+        connect,
+        ssl,
+        send: 0,
+        wait,
+        receive,
+    };
+}
+
+/**
+ * Creates a tracker turning WebInspector `Network.*` notifications into request lifecycle events.
+ * Redirects complete the current request with the redirect response and continue under the same ID.
+ * @returns {NetworkCapture} The capture.
+ */
+export function createNetworkCapture() {
+    /** @type {Map<string, { request: NetworkRequest, startTimestamp: number, timing?: Object, bytes: number, decodedBytes: number }>} */
+    const inFlight = new Map();
+
+    /**
+     * Starts tracking a request.
+     * @param {Object} params - `Network.requestWillBeSent` params.
+     * @returns {NetworkRequest} The request.
+     */
+    function begin(params) {
+        const { request = {} } = params;
+
+        /** @type {NetworkRequest} */
+        const entry = {
+            requestId: params.requestId,
+            url: request.url,
+            method: request.method || 'GET',
+            resourceType: params.type || null,
+            requestHeaders: request.headers || {},
+            postData: request.postData ?? null,
+            status: null,
+            statusText: null,
+            mimeType: null,
+            responseHeaders: {},
+            protocol: null,
+            remoteAddress: null,
+            fromCache: false,
+            startedAt:
+                typeof params.walltime === 'number'
+                    ? Math.round(params.walltime * 1000)
+                    : Date.now(),
+            duration: null,
+            size: null,
+            decodedSize: null,
+            timings: null,
+            errorText: null,
+            canceled: false,
+        };
+
+        inFlight.set(params.requestId, {
+            request: entry,
+            startTimestamp: params.timestamp,
+            bytes: 0,
+            decodedBytes: 0,
+        });
+        return entry;
+    }
+
+    /**
+     * Copies a WebKit `Network.Response` onto a request.
+     * @param {NetworkRequest} entry - The request.
+     * @param {Object} response - The response.
+     */
+    function applyResponse(entry, response) {
+        entry.status = response.status ?? null;
+        entry.statusText = response.statusText ?? null;
+        entry.mimeType = response.mimeType ?? null;
+        entry.responseHeaders = response.headers || {};
+        entry.fromCache = response.source === 'memory-cache' || response.source === 'disk-cache';
+        if (response.requestHeaders) entry.requestHeaders = response.requestHeaders;
+    }
+
+    /**
+     * Stops tracking a request and fills in its duration and timings.
+     * @param {string} requestId - The request ID.
+     * @param {number} timestamp - WebKit timestamp of the end of the request.
+     * @returns {NetworkRequest|null} The request, null when it was not tracked.
+     */
+    function end(requestId, timestamp) {
+        const tracked = inFlight.get(requestId);
+        if (!tracked) return null;
+        inFlight.delete(requestId);
+
+        const { request } = tracked;
+        request.duration = elapsed(tracked.startTimestamp, timestamp);
+        request.timings = toTimings(tracked.timing, request.duration);
+        if (tracked.bytes) request.size = tracked.bytes;
+        if (tracked.decodedBytes) request.decodedSize = tracked.decodedBytes;
+        return request;
+    }
+
+    /**
+     * Processes a `Network.*` notification.
+     * @param {{ method: string, params?: Object }} message - The notification.
+     * @returns {NetworkEvent[]} The resulting events, empty for notifications that don't change a request's lifecycle.
+     */
+    function handle(message) {
+        const params = message.params || {};
+        const tracked = inFlight.get(params.requestId);
+
+        switch (message.method) {
+            case 'Network.requestWillBeSent': {
+                /** @type {NetworkEvent[]} */
+                const events = [];
+                if (params.redirectResponse && tracked) {
+                    applyResponse(tracked.request, params.redirectResponse);
+                    tracked.timing = params.redirectResponse.timing;
+                    events.push({
+                        type: 'network-response',
+                        request: end(params.requestId, params.timestamp),
+                    });
+                }
+                events.push({ type: 'network-request', request: begin(params) });
+                return events;
+            }
+            case 'Network.responseReceived':
+                if (!tracked || !params.response) return [];
+                applyResponse(tracked.request, params.response);
+                tracked.timing = params.response.timing;
+                return [];
+            case 'Network.dataReceived':
+                if (!tracked) return [];
+                tracked.bytes += params.encodedDataLength || 0;
+                tracked.decodedBytes += params.dataLength || 0;
+                return [];
+            case 'Network.loadingFinished': {
+                if (!tracked) return [];
+                const { metrics } = params;
+                if (metrics) {
+                    tracked.request.protocol = metrics.protocol ?? null;
+                    tracked.request.remoteAddress = metrics.remoteAddress ?? null;
+                    if (typeof metrics.responseBodyBytesReceived === 'number') {
+                        tracked.bytes = metrics.responseBodyBytesReceived;
+                    }
+                    if (typeof metrics.responseBodyDecodedSize === 'number') {
+                        tracked.decodedBytes = metrics.responseBodyDecodedSize;
+                    }
+                }
+                return [
+                    { type: 'network-response', request: end(params.requestId, params.timestamp) },
+                ];
+            }
+            case 'Network.loadingFailed': {
+                if (!tracked) return [];
+                tracked.request.errorText = params.errorText || 'Failed';
+                tracked.request.canceled = Boolean(params.canceled);
+                return [
+                    { type: 'network-failed', request: end(params.requestId, params.timestamp) },
+                ];
+            }
+            case 'Network.requestServedFromMemoryCache': {
+                const { resource = {} } = params;
+                const request = begin({
+                    ...params,
+                    request: { url: resource.url, method: 'GET' },
+                    type: resource.type,
+                });
+                applyResponse(request, { ...resource, source: 'memory-cache' });
+                const finished = end(params.requestId, params.timestamp);
+                finished.size = 0;
+                finished.decodedSize = resource.bodySize ?? null;
+                return [
+                    { type: 'network-request', request: finished },
+                    { type: 'network-response', request: finished },
+                ];
+            }
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Drops the requests in flight.
+     */
+    function reset() {
+        inFlight.clear();
+    }
+
+    return { handle, reset };
+}
@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest';
+import { createNetworkCapture } from './networkCapture.js';
+
+const request = (requestId, url, extra = {}) => ({
+    method: 'Network.requestWillBeSent',
+    params: {
+        requestId,
+        timestamp: 100,
+        walltime: 1700000000,
+        type: 'Script',
+        request: { url, method: 'GET', headers: { Accept: '*/*' } },
+        ...extra,
+    },
+});
+
+describe('createNetworkCapture', () => {
+    it('should report a finished request with status, size and timings', () => {
+        const capture = createNetworkCapture();
+
+        const [started] = capture.handle(request('1', 'https://cdn.example.com/app.js'));
+        expect(started.type).toBe('network-request');
+        expect(started.request).toMatchObject({
+            url: 'https://cdn.example.com/app.js',
+            method: 'GET',
+            resourceType: 'Script',
+            startedAt: 1700000000000,
+            status: null,
+        });
+
+        expect(
+            capture.handle({
+                method: 'Network.responseReceived',
+                params: {
+                    requestId: '1',
+                    timestamp: 100.05,
+                    response: {
+                        status: 200,
+                        statusText: 'OK',
+                        mimeType: 'text/javascript',
+                        headers: { 'Content-Type': 'text/javascript' },
+                        source: 'network',
+                        timing: {
+                            startTime: 100,
+                            domainLookupStart: 1,
+                            domainLookupEnd: 6,
+                            connectStart: 6,
+                            connectEnd: 20,
+                            secureConnectionStart: 10,
+                            requestStart: 25,
+                            responseStart: 50,
+                            responseEnd: -1,
+                        },
+                    },
+                },
+            })
+        ).toEqual([]);
+        capture.handle({
+            method: 'Network.dataReceived',
+            params: { requestId: '1', dataLength: 4000, encodedDataLength: 1200 },
+        });
+
+        const [finished] = capture.handle({
+            method: 'Network.loadingFinished',
+            params: { requestId: '1', timestamp: 100.08, metrics: { protocol: 'h2' } },
+        });
+
+        expect(finished.type).toBe('network-response');
+        expect(finished.request).toMatchObject({
+            status: 200,
+            mimeType: 'text/javascript',
+            protocol: 'h2',
+            size: 1200,
+            decodedSize: 4000,
+            duration: 80,
+            fromCache: false,
+        });
+        expect(finished.request.timings).toEqual({
+            blocked: 6,
+            dns: 5,
+            connect: 14,
+            ssl: 10,
+            send: 0,
+            wait: 25,
+            receive: 30,
+        });
+    });
+
+    it('should report failed requests', () => {
+        const capture = createNetworkCapture();
+        capture.handle(request('2', 'https://api.example.com/config'));
+
+        const [failed] = capture.handle({
+            method: 'Network.loadingFailed',
+            params: { requestId: '2', timestamp: 100.5, errorText: 'Could not resolve host' },
+        });
+
+        expect(failed.type).toBe('network-failed');
+        expect(failed.request).toMatchObject({
+            errorText: 'Could not resolve host',
+            canceled: false,
+            status: null,
+            duration: 500,
+        });
+    });
+
+    it('should complete a redirected request and continue under the same ID', () => {
+        const capture = createNetworkCapture();
+        capture.handle(request('3', 'http://example.com/'));
+
+        const events = capture.handle(
+            request('3', 'https://example.com/', {
+                timestamp: 100.1,
+                redirectResponse: {
+                    status: 301,
+                    statusText: 'Moved Permanently',
+                    headers: { Location: 'https://example.com/' },
+                },
+            })
+        );
+
+        expect(events.map((event) => event.type)).toEqual(['network-response', 'network-request']);
+        expect(events[0].request).toMatchObject({ url: 'http://example.com/', status: 301 });
+        expect(events[1].request).toMatchObject({ url: 'https://example.com/', status: null });
+    });
+
+    it('should report requests served from the memory cache', () => {
+        const capture = createNetworkCapture();
+        const events = capture.handle({
+            method: 'Network.requestServedFromMemoryCache',
+            params: {
+                requestId: '4',
+                timestamp: 100,
+                resource: {
+                    url: 'https://example.com/logo.png',
+                    type: 'Image',
+                    status: 200,
+                    bodySize: 512,
+                },
+            },
+        });
+
+        expect(events.map((event) => event.type)).toEqual(['network-request', 'network-response']);
+        expect(events[1].request).toMatchObject({
+            fromCache: true,
+            status: 200,
+            size: 0,
+            decodedSize: 512,
+            duration: 0,
+        });
+    });
+
+    it('should ignore unknown requests and drop requests in flight on reset', () => {
+        const capture = createNetworkCapture();
+        capture.handle(request('5', 'https://example.com/slow'));
+        capture.reset();
+
+        expect(
+            capture.handle({
+                method: 'Network.loadingFinished',
+                params: { requestId: '5', timestamp: 101 },
+            })
+        ).toEqual([]);
+    });
+});
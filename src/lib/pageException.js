@@ -0,0 +1,77 @@
+/**
+ * @typedef {'exception'|'unhandled-rejection'} PageExceptionKind
+ *
+ * @typedef {Object} OriginalPosition - Location in the original source, resolved through a source map.
+ * @property {string} source - URL or path of the original source file.
+ * @property {number} line - 1-based line number.
+ * @property {number} column - 1-based column number.
+ * @property {string|null} name - Original name of the symbol, if the source map records it.
+ *
+ * @typedef {import("./consoleMessage.js").StackFrame & { original?: OriginalPosition|null }} PageStackFrame
+ *
+ * @typedef {Object} PageException
+ * @property {PageExceptionKind} kind - Uncaught exception or unhandled promise rejection.
+ * @property {string} text - Message text as reported by WebKit.
+ * @property {string} message - The error without the "Unhandled Promise Rejection:" prefix.
+ * @property {string|null} url - URL of the script that threw.
+ * @property {number|null} line - 1-based line number in the script.
+ * @property {number|null} column - 1-based column number in the script.
+ * @property {OriginalPosition|null} [original] - Original location, when resolved through a source map.
+ * @property {PageStackFrame[]} stackTrace - Call stack at the time of the exception.
+ * @property {number} timestamp - Host-side time the exception was received, in ms since epoch.
+ * @property {number|null} deviceTimestamp - Device-side time, in ms since epoch.
+ *
+ * imports
+ * @typedef {import("./consoleMessage.js").ConsoleMessage} ConsoleMessage
+ */
+
+/** Prefix WebKit puts in front of the reason of unhandled rejections */
+const REJECTION_PREFIX = 'Unhandled Promise Rejection: ';
+
+/**
+ * Checks whether a console message reports an uncaught exception or unhandled rejection.
+ * WebKit reports both as error messages with the "javascript" source instead of a separate event.
+ * @param {ConsoleMessage} message - The console message.
+ * @returns {boolean} True for exceptions.
+ */
+export function isPageException(message) {
+    return message.origin === 'javascript' && message.level === 'error';
+}
+
+/**
+ * Converts a console message reporting an exception into a page exception.
+ * @param {ConsoleMessage} message - The console message, see `isPageException`.
+ * @returns {PageException} The exception.
+ */
+export function toPageException(message) {
+    const rejection = message.text.startsWith(REJECTION_PREFIX);
+
+    return {
+        kind: rejection ? 'unhandled-rejection' : 'exception',
+        text: message.text,
+        message: rejection ? message.text.slice(REJECTION_PREFIX.length) : message.text,
+        url: message.url,
+        line: message.line,
+        column: message.column,
+        stackTrace: message.stackTrace.map((frame) => ({ ...frame })),
+        timestamp: message.timestamp,
+        deviceTimestamp: message.deviceTimestamp,
+    };
+}
+
+/**
+ * Formats the stack of an exception like a JavaScript stack trace, preferring original locations.
+ * @param {PageStackFrame[]} stackTrace - The frames.
+ * @returns {string} One "    at" line per frame.
+ */
+export function formatStack(stackTrace) {
+    return stackTrace
+        .map((frame) => {
+            const { original, functionName: name } = frame;
+            const location = original
+                ? `${original.source}:${original.line}:${original.column}`
+                : `${frame.url}:${frame.line}:${frame.column}`;
+            return name ? `    at ${name} (${location})` : `    at ${location}`;
+        })
+        .join('\n');
+}
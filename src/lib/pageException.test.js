@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { isPageException, toPageException, formatStack } from './pageException.js';
+import { normalizeConsoleMessage } from './consoleMessage.js';
+
+const exceptionMessage = (text) =>
+    normalizeConsoleMessage(
+        {
+            source: 'javascript',
+            level: 'error',
+            text,
+            url: 'https://example.com/app.min.js',
+            line: 1,
+            column: 3012,
+            stackTrace: [
+                {
+                    functionName: 'onLoad',
+                    url: 'https://example.com/app.min.js',
+                    lineNumber: 1,
+                    columnNumber: 3012,
+                },
+                {
+                    functionName: '',
+                    url: 'https://example.com/app.min.js',
+                    lineNumber: 1,
+                    columnNumber: 80,
+                },
+            ],
+        },
+        1000
+    );
+
+describe('isPageException', () => {
+    it('should only match errors reported by the JavaScript engine', () => {
+        expect(isPageException(exceptionMessage('TypeError: x is undefined'))).toBe(true);
+        expect(
+            isPageException(
+                normalizeConsoleMessage({ source: 'console-api', level: 'error', text: 'x' })
+            )
+        ).toBe(false);
+        expect(
+            isPageException(
+                normalizeConsoleMessage({ source: 'javascript', level: 'warning', text: 'x' })
+            )
+        ).toBe(false);
+    });
+});
+
+describe('toPageException', () => {
+    it('should convert uncaught exceptions', () => {
+        expect(toPageException(exceptionMessage('TypeError: x is undefined'))).toMatchObject({
+            kind: 'exception',
+            text: 'TypeError: x is undefined',
+            message: 'TypeError: x is undefined',
+            url: 'https://example.com/app.min.js',
+            line: 1,
+            column: 3012,
+            timestamp: 1000,
+        });
+    });
+
+    it('should strip the prefix of unhandled rejections', () => {
+        const exception = toPageException(
+            exceptionMessage('Unhandled Promise Rejection: Error: Request failed')
+        );
+        expect(exception.kind).toBe('unhandled-rejection');
+        expect(exception.message).toBe('Error: Request failed');
+    });
+});
+
+describe('formatStack', () => {
+    it('should prefer the original locations', () => {
+        const { stackTrace } = toPageException(exceptionMessage('Error'));
+        stackTrace[0].original = { source: 'src/app.ts', line: 42, column: 7, name: null };
+
+        expect(formatStack(stackTrace)).toBe(
+            '    at onLoad (src/app.ts:42:7)\n    at https://example.com/app.min.js:1:80'
+        );
+    });
+});
@@ -0,0 +1,202 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * @typedef {'jsonl'|'text'} RecordFormat
+ *
+ * @typedef {Object} RecordOptions
+ * @property {string} path - Path of the log files without extension, e.g. "logs/soak" writes "logs/soak.jsonl".
+ * @property {RecordFormat[]} [formats=['jsonl']] - Formats to write, JSONL and/or a human readable log.
+ * @property {number} [maxBytes] - Start a new file once the current one exceeds this size.
+ * @property {number} [maxAge] - Start a new file once the current one is older than this, in milliseconds.
+ *
+ * @typedef {Object} SessionHeader
+ * @property {string} host - The host of the Thunder instance.
+ * @property {string} callsign - Callsign of the browser plugin.
+ * @property {string|null} [url] - The launched URL, if any.
+ *
+ * @typedef {Object} Recorder
+ * @property {(event: import("../index.js").SessionEvent) => void} write - Records a session event.
+ * @property {(url: string) => void} setUrl - Updates the URL recorded in the header of the next files.
+ * @property {() => string[]} files - Lists the files written so far.
+ * @property {() => void} close - Closes the current files.
+ */
+
+const EXTENSIONS = { jsonl: '.jsonl', text: '.log' };
+
+/**
+ * Formats an event as a single line of the human readable log.
+ * @param {import("../index.js").SessionEvent} event - The event.
+ * @param {Date} time - Time the event was recorded.
+ * @returns {string} The log line.
+ */
+function formatTextLine(event, time) {
+    const level = event.type === 'console' && event.data ? `.${event.data.level}` : '';
+    const hasLocation = event.type === 'console' || event.type === 'exception';
+    const location =
+        hasLocation && event.data?.url
+            ? ` (${event.data.url}:${event.data.line ?? 0}:${event.data.column ?? 0})`
+            : '';
+    return `${time.toISOString()} [${event.source}] ${event.type}${level}: ${event.message}${location}\n`;
+}
+
+/**
+ * Creates a recorder writing session events to JSONL and/or plain-text files with optional rotation.
+ * Every file starts with a header recording the host, callsign, URL and start time of the session.
+ * Rotated files get a sequence number, e.g. "soak.jsonl", "soak.1.jsonl", "soak.2.jsonl".
+ * A failed write, e.g. on a full disk, stops the recording instead of throwing at the caller.
+ * @param {RecordOptions} options - Record options.
+ * @param {SessionHeader} header - Session information written at the start of every file.
+ * @param {(error: Error) => void} [onError] - Called once when writing failed and the recording stopped.
+ * @returns {Recorder} The recorder.
+ */
+export function createRecorder(options, header, onError = () => {}) {
+    const { formats = ['jsonl'], maxBytes, maxAge } = options;
+    const startedAt = new Date();
+    const written = [];
+    let url = header.url || null;
+    let part = 0;
+    let openedAt = 0;
+
+    formats.forEach((format) => {
+        if (!EXTENSIONS[format]) throw new Error(`Unknown record format: ${format}`);
+    });
+
+    /** @type {{ format: RecordFormat, fd: number, bytes: number }[]} */
+    let sinks = [];
+
+    fs.mkdirSync(path.dirname(path.resolve(options.path)), { recursive: true });
+
+    /**
+     * Writes to a sink and keeps track of its size.
+     * @param {{ fd: number, bytes: number }} sink - The sink.
+     * @param {string} data - Data to write.
+     */
+    function append(sink, data) {
+        sink.bytes += fs.writeSync(sink.fd, data);
+    }
+
+    /**
+     * Opens the next set of files and writes their headers.
+     */
+    function open() {
+        const suffix = part === 0 ? '' : `.${part}`;
+        openedAt = Date.now();
+
+        sinks = formats.map((format) => {
+            const file = `${options.path}${suffix}${EXTENSIONS[format]}`;
+            const sink = { format, fd: fs.openSync(file, 'w'), bytes: 0 };
+            written.push(file);
+
+            if (format === 'jsonl') {
+                append(
+                    sink,
+                    JSON.stringify({
+                        type: 'session',
+                        host: header.host,
+                        callsign: header.callsign,
+                        url,
+                        startedAt: startedAt.toISOString(),
+                        part,
+                    }) + '\n'
+                );
+            } else {
+                append(
+                    sink,
+                    [
+                        `# ThunderWPEConsole session`,
+                        `# host: ${header.host}`,
+                        `# callsign: ${header.callsign}`,
+                        `# url: ${url ?? '-'}`,
+                        `# started: ${startedAt.toISOString()}`,
+                        `# part: ${part}`,
+                        '',
+                    ].join('\n')
+                );
+            }
+
+            return sink;
+        });
+    }
+
+    /**
+     * Closes the current files, later events are ignored.
+     */
+    function close() {
+        sinks.forEach((sink) => fs.closeSync(sink.fd));
+        sinks = [];
+    }
+
+    /**
+     * Stops recording after a failed write, the files are closed as far as possible.
+     * @param {Error} error - The write error.
+     */
+    function fail(error) {
+        const failed = sinks;
+        sinks = [];
+        failed.forEach((sink) => {
+            try {
+                fs.closeSync(sink.fd);
+            } catch (_) {
+                // Already unusable
+            }
+        });
+        onError(error);
+    }
+
+    /**
+     * Rotates the files when they grew too large or too old.
+     */
+    function rotateIfNeeded() {
+        const tooLarge = maxBytes && sinks.some((sink) => sink.bytes >= maxBytes);
+        const tooOld = maxAge && Date.now() - openedAt >= maxAge;
+        if (!tooLarge && !tooOld) return;
+
+        close();
+        part++;
+        open();
+    }
+
+    /**
+     * Records a session event.
+     * @param {import("../index.js").SessionEvent} event - The event.
+     */
+    function write(event) {
+        if (!sinks.length) return;
+
+        try {
+            rotateIfNeeded();
+
+            const time = new Date();
+            sinks.forEach((sink) => {
+                if (sink.format === 'jsonl') {
+                    append(sink, JSON.stringify({ time: time.toISOString(), ...event }) + '\n');
+                } else {
+                    append(sink, formatTextLine(event, time));
+                }
+            });
+        } catch (error) {
+            fail(error);
+        }
+    }
+
+    /**
+     * Updates the URL recorded in the header of the next files.
+     * @param {string} newUrl - The launched URL.
+     */
+    function setUrl(newUrl) {
+        url = newUrl;
+    }
+
+    /**
+     * Lists the files written so far.
+     * @returns {string[]} File paths.
+     */
+    function files() {
+        return [...written];
+    }
+
+    open();
+
+    return { write, setUrl, files, close };
+}
@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRecorder } from './recorder.js';
+
+const header = { host: '192.168.1.100', callsign: 'UX' };
+
+/**
+ * Reads a JSONL file into objects.
+ */
+function readJsonl(file) {
+    return fs
+        .readFileSync(file, 'utf8')
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line));
+}
+
+describe('Recorder', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thunderwpeconsole-'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should write a session header and events as JSONL', () => {
+        const recorder = createRecorder({ path: path.join(dir, 'logs', 'soak') }, header);
+        recorder.write({ type: 'connected', source: 'Thunder', message: 'Session connected' });
+        recorder.close();
+
+        const [session, event] = readJsonl(path.join(dir, 'logs', 'soak.jsonl'));
+        expect(session).toMatchObject({
+            type: 'session',
+            host: '192.168.1.100',
+            callsign: 'UX',
+            url: null,
+            part: 0,
+        });
+        expect(typeof session.startedAt).toBe('string');
+        expect(event).toMatchObject({
+            type: 'connected',
+            source: 'Thunder',
+            message: 'Session connected',
+        });
+        expect(typeof event.time).toBe('string');
+    });
+
+    it('should write a human readable log with console levels and locations', () => {
+        const recorder = createRecorder(
+            { path: path.join(dir, 'soak'), formats: ['text'] },
+            header
+        );
+        recorder.setUrl('https://example.com');
+        recorder.write({
+            type: 'console',
+            source: 'WebInspector',
+            message: 'Low memory',
+            data: { level: 'warn', url: 'https://example.com/app.js', line: 3, column: 7 },
+        });
+        recorder.close();
+
+        const lines = fs.readFileSync(path.join(dir, 'soak.log'), 'utf8').trim().split('\n');
+        expect(lines.slice(0, 3)).toEqual([
+            '# ThunderWPEConsole session',
+            '# host: 192.168.1.100',
+            '# callsign: UX',
+        ]);
+        expect(lines.at(-1)).toMatch(
+            /^\S+ \[WebInspector\] console\.warn: Low memory \(https:\/\/example\.com\/app\.js:3:7\)$/
+        );
+    });
+
+    it('should rotate files by size and record the launched URL in new headers', () => {
+        const recorder = createRecorder({ path: path.join(dir, 'soak'), maxBytes: 200 }, header);
+        recorder.setUrl('https://example.com');
+        for (let i = 0; i < 5; i++) {
+            recorder.write({ type: 'console', source: 'WebInspector', message: `message ${i}` });
+        }
+        recorder.close();
+
+        expect(recorder.files().length).toBeGreaterThan(1);
+        const [session] = readJsonl(recorder.files()[1]);
+        expect(session).toMatchObject({ type: 'session', url: 'https://example.com', part: 1 });
+        expect(recorder.files()[1]).toBe(path.join(dir, 'soak.1.jsonl'));
+    });
+
+    it('should rotate files by age', () => {
+        vi.useFakeTimers();
+        const recorder = createRecorder(
+            { path: path.join(dir, 'soak'), formats: ['jsonl', 'text'], maxAge: 60000 },
+            header
+        );
+        recorder.write({ type: 'console', source: 'WebInspector', message: 'first' });
+        vi.advanceTimersByTime(60000);
+        recorder.write({ type: 'console', source: 'WebInspector', message: 'second' });
+        recorder.close();
+
+        expect(recorder.files().map((file) => path.basename(file))).toEqual([
+            'soak.jsonl',
+            'soak.log',
+            'soak.1.jsonl',
+            'soak.1.log',
+        ]);
+    });
+
+    it('should reject unknown formats', () => {
+        expect(() =>
+            createRecorder({ path: path.join(dir, 'soak'), formats: ['xml'] }, header)
+        ).toThrow('Unknown record format: xml');
+    });
+
+    it('should stop recording once a write failed', () => {
+        const onError = vi.fn();
+        const recorder = createRecorder({ path: path.join(dir, 'soak') }, header, onError);
+        const writeSync = vi.spyOn(fs, 'writeSync').mockImplementation(() => {
+            throw new Error('ENOSPC: no space left on device, write');
+        });
+
+        expect(() =>
+            recorder.write({ type: 'console', source: 'WebInspector', message: 'hello' })
+        ).not.toThrow();
+        recorder.write({ type: 'quit', source: 'UnifiedAPI', message: 'Session fully stopped' });
+        recorder.close();
+
+        expect(onError).toHaveBeenCalledTimes(1);
+        expect(onError.mock.calls[0][0].message).toMatch(/^ENOSPC/);
+        expect(writeSync).toHaveBeenCalledTimes(1);
+    });
+});
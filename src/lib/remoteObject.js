@@ -0,0 +1,63 @@
+import { inspect } from 'node:util';
+
+/**
+ * imports
+ * @typedef {import("./webInspector.js").RemoteObject} RemoteObject
+ * @typedef {import("./webInspector.js").PropertyDescriptor} PropertyDescriptor
+ */
+
+/** Maximum number of properties shown in an object preview */
+const MAX_PREVIEW_PROPERTIES = 20;
+
+/**
+ * Formats a remote object without looking at its properties, used for nested values.
+ * @param {RemoteObject} object - The remote object.
+ * @returns {string} Short representation.
+ */
+function formatShort(object) {
+    if (object.type === 'object' && object.subtype !== 'null' && !('value' in object)) {
+        if (object.subtype === 'array') return object.description || 'Array';
+        return `[${object.className || 'Object'}]`;
+    }
+
+    return formatRemoteObject(object);
+}
+
+/**
+ * Formats a WebInspector remote object the way Node prints values in its REPL.
+ * Objects are only previewed when their properties are passed, otherwise their description is used.
+ * @param {RemoteObject} object - The remote object.
+ * @param {PropertyDescriptor[]} [properties] - Own properties of the object from `getProperties`.
+ * @returns {string} Printable representation.
+ */
+export function formatRemoteObject(object, properties) {
+    if (!object || object.type === 'undefined') return 'undefined';
+    if (object.subtype === 'null') return 'null';
+
+    if (object.type === 'function') {
+        const name = object.description?.match(/^(?:async\s+)?function\*?\s*([\w$]*)/)?.[1];
+        return name ? `[Function: ${name}]` : '[Function (anonymous)]';
+    }
+
+    if (object.type === 'symbol' || object.type === 'bigint') return object.description;
+    if ('value' in object) return inspect(object.value);
+    if (!properties) return object.description || object.className || 'Object';
+
+    const visible = properties.filter((property) => property.enumerable && property.value);
+    const shown = visible.slice(0, MAX_PREVIEW_PROPERTIES);
+    const more =
+        visible.length > shown.length ? [`... ${visible.length - shown.length} more items`] : [];
+
+    if (object.subtype === 'array') {
+        const items = shown
+            .filter((property) => /^\d+$/.test(property.name))
+            .map((property) => formatShort(property.value));
+        const list = [...items, ...more];
+        return list.length ? `[ ${list.join(', ')} ]` : '[]';
+    }
+
+    const entries = shown.map((property) => `${property.name}: ${formatShort(property.value)}`);
+    const list = [...entries, ...more];
+    const prefix = object.className && object.className !== 'Object' ? `${object.className} ` : '';
+    return list.length ? `${prefix}{ ${list.join(', ')} }` : `${prefix}{}`;
+}
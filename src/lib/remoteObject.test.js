@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { formatRemoteObject } from './remoteObject.js';
+
+describe('formatRemoteObject', () => {
+    it('should format primitives like Node does', () => {
+        expect(formatRemoteObject({ type: 'undefined' })).toBe('undefined');
+        expect(formatRemoteObject({ type: 'object', subtype: 'null', value: null })).toBe('null');
+        expect(formatRemoteObject({ type: 'string', value: 'home' })).toBe("'home'");
+        expect(formatRemoteObject({ type: 'number', value: 42 })).toBe('42');
+        expect(formatRemoteObject({ type: 'boolean', value: false })).toBe('false');
+    });
+
+    it('should format functions by name', () => {
+        expect(
+            formatRemoteObject({ type: 'function', description: 'function navigate(route) {}' })
+        ).toBe('[Function: navigate]');
+        expect(formatRemoteObject({ type: 'function', description: '() => {}' })).toBe(
+            '[Function (anonymous)]'
+        );
+    });
+
+    it('should preview an object from its properties', () => {
+        const object = { type: 'object', className: 'Router', objectId: '1' };
+        const properties = [
+            { name: 'route', enumerable: true, value: { type: 'string', value: '/home' } },
+            {
+                name: 'history',
+                enumerable: true,
+                value: { type: 'object', subtype: 'array', description: 'Array(3)' },
+            },
+            { name: 'app', enumerable: true, value: { type: 'object', className: 'App' } },
+            { name: 'hidden', enumerable: false, value: { type: 'number', value: 1 } },
+        ];
+
+        expect(formatRemoteObject(object, properties)).toBe(
+            "Router { route: '/home', history: Array(3), app: [App] }"
+        );
+    });
+
+    it('should preview an array from its index properties', () => {
+        const object = { type: 'object', subtype: 'array', className: 'Array', objectId: '2' };
+        const properties = [
+            { name: '0', enumerable: true, value: { type: 'number', value: 1 } },
+            { name: '1', enumerable: true, value: { type: 'string', value: 'two' } },
+            { name: 'length', enumerable: false, value: { type: 'number', value: 2 } },
+        ];
+
+        expect(formatRemoteObject(object, properties)).toBe("[ 1, 'two' ]");
+    });
+
+    it('should fall back to the description without properties', () => {
+        expect(
+            formatRemoteObject({
+                type: 'object',
+                className: 'HTMLDivElement',
+                description: 'div#app',
+            })
+        ).toBe('div#app');
+    });
+});
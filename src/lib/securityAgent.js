@@ -0,0 +1,50 @@
+import { JsonRpcError } from './jsonRpc.js';
+import { thunderHttpUrl } from './thunderUrl.js';
+
+/**
+ * @typedef {Object} SecurityTokenOptions
+ * @property {string} host - Host of the Thunder instance.
+ * @property {number} [port] - Port of the Thunder instance, 80 or 443 with `secure` by default.
+ * @property {boolean} [secure=false] - Use https.
+ * @property {string} [callsign='SecurityAgent'] - Callsign of the SecurityAgent plugin.
+ * @property {string} [url] - URL the token is issued for, the origin of the Thunder interface by default.
+ * @property {number} [timeout=10000] - Time to wait for the token in milliseconds.
+ */
+
+/**
+ * Requests a token from the SecurityAgent plugin through `createtoken` over JSON-RPC on HTTP.
+ * Most builds only hand out tokens to requests from the device itself or from whitelisted origins,
+ * check the SecurityAgent configuration when this is refused.
+ * @param {SecurityTokenOptions} options - Where to request the token.
+ * @returns {Promise<string>} Resolves with the token.
+ * @throws {JsonRpcError} Rejects when the SecurityAgent refuses the request.
+ */
+export async function requestSecurityToken(options) {
+    const { host, port, secure = false, callsign = 'SecurityAgent', timeout = 10000 } = options;
+    const base = thunderHttpUrl(host, port, secure);
+    const method = `${callsign}.1.createtoken`;
+
+    const response = await fetch(`${base}/jsonrpc`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            jsonrpc: '2.0',
+            id: 1,
+            method,
+            params: { url: options.url ?? base },
+        }),
+        signal: AbortSignal.timeout(timeout),
+    });
+    if (!response.ok) throw new Error(`Failed to request token: HTTP ${response.status}`);
+
+    let body;
+    try {
+        body = await response.json();
+    } catch (error) {
+        throw new Error(`Invalid SecurityAgent response: ${error.message}`);
+    }
+    const { result, error } = body ?? {};
+    if (error) throw new JsonRpcError(error.message, error.code, method, error.data);
+    if (typeof result?.token !== 'string') throw new Error('SecurityAgent returned no token');
+    return result.token;
+}
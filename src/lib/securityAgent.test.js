@@ -0,0 +1,72 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { requestSecurityToken } from './securityAgent.js';
+import { JsonRpcError } from './jsonRpc.js';
+
+/**
+ * Stubs fetch with a single response.
+ * @param {number} status - HTTP status of the response.
+ * @param {() => Promise<any>} json - Reads the body.
+ * @returns {import("vitest").Mock} The stub.
+ */
+function stubFetch(status, json) {
+    const fetch = vi.fn(async () => ({ ok: status < 400, status, json }));
+    vi.stubGlobal('fetch', fetch);
+    return fetch;
+}
+
+describe('requestSecurityToken', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('should request a token for the Thunder origin', async () => {
+        const fetch = stubFetch(200, async () => ({
+            jsonrpc: '2.0',
+            id: 1,
+            result: { token: 'abc' },
+        }));
+
+        await expect(requestSecurityToken({ host: 'tv.local', secure: true })).resolves.toBe('abc');
+        const [url, request] = fetch.mock.calls[0];
+        expect(url).toBe('https://tv.local:443/jsonrpc');
+        expect(JSON.parse(request.body)).toEqual({
+            jsonrpc: '2.0',
+            id: 1,
+            method: 'SecurityAgent.1.createtoken',
+            params: { url: 'https://tv.local:443' },
+        });
+    });
+
+    it('should reject HTTP errors and refusals', async () => {
+        stubFetch(404, async () => ({}));
+        await expect(requestSecurityToken({ host: 'tv.local' })).rejects.toThrow(
+            'Failed to request token: HTTP 404'
+        );
+
+        stubFetch(200, async () => ({ error: { code: -32604, message: 'Access denied' } }));
+        const error = await requestSecurityToken({ host: 'tv.local' }).catch((e) => e);
+        expect(error).toBeInstanceOf(JsonRpcError);
+        expect(error.message).toContain('Access denied');
+    });
+
+    it('should reject malformed responses', async () => {
+        stubFetch(200, async () => {
+            throw new SyntaxError('Unexpected token < in JSON');
+        });
+        await expect(requestSecurityToken({ host: 'tv.local' })).rejects.toThrow(
+            'Invalid SecurityAgent response: Unexpected token'
+        );
+
+        stubFetch(200, async () => ({ result: { token: 42 } }));
+        await expect(requestSecurityToken({ host: 'tv.local' })).rejects.toThrow(
+            'SecurityAgent returned no token'
+        );
+    });
+
+    it('should reach IPv6 hosts', async () => {
+        const fetch = stubFetch(200, async () => ({ result: { token: 'abc' } }));
+
+        await requestSecurityToken({ host: 'fe80::1', port: 9998 });
+        expect(fetch.mock.calls[0][0]).toBe('http://[fe80::1]:9998/jsonrpc');
+    });
+});
@@ -0,0 +1,240 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * @typedef {Object} SourceMapOptions
+ * @property {string} [directory] - Local directory with the `.map` files, looked up by the script file name.
+ * @property {boolean} [fetch=true] - Fetch the source map referenced by the script from the device's server.
+ * @property {number} [timeout=5000] - Time to wait for a script or source map download in milliseconds.
+ *
+ * @typedef {Object} SourceMap
+ * @property {string[]} sources - Original source URLs, resolved against the map URL and `sourceRoot`.
+ * @property {string[]} names - Original symbol names.
+ * @property {number[][][]} lines - Decoded segments per generated line:
+ *   [generatedColumn, sourceIndex, originalLine, originalColumn, nameIndex?], all 0-based.
+ *
+ * @typedef {Object} SourceMapResolver
+ * @property {(url: string, line: number, column: number) => Promise<OriginalPosition|null>} resolve - Maps a
+ *   1-based generated location to its original location, null when no source map covers it.
+ *
+ * imports
+ * @typedef {import("./pageException.js").OriginalPosition} OriginalPosition
+ */
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = new Map([...BASE64].map((char, index) => [char, index]));
+
+/** Matches the last `sourceMappingURL` comment of a script */
+const SOURCE_MAPPING_URL = /[#@]\s*sourceMappingURL=(\S+)\s*(?:\*\/\s*)?$/;
+
+/**
+ * Decodes a Base64 VLQ encoded segment.
+ * @param {string} segment - The segment, e.g. "AAgBC".
+ * @returns {number[]} The decoded values.
+ * @throws {Error} Throws on characters outside the Base64 alphabet.
+ */
+export function decodeVlq(segment) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of segment) {
+        const digit = BASE64_VALUES.get(char);
+        if (digit === undefined) throw new Error(`Invalid VLQ character: ${char}`);
+
+        value += (digit & 31) * 2 ** shift;
+        if (digit & 32) {
+            shift += 5;
+            continue;
+        }
+
+        values.push(value & 1 ? -Math.floor(value / 2) : Math.floor(value / 2));
+        value = 0;
+        shift = 0;
+    }
+
+    return values;
+}
+
+/**
+ * Parses a version 3 source map.
+ * @param {string | Object} raw - The source map JSON, as text or parsed.
+ * @param {string} [mapUrl] - URL or path of the map, used to resolve relative sources.
+ * @returns {SourceMap} The parsed source map.
+ * @throws {Error} Throws on unsupported or malformed maps.
+ */
+export function parseSourceMap(raw, mapUrl) {
+    const map = typeof raw === 'string' ? JSON.parse(raw.replace(/^\)\]\}'[^\n]*\n/, '')) : raw;
+    if (map.version !== 3) throw new Error(`Unsupported source map version: ${map.version}`);
+    if (map.sections) throw new Error('Indexed source maps are not supported');
+
+    const root = map.sourceRoot ? map.sourceRoot.replace(/\/?$/, '/') : '';
+    const sources = (map.sources || []).map((source) => resolveUrl(root + source, mapUrl));
+
+    // Fields are relative to the previous segment, the generated column only within a line
+    const state = [0, 0, 0, 0, 0];
+    const lines = map.mappings.split(';').map((line) => {
+        state[0] = 0;
+        if (!line) return [];
+
+        return line.split(',').map((encoded) => {
+            const values = decodeVlq(encoded);
+            values.forEach((value, index) => (state[index] += value));
+            return state.slice(0, values.length >= 4 ? values.length : 1);
+        });
+    });
+
+    return { sources, names: map.names || [], lines };
+}
+
+/**
+ * Resolves a possibly relative URL or path against the URL or path of the file referencing it.
+ * @param {string} target - The URL or path to resolve.
+ * @param {string} [base] - The referencing file.
+ * @returns {string} The resolved URL or path.
+ */
+function resolveUrl(target, base) {
+    if (!base) return target;
+    if (/^[a-z][a-z0-9+.-]*:/i.test(base)) {
+        try {
+            return new URL(target, base).href;
+        } catch (_) {
+            return target;
+        }
+    }
+    return path.resolve(path.dirname(base), target);
+}
+
+/**
+ * Finds the original position of a generated location.
+ * @param {SourceMap} map - The source map.
+ * @param {number} line - 1-based generated line.
+ * @param {number} column - 1-based generated column.
+ * @returns {OriginalPosition|null} The original position, null when the location is not mapped.
+ */
+export function originalPositionFor(map, line, column) {
+    const segments = map.lines[line - 1];
+    if (!segments || !segments.length) return null;
+
+    // Segments are sorted by generated column, use the last one starting at or before the column
+    let found = null;
+    for (const segment of segments) {
+        if (segment[0] > column - 1) break;
+        found = segment;
+    }
+    if (!found || found.length < 4) return null;
+
+    return {
+        source: map.sources[found[1]],
+        line: found[2] + 1,
+        column: found[3] + 1,
+        name: found.length >= 5 ? (map.names[found[4]] ?? null) : null,
+    };
+}
+
+/**
+ * Downloads a text resource.
+ * @param {string} url - The URL.
+ * @param {number} timeout - Time to wait in milliseconds.
+ * @returns {Promise<string>} Resolves with the body.
+ */
+async function download(url, timeout) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+    if (!response.ok) throw new Error(`Failed to fetch ${url}: HTTP ${response.status}`);
+    return response.text();
+}
+
+/**
+ * Creates a resolver mapping generated script locations to original ones.
+ * Source maps are looked up in the local directory first (by the file name of the script plus ".map"),
+ * then fetched through the `sourceMappingURL` comment of the script, falling back to "<script>.map".
+ * Every script is looked up once, also when no source map was found.
+ * @param {SourceMapOptions} [options={}] - Resolver options.
+ * @returns {SourceMapResolver} The resolver.
+ */
+export function createSourceMapResolver(options = {}) {
+    const { directory, fetch: allowFetch = true, timeout = 5000 } = options;
+    /** @type {Map<string, Promise<SourceMap|null>>} */
+    const maps = new Map();
+
+    /**
+     * Loads the source map from the local directory.
+     * @param {string} scriptUrl - URL of the generated script.
+     * @returns {Promise<SourceMap|null>} The source map, null when the directory has none.
+     */
+    async function loadLocal(scriptUrl) {
+        const name = path.basename(new URL(scriptUrl, 'file:///').pathname);
+        const file = path.join(directory, `${name}.map`);
+
+        try {
+            return parseSourceMap(await fs.readFile(file, 'utf8'), file);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches the source map referenced by the script.
+     * @param {string} scriptUrl - URL of the generated script.
+     * @returns {Promise<SourceMap|null>} The source map, null when the script has none.
+     */
+    async function loadRemote(scriptUrl) {
+        const script = await download(scriptUrl, timeout);
+        const reference = script.trimEnd().match(SOURCE_MAPPING_URL)?.[1];
+
+        if (reference?.startsWith('data:')) {
+            const [, encoding, data] = reference.match(/^data:[^,]*?(;base64)?,(.*)$/) || [];
+            const json = encoding
+                ? Buffer.from(data, 'base64').toString('utf8')
+                : decodeURIComponent(data);
+            return parseSourceMap(json, scriptUrl);
+        }
+
+        const mapUrl = resolveUrl(reference || `${scriptUrl}.map`, scriptUrl);
+        try {
+            return parseSourceMap(await download(mapUrl, timeout), mapUrl);
+        } catch (error) {
+            if (!reference) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Loads the source map of a script.
+     * @param {string} scriptUrl - URL of the generated script.
+     * @returns {Promise<SourceMap|null>} The source map, null when none was found.
+     */
+    async function load(scriptUrl) {
+        if (directory) {
+            const map = await loadLocal(scriptUrl);
+            if (map) return map;
+        }
+        if (allowFetch && /^https?:/.test(scriptUrl)) return loadRemote(scriptUrl);
+        return null;
+    }
+
+    /**
+     * Maps a generated location to its original location.
+     * @param {string} url - URL of the generated script.
+     * @param {number} line - 1-based line number.
+     * @param {number} column - 1-based column number.
+     * @returns {Promise<OriginalPosition|null>} The original position, null when it could not be resolved.
+     */
+    async function resolve(url, line, column) {
+        if (!url || !line) return null;
+
+        if (!maps.has(url)) {
+            // A missing or broken map is remembered, the script is not downloaded for every frame again
+            maps.set(
+                url,
+                load(url).catch(() => null)
+            );
+        }
+
+        const map = await maps.get(url);
+        return map ? originalPositionFor(map, line, column || 1) : null;
+    }
+
+    return { resolve };
+}
@@ -0,0 +1,130 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+    decodeVlq,
+    parseSourceMap,
+    originalPositionFor,
+    createSourceMapResolver,
+} from './sourceMap.js';
+
+// Line 1: column 0 -> app.ts 1:1, column 4 -> app.ts 1:5 "start"; line 2: column 0 -> app.ts 2:1
+const MAP = {
+    version: 3,
+    sources: ['src/app.ts'],
+    names: ['start'],
+    mappings: 'AAAA,IAAIA;AACJ',
+};
+
+describe('decodeVlq', () => {
+    it('should decode positive, negative and multi-digit values', () => {
+        expect(decodeVlq('AAAA')).toEqual([0, 0, 0, 0]);
+        expect(decodeVlq('IAAIA')).toEqual([4, 0, 0, 4, 0]);
+        expect(decodeVlq('AACJ')).toEqual([0, 0, 1, -4]);
+        expect(decodeVlq('2HAAgB')).toEqual([123, 0, 0, 16]);
+    });
+
+    it('should reject invalid characters', () => {
+        expect(() => decodeVlq('A!')).toThrow('Invalid VLQ character: !');
+    });
+});
+
+describe('originalPositionFor', () => {
+    const map = parseSourceMap(JSON.stringify(MAP), 'https://cdn.example.com/js/app.min.js.map');
+
+    it('should map generated locations to the closest preceding segment', () => {
+        expect(originalPositionFor(map, 1, 7)).toEqual({
+            source: 'https://cdn.example.com/js/src/app.ts',
+            line: 1,
+            column: 5,
+            name: 'start',
+        });
+        expect(originalPositionFor(map, 2, 3)).toMatchObject({ line: 2, column: 1, name: null });
+    });
+
+    it('should return null for unmapped lines', () => {
+        expect(originalPositionFor(map, 3, 1)).toBe(null);
+    });
+
+    it('should reject unsupported maps', () => {
+        expect(() => parseSourceMap({ version: 2, mappings: '' })).toThrow(
+            'Unsupported source map version: 2'
+        );
+        expect(() => parseSourceMap({ version: 3, sections: [] })).toThrow(
+            'Indexed source maps are not supported'
+        );
+    });
+});
+
+describe('createSourceMapResolver', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('should load source maps from a local directory by script name', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sourcemaps-'));
+        fs.writeFileSync(path.join(directory, 'app.min.js.map'), JSON.stringify(MAP));
+
+        const resolver = createSourceMapResolver({ directory, fetch: false });
+        const position = await resolver.resolve('http://tv.local/js/app.min.js?v=3', 1, 5);
+
+        expect(position).toMatchObject({ line: 1, column: 5, name: 'start' });
+        expect(position.source).toBe(path.join(directory, 'src/app.ts'));
+        expect(await resolver.resolve('http://tv.local/js/vendor.js', 1, 1)).toBe(null);
+
+        fs.rmSync(directory, { recursive: true });
+    });
+
+    it('should fetch the map referenced by the script once', async () => {
+        const fetch = vi.fn(async (url) => {
+            if (url === 'https://cdn.example.com/js/app.min.js') {
+                return new Response('start();\n//# sourceMappingURL=maps/app.min.js.map\n');
+            }
+            if (url === 'https://cdn.example.com/js/maps/app.min.js.map') {
+                return new Response(JSON.stringify(MAP));
+            }
+            return new Response('', { status: 404 });
+        });
+        vi.stubGlobal('fetch', fetch);
+
+        const resolver = createSourceMapResolver();
+        const first = await resolver.resolve('https://cdn.example.com/js/app.min.js', 1, 5);
+        const second = await resolver.resolve('https://cdn.example.com/js/app.min.js', 2, 1);
+
+        expect(first.source).toBe('https://cdn.example.com/js/maps/src/app.ts');
+        expect(second).toMatchObject({ line: 2, column: 1 });
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should read inline data URL maps', async () => {
+        const inline = Buffer.from(JSON.stringify(MAP)).toString('base64');
+        vi.stubGlobal(
+            'fetch',
+            vi.fn(
+                async () =>
+                    new Response(
+                        `start();\n//# sourceMappingURL=data:application/json;base64,${inline}`
+                    )
+            )
+        );
+
+        const resolver = createSourceMapResolver();
+        expect(await resolver.resolve('https://example.com/app.js', 1, 5)).toMatchObject({
+            source: 'https://example.com/src/app.ts',
+            name: 'start',
+        });
+    });
+
+    it('should resolve to null when the script has no map', async () => {
+        vi.stubGlobal(
+            'fetch',
+            vi.fn(async (url) =>
+                url.endsWith('.map') ? new Response('', { status: 404 }) : new Response('start();')
+            )
+        );
+
+        const resolver = createSourceMapResolver();
+        expect(await resolver.resolve('https://example.com/plain.js', 1, 1)).toBe(null);
+    });
+});
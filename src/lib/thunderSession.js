@@ -1,54 +1,170 @@
 import { createWebSocketClient } from './websocket.js';
+import { createJsonRpcClient } from './jsonRpc.js';
+import { thunderHttpUrl } from './thunderUrl.js';
+import {
+    assertBrowserProperty,
+    encodeBrowserProperty,
+    decodeBrowserProperty,
+} from './browserProperties.js';
+
+/**
+ * Error raised when a callsign is not known to the Thunder Controller.
+ */
+export class UnknownCallsignError extends Error {
+    /**
+     * @param {string} callsign - The unknown callsign.
+     */
+    constructor(callsign) {
+        super(`Unknown callsign: ${callsign}`);
+        this.name = 'UnknownCallsignError';
+        this.callsign = callsign;
+    }
+}
+
+/** Time setURL waits for the page when no timeout is given, like the load step of a launch */
+const DEFAULT_LOAD_TIMEOUT = 30000;
+
+/**
+ * Returns the time left until a deadline, for steps that send several requests.
+ * @param {number|undefined} deadline - The deadline as a timestamp, none when undefined.
+ * @returns {number|undefined} Milliseconds left, at least 1, undefined without a deadline.
+ */
+function timeLeft(deadline) {
+    return deadline === undefined ? undefined : Math.max(1, deadline - Date.now());
+}
+
+/** Deactivation reasons Thunder reports when a plugin went down on its own */
+export const CRASH_REASONS = [
+    'Crash',
+    'Failure',
+    'MemoryExceeded',
+    'WatchdogExpired',
+    'InitializationFailed',
+];
+
+/**
+ * Tells whether a state change is a plugin going down on its own rather than on request.
+ * @param {StateChange} change - The state change.
+ * @returns {boolean} True for deactivations with a crash reason.
+ */
+export function isCrash(change) {
+    return change.state === 'deactivated' && CRASH_REASONS.includes(change.reason);
+}
+
+/**
+ * Compares the URL of a urlchange notification with a requested one, the browser reports it normalized.
+ * @param {any} reported - The URL of the notification.
+ * @param {string} requested - The URL that was set.
+ * @returns {boolean} True when both are the same URL.
+ */
+function isSameUrl(reported, requested) {
+    if (reported === requested) return true;
+    try {
+        return new URL(reported).href === new URL(requested).href;
+    } catch (_) {
+        return false;
+    }
+}
 
 /**
  * @typedef {Object} ThunderSession
  * @property {() => Promise<void>} connect - Establishes a WebSocket connection to Thunder.
  * @property {() => Promise<Object>} disconnect - Closes the Thunder connection.
- * @property {(boolean) => Promise<Object>} stop - Stops the currently running instance and returns the response.
- * @property {() => Promise<void>} start - Starts a new instance of the console.
- * @property {() => Promise<void>} resume - Resumes a previously stopped instance.
- * @property {(url: string) => void} setURL - Sets the WebSocket or API URL for communication.
- * @property {(eventType: string, matchParams: Object) => Promise<Object>} waitForEvent - Waits for a specific event notification from Thunder.
+ * @property {(timeout?: number) => Promise<Object>} stop - Stops the currently running instance and waits for the deactivation.
+ * @property {(timeout?: number) => Promise<void>} start - Starts a new instance and waits for the activation.
+ * @property {(timeout?: number) => Promise<void>} resume - Resumes a previously stopped instance and waits for the resume.
+ * @property {(url: string, timeout?: number) => Promise<void>} setURL - Loads a URL in the browser and waits for the page to load.
+ * @property {(eventType: string, matchParams?: Object | ((payload: Object) => boolean), timeout?: number, signal?: AbortSignal) => Promise<Object>} waitForEvent - Waits for a specific event notification from Thunder.
+ * @property {(callsign?: string, timeout?: number) => Promise<string>} getState - Returns the state of a plugin, the session callsign by default.
+ * @property {() => Promise<PluginInfo[]>} listPlugins - Lists all plugins known to the Controller.
+ * @property {(captureCallsign?: string, timeout?: number) => Promise<Buffer>} captureScreen - Captures the screen through the ScreenCapture plugin as PNG.
+ * @property {(property: string) => Promise<any>} getBrowserProperty - Reads a property of the browser plugin.
+ * @property {(property: string, value: any, timeout?: number) => Promise<void>} setBrowserProperty - Changes a property of the browser plugin.
+ * @property {(callsign?: string) => Promise<import("./metrics.js").ProcessMemory|null>} getProcessMemory - Returns the memory of a plugin's process from the Monitor plugin.
+ * @property {(callback: (change: StateChange) => void) => () => void} onStateChange - Registers a callback for plugin state changes, returns a function that removes it.
+ * @property {(callsign: string, state: string, timeout?: number) => Promise<void>} waitForState - Waits until a plugin reaches a state.
  * @property {() => boolean} isConnected - Returns true if the WebSocket connection is open.
+ * @property {(event: 'reconnecting'|'reconnected'|'reconnect-failed'|'close', handler: Function) => void} on - Registers a connection event listener.
+ * @property {(event: string, handler: Function) => void} off - Deregisters a connection event listener.
  *
  * @typedef {Object} ThunderSessionConfig
- * @property {string} host - WebSocket URL of the Thunder instance.
+ * @property {string} host - Host IP address or DNS name of the Thunder instance.
+ * @property {number} [port] - Port of the Thunder instance, 80 or 443 with `secure` by default.
+ * @property {boolean} [secure=false] - Connect with wss and https.
+ * @property {string} [token] - Token for Thunder builds with the SecurityAgent, sent as `token` query parameter on
+ *   the socket and as bearer token on HTTP requests.
  * @property {string} callsign - Callsign for the module (e.g., "UX" or "Browser").
  * @property {number} [jsonRpcId=1] - Starting JSON-RPC message ID.
+ * @property {number} [rpcTimeout=10000] - Default JSON-RPC request timeout in milliseconds.
+ * @property {boolean | import("./websocket.js").ReconnectOptions} [reconnect=false] - Reconnect when the connection drops.
+ *
+ * @typedef {Object} PluginInfo
+ * @property {string} callsign - Callsign of the plugin.
+ * @property {string} classname - Class name of the plugin (e.g. "WebKitBrowser").
+ * @property {string} state - Current state (e.g. "activated", "deactivated", "suspended").
+ *
+ * @typedef {Object} StateChange
+ * @property {string} callsign - Callsign of the plugin.
+ * @property {string} state - New state in lower case (e.g. "activated", "deactivated", "suspended", "resumed").
+ * @property {string} [reason] - Reason for the change (e.g. "Requested", "Crash").
  *
  * Creates a Thunder session to control WebKitBrowser via WebSocket.
  * @param {ThunderSessionConfig} config - Configuration for the session.
  * @returns {ThunderSession} Thunder session with control methods.
  */
 export function createThunderSession(config) {
-    const { host, callsign, jsonRpcId = 1 } = config;
+    const {
+        host,
+        port,
+        secure = false,
+        token,
+        callsign,
+        jsonRpcId = 1,
+        rpcTimeout = 10000,
+        reconnect = false,
+    } = config;
     const wsClient = createWebSocketClient();
-    let messageId = jsonRpcId;
-
-    /**
-     * Generates the next unique JSON-RPC message ID.
-     * @returns {number} The next message ID.
-     */
-    function nextId() {
-        return messageId++;
-    }
+    let rpc = null;
+    /** @type {Set<(change: StateChange) => void>} */
+    const stateHandlers = new Set();
+    /** The urlchange registration of the browser plugin, made on the first setURL of a connection */
+    let urlEventsRegistered = false;
+
+    // Subscriptions do not survive the socket, renew them after every reconnect
+    wsClient.on('reconnected', () => {
+        urlEventsRegistered = false;
+        subscribe().catch(() => {});
+    });
+
+    const httpBase = thunderHttpUrl(host, port, secure);
+    const socketUrl =
+        httpBase.replace(/^http/, 'ws') +
+        `/jsonrpc${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+    /** @type {Object<string, string>} */
+    const authHeaders = token ? { Authorization: `Bearer ${token}` } : {};
 
     /**
      * Establishes a WebSocket connection.
      * @returns {Promise<void>} Resolves when the connection is successful.
      */
     async function connect() {
-        await wsClient.connect({ url: `ws://${host}:80/jsonrpc` });
+        if (rpc) rpc.dispose();
+        urlEventsRegistered = false;
+
+        await wsClient.connect({ url: socketUrl, reconnect });
+        rpc = createJsonRpcClient(wsClient, { timeout: rpcTimeout, firstId: jsonRpcId });
+        rpc.onNotification(dispatchStateChange);
 
         // once connected subscribe to events
-        wsClient.send(
-            JSON.stringify({
-                jsonrpc: '2.0',
-                id: nextId(),
-                method: 'Controller.1.register',
-                params: { event: 'all', id: 'client.Controller.events' }
-            })
-        );
+        await subscribe();
+    }
+
+    /**
+     * Subscribes to the Controller event notifications.
+     * @returns {Promise<Object>} Resolves when the subscription is registered.
+     */
+    function subscribe() {
+        return sendRpc('Controller.1.register', { event: 'all', id: 'client.Controller.events' });
     }
 
     /**
@@ -63,189 +179,421 @@ export function createThunderSession(config) {
      * Get the controller status
      * @returns {Promise<Object>} Resolves with the controller status.
      */
-    function status() {
-        return sendRpc('Controller.1.status');
+    function status(timeout) {
+        return sendRpc('Controller.1.status', {}, timeout === undefined ? undefined : { timeout });
+    }
+
+    /**
+     * Get the state of a plugin
+     * @param {string} [pluginCallsign] - Callsign of the plugin, defaults to the session callsign.
+     * @param {number} [timeout] - Time to wait for the Controller in milliseconds, `rpcTimeout` by default.
+     * @returns {Promise<string>} Resolves with the state as reported by the Controller (e.g. "Activated").
+     * @throws {UnknownCallsignError} Rejects when the Controller does not know the callsign.
+     */
+    async function getState(pluginCallsign = callsign, timeout) {
+        const result = await status(timeout);
+        const plugin = result.find((instance) => instance.callsign === pluginCallsign);
+        if (!plugin) throw new UnknownCallsignError(pluginCallsign);
+        return plugin.state;
     }
 
     /**
-     * Get instance state
-     * @returns {Promise<'Activated'|'Deactivated'|'Suspended'|'Resumed'>} Resolves with true if an instance is running.
+     * Lists all plugins known to the Controller.
+     * @returns {Promise<PluginInfo[]>} Resolves with the callsign, class name and state of every plugin.
      */
-    async function getState() {
+    async function listPlugins() {
         const result = await status();
-        return result.filter((instance) => instance.callsign === callsign)[0].state;
+        return result.map(({ callsign, classname, state }) => ({ callsign, classname, state }));
+    }
+
+    /**
+     * Reads a property of the browser plugin, e.g. "useragent" or "languages".
+     * @param {string} property - The property, see `BROWSER_PROPERTIES`.
+     * @returns {Promise<any>} Resolves with the value, rejects with a JsonRpcError when the plugin refuses.
+     * @throws {import("./browserProperties.js").BrowserPropertyError} Rejects for unknown properties.
+     */
+    async function getBrowserProperty(property) {
+        assertBrowserProperty(property);
+        return decodeBrowserProperty(property, await sendRpc(`${callsign}.1.${property}`));
+    }
+
+    /**
+     * Changes a property of the browser plugin. The plugin forgets the value when it is deactivated.
+     * @param {string} property - The property, see `BROWSER_PROPERTIES`.
+     * @param {any} value - The new value.
+     * @param {number} [timeout] - Time to wait for the plugin in milliseconds, the RPC timeout by default.
+     * @returns {Promise<void>} Resolves when the plugin accepted the value.
+     * @throws {import("./browserProperties.js").BrowserPropertyError} Rejects for unknown and read-only
+     *   properties and invalid values, without sending anything.
+     */
+    async function setBrowserProperty(property, value, timeout) {
+        const params = encodeBrowserProperty(property, value);
+        await sendRpc(`${callsign}.1.${property}`, params, { timeout });
+    }
+
+    /**
+     * Returns the memory of a plugin's process as measured by the Monitor plugin.
+     * Monitor reports its measurements in KB, they are converted to bytes.
+     * @param {string} [pluginCallsign] - Callsign of the plugin, defaults to the session callsign.
+     * @returns {Promise<import("./metrics.js").ProcessMemory|null>} Resolves with the last measurements, null when
+     *   Monitor does not observe the plugin. Rejects with a JsonRpcError when Monitor is not available.
+     */
+    async function getProcessMemory(pluginCallsign = callsign) {
+        const result = await sendRpc('Monitor.1.status', { callsign: pluginCallsign });
+        const measurements = Array.isArray(result) ? result[0]?.measurements : null;
+        if (!measurements) return null;
+
+        const bytes = (name) =>
+            typeof measurements[name]?.last === 'number' ? measurements[name].last * 1024 : null;
+        return {
+            resident: bytes('resident'),
+            allocated: bytes('allocated'),
+            shared: bytes('shared'),
+        };
+    }
+
+    /**
+     * Captures the whole screen, including anything drawn on top of the browser, through the
+     * ScreenCapture plugin's HTTP interface.
+     * @param {string} [captureCallsign='ScreenCapture'] - Callsign of the ScreenCapture plugin.
+     * @param {number} [timeout=10000] - Time to wait for the image in milliseconds.
+     * @returns {Promise<Buffer>} Resolves with the PNG image.
+     */
+    async function captureScreen(captureCallsign = 'ScreenCapture', timeout = 10000) {
+        const response = await fetch(`${httpBase}/Service/${captureCallsign}/Capture`, {
+            headers: authHeaders,
+            signal: AbortSignal.timeout(timeout),
+        });
+        if (!response.ok) throw new Error(`Failed to capture screen: HTTP ${response.status}`);
+        return Buffer.from(await response.arrayBuffer());
     }
 
     /**
      * Sends a JSON-RPC request over the WebSocket.
      * @param {string} method - The JSON-RPC method to call.
      * @param {Object} [params={}] - The parameters for the method.
-     * @returns {Promise<Object>} Resolves with the response data.
+     * @param {import("./jsonRpc.js").JsonRpcCallOptions} [options] - Per-call options such as the timeout.
+     * @returns {Promise<Object>} Resolves with the response data, rejects with a JsonRpcError.
      */
-    function sendRpc(method, params = {}) {
-        return new Promise((resolve, reject) => {
-            const id = nextId();
-            const payload = { jsonrpc: '2.0', id, method, params };
+    function sendRpc(method, params = {}, options) {
+        if (!rpc) return Promise.reject(new Error('Thunder session not connected'));
+        return rpc.call(method, params, options);
+    }
+
+    /**
+     * Extracts the event payload from a notification.
+     * Controller events arrive as `client.Controller.events.all` with the event name and payload in the params,
+     * plugin events arrive as `client.<callsign>.events.<event>` with the payload as params.
+     * @param {import("./jsonRpc.js").JsonRpcNotification} notification - The notification.
+     * @param {string} eventType - The event type to extract.
+     * @returns {Object|null} The event payload, or null when the notification is about another event.
+     */
+    function eventPayload(notification, eventType) {
+        const { method, params } = notification;
+
+        if (method === 'client.Controller.events.all') {
+            if (params.event !== eventType) return null;
+
+            const payload = params.params || {};
+            // Controller events are broadcast for every plugin
+            if (payload.callsign && payload.callsign !== callsign) return null;
+            return payload;
+        }
+
+        return method === `client.${callsign}.events.${eventType}` ? params : null;
+    }
+
+    /**
+     * Passes Controller statechange notifications to the registered state handlers.
+     * Suspend and resume changes only carry a `suspended` flag, they are mapped onto a state.
+     * @param {import("./jsonRpc.js").JsonRpcNotification} notification - The notification.
+     */
+    function dispatchStateChange(notification) {
+        const { method, params } = notification;
+        if (method !== 'client.Controller.events.all' || params.event !== 'statechange') return;
+
+        const payload = params.params || {};
+        let state = payload.state;
+        if (state === undefined && typeof payload.suspended === 'boolean') {
+            state = payload.suspended ? 'suspended' : 'resumed';
+        }
+        if (!payload.callsign || typeof state !== 'string') return;
+
+        /** @type {StateChange} */
+        const change = { callsign: payload.callsign, state: state.toLowerCase() };
+        if (payload.reason !== undefined) change.reason = payload.reason;
+
+        stateHandlers.forEach((handler) => handler(change));
+    }
 
-            wsClient.send(JSON.stringify(payload));
+    /**
+     * Registers a callback for plugin state changes of any callsign.
+     * @param {(change: StateChange) => void} callback - Called with every state change.
+     * @returns {() => void} Function that removes the callback.
+     */
+    function onStateChange(callback) {
+        stateHandlers.add(callback);
+        return () => stateHandlers.delete(callback);
+    }
 
-            wsClient.on('message', (event) => {
-                if (!event || !event.detail) return;
+    /**
+     * Waits until a plugin reaches a state, resolving immediately when it already is in that state.
+     * @param {string} pluginCallsign - Callsign of the plugin.
+     * @param {string} state - The state to wait for, case-insensitive (e.g. "activated").
+     * @param {number} [timeout] - Time to wait in milliseconds, waits forever when omitted.
+     * @returns {Promise<void>} Resolves when the plugin is in the state.
+     * @throws {UnknownCallsignError} Rejects when the Controller does not know the callsign.
+     */
+    function waitForState(pluginCallsign, state, timeout) {
+        return new Promise((resolve, reject) => {
+            let timer;
+            const finish = (error) => {
+                clearTimeout(timer);
+                removeHandler();
+                if (error) reject(error);
+                else resolve();
+            };
 
-                try {
-                    const response = JSON.parse(event.detail);
-                    if (response.id === id) {
-                        resolve(response.result || response);
-                    }
-                } catch (error) {
-                    reject(error);
+            // Listen before querying so a change in between is not missed
+            const removeHandler = onStateChange((change) => {
+                if (change.callsign === pluginCallsign && matchesValue(change.state, state)) {
+                    finish();
                 }
             });
+
+            if (timeout !== undefined) {
+                timer = setTimeout(() => {
+                    finish(
+                        new Error(
+                            `Timed out after ${timeout}ms waiting for ${pluginCallsign} to be ${state}`
+                        )
+                    );
+                }, timeout);
+            }
+
+            getState(pluginCallsign)
+                .then((current) => {
+                    if (matchesValue(current, state)) finish();
+                })
+                .catch(finish);
         });
     }
 
+    /**
+     * Compares an event value, Thunder is not consistent in the casing of state names.
+     * @param {any} actual - Value from the event.
+     * @param {any} expected - Expected value.
+     * @returns {boolean} True when the values match.
+     */
+    function matchesValue(actual, expected) {
+        if (typeof actual === 'string' && typeof expected === 'string') {
+            return actual.toLowerCase() === expected.toLowerCase();
+        }
+        return actual === expected;
+    }
+
     /**
      * Waits for a specific event notification from Thunder.
      * @param {string} eventType - The event type to wait for.
-     * @param {Object} matchParams - The parameters to match in the event.
+     * @param {Object | ((payload: Object) => boolean)} matchParams - The parameters to match in the event,
+     *   or a function checking its parameters.
+     * @param {number} [timeout] - Time to wait in milliseconds, waits forever when omitted.
+     * @param {AbortSignal} [signal] - Stops waiting, the promise rejects with the abort reason.
      * @returns {Promise<Object>} Resolves when the matching event is received.
      */
-    function waitForEvent(eventType, matchParams = {}) {
-        return new Promise((resolve) => {
-            const handleEvent = (event) => {
-                if (!event || !event.detail) return;
-
-                try {
-                    const response = JSON.parse(event.detail);
-                    if (
-                        response.method === 'client.Controller.events.all' ||
-                        response.params.event === eventType
-                    ) {
-                        if (
-                            Object.entries(matchParams).every(
-                                ([key, value]) => response.params.params[key] === value
-                            )
-                        ) {
-                            wsClient.off('message', handleEvent);
-                            resolve(response);
-                        }
-                    }
-                } catch (_) {
-                    wsClient.off('message', handleEvent);
-                }
+    function waitForEvent(eventType, matchParams = {}, timeout, signal) {
+        return new Promise((resolve, reject) => {
+            if (!rpc) {
+                reject(new Error('Thunder session not connected'));
+                return;
+            }
+
+            let timer;
+            const onAbort = () => {
+                clearTimeout(timer);
+                removeHandler();
+                reject(signal.reason);
             };
+            const removeHandler = rpc.onNotification((notification) => {
+                const payload = eventPayload(notification, eventType);
+                if (!payload) return;
+
+                const matches =
+                    typeof matchParams === 'function'
+                        ? matchParams(payload)
+                        : Object.entries(matchParams).every(([key, value]) =>
+                              matchesValue(payload[key], value)
+                          );
+                if (matches) {
+                    clearTimeout(timer);
+                    removeHandler();
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve(notification);
+                }
+            });
 
-            wsClient.on('message', handleEvent);
+            if (signal?.aborted) {
+                onAbort();
+                return;
+            }
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            if (timeout !== undefined) {
+                timer = setTimeout(() => {
+                    removeHandler();
+                    signal?.removeEventListener('abort', onAbort);
+                    reject(new Error(`Timed out after ${timeout}ms waiting for ${eventType}`));
+                }, timeout);
+            }
         });
     }
 
+    /**
+     * Sends a request and waits for the event it triggers.
+     * The wait starts before the request is sent so a fast event is not missed.
+     * @param {string} method - The JSON-RPC method to call.
+     * @param {Object} params - The parameters for the method.
+     * @param {string} eventType - The event type to wait for.
+     * @param {Object} matchParams - The parameters to match in the event.
+     * @param {number} [timeout] - Time to wait for the event in milliseconds.
+     * @returns {Promise<Object>} Resolves with the matching event.
+     */
+    async function requestAndWait(method, params, eventType, matchParams, timeout) {
+        const cancel = new AbortController();
+        const event = waitForEvent(eventType, matchParams, timeout, cancel.signal);
+        event.catch(() => {});
+
+        try {
+            await sendRpc(method, params);
+        } catch (error) {
+            cancel.abort(error);
+            throw error;
+        }
+
+        return event;
+    }
+
     /**
      * Sends a request to stop the current instance.
+     * @param {number} [timeout] - Time to wait for the deactivation in milliseconds.
      * @returns {Promise<Object>} Resolves when the instance is stopped.
      */
-    function stop() {
-        return new Promise(async (resolve, reject) => {
-            const state = await getState();
-
-            // If the instance is not running, resolve immediately
-            if (state === 'Deactivated') {
-                resolve();
-                return;
-            }
-
-            waitForEvent('statechange', { state: 'deactivated' }).then(resolve).catch(reject);
-            await sendRpc('Controller.1.deactivate', { callsign });
-        });
+    async function stop(timeout) {
+        const deadline = timeout === undefined ? undefined : Date.now() + timeout;
+        const state = await getState(callsign, timeout);
+
+        // If the instance is not running, resolve immediately
+        if (matchesValue(state, 'Deactivated')) return;
+
+        return requestAndWait(
+            'Controller.1.deactivate',
+            { callsign },
+            'statechange',
+            { state: 'deactivated' },
+            timeLeft(deadline)
+        );
     }
 
     /**
      * Starts the instance and waits for activation.
+     * @param {number} [timeout] - Time to wait for the activation in milliseconds.
      * @returns {Promise<void>} Resolves when the instance is activated.
      */
-    function start() {
-        return new Promise(async (resolve, reject) => {
-            const state = await getState();
-
-            // If the instance is not running, resolve immediately
-            if (state === 'Activated' || state === 'Resumed') {
-                resolve();
-                return;
-            }
-
-            waitForEvent('statechange', { state: 'activated' }).then(resolve).catch(reject);
-
-            // Send the activate command
-            await sendRpc('Controller.1.activate', { callsign });
-        });
+    async function start(timeout) {
+        const deadline = timeout === undefined ? undefined : Date.now() + timeout;
+        const state = await getState(callsign, timeout);
+
+        // If the instance is already running, resolve immediately
+        if (matchesValue(state, 'Activated') || matchesValue(state, 'Resumed')) return;
+
+        await requestAndWait(
+            'Controller.1.activate',
+            { callsign },
+            'statechange',
+            { state: 'activated' },
+            timeLeft(deadline)
+        );
     }
 
     /**
      * Resumes the instance after it has been started.
+     * @param {number} [timeout] - Time to wait for the resume in milliseconds.
      * @returns {Promise<void>} Resolves when the instance is resumed.
      */
-    function resume() {
-        return new Promise(async (resolve, reject) => {
-            const state = await getState();
-
-            // If the instance is not running, resolve immediately
-            if (state === 'Activated' || state === 'Resumed') {
-                resolve();
-                return;
-            }
-
-            waitForEvent('statechange', { suspended: false }).then(resolve).catch(reject);
-
-            // Send the activate command
-            await  sendRpc('Controller.1.resume', { callsign })
-        });
+    async function resume(timeout) {
+        const deadline = timeout === undefined ? undefined : Date.now() + timeout;
+        const state = await getState(callsign, timeout);
+
+        // If the instance is already running, resolve immediately
+        if (matchesValue(state, 'Activated') || matchesValue(state, 'Resumed')) return;
+
+        await requestAndWait(
+            'Controller.1.resume',
+            { callsign },
+            'statechange',
+            { suspended: false },
+            timeLeft(deadline)
+        );
     }
 
     /**
      * Sets the URL for the WebKitBrowser instance.
      * @param {string} newUrl - The URL to be set.
+     * @param {number} [timeout=30000] - Time to wait for the page to load in milliseconds.
      * @returns {Promise<void>} Resolves when the URL is set and loaded.
      */
-    function setURL(newUrl) {
-        return new Promise(async (resolve, reject) => {
-            // The below doesn't work even though it is per spec, we need to do a workaround
-            // const state = await getState();
-
-            // // If the instance is not running, resolve immediately
-            // if (state === 'Deactivated' || state === 'Suspended') {
-            //     console.error('setUrl Instance not running, state is:', state);
-            //     reject();
-            //     return;
-            // }
-
-            // waitForEvent('urlchange', { url: newUrl, loaded: true }).then(resolve).catch(reject);
-            // await sendRpc('WebKitBrowser.1.url', newUrl);
-
-
-            // work arround because WS doesnt work setting the url
-            // we have to post a message to the browser
-
-            // do a HTTP POST to http://<host>/Service/<callsign>/URL
-            // with body {url: "http://<url>"}
+    async function setURL(newUrl, timeout = DEFAULT_LOAD_TIMEOUT) {
+        const deadline = Date.now() + timeout;
+        // Setting the url over JSON-RPC doesn't work even though it is per spec, the urlchange
+        // notifications do, so subscribe to those and post the URL to the browser instead
+        if (!urlEventsRegistered) {
+            await sendRpc(
+                `${callsign}.1.register`,
+                { event: 'urlchange', id: `client.${callsign}.events` },
+                { timeout }
+            );
+            urlEventsRegistered = true;
+        }
+
+        // A late loaded notification of the previous page must not end the wait
+        const cancel = new AbortController();
+        const loaded = waitForEvent(
+            'urlchange',
+            (payload) => payload.loaded === true && isSameUrl(payload.url, newUrl),
+            timeLeft(deadline),
+            cancel.signal
+        );
+        // Both time out together when the device stalls, the request reports it
+        loaded.catch(() => {});
 
-            const url = `http://${config.host}/Service/${callsign}/URL`;
-            const body = { url: newUrl };
+        // do a HTTP POST to http(s)://<host>:<port>/Service/<callsign>/URL
+        // with body {url: "http://<url>"}
+        const url = `${httpBase}/Service/${callsign}/URL`;
+        const body = { url: newUrl };
 
-            fetch(url, {
+        try {
+            const response = await fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    ...authHeaders,
                 },
                 body: JSON.stringify(body),
-            }).then((response) => {
-                if (!response.ok) {
-                    throw new Error('Failed to set URL');
-                }
-                resolve();
-            }).catch((error) => {
-                console.error('Failed to set URL:', error);
-                reject(error);
+                signal: AbortSignal.timeout(timeLeft(deadline)),
             });
-        });
+
+            if (!response.ok) {
+                throw new Error(`Failed to set URL: HTTP ${response.status}`);
+            }
+        } catch (error) {
+            cancel.abort(error);
+            if (error.name === 'TimeoutError') {
+                throw new Error(`Timed out after ${timeout}ms posting the URL`);
+            }
+            throw error;
+        }
+
+        await loaded;
     }
 
     /**
@@ -253,8 +601,38 @@ export function createThunderSession(config) {
      * @returns {Promise<void>} Resolves when the connection is closed.
      */
     async function disconnect() {
+        if (urlEventsRegistered && isConnected()) {
+            await sendRpc(`${callsign}.1.unregister`, {
+                event: 'urlchange',
+                id: `client.${callsign}.events`,
+            }).catch(() => {});
+        }
+        urlEventsRegistered = false;
+        if (rpc) {
+            rpc.dispose();
+            rpc = null;
+        }
         await wsClient.close();
     }
 
-    return { connect, disconnect, stop, start, resume, setURL, waitForEvent, isConnected };
+    return {
+        connect,
+        disconnect,
+        stop,
+        start,
+        resume,
+        setURL,
+        waitForEvent,
+        isConnected,
+        getState,
+        listPlugins,
+        getBrowserProperty,
+        setBrowserProperty,
+        getProcessMemory,
+        captureScreen,
+        onStateChange,
+        waitForState,
+        on: wsClient.on,
+        off: wsClient.off,
+    };
 }
@@ -0,0 +1,275 @@
+// @ts-nocheck
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createThunderSession, UnknownCallsignError } from './thunderSession.js';
+import { createWebSocketClient } from './websocket.js';
+
+vi.mock('./websocket.js', () => ({
+    createWebSocketClient: vi.fn(),
+}));
+
+/**
+ * Creates a WebSocket client double answering JSON-RPC requests with `respond`.
+ */
+function createFakeWsClient(respond) {
+    const events = new EventTarget();
+    const sent = [];
+    const dispatch = (message) =>
+        events.dispatchEvent(new CustomEvent('message', { detail: JSON.stringify(message) }));
+
+    return {
+        sent,
+        connect: vi.fn(async () => {}),
+        close: vi.fn(),
+        isConnected: () => true,
+        on: (event, handler) => events.addEventListener(event, handler),
+        off: (event, handler) => events.removeEventListener(event, handler),
+        send: vi.fn((data) => {
+            const request = JSON.parse(data);
+            sent.push(request);
+            queueMicrotask(() =>
+                dispatch({ jsonrpc: '2.0', id: request.id, result: respond(request) ?? null })
+            );
+        }),
+        notify: (params) =>
+            dispatch({ jsonrpc: '2.0', method: 'client.Controller.events.all', params }),
+        notifyUrl: (params) =>
+            dispatch({ jsonrpc: '2.0', method: 'client.UX.events.urlchange', params }),
+    };
+}
+
+describe('Thunder Session', () => {
+    let wsClient;
+    let session;
+    let plugins;
+
+    beforeEach(async () => {
+        plugins = [
+            { callsign: 'UX', classname: 'WebKitBrowser', state: 'Deactivated', autostart: false },
+            { callsign: 'OCDM', classname: 'OCDM', state: 'Activated', autostart: true },
+        ];
+        wsClient = createFakeWsClient((request) =>
+            request.method === 'Controller.1.status' ? plugins : null
+        );
+        vi.mocked(createWebSocketClient).mockReturnValue(wsClient);
+
+        session = createThunderSession({ host: '127.0.0.1', callsign: 'UX' });
+        await session.connect();
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('should subscribe to the Controller events when connecting', () => {
+        expect(wsClient.sent[0]).toMatchObject({
+            method: 'Controller.1.register',
+            params: { event: 'all', id: 'client.Controller.events' },
+        });
+    });
+
+    it('should return the state of the session callsign or any other callsign', async () => {
+        await expect(session.getState()).resolves.toBe('Deactivated');
+        await expect(session.getState('OCDM')).resolves.toBe('Activated');
+    });
+
+    it('should reject an unknown callsign with a clear error', async () => {
+        const error = await session.getState('Compositor').catch((e) => e);
+        expect(error).toBeInstanceOf(UnknownCallsignError);
+        expect(error.message).toBe('Unknown callsign: Compositor');
+        expect(error.callsign).toBe('Compositor');
+    });
+
+    it('should list the plugins', async () => {
+        await expect(session.listPlugins()).resolves.toEqual([
+            { callsign: 'UX', classname: 'WebKitBrowser', state: 'Deactivated' },
+            { callsign: 'OCDM', classname: 'OCDM', state: 'Activated' },
+        ]);
+    });
+
+    it('should connect to the plain socket on port 80 by default', () => {
+        expect(wsClient.connect).toHaveBeenCalledWith(
+            expect.objectContaining({ url: 'ws://127.0.0.1:80/jsonrpc' })
+        );
+    });
+
+    it('should connect securely and pass the token', async () => {
+        session = createThunderSession({
+            host: 'tv.local',
+            callsign: 'UX',
+            secure: true,
+            token: 'a b+c',
+        });
+        await session.connect();
+
+        expect(wsClient.connect).toHaveBeenLastCalledWith(
+            expect.objectContaining({ url: 'wss://tv.local:443/jsonrpc?token=a%20b%2Bc' })
+        );
+    });
+
+    it('should convert the Monitor measurements to bytes', async () => {
+        const measurement = (last) => ({ min: last, max: last, average: last, last });
+        wsClient = createFakeWsClient((request) =>
+            request.method === 'Monitor.1.status' && request.params.callsign === 'UX'
+                ? [{ measurements: { resident: measurement(2048), shared: measurement(512) } }]
+                : []
+        );
+        vi.mocked(createWebSocketClient).mockReturnValue(wsClient);
+        session = createThunderSession({ host: '127.0.0.1', callsign: 'UX' });
+        await session.connect();
+
+        await expect(session.getProcessMemory()).resolves.toEqual({
+            resident: 2048 * 1024,
+            allocated: null,
+            shared: 512 * 1024,
+        });
+        await expect(session.getProcessMemory('OCDM')).resolves.toBeNull();
+    });
+
+    it('should read and write the browser properties of the callsign', async () => {
+        wsClient = createFakeWsClient((request) =>
+            request.method === 'UX.1.headers' ? '[{"name":"X-A","value":"1"}]' : null
+        );
+        vi.mocked(createWebSocketClient).mockReturnValue(wsClient);
+        session = createThunderSession({ host: '127.0.0.1', callsign: 'UX' });
+        await session.connect();
+
+        await expect(session.getBrowserProperty('headers')).resolves.toEqual([
+            { name: 'X-A', value: '1' },
+        ]);
+        await session.setBrowserProperty('languages', ['fr-CA', 'en']);
+        expect(wsClient.sent.at(-1)).toMatchObject({
+            method: 'UX.1.languages',
+            params: ['fr-CA', 'en'],
+        });
+
+        const sent = wsClient.sent.length;
+        await expect(session.setBrowserProperty('visibility', 'gone')).rejects.toThrow(
+            'Invalid browser property visibility'
+        );
+        await expect(session.getBrowserProperty('zoom')).rejects.toThrow('unknown property');
+        expect(wsClient.sent).toHaveLength(sent);
+    });
+
+    it('should pass state changes of any callsign to the callbacks', () => {
+        const callback = vi.fn();
+        const remove = session.onStateChange(callback);
+
+        wsClient.notify({
+            event: 'statechange',
+            params: { callsign: 'OCDM', state: 'Deactivated', reason: 'Crash' },
+        });
+        wsClient.notify({ event: 'statechange', params: { callsign: 'UX', suspended: true } });
+        remove();
+        wsClient.notify({ event: 'statechange', params: { callsign: 'UX', state: 'activated' } });
+
+        expect(callback.mock.calls).toEqual([
+            [{ callsign: 'OCDM', state: 'deactivated', reason: 'Crash' }],
+            [{ callsign: 'UX', state: 'suspended' }],
+        ]);
+    });
+
+    it('should resolve waitForState immediately when the plugin is in the state', async () => {
+        await expect(session.waitForState('OCDM', 'activated', 100)).resolves.toBeUndefined();
+    });
+
+    it('should resolve waitForState on the matching state change', async () => {
+        const waiting = session.waitForState('UX', 'Activated', 1000);
+        await vi.waitFor(() => expect(wsClient.sent.at(-1).method).toBe('Controller.1.status'));
+
+        wsClient.notify({ event: 'statechange', params: { callsign: 'UX', state: 'activated' } });
+        await expect(waiting).resolves.toBeUndefined();
+    });
+
+    it('should reject waitForState on timeout and for unknown callsigns', async () => {
+        await expect(session.waitForState('UX', 'activated', 50)).rejects.toThrow(
+            'Timed out after 50ms waiting for UX to be activated'
+        );
+        await expect(session.waitForState('Compositor', 'activated', 50)).rejects.toBeInstanceOf(
+            UnknownCallsignError
+        );
+    });
+
+    it('should wait for the statechange notification when starting', async () => {
+        const started = session.start(1000);
+        await vi.waitFor(() => expect(wsClient.sent.at(-1).method).toBe('Controller.1.activate'));
+
+        // Notifications for other plugins must not resolve the start
+        wsClient.notify({ event: 'statechange', params: { callsign: 'OCDM', state: 'activated' } });
+        wsClient.notify({ event: 'statechange', params: { callsign: 'UX', state: 'activated' } });
+        await expect(started).resolves.toBeUndefined();
+    });
+
+    it('should wait for the loaded notification of the URL it set', async () => {
+        const fetch = vi.fn(async () => ({ ok: true, status: 200 }));
+        vi.stubGlobal('fetch', fetch);
+
+        let loaded = false;
+        const setting = session.setURL('http://example.com', 1000).then(() => (loaded = true));
+        await vi.waitFor(() => expect(fetch).toHaveBeenCalled());
+        expect(fetch).toHaveBeenCalledWith(
+            'http://127.0.0.1:80/Service/UX/URL',
+            expect.objectContaining({ method: 'POST', signal: expect.any(AbortSignal) })
+        );
+
+        // A late notification of the previous page must not end the wait
+        wsClient.notifyUrl({ url: 'http://example.com/old', loaded: true });
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        expect(loaded).toBe(false);
+
+        wsClient.notifyUrl({ url: 'http://example.com/', loaded: true });
+        await setting;
+
+        const next = session.setURL('http://example.com/next', 1000);
+        await vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(2));
+        wsClient.notifyUrl({ url: 'http://example.com/next', loaded: true });
+        await next;
+
+        const registrations = wsClient.sent.filter((request) => request.method === 'UX.1.register');
+        expect(registrations).toHaveLength(1);
+    });
+
+    it('should give up on a device that does not answer the URL request', async () => {
+        vi.stubGlobal(
+            'fetch',
+            vi.fn(
+                (url, { signal }) =>
+                    new Promise((resolve, reject) =>
+                        signal.addEventListener('abort', () => reject(signal.reason))
+                    )
+            )
+        );
+
+        await expect(session.setURL('http://example.com', 50)).rejects.toThrow(
+            'Timed out after 50ms posting the URL'
+        );
+    });
+
+    it('should bound the wait for the page and drop it when the URL request fails', async () => {
+        const fetch = vi.fn(async () => ({ ok: true, status: 200 }));
+        vi.stubGlobal('fetch', fetch);
+        vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        try {
+            const setting = session.setURL('http://example.com');
+            setting.catch(() => {});
+            await vi.waitFor(() => expect(fetch).toHaveBeenCalled());
+            await vi.advanceTimersByTimeAsync(30000);
+            await expect(setting).rejects.toThrow(/^Timed out after \d+ms waiting for urlchange/);
+
+            fetch.mockResolvedValue({ ok: false, status: 500 });
+            await expect(session.setURL('http://example.com')).rejects.toThrow(
+                'Failed to set URL: HTTP 500'
+            );
+            expect(vi.getTimerCount()).toBe(0);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    it('should give the state request the time left of the step', async () => {
+        // The Controller stops answering
+        wsClient.send.mockImplementation((data) => wsClient.sent.push(JSON.parse(data)));
+
+        await expect(session.start(50)).rejects.toThrow(/timed out/i);
+        expect(wsClient.sent.at(-1).method).toBe('Controller.1.status');
+    });
+});
@@ -0,0 +1,11 @@
+/**
+ * Builds the base URL of a Thunder HTTP interface.
+ * @param {string} host - Host of the Thunder instance, IPv6 addresses with or without brackets.
+ * @param {number} [port] - Port, 80 or 443 by default.
+ * @param {boolean} [secure=false] - Use https.
+ * @returns {string} The base URL without a trailing slash.
+ */
+export function thunderHttpUrl(host, port, secure = false) {
+    const hostname = host.includes(':') && !host.startsWith('[') ? `[${host}]` : host;
+    return `${secure ? 'https' : 'http'}://${hostname}:${port ?? (secure ? 443 : 80)}`;
+}
@@ -0,0 +1,15 @@
+import { describe, it, expect } from 'vitest';
+import { thunderHttpUrl } from './thunderUrl.js';
+
+describe('thunderHttpUrl', () => {
+    it('should default the port to the scheme', () => {
+        expect(thunderHttpUrl('tv.local')).toBe('http://tv.local:80');
+        expect(thunderHttpUrl('tv.local', undefined, true)).toBe('https://tv.local:443');
+        expect(thunderHttpUrl('10.0.0.5', 9998)).toBe('http://10.0.0.5:9998');
+    });
+
+    it('should wrap IPv6 addresses in brackets', () => {
+        expect(thunderHttpUrl('fe80::1', 9998)).toBe('http://[fe80::1]:9998');
+        expect(thunderHttpUrl('[::1]', 80)).toBe('http://[::1]:80');
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * @typedef {Object} WatchdogOptions
+ * @property {number} [interval=5000] - Time between heartbeats in milliseconds, 0 turns the hang detection off.
+ * @property {number} [timeout=10000] - Time the page may take to answer a heartbeat before it counts as hung.
+ * @property {number} [consoleLines=20] - Number of recent console lines attached to crash and hang events.
+ * @property {boolean} [relaunch=false] - Launch the last URL again after a crash or hang.
+ * @property {number} [maxRelaunches=3] - Relaunches in a row before giving up, the count restarts once the
+ *   page answers a heartbeat.
+ *
+ * @typedef {Object} Incident - The `data` of crash and hang events.
+ * @property {string} reason - Thunder's deactivation reason (e.g. "Failure"), "WebInspector disconnected" or
+ *   "No response within <timeout>ms".
+ * @property {string} url - The launched URL.
+ * @property {string[]} console - The last console lines and exceptions of the page, oldest first.
+ * @property {boolean} relaunch - Whether the URL is launched again.
+ *
+ * @typedef {Object} Watchdog
+ * @property {(line: string) => void} record - Keeps a console line for the next incident.
+ * @property {() => string[]} recentConsole - Returns the kept console lines, oldest first.
+ * @property {() => void} start - Starts the heartbeats, a running watchdog starts over.
+ * @property {() => void} stop - Stops the heartbeats.
+ * @property {() => void} reset - Stops the heartbeats and forgets the console lines, called when the page goes away.
+ */
+
+/**
+ * Creates a watchdog sending heartbeats to the page. A heartbeat that times out means the main thread of
+ * the page is blocked; it is reported once, until the page answers again. Other heartbeat failures are
+ * left to the crash detection, a page without inspector connection cannot answer anyway.
+ * @param {WatchdogOptions} options - Watchdog options.
+ * @param {(timeout: number) => Promise<any>} heartbeat - Sends a heartbeat, rejects with a JsonRpcError with
+ *   the code "TIMEOUT" when the page did not answer in time.
+ * @param {(timeout: number) => void} onHang - Called when the page stopped answering.
+ * @returns {Watchdog} The watchdog.
+ */
+export function createWatchdog(options, heartbeat, onHang) {
+    const { interval = 5000, timeout = 10000, consoleLines = 20 } = options;
+    /** @type {string[]} */
+    const lines = [];
+    let timer = null;
+    /** Incremented by stop(), so heartbeats in flight don't schedule the next one */
+    let generation = 0;
+    let hung = false;
+
+    /**
+     * Keeps a console line, dropping the oldest beyond the configured number.
+     * @param {string} line - The line.
+     */
+    function record(line) {
+        lines.push(line);
+        if (lines.length > consoleLines) lines.shift();
+    }
+
+    /**
+     * Sends a heartbeat and schedules the next one.
+     * @param {number} current - Generation the heartbeat belongs to.
+     */
+    async function beat(current) {
+        try {
+            await heartbeat(timeout);
+            hung = false;
+        } catch (error) {
+            if (current === generation && error?.code === 'TIMEOUT' && !hung) {
+                hung = true;
+                onHang(timeout);
+            }
+        }
+        if (current === generation) timer = setTimeout(() => beat(current), interval);
+    }
+
+    /**
+     * Starts the heartbeats.
+     */
+    function start() {
+        stop();
+        hung = false;
+        const current = generation;
+        if (interval > 0) timer = setTimeout(() => beat(current), interval);
+    }
+
+    /**
+     * Stops the heartbeats.
+     */
+    function stop() {
+        generation++;
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    /**
+     * Stops the heartbeats and forgets the console lines of the page.
+     */
+    function reset() {
+        stop();
+        lines.length = 0;
+    }
+
+    return { record, recentConsole: () => [...lines], start, stop, reset };
+}
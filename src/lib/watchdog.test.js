@@ -0,0 +1,73 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createWatchdog } from './watchdog.js';
+import { JsonRpcError } from './jsonRpc.js';
+
+describe('createWatchdog', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should keep the most recent console lines until reset', () => {
+        const watchdog = createWatchdog(
+            { consoleLines: 2 },
+            async () => {},
+            () => {}
+        );
+
+        ['one', 'two', 'three'].forEach(watchdog.record);
+        expect(watchdog.recentConsole()).toEqual(['two', 'three']);
+
+        watchdog.reset();
+        expect(watchdog.recentConsole()).toEqual([]);
+    });
+
+    it('should report a hung page once until it answers again', async () => {
+        vi.useFakeTimers();
+        let responsive = false;
+        const heartbeat = vi.fn(async (timeout) => {
+            if (responsive) return 1;
+            await new Promise((resolve) => setTimeout(resolve, timeout));
+            throw new JsonRpcError(`Runtime.evaluate timed out after ${timeout}ms`, 'TIMEOUT');
+        });
+        const onHang = vi.fn();
+        const watchdog = createWatchdog({ interval: 1000, timeout: 500 }, heartbeat, onHang);
+
+        watchdog.start();
+        await vi.advanceTimersByTimeAsync(4600);
+        expect(heartbeat).toHaveBeenCalledTimes(3);
+        expect(onHang).toHaveBeenCalledTimes(1);
+        expect(onHang).toHaveBeenCalledWith(500);
+
+        responsive = true;
+        await vi.advanceTimersByTimeAsync(1500);
+        responsive = false;
+        await vi.advanceTimersByTimeAsync(1500);
+        expect(onHang).toHaveBeenCalledTimes(2);
+
+        watchdog.stop();
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(onHang).toHaveBeenCalledTimes(2);
+    });
+
+    it('should ignore heartbeats failing for other reasons and stay off without interval', async () => {
+        vi.useFakeTimers();
+        const onHang = vi.fn();
+        const failing = createWatchdog(
+            { interval: 100 },
+            async () => {
+                throw new JsonRpcError('Runtime.evaluate failed: closed', 'CLOSED');
+            },
+            onHang
+        );
+        const heartbeat = vi.fn(async () => {});
+        const off = createWatchdog({ interval: 0 }, heartbeat, onHang);
+
+        failing.start();
+        off.start();
+        await vi.advanceTimersByTimeAsync(1000);
+        failing.stop();
+
+        expect(onHang).not.toHaveBeenCalled();
+        expect(heartbeat).not.toHaveBeenCalled();
+    });
+});
@@ -1,26 +1,104 @@
 import { createWebSocketClient } from './websocket.js';
+import { normalizeConsoleMessage } from './consoleMessage.js';
+import { createJsonRpcClient } from './jsonRpc.js';
+import { createNetworkCapture } from './networkCapture.js';
+import { isPageException, toPageException } from './pageException.js';
+import { delay } from './util.js';
+import { DEFAULT_SOCKET_PATH, fetchTargets, selectTarget } from './inspectorTargets.js';
+
+/** Interval between connection attempts while the inspector is not available yet */
+const RETRY_INTERVAL = 250;
+
+/** Request IDs start above the IDs used by the handshake */
+const FIRST_REQUEST_ID = 1000;
+
+/**
+ * Error thrown by the page while evaluating an expression.
+ * `exception` holds the thrown value as a WebInspector remote object.
+ */
+export class EvaluationError extends Error {
+    /**
+     * @param {RemoteObject} exception - The thrown value.
+     */
+    constructor(exception) {
+        super(exception.description || String(exception.value));
+        this.name = 'EvaluationError';
+        this.exception = exception;
+    }
+}
 
 /** types
  * @typedef {Object} webInspectorConfig
  * @property {string} hostIP - IP address of the WebInspector host.
  * @property {number} port - Port number for the WebSocket connection.
+ * @property {boolean | import("./websocket.js").ReconnectOptions} [reconnect=false] - Reconnect when the connection drops.
+ * @property {boolean} [network=false] - Enable the Network domain and report request events.
+ * @property {(targets: InspectorTarget[], url?: string) => InspectorTarget | undefined} [target] - Picks the target to
+ *   attach to from the listed targets, by default the page showing the launched URL or else the newest page.
+ * @property {boolean} [memory=false] - Enable the Heap domain and start the Memory tracking, their
+ *   notifications are dispatched as "notification" events.
  *
  * imports
  * @typedef {import("./websocket.js").WebSocketClient}WebSocketClient
+ * @typedef {import("./consoleMessage.js").ConsoleMessage} ConsoleMessage
+ * @typedef {import("./networkCapture.js").NetworkEvent} NetworkEvent
+ * @typedef {import("./pageException.js").PageException} PageException
+ * @typedef {import("./inspectorTargets.js").InspectorTarget} InspectorTarget
+ *
+ * @typedef {Object} ConnectOptions
+ * @property {string} [url] - The URL that is or will be loaded, used to pick the target.
+ * @property {InspectorTarget} [target] - Attach to this target instead of picking one.
+ *
+ * @typedef {Object} RemoteObject - WebInspector `Runtime.RemoteObject`.
+ * @property {string} type - Value type (e.g. "object", "string", "undefined").
+ * @property {string} [subtype] - Object subtype (e.g. "array", "null", "error").
+ * @property {string} [className] - Constructor name for objects.
+ * @property {any} [value] - Primitive value, or the JSON value when returned by value.
+ * @property {string} [description] - String representation of the value.
+ * @property {string} [objectId] - Handle to the object on the device.
+ *
+ * @typedef {Object} PropertyDescriptor - WebInspector `Runtime.PropertyDescriptor`.
+ * @property {string} name - Property name.
+ * @property {RemoteObject} [value] - Property value, absent for accessors.
+ * @property {boolean} [enumerable] - True when the property shows up during enumeration.
+ * @property {boolean} [isOwn] - True when the property is owned by the object itself.
+ *
+ * @typedef {Object} EvaluateOptions
+ * @property {boolean} [awaitPromise=false] - Wait for a returned promise to settle and use its result.
+ * @property {boolean} [returnByValue=false] - Resolve with the JSON value instead of a remote object.
+ * @property {number} [timeout] - Time to wait for the result in milliseconds.
  *
  * @typedef {Object} WebInspectorClient
- * @property {() => void} connect - Establishes a WebSocket connection to WebInspector.
+ * @property {(timeout?: number, options?: ConnectOptions) => Promise<void>} connect - Establishes a WebSocket connection to WebInspector, retrying until it is available.
+ * @property {(timeout?: number) => Promise<InspectorTarget[]>} listTargets - Lists the inspectable pages and workers.
+ * @property {(url: string, timeout?: number) => Promise<InspectorTarget|null>} reattach - Attaches to the target of the URL when it is not the current one.
+ * @property {() => InspectorTarget|null} getTarget - Returns the target the client is attached to.
  * @property {() => void} disconnect - Closes the WebSocket connection.
  * @property {() => boolean} isConnected - Returns true if the WebSocket connection is open.
+ * @property {(expression: string, options?: EvaluateOptions) => Promise<any>} evaluate - Evaluates JavaScript in the page.
+ * @property {(objectId: string) => Promise<PropertyDescriptor[]>} getProperties - Lists the own properties of a remote object.
+ * @property {(timeout?: number) => Promise<Buffer>} captureScreenshot - Captures the viewport of the page as PNG.
+ * @property {(event: 'reconnecting'|'reconnected'|'reconnect-failed'|'close'|'notification', handler: Function) => void} on - Registers a connection or protocol notification listener.
+ * @property {(event: string, handler: Function) => void} off - Deregisters a connection event listener.
  *
  * Connects to WebKit's WebInspector to retrieve console logs.
  * NOTE: Only 1 WebInspector connection is allowed per host/agent.
  * @param {webInspectorConfig} config - Configuration object.
- * @param {Function} onMessage - Callback function to handle incoming console logs.
+ * @param {(error: Error|null, message?: ConsoleMessage) => void} onMessage - Callback function to handle incoming console logs.
+ * @param {(event: NetworkEvent) => void} [onNetwork] - Callback for request events when `network` is enabled.
+ * @param {(exception: PageException) => void} [onException] - Callback for uncaught exceptions and unhandled
+ *   rejections, without it they are passed to `onMessage` as console errors.
  * @returns {WebInspectorClient} API with `connect` and `disconnect` functions.
  */
-export function createWebInspectorClient(config, onMessage) {
+export function createWebInspectorClient(config, onMessage, onNetwork, onException) {
     let ws = null;
+    /** @type {import("./jsonRpc.js").JsonRpcClient | null} */
+    let rpc = null;
+    // Outlives the per-connection WebSocket clients so listeners survive connect/disconnect cycles
+    const events = new EventTarget();
+    const network = config.network ? createNetworkCapture() : null;
+    /** @type {InspectorTarget|null} */
+    let currentTarget = null;
 
     /**
      * Handles incoming WebSocket messages.
@@ -29,56 +107,258 @@ export function createWebInspectorClient(config, onMessage) {
     function handleMessage(event) {
         if (!event || !event.detail) return;
 
+        let message;
         try {
-            const message = JSON.parse(event.detail);
-            if (message.method === 'Console.messageAdded' && message.params?.message?.text) {
-                onMessage(null, message.params.message.text);
-            }
+            message = JSON.parse(event.detail);
         } catch (error) {
-            console.error('Error parsing WebInspector message:', error);
+            onMessage(new Error(`Invalid WebInspector message: ${error.message}`));
+            return;
+        }
+
+        if (message.method === 'Console.messageAdded' && message.params?.message) {
+            const consoleMessage = normalizeConsoleMessage(message.params.message);
+            if (onException && isPageException(consoleMessage)) {
+                onException(toPageException(consoleMessage));
+            } else {
+                onMessage(null, consoleMessage);
+            }
+        } else if (network && message.method?.startsWith('Network.')) {
+            network.handle(message).forEach((networkEvent) => onNetwork?.(networkEvent));
+        } else if (message.method) {
+            events.dispatchEvent(new CustomEvent('notification', { detail: message }));
+        }
+    }
+
+    /**
+     * Lists the inspectable targets: pages, iframes running out of process and workers.
+     * @param {number} [timeout=5000] - Time to wait for the listing in milliseconds.
+     * @returns {Promise<InspectorTarget[]>} Resolves with the targets.
+     */
+    function listTargets(timeout) {
+        return fetchTargets(config.hostIP, config.port, timeout);
+    }
+
+    /**
+     * Picks the target for a URL from the listing.
+     * @param {string|undefined} url - The launched URL.
+     * @param {number} timeout - Time to wait for the listing in milliseconds.
+     * @returns {Promise<InspectorTarget|null|undefined>} Resolves with the target, undefined while no page is
+     *   listed yet and null when the inspector does not list its targets.
+     */
+    async function discover(url, timeout) {
+        let targets;
+        try {
+            targets = await listTargets(timeout);
+        } catch (_) {
+            return null;
         }
+        return (config.target || selectTarget)(targets, url);
     }
 
     /**
      * Establishes a WebSocket connection to WebInspector.
+     * The inspector server only comes up once the browser is activated, so the connection is retried
+     * until it opens or the timeout expires. The target is looked up in the listing of the inspector
+     * server on every attempt, servers without a listing get the socket of the first page.
+     * @param {number} [timeout=10000] - Time to wait for the inspector to become available in milliseconds.
+     * @param {ConnectOptions} [options={}] - The URL to pick the target for, or the target.
+     * @returns {Promise<void>} Resolves when the connection is open.
      */
-    async function connect() {
+    async function connect(timeout = 10000, options = {}) {
         if (ws) disconnect();
+        // Requests in flight belonged to the previous page
+        if (network) network.reset();
 
-        ws = createWebSocketClient();
-        ws.connect({
-            url: `ws://${config.hostIP}:${config.port}/socket/1/1/WebPage`
-        });
+        const client = createWebSocketClient();
+        let connected = false;
+        ws = client;
+        rpc = createJsonRpcClient(client, { envelope: false, firstId: FIRST_REQUEST_ID });
 
-        ws.on('open', () => {
-            if (!ws) return;
+        // The handshake below is sent on every open, so a reconnect re-enables the domains
+        ['reconnecting', 'reconnected', 'reconnect-failed'].forEach((type) => {
+            client.on(type, (event) => {
+                events.dispatchEvent(new CustomEvent(type, { detail: event.detail }));
+            });
+        });
 
-            ws.send(JSON.stringify({ id: 1, method: 'Inspector.enable' }));
-            ws.send(JSON.stringify({ id: 22, method: 'Console.enable' }));
-            ws.send(JSON.stringify({ id: 23, method: 'Inspector.initialized' }));
+        client.on('open', () => {
+            client.send(JSON.stringify({ id: 1, method: 'Inspector.enable' }));
+            client.send(JSON.stringify({ id: 22, method: 'Console.enable' }));
+            client.send(JSON.stringify({ id: 23, method: 'Inspector.initialized' }));
+            if (network) client.send(JSON.stringify({ id: 24, method: 'Network.enable' }));
+            if (config.memory) {
+                client.send(JSON.stringify({ id: 25, method: 'Heap.enable' }));
+                client.send(JSON.stringify({ id: 26, method: 'Memory.startTracking' }));
+            }
         });
 
-        ws.on('message', handleMessage);
-        ws.on('error', (error) => {
-            console.error('WebInspector connection error:', error);
+        client.on('message', handleMessage);
+
+        // Failed attempts while waiting for the inspector to come up are expected, don't report them
+        client.on('error', () => {
+            if (connected) onMessage(new Error('WebInspector connection error'));
         });
 
-        ws.on('close', () => {
-            console.log('WebInspector connection closed');
+        // Only a connection that dropped is reported, not one closed by disconnect()
+        client.on('close', () => {
+            if (connected && ws === client) events.dispatchEvent(new Event('close'));
         });
+
+        const deadline = Date.now() + timeout;
+        for (;;) {
+            try {
+                let target = options.target;
+                if (!target) {
+                    target = await discover(options.url, Math.max(deadline - Date.now(), 1));
+                    if (target === undefined) throw new Error('No page listed yet');
+                    target ??= {
+                        id: '1:1',
+                        type: 'WebPage',
+                        title: '',
+                        url: '',
+                        socketPath: DEFAULT_SOCKET_PATH,
+                    };
+                }
+                if (ws !== client) throw new Error('WebInspector connection aborted');
+
+                await client.connect({
+                    url: `ws://${config.hostIP}:${config.port}${target.socketPath}`,
+                    timeout: Math.max(deadline - Date.now(), 1),
+                    reconnect: config.reconnect,
+                });
+                connected = true;
+                currentTarget = target;
+                return;
+            } catch (error) {
+                if (ws !== client) throw new Error('WebInspector connection aborted');
+                if (Date.now() + RETRY_INTERVAL >= deadline) {
+                    throw new Error(`WebInspector not available after ${timeout}ms`);
+                }
+                await delay(RETRY_INTERVAL);
+            }
+        }
     }
 
     /**
      * Closes the WebSocket connection.
      */
     function disconnect() {
-        console.log('Closing WebInspector WebSocket connection');
+        currentTarget = null;
+        if (rpc) {
+            rpc.dispose();
+            rpc = null;
+        }
         if (ws) {
             ws.close();
             ws = null;
         }
     }
 
+    /**
+     * Moves over to the target showing the URL when that is not the current target, e.g. after a
+     * navigation swapped the web process. Nothing changes when the inspector does not list its targets.
+     * @param {string} url - The loaded URL.
+     * @param {number} [timeout=10000] - Time to wait for the listing and the connection in milliseconds.
+     * @returns {Promise<InspectorTarget|null>} Resolves with the new target, null when the client stayed attached.
+     */
+    async function reattach(url, timeout = 10000) {
+        const target = await discover(url, timeout);
+        if (!target || (currentTarget && target.socketPath === currentTarget.socketPath)) {
+            return null;
+        }
+
+        await connect(timeout, { target });
+        return target;
+    }
+
+    /**
+     * Sends a protocol request to the page.
+     * @param {string} method - Protocol method (e.g. "Runtime.evaluate").
+     * @param {Object} [params] - Method parameters.
+     * @param {number} [timeout] - Time to wait for the response in milliseconds.
+     * @returns {Promise<any>} Resolves with the result of the request.
+     */
+    function send(method, params, timeout) {
+        if (!rpc || !isConnected()) return Promise.reject(new Error('WebInspector not connected'));
+        return rpc.call(method, params, { timeout });
+    }
+
+    /**
+     * Evaluates a JavaScript expression in the page.
+     * @param {string} expression - The expression to evaluate.
+     * @param {EvaluateOptions} [options={}] - Evaluation options.
+     * @returns {Promise<any>} Resolves with the value when `returnByValue` is set, otherwise with the remote object.
+     * @throws {EvaluationError} Rejects when the expression throws or the awaited promise rejects.
+     */
+    async function evaluate(expression, options = {}) {
+        const { awaitPromise = false, returnByValue = false, timeout } = options;
+
+        // A promise returned by value would be serialized to {}, keep the handle until it settled
+        let { result, wasThrown } = await send(
+            'Runtime.evaluate',
+            {
+                expression,
+                objectGroup: 'console',
+                includeCommandLineAPI: true,
+                returnByValue: returnByValue && !awaitPromise,
+            },
+            timeout
+        );
+
+        if (!wasThrown && awaitPromise && result.className === 'Promise' && result.objectId) {
+            ({ result, wasThrown } = await send(
+                'Runtime.awaitPromise',
+                { promiseObjectId: result.objectId, returnByValue },
+                timeout
+            ));
+        } else if (!wasThrown && returnByValue && awaitPromise && result.objectId) {
+            ({ result, wasThrown } = await send(
+                'Runtime.callFunctionOn',
+                {
+                    objectId: result.objectId,
+                    functionDeclaration: 'function() { return this; }',
+                    returnByValue: true,
+                },
+                timeout
+            ));
+        }
+
+        if (wasThrown) throw new EvaluationError(result);
+        return returnByValue ? result.value : result;
+    }
+
+    /**
+     * Lists the own properties of a remote object, used to preview objects returned by `evaluate`.
+     * @param {string} objectId - The `objectId` of the remote object.
+     * @returns {Promise<PropertyDescriptor[]>} Resolves with the property descriptors.
+     */
+    async function getProperties(objectId) {
+        const { properties } = await send('Runtime.getProperties', {
+            objectId,
+            ownProperties: true,
+        });
+        return properties;
+    }
+
+    /**
+     * Captures the visible part of the page. `Page.snapshotRect` needs the size of the area, it is
+     * taken from the page since the viewport differs per device.
+     * @param {number} [timeout] - Time to wait for each request in milliseconds.
+     * @returns {Promise<Buffer>} Resolves with the PNG image.
+     */
+    async function captureScreenshot(timeout) {
+        const [width, height] = await evaluate('[window.innerWidth, window.innerHeight]', {
+            returnByValue: true,
+            timeout,
+        });
+        const { dataURL } = await send(
+            'Page.snapshotRect',
+            { x: 0, y: 0, width, height, coordinateSystem: 'Viewport' },
+            timeout
+        );
+        return Buffer.from(dataURL.slice(dataURL.indexOf(',') + 1), 'base64');
+    }
+
     /**
      * Is the WebSocket connection open?
      * @returns {boolean} Returns true if the connection is open.
@@ -87,5 +367,36 @@ export function createWebInspectorClient(config, onMessage) {
         return ws !== null && ws.isConnected();
     }
 
-    return { connect, disconnect, isConnected };
+    /**
+     * Registers a connection event listener, or a listener for protocol notifications other than
+     * console and network messages ("notification", the parsed message is the event detail).
+     * @param {string} event - Event name ("reconnecting", "reconnected", "reconnect-failed", "close" or "notification").
+     * @param {Function} handler - Callback function receiving a CustomEvent.
+     */
+    function on(event, handler) {
+        events.addEventListener(event, /** @type {EventListener} */ (handler));
+    }
+
+    /**
+     * Deregisters a connection event listener.
+     * @param {string} event - Event name.
+     * @param {Function} handler - The handler passed to `on`.
+     */
+    function off(event, handler) {
+        events.removeEventListener(event, /** @type {EventListener} */ (handler));
+    }
+
+    return {
+        connect,
+        disconnect,
+        isConnected,
+        evaluate,
+        getProperties,
+        captureScreenshot,
+        listTargets,
+        reattach,
+        getTarget: () => currentTarget,
+        on,
+        off,
+    };
 }
@@ -0,0 +1,304 @@
+// @ts-nocheck
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createWebInspectorClient, EvaluationError } from './webInspector.js';
+import { createWebSocketClient } from './websocket.js';
+
+vi.mock('./websocket.js', () => ({
+    createWebSocketClient: vi.fn(),
+}));
+
+/**
+ * Creates a WebSocket client double that answers protocol requests with `respond`.
+ */
+function createFakeWsClient(respond) {
+    const events = new EventTarget();
+    const sent = [];
+
+    const client = {
+        sent,
+        connect: vi.fn(async () => events.dispatchEvent(new Event('open'))),
+        close: vi.fn(),
+        isConnected: () => true,
+        on: (event, handler) => events.addEventListener(event, handler),
+        off: (event, handler) => events.removeEventListener(event, handler),
+        send: vi.fn((data) => {
+            const request = JSON.parse(data);
+            sent.push(request);
+            const response = respond(request);
+            if (response === undefined) return;
+            queueMicrotask(() =>
+                events.dispatchEvent(
+                    new CustomEvent('message', {
+                        detail: JSON.stringify({ id: request.id, ...response }),
+                    })
+                )
+            );
+        }),
+        emit: (message) =>
+            events.dispatchEvent(new CustomEvent('message', { detail: JSON.stringify(message) })),
+    };
+
+    return client;
+}
+
+describe('WebInspector Client', () => {
+    let wsClient;
+    let inspector;
+    let onMessage;
+    let responses;
+
+    beforeEach(async () => {
+        responses = {};
+        wsClient = createFakeWsClient((request) => {
+            const respond = responses[request.method];
+            return respond ? respond(request.params) : undefined;
+        });
+        vi.mocked(createWebSocketClient).mockReturnValue(wsClient);
+
+        onMessage = vi.fn();
+        inspector = createWebInspectorClient({ hostIP: '127.0.0.1', port: 9998 }, onMessage);
+        await inspector.connect();
+    });
+
+    it('should send the handshake when the connection opens', () => {
+        expect(wsClient.sent.map((request) => request.method)).toEqual([
+            'Inspector.enable',
+            'Console.enable',
+            'Inspector.initialized',
+        ]);
+    });
+
+    it('should pass structured console messages to the callback', () => {
+        wsClient.emit({
+            method: 'Console.messageAdded',
+            params: { message: { source: 'console-api', level: 'error', text: 'Oops' } },
+        });
+
+        expect(onMessage).toHaveBeenCalledWith(
+            null,
+            expect.objectContaining({ text: 'Oops', level: 'error', origin: 'console-api' })
+        );
+    });
+
+    it('should evaluate an expression and resolve with its remote object', async () => {
+        responses['Runtime.evaluate'] = () => ({
+            result: { result: { type: 'object', className: 'Object', objectId: '{"id":1}' } },
+        });
+
+        await expect(inspector.evaluate('window.app')).resolves.toEqual({
+            type: 'object',
+            className: 'Object',
+            objectId: '{"id":1}',
+        });
+        expect(wsClient.sent.at(-1)).toMatchObject({
+            method: 'Runtime.evaluate',
+            params: { expression: 'window.app', returnByValue: false },
+        });
+    });
+
+    it('should resolve with the value when returning by value', async () => {
+        responses['Runtime.evaluate'] = () => ({
+            result: { result: { type: 'object', value: { route: '/home' } } },
+        });
+
+        await expect(inspector.evaluate('app.state', { returnByValue: true })).resolves.toEqual({
+            route: '/home',
+        });
+    });
+
+    it('should await a returned promise', async () => {
+        responses['Runtime.evaluate'] = () => ({
+            result: { result: { type: 'object', className: 'Promise', objectId: 'promise-1' } },
+        });
+        responses['Runtime.awaitPromise'] = (params) => ({
+            result: {
+                result: { type: 'string', value: `settled ${params.promiseObjectId}` },
+                wasThrown: false,
+            },
+        });
+
+        await expect(
+            inspector.evaluate('fetchFlags()', { awaitPromise: true, returnByValue: true })
+        ).resolves.toBe('settled promise-1');
+    });
+
+    it('should reject with an EvaluationError when the page throws', async () => {
+        responses['Runtime.evaluate'] = () => ({
+            result: {
+                result: { type: 'object', subtype: 'error', description: 'ReferenceError: foo' },
+                wasThrown: true,
+            },
+        });
+
+        const error = await inspector.evaluate('foo').catch((e) => e);
+        expect(error).toBeInstanceOf(EvaluationError);
+        expect(error.message).toBe('ReferenceError: foo');
+        expect(error.exception.subtype).toBe('error');
+    });
+
+    it('should reject when the protocol returns an error', async () => {
+        responses['Runtime.evaluate'] = () => ({
+            error: { code: -32601, message: "'Runtime.evaluate' was not found" },
+        });
+
+        await expect(inspector.evaluate('1')).rejects.toThrow(
+            "Runtime.evaluate failed: 'Runtime.evaluate' was not found"
+        );
+    });
+
+    it('should reject evaluations after disconnecting', async () => {
+        inspector.disconnect();
+        await expect(inspector.evaluate('1')).rejects.toThrow('WebInspector not connected');
+    });
+
+    it('should enable the Network domain and report request events', async () => {
+        const onNetwork = vi.fn();
+        inspector = createWebInspectorClient(
+            { hostIP: '127.0.0.1', port: 9998, network: true },
+            onMessage,
+            onNetwork
+        );
+        await inspector.connect();
+
+        expect(wsClient.sent.map((request) => request.method)).toContain('Network.enable');
+
+        wsClient.emit({
+            method: 'Network.requestWillBeSent',
+            params: { requestId: '1', timestamp: 1, request: { url: 'https://example.com/' } },
+        });
+        wsClient.emit({
+            method: 'Network.loadingFailed',
+            params: { requestId: '1', timestamp: 2, errorText: 'Cancelled', canceled: true },
+        });
+
+        expect(onNetwork.mock.calls.map(([event]) => event.type)).toEqual([
+            'network-request',
+            'network-failed',
+        ]);
+        expect(onNetwork).toHaveBeenLastCalledWith(
+            expect.objectContaining({
+                request: expect.objectContaining({ canceled: true, duration: 1000 }),
+            })
+        );
+    });
+
+    it('should report exceptions separately when an exception callback is passed', async () => {
+        // The client from beforeEach listens on the same socket double with the previous spy
+        onMessage = vi.fn();
+        const onException = vi.fn();
+        inspector = createWebInspectorClient(
+            { hostIP: '127.0.0.1', port: 9998 },
+            onMessage,
+            undefined,
+            onException
+        );
+        await inspector.connect();
+
+        wsClient.emit({
+            method: 'Console.messageAdded',
+            params: {
+                message: {
+                    source: 'javascript',
+                    level: 'error',
+                    text: 'Unhandled Promise Rejection: Error: Oops',
+                },
+            },
+        });
+
+        expect(onMessage).not.toHaveBeenCalled();
+        expect(onException).toHaveBeenCalledWith(
+            expect.objectContaining({ kind: 'unhandled-rejection', message: 'Error: Oops' })
+        );
+    });
+});
+
+describe('WebInspector target discovery', () => {
+    let wsClient;
+    let listing;
+
+    /** Builds a listing page in the format of WebKit's inspector server */
+    const page = (targets) =>
+        '<table>' +
+        targets
+            .map(
+                ([url, path]) =>
+                    `<tr><td><div class="targetname"></div><div class="targeturl">${url}</div></td>` +
+                    `<td class="input"><input type="button" onclick="window.open('${path}')"></td></tr>`
+            )
+            .join('') +
+        '</table>';
+
+    beforeEach(() => {
+        wsClient = createFakeWsClient(() => undefined);
+        vi.mocked(createWebSocketClient).mockReturnValue(wsClient);
+        listing = page([['about:blank', '/socket/1/2/WebPage']]);
+        vi.stubGlobal(
+            'fetch',
+            vi.fn(async () => new Response(listing, { status: listing ? 200 : 404 }))
+        );
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('should connect to the listed page', async () => {
+        const inspector = createWebInspectorClient({ hostIP: '127.0.0.1', port: 9998 }, vi.fn());
+        await inspector.connect();
+
+        expect(fetch).toHaveBeenCalledWith('http://127.0.0.1:9998/', expect.anything());
+        expect(wsClient.connect).toHaveBeenCalledWith(
+            expect.objectContaining({ url: 'ws://127.0.0.1:9998/socket/1/2/WebPage' })
+        );
+        expect(inspector.getTarget()).toMatchObject({ id: '1:2', url: 'about:blank' });
+    });
+
+    it('should fall back to the first page when the targets are not listed', async () => {
+        listing = '';
+        const inspector = createWebInspectorClient({ hostIP: '127.0.0.1', port: 9998 }, vi.fn());
+        await inspector.connect();
+
+        expect(wsClient.connect).toHaveBeenCalledWith(
+            expect.objectContaining({ url: 'ws://127.0.0.1:9998/socket/1/1/WebPage' })
+        );
+    });
+
+    it('should re-attach only when the URL moved to another target', async () => {
+        const inspector = createWebInspectorClient({ hostIP: '127.0.0.1', port: 9998 }, vi.fn());
+        await inspector.connect();
+
+        listing = page([['https://example.com/', '/socket/1/2/WebPage']]);
+        await expect(inspector.reattach('https://example.com/')).resolves.toBeNull();
+
+        listing = page([
+            ['https://example.com/', '/socket/1/2/WebPage'],
+            ['https://other.example/#start', '/socket/1/3/WebPage'],
+        ]);
+        const target = await inspector.reattach('https://other.example/');
+
+        expect(target).toMatchObject({ id: '1:3', socketPath: '/socket/1/3/WebPage' });
+        expect(wsClient.connect).toHaveBeenLastCalledWith(
+            expect.objectContaining({ url: 'ws://127.0.0.1:9998/socket/1/3/WebPage' })
+        );
+        expect(inspector.getTarget()).toBe(target);
+    });
+
+    it('should let the config pick the target', async () => {
+        listing = page([
+            ['https://example.com/', '/socket/1/2/WebPage'],
+            ['https://example.com/sw.js', '/socket/1/4/ServiceWorker'],
+        ]);
+        const inspector = createWebInspectorClient(
+            {
+                hostIP: '127.0.0.1',
+                port: 9998,
+                target: (targets) => targets.find((target) => target.type === 'ServiceWorker'),
+            },
+            vi.fn()
+        );
+        await inspector.connect();
+
+        expect(inspector.getTarget()).toMatchObject({ id: '1:4', type: 'ServiceWorker' });
+        await expect(inspector.listTargets()).resolves.toHaveLength(2);
+    });
+});
@@ -1,8 +1,15 @@
 /**
+ * @typedef {Object} ReconnectOptions
+ * @property {number} [retries=Infinity] - Maximum number of reconnection attempts.
+ * @property {number} [minDelay=1000] - Delay before the first attempt in milliseconds.
+ * @property {number} [maxDelay=30000] - Upper bound for the delay between attempts in milliseconds.
+ * @property {number} [factor=2] - Multiplier applied to the delay after every failed attempt.
+ *
  * @typedef {Object} WebSocketOptions
  * @property {string} url - WebSocket server URL.
  * @property {number} [timeout=5000] - Connection timeout in milliseconds.
  * @property {string[]} [protocols=[]] - Subprotocols for the WebSocket connection.
+ * @property {boolean | ReconnectOptions} [reconnect=false] - Reconnect with exponential backoff when an open connection drops.
  *
  * @typedef {Object} WebSocketClient
  * @property {(options: WebSocketOptions) => Promise<void>} connect - Connects to a WebSocket server.
@@ -13,25 +20,51 @@
  * @property {() => boolean} isConnected - Returns true if the WebSocket connection is open.
  */
 
+const RECONNECT_DEFAULTS = { retries: Infinity, minDelay: 1000, maxDelay: 30000, factor: 2 };
+
 /**
  * Creates a simple WebSocket client with event-based messaging.
+ * Besides the native events it dispatches `reconnecting` ({ attempt, delay }), `reconnected` ({ attempt })
+ * and `reconnect-failed` ({ attempts }) when reconnection is enabled.
  * @returns {WebSocketClient} WebSocket client with methods for communication.
  */
 export function createWebSocketClient() {
     let socket = null;
     let events = new EventTarget();
     let timeoutId = undefined;
+    let reconnectTimer = undefined;
+    // Incremented by close() so pending reconnection attempts know they are obsolete
+    let generation = 0;
 
     /**
      * Connects to a WebSocket server.
      * @param {WebSocketOptions} WebSocketOptions - Connection options.
      * @returns {Promise<void>} Resolves on successful connection, rejects on failure or timeout.
      */
-    function connect({ url, timeout = 5000, protocols = [] }) {
-        return new Promise((resolve, reject) => {
-            if (socket) close();
+    function connect({ url, timeout = 5000, protocols = [], reconnect = false }) {
+        if (socket || reconnectTimer) close();
+
+        const reconnectOptions = reconnect
+            ? { ...RECONNECT_DEFAULTS, ...(reconnect === true ? {} : reconnect) }
+            : null;
+
+        const onDrop = reconnectOptions
+            ? () => scheduleReconnect({ url, timeout, protocols }, reconnectOptions, 1)
+            : () => {};
+
+        return open({ url, timeout, protocols }, onDrop);
+    }
 
-            socket = new WebSocket(url, protocols);
+    /**
+     * Opens a new socket and wires its events to the client.
+     * @param {WebSocketOptions} options - Connection options.
+     * @param {() => void} onDrop - Called when the opened socket closes without close() being called.
+     * @returns {Promise<void>} Resolves on successful connection, rejects on failure or timeout.
+     */
+    function open({ url, timeout, protocols }, onDrop) {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(url, protocols);
+            socket = ws;
             let connected = false;
 
             const onOpen = () => {
@@ -48,26 +81,77 @@ export function createWebSocketClient() {
 
             const onClose = () => {
                 events.dispatchEvent(new Event('close'));
+
+                // close() resets the socket first, so a match means the connection dropped
+                if (connected && socket === ws) {
+                    socket = null;
+                    onDrop();
+                }
             };
 
             const onMessage = (message) => {
                 events.dispatchEvent(new CustomEvent('message', { detail: message.data }));
             };
 
-            socket.addEventListener('open', onOpen);
-            socket.addEventListener('error', onError);
-            socket.addEventListener('close', onClose);
-            socket.addEventListener('message', onMessage);
+            ws.addEventListener('open', onOpen);
+            ws.addEventListener('error', onError);
+            ws.addEventListener('close', onClose);
+            ws.addEventListener('message', onMessage);
 
             timeoutId = setTimeout(() => {
                 if (!connected) {
-                    close();
+                    if (socket === ws) {
+                        socket = null;
+                        ws.close();
+                    }
                     reject(new Error('WebSocket connection timed out'));
                 }
             }, timeout);
         });
     }
 
+    /**
+     * Schedules a reconnection attempt with exponential backoff.
+     * @param {WebSocketOptions} options - Connection options.
+     * @param {ReconnectOptions} reconnectOptions - Backoff settings.
+     * @param {number} attempt - 1-based attempt number.
+     */
+    function scheduleReconnect(options, reconnectOptions, attempt) {
+        const { retries, minDelay, maxDelay, factor } = reconnectOptions;
+
+        if (attempt > retries) {
+            events.dispatchEvent(
+                new CustomEvent('reconnect-failed', { detail: { attempts: attempt - 1 } })
+            );
+            return;
+        }
+
+        const delay = Math.min(minDelay * factor ** (attempt - 1), maxDelay);
+        const currentGeneration = generation;
+        const onDrop = () => scheduleReconnect(options, reconnectOptions, 1);
+
+        events.dispatchEvent(new CustomEvent('reconnecting', { detail: { attempt, delay } }));
+
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = undefined;
+            if (currentGeneration !== generation) return;
+
+            open(options, onDrop)
+                .then(() => {
+                    if (currentGeneration !== generation) return;
+                    events.dispatchEvent(new CustomEvent('reconnected', { detail: { attempt } }));
+                })
+                .catch(() => {
+                    if (currentGeneration !== generation) return;
+                    if (socket) {
+                        socket.close();
+                        socket = null;
+                    }
+                    scheduleReconnect(options, reconnectOptions, attempt + 1);
+                });
+        }, delay);
+    }
+
     /**
      * Sends a message to the WebSocket server.
      * @param {string | ArrayBuffer | Blob} data - Data to send.
@@ -85,6 +169,10 @@ export function createWebSocketClient() {
      * Closes the WebSocket connection.
      */
     function close() {
+        generation++;
+        clearTimeout(reconnectTimer);
+        reconnectTimer = undefined;
+
         if (socket) {
             socket.removeEventListener('open', () => {});
             socket.removeEventListener('error', () => {});
@@ -101,7 +189,7 @@ export function createWebSocketClient() {
      * @param {Function} handler - Callback function to handle the event.
      */
     function on(event, handler) {
-        events.addEventListener(event, (e) => handler(e));
+        events.addEventListener(event, /** @type {EventListener} */ (handler));
     }
 
     /**
@@ -110,7 +198,7 @@ export function createWebSocketClient() {
      * @param {Function} handler - Callback function to handle the event.
      */
     function off(event, handler) {
-        events.removeEventListener(event, (e) => handler(e));
+        events.removeEventListener(event, /** @type {EventListener} */ (handler));
     }
 
     /**
@@ -101,6 +101,109 @@ describe('WebSocket Client', () => {
         expect(() => wsClient.send('Message')).toThrow('WebSocket is not open');
     });
 
+    it('should stop calling a handler once it is deregistered', async () => {
+        const listeners = {};
+
+        global.WebSocket.mockImplementationOnce(() => {
+            return {
+                send: vi.fn(),
+                close: vi.fn(),
+                addEventListener: (event, handler) => {
+                    listeners[event] = handler;
+                    if (event === 'open') setTimeout(handler, 50); // Simulate open event
+                },
+                removeEventListener: vi.fn(),
+                readyState: WebSocket.OPEN,
+            };
+        });
+
+        const handler = vi.fn();
+        await wsClient.connect({ url: 'ws://localhost:8080' });
+        wsClient.on('message', handler);
+
+        listeners.message({ data: 'first' });
+        wsClient.off('message', handler);
+        listeners.message({ data: 'second' });
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].detail).toBe('first');
+    });
+
+    it('should reconnect with exponential backoff when the connection drops', async () => {
+        vi.useFakeTimers();
+        const sockets = [];
+
+        global.WebSocket.mockImplementation(() => {
+            const listeners = {};
+            const socket = {
+                listeners,
+                send: vi.fn(),
+                close: vi.fn(),
+                addEventListener: (event, handler) => {
+                    listeners[event] = handler;
+                    // Only the first and the third socket manage to open
+                    if (event === 'open' && sockets.length !== 2) setTimeout(handler, 50);
+                    if (event === 'error' && sockets.length === 2) setTimeout(handler, 50);
+                },
+                removeEventListener: vi.fn(),
+                readyState: WebSocket.OPEN,
+            };
+            sockets.push(socket);
+            return socket;
+        });
+
+        const reconnecting = vi.fn();
+        const reconnected = vi.fn();
+        wsClient.on('reconnecting', (event) => reconnecting(event.detail));
+        wsClient.on('reconnected', (event) => reconnected(event.detail));
+
+        const connected = wsClient.connect({
+            url: 'ws://localhost:8080',
+            reconnect: { minDelay: 100, factor: 2 },
+        });
+        await vi.advanceTimersByTimeAsync(50);
+        await connected;
+
+        sockets[0].listeners.close();
+        expect(reconnecting).toHaveBeenLastCalledWith({ attempt: 1, delay: 100 });
+
+        await vi.advanceTimersByTimeAsync(150);
+        expect(reconnecting).toHaveBeenLastCalledWith({ attempt: 2, delay: 200 });
+
+        await vi.advanceTimersByTimeAsync(250);
+        expect(sockets).toHaveLength(3);
+        expect(reconnected).toHaveBeenCalledWith({ attempt: 2 });
+        expect(wsClient.isConnected()).toBe(true);
+
+        vi.useRealTimers();
+    });
+
+    it('should not reconnect after the connection is closed by the client', async () => {
+        const listeners = {};
+
+        global.WebSocket.mockImplementationOnce(() => {
+            return {
+                send: vi.fn(),
+                close: vi.fn(),
+                addEventListener: (event, handler) => {
+                    listeners[event] = handler;
+                    if (event === 'open') setTimeout(handler, 50); // Simulate open event
+                },
+                removeEventListener: vi.fn(),
+                readyState: WebSocket.OPEN,
+            };
+        });
+
+        const reconnecting = vi.fn();
+        wsClient.on('reconnecting', reconnecting);
+
+        await wsClient.connect({ url: 'ws://localhost:8080', reconnect: true });
+        wsClient.close();
+        listeners.close();
+
+        expect(reconnecting).not.toHaveBeenCalled();
+    });
+
     //   it("should close the connection properly", async () => {
     //     await wsClient.connect({ url: "ws://localhost:8080" });
     //     wsClient.close();
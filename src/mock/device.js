@@ -0,0 +1,829 @@
+import http from 'node:http';
+import vm from 'node:vm';
+import { WebSocketServer } from 'ws';
+
+/**
+ * @typedef {Object} MockPlugin
+ * @property {string} callsign - Callsign of the plugin.
+ * @property {string} [classname] - Class name of the plugin, defaults to the callsign.
+ * @property {string} [state='deactivated'] - Initial state.
+ *
+ * @typedef {Object} MockConsoleMessage - A WebKit `Console.ConsoleMessage`, `text` is required.
+ * @property {string} text - Message text.
+ * @property {string} [level='log'] - WebKit level ("log", "info", "warning", "error", "debug").
+ * @property {number} [delay=0] - Delay after the page load before the message is sent, in milliseconds.
+ *
+ * @typedef {Object} MockDeviceOptions
+ * @property {string} [host='127.0.0.1'] - Interface to listen on.
+ * @property {string} [callsign='WebKitBrowser'] - Callsign of the browser plugin.
+ * @property {MockPlugin[]} [plugins=[]] - Additional plugins reported by the Controller.
+ * @property {number} [thunderPort=0] - Port for the Thunder JSON-RPC and HTTP interface, 0 picks a free port.
+ * @property {number} [inspectorPort=0] - Port for the WebInspector socket, 0 picks a free port.
+ * @property {MockConsoleMessage[] | Object<string, MockConsoleMessage[]>} [console=[]] - Console messages sent after
+ *   every page load, or per URL.
+ * @property {number} [latency=10] - Delay before state and URL notifications are sent, in milliseconds.
+ * @property {string} [token] - Require this token like a device with the SecurityAgent enabled, it is handed out
+ *   by `SecurityAgent.1.createtoken` over HTTP.
+ * @property {boolean} [processSwap=false] - Load every URL in a new web process like cross-site navigations do:
+ *   the page gets a new inspector target and the clients of the previous target are disconnected.
+ * @property {string[]} [workers=[]] - Script URLs listed as service worker targets while the browser runs.
+ *
+ * @typedef {Object} MockDeviceAddress
+ * @property {string} host - Host the device listens on.
+ * @property {number} thunderPort - Port of the Thunder interface.
+ * @property {number} inspectorPort - Port of the WebInspector socket.
+ *
+ * @typedef {Object} MockDevice
+ * @property {() => Promise<MockDeviceAddress>} start - Starts listening, resolves with the address.
+ * @property {() => Promise<void>} stop - Closes all connections and stops listening.
+ * @property {() => MockDeviceAddress} address - Returns the address the device listens on.
+ * @property {(message: MockConsoleMessage) => void} emitConsole - Sends a console message to the inspector clients.
+ * @property {(callsign?: string) => string} getState - Returns the state of a plugin.
+ * @property {(reason?: string) => void} crash - Deactivates the browser like a crashed web process, the reason
+ *   is "Failure" by default.
+ * @property {() => void} crashPage - Drops the page and its inspector clients while the browser stays activated,
+ *   like a web process crash the plugin does not report.
+ * @property {(hung?: boolean) => void} hang - Holds back the `Runtime` requests like a page whose main thread is
+ *   blocked, `hang(false)` answers them. Unloading the page ends the hang.
+ * @property {() => string|null} currentUrl - Returns the URL loaded in the browser.
+ * @property {() => string} targetPath - Returns the inspector socket path of the page.
+ * @property {() => string[]} requests - Lists the JSON-RPC and inspector methods received so far.
+ */
+
+/** A 1x1 PNG returned for every screenshot */
+export const MOCK_SCREENSHOT = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
+    'base64'
+);
+
+/** Thunder error code for unknown callsigns */
+const ERROR_UNKNOWN_KEY = 22;
+/** Thunder error code for requests to a plugin that is not running */
+const ERROR_UNAVAILABLE = 2;
+/** JSON-RPC error code for unknown methods */
+const METHOD_NOT_FOUND = -32601;
+
+/** Properties of the browser plugin after activation, headers are a JSON encoded list like the plugin's */
+const DEFAULT_BROWSER_PROPERTIES = {
+    useragent: 'Mozilla/5.0 (Linux; x86_64) AppleWebKit/605.1.15 (KHTML, like Gecko) WPE',
+    visibility: 'visible',
+    headers: '',
+    localstorageenabled: true,
+    languages: ['en-US'],
+    fps: 60,
+};
+
+/**
+ * Escapes text for the target listing.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Creates a fake Thunder device for tests and CI: a Controller JSON-RPC socket, the browser
+ * `/Service/<callsign>/URL` endpoint and properties, a Monitor plugin reporting the browser memory,
+ * the capture endpoint of plugins with the ScreenCapture class name, a WebInspector target listing
+ * and socket sending scripted console messages, a memory tracking update once tracking is started
+ * and, once the Network domain is enabled, the request of every loaded page. Screenshots are always
+ * `MOCK_SCREENSHOT`. Expressions sent with `Runtime.evaluate` run in a sandbox where `console.*`
+ * calls are sent back as console messages and `navigator` reflects the browser properties.
+ * @param {MockDeviceOptions} [options={}] - Device options.
+ * @returns {MockDevice} The mock device.
+ */
+export function createMockDevice(options = {}) {
+    const {
+        host = '127.0.0.1',
+        callsign = 'WebKitBrowser',
+        plugins: extraPlugins = [],
+        console: consoleScript = [],
+        latency = 10,
+        token,
+        processSwap = false,
+        workers = [],
+    } = options;
+
+    /** @type {Map<string, { callsign: string, classname: string, state: string }>} */
+    const plugins = new Map();
+    [{ callsign, classname: 'WebKitBrowser' }, ...extraPlugins].forEach((plugin) => {
+        plugins.set(plugin.callsign, {
+            callsign: plugin.callsign,
+            classname: plugin.classname || plugin.callsign,
+            state: plugin.state || 'deactivated',
+        });
+    });
+
+    /** @type {Map<any, Map<string, string>>} socket -> event name -> subscription id */
+    const subscriptions = new Map();
+    const received = [];
+    /** Inspector sockets that enabled the Network domain */
+    const networkSockets = new Set();
+    let nextRequestId = 1;
+    const timers = new Set();
+    let url = null;
+    let page = null;
+    /** Releases the Runtime requests held back while the page hangs, null while it answers */
+    let stalled = null;
+    /** Inspector target id of the page, every activation creates a new page target */
+    let targetId = 0;
+    let browserProperties = { ...DEFAULT_BROWSER_PROPERTIES };
+    let thunderPort = options.thunderPort ?? 0;
+    let inspectorPort = options.inspectorPort ?? 0;
+
+    const thunderSockets = new WebSocketServer({ noServer: true });
+    const inspectorSockets = new WebSocketServer({ noServer: true });
+    const thunderServer = http.createServer(handleHttpRequest);
+    const inspectorServer = http.createServer(handleInspectorHttpRequest);
+
+    /**
+     * Runs a callback after a delay, cancelled when the device stops.
+     * @param {() => void} callback - The callback.
+     * @param {number} ms - Delay in milliseconds.
+     */
+    function later(callback, ms) {
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            callback();
+        }, ms);
+        timers.add(timer);
+    }
+
+    /**
+     * Returns true when the browser plugin runs.
+     * @returns {boolean} True when activated or resumed.
+     */
+    function browserRunning() {
+        return ['activated', 'resumed'].includes(plugins.get(callsign).state);
+    }
+
+    /**
+     * Sends a notification to every socket subscribed to the event.
+     * @param {string} prefix - Subscription namespace, "Controller" or the callsign.
+     * @param {string} event - Event name.
+     * @param {Object} params - Notification params.
+     */
+    function notify(prefix, event, params) {
+        subscriptions.forEach((events, socket) => {
+            const id = events.get(`${prefix}:${event}`);
+            if (id) {
+                socket.send(JSON.stringify({ jsonrpc: '2.0', method: `${id}.${event}`, params }));
+            }
+        });
+    }
+
+    /**
+     * Changes the state of a plugin and broadcasts the Controller statechange event.
+     * @param {string} pluginCallsign - The plugin.
+     * @param {string} state - The new state.
+     * @param {Object} payload - Event payload.
+     */
+    function changeState(pluginCallsign, state, payload) {
+        plugins.get(pluginCallsign).state = state;
+
+        later(() => {
+            notify('Controller', 'all', {
+                event: 'statechange',
+                params: { callsign: pluginCallsign, ...payload },
+            });
+        }, latency);
+    }
+
+    /**
+     * Handles a Thunder JSON-RPC request.
+     * @param {any} socket - The client socket.
+     * @param {{ method: string, params?: Object }} request - The request.
+     * @returns {{ result?: any, error?: { code: number, message: string } }} The response members.
+     */
+    function handleThunderRequest(socket, request) {
+        const { method, params = {} } = request;
+        const [namespace, , name] = method.split('.');
+
+        if (name === 'register' || name === 'unregister') {
+            const events = subscriptions.get(socket) || new Map();
+            if (name === 'register') events.set(`${namespace}:${params.event}`, params.id);
+            else events.delete(`${namespace}:${params.event}`);
+            subscriptions.set(socket, events);
+            return { result: 0 };
+        }
+
+        if (namespace === 'Monitor' && name === 'status') {
+            if (params.callsign !== callsign || !browserRunning()) return { result: [] };
+            const measurement = (kb) => ({ min: kb, max: kb, average: kb, last: kb });
+            const measurements = { resident: measurement(51200), shared: measurement(8192) };
+            return { result: [{ observable: callsign, measurements }] };
+        }
+
+        if (namespace === callsign && Object.hasOwn(browserProperties, name)) {
+            return handleBrowserProperty(name, request.params);
+        }
+
+        if (namespace !== 'Controller') {
+            return { error: { code: METHOD_NOT_FOUND, message: 'Unknown method' } };
+        }
+
+        if (name === 'status') return { result: [...plugins.values()].map((p) => ({ ...p })) };
+
+        const plugin = plugins.get(params.callsign);
+        if (!plugin) return { error: { code: ERROR_UNKNOWN_KEY, message: 'ERROR_UNKNOWN_KEY' } };
+
+        switch (name) {
+            case 'activate':
+                if (plugin.state === 'deactivated') {
+                    if (plugin.callsign === callsign) {
+                        targetId++;
+                        browserProperties = { ...DEFAULT_BROWSER_PROPERTIES };
+                    }
+                    changeState(plugin.callsign, 'activated', {
+                        state: 'activated',
+                        reason: 'Requested',
+                    });
+                }
+                return { result: null };
+            case 'deactivate':
+                if (plugin.state !== 'deactivated') {
+                    if (plugin.callsign === callsign) unloadPage();
+                    changeState(plugin.callsign, 'deactivated', {
+                        state: 'deactivated',
+                        reason: 'Requested',
+                    });
+                }
+                return { result: null };
+            case 'suspend':
+                changeState(plugin.callsign, 'suspended', { suspended: true });
+                return { result: null };
+            case 'resume':
+                changeState(plugin.callsign, 'resumed', { suspended: false });
+                return { result: null };
+            default:
+                return { error: { code: METHOD_NOT_FOUND, message: 'Unknown method' } };
+        }
+    }
+
+    /**
+     * Reads or changes a property of the browser plugin, requests without a value or with an empty
+     * object read it. `fps` is read-only.
+     * @param {string} name - The property.
+     * @param {any} value - The new value.
+     * @returns {{ result?: any, error?: { code: number, message: string } }} The response members.
+     */
+    function handleBrowserProperty(name, value) {
+        if (!browserRunning()) {
+            return { error: { code: ERROR_UNAVAILABLE, message: 'ERROR_UNAVAILABLE' } };
+        }
+
+        const isRead =
+            value === undefined ||
+            (value &&
+                typeof value === 'object' &&
+                !Array.isArray(value) &&
+                !Object.keys(value).length);
+        if (isRead) return { result: browserProperties[name] };
+        if (name === 'fps') return { error: { code: METHOD_NOT_FOUND, message: 'Unknown method' } };
+
+        browserProperties[name] = value;
+        return { result: null };
+    }
+
+    /**
+     * Answers `SecurityAgent.1.createtoken` JSON-RPC requests sent over HTTP with the device token.
+     * @param {http.IncomingMessage} request - The request.
+     * @param {http.ServerResponse} response - The response.
+     */
+    function handleTokenRequest(request, response) {
+        let body = '';
+        request.on('data', (chunk) => (body += chunk));
+        request.on('end', () => {
+            let rpcRequest;
+            try {
+                rpcRequest = JSON.parse(body);
+            } catch (_) {
+                response.writeHead(400).end();
+                return;
+            }
+
+            received.push(rpcRequest.method);
+            const reply =
+                rpcRequest.method === 'SecurityAgent.1.createtoken'
+                    ? { result: { token } }
+                    : { error: { code: METHOD_NOT_FOUND, message: 'Unknown method' } };
+            response
+                .writeHead(200, { 'Content-Type': 'application/json' })
+                .end(JSON.stringify({ jsonrpc: '2.0', id: rpcRequest.id, ...reply }));
+        });
+    }
+
+    /**
+     * Handles the HTTP interface, only `POST /Service/<callsign>/URL` and the ScreenCapture plugin's
+     * `GET /Service/<callsign>/Capture`, when the plugin is activated, are supported.
+     * @param {http.IncomingMessage} request - The request.
+     * @param {http.ServerResponse} response - The response.
+     */
+    function handleHttpRequest(request, response) {
+        if (token && request.method === 'POST' && request.url === '/jsonrpc') {
+            handleTokenRequest(request, response);
+            return;
+        }
+        if (token && request.headers.authorization !== `Bearer ${token}`) {
+            response.writeHead(401).end();
+            return;
+        }
+
+        const capture = /^\/Service\/([^/]+)\/Capture$/.exec(request.url);
+        const plugin = capture && plugins.get(capture[1]);
+        if (request.method === 'GET' && plugin?.classname === 'ScreenCapture') {
+            if (plugin.state !== 'activated') response.writeHead(503).end();
+            else response.writeHead(200, { 'Content-Type': 'image/png' }).end(MOCK_SCREENSHOT);
+            return;
+        }
+
+        if (request.method !== 'POST' || request.url !== `/Service/${callsign}/URL`) {
+            response.writeHead(404).end();
+            return;
+        }
+
+        let body = '';
+        request.on('data', (chunk) => (body += chunk));
+        request.on('end', () => {
+            if (!browserRunning()) {
+                response.writeHead(503).end();
+                return;
+            }
+
+            try {
+                loadPage(JSON.parse(body).url);
+                response.writeHead(200).end();
+            } catch (_) {
+                response.writeHead(400).end();
+            }
+        });
+    }
+
+    /**
+     * Sends a `Network.*` notification to the inspector clients that enabled the Network domain.
+     * @param {string} method - The notification method.
+     * @param {Object} params - The notification params.
+     */
+    function emitNetwork(method, params) {
+        const payload = JSON.stringify({ method, params });
+        networkSockets.forEach((socket) => socket.send(payload));
+    }
+
+    /**
+     * Loads a page: emits the urlchange notifications, the document request and the scripted
+     * console messages.
+     * @param {string} newUrl - The URL to load.
+     */
+    function loadPage(newUrl) {
+        const requestId = `0.${nextRequestId++}`;
+        const startedAt = performance.now() / 1000;
+        if (processSwap) {
+            targetId++;
+            inspectorSockets.clients.forEach((socket) => socket.close());
+        }
+        url = newUrl;
+        page = createPage(newUrl);
+
+        emitNetwork('Network.requestWillBeSent', {
+            requestId,
+            timestamp: startedAt,
+            walltime: Date.now() / 1000,
+            type: 'Document',
+            request: { url: newUrl, method: 'GET', headers: requestHeaders() },
+        });
+
+        later(() => notify(callsign, 'urlchange', { url: newUrl, loaded: false }), latency);
+        later(() => {
+            const html = '<!DOCTYPE html><html><body></body></html>';
+            emitNetwork('Network.responseReceived', {
+                requestId,
+                timestamp: performance.now() / 1000,
+                type: 'Document',
+                response: {
+                    url: newUrl,
+                    status: 200,
+                    statusText: 'OK',
+                    mimeType: 'text/html',
+                    headers: { 'Content-Type': 'text/html' },
+                    source: 'network',
+                },
+            });
+            emitNetwork('Network.loadingFinished', {
+                requestId,
+                timestamp: performance.now() / 1000,
+                metrics: { protocol: 'http/1.1', responseBodyBytesReceived: html.length },
+            });
+            notify(callsign, 'urlchange', { url: newUrl, loaded: true });
+
+            const script = Array.isArray(consoleScript)
+                ? consoleScript
+                : consoleScript[newUrl] || [];
+            script.forEach(({ delay = 0, ...message }) => {
+                later(() => {
+                    if (url === newUrl) emitConsole(message);
+                }, delay);
+            });
+        }, latency * 2);
+    }
+
+    /**
+     * Returns the headers the browser adds to its requests: the user agent and the extra headers.
+     * @returns {Object<string, string>} The headers.
+     */
+    function requestHeaders() {
+        const headers = { 'User-Agent': browserProperties.useragent };
+        const extra = browserProperties.headers ? JSON.parse(browserProperties.headers) : [];
+        extra.forEach((header) => (headers[header.name] = header.value));
+        return headers;
+    }
+
+    /**
+     * Lists the inspector targets of the running browser: the page and the service workers.
+     * @returns {{ path: string, title: string, url: string }[]} The targets.
+     */
+    function inspectorTargets() {
+        if (!browserRunning()) return [];
+        return [
+            { path: `/socket/1/${targetId}/WebPage`, title: '', url: url || 'about:blank' },
+            ...workers.map((script, index) => ({
+                path: `/socket/1/${1000 + index}/ServiceWorker`,
+                title: script,
+                url: script,
+            })),
+        ];
+    }
+
+    /**
+     * Serves the target listing at "/" in the format of WebKit's inspector HTTP server.
+     * @param {http.IncomingMessage} request - The request.
+     * @param {http.ServerResponse} response - The response.
+     */
+    function handleInspectorHttpRequest(request, response) {
+        if (request.url !== '/' || !browserRunning()) {
+            response.writeHead(404).end();
+            return;
+        }
+
+        const rows = inspectorTargets().map(
+            (target) =>
+                '<tr><td><div class="targetname">' +
+                escapeHtml(target.title) +
+                '</div><div class="targeturl">' +
+                escapeHtml(target.url) +
+                '</div></td><td class="input"><input type="button" value="Inspect" ' +
+                `onclick="window.open('${target.path}', '_blank')"></td></tr>`
+        );
+        response
+            .writeHead(200, { 'Content-Type': 'text/html' })
+            .end(
+                `<html><head><title>Inspectable targets</title></head><body><table>${rows.join('')}</table></body></html>`
+            );
+    }
+
+    /**
+     * Drops the page and disconnects the inspector clients, like a deactivated browser does.
+     */
+    function unloadPage() {
+        url = null;
+        page = null;
+        hang(false);
+        inspectorSockets.clients.forEach((socket) => socket.close());
+    }
+
+    /**
+     * Blocks or unblocks the page, held back requests are answered once it is unblocked.
+     * @param {boolean} [hung=true] - Whether the page hangs.
+     */
+    function hang(hung = true) {
+        if (hung) {
+            stalled ??= createStall();
+        } else if (stalled) {
+            stalled.release();
+            stalled = null;
+        }
+    }
+
+    /**
+     * Creates a promise the Runtime requests wait on while the page hangs.
+     * @returns {{ promise: Promise<void>, release: () => void }} The promise and its release.
+     */
+    function createStall() {
+        let release;
+        const promise = new Promise((resolve) => (release = resolve));
+        return { promise, release };
+    }
+
+    /**
+     * Creates the sandbox expressions are evaluated in, reflecting the browser properties at load time.
+     * @param {string} pageUrl - The URL of the page.
+     * @returns {{ context: vm.Context, objects: Map<string, any>, nextObjectId: number }} The page.
+     */
+    function createPage(pageUrl) {
+        const log =
+            (level) =>
+            (...args) =>
+                emitConsole({
+                    source: 'console-api',
+                    level,
+                    text: args.map((arg) => String(arg)).join(' '),
+                });
+
+        const context = vm.createContext({
+            location: { href: pageUrl },
+            navigator: {
+                userAgent: browserProperties.useragent,
+                language: browserProperties.languages[0],
+                languages: [...browserProperties.languages],
+            },
+            document: { visibilityState: browserProperties.visibility },
+            localStorage: browserProperties.localstorageenabled ? {} : null,
+            innerWidth: 1280,
+            innerHeight: 720,
+            console: {
+                log: log('log'),
+                info: log('info'),
+                warn: log('warning'),
+                error: log('error'),
+                debug: log('debug'),
+            },
+        });
+
+        context.window = context;
+
+        return { context, objects: new Map(), nextObjectId: 1 };
+    }
+
+    /**
+     * Converts a value to a WebInspector remote object.
+     * @param {any} value - The value.
+     * @param {boolean} [byValue=false] - Include the JSON value for objects.
+     * @returns {Object} The remote object.
+     */
+    function toRemoteObject(value, byValue = false) {
+        if (value === null) return { type: 'object', subtype: 'null', value: null };
+        if (typeof value === 'function') {
+            return { type: 'function', description: value.toString() };
+        }
+        if (typeof value !== 'object') return { type: typeof value, value };
+
+        const objectId = `{"injectedScriptId":1,"id":${page.nextObjectId++}}`;
+        page.objects.set(objectId, value);
+
+        const remote = {
+            type: 'object',
+            objectId,
+            className: value.constructor?.name || 'Object',
+            description: Array.isArray(value) ? `Array(${value.length})` : 'Object',
+        };
+        if (Array.isArray(value)) remote.subtype = 'array';
+        if (value instanceof Error || value?.constructor?.name?.endsWith('Error')) {
+            remote.subtype = 'error';
+            remote.description = String(value);
+        }
+        if (typeof value.then === 'function') remote.className = 'Promise';
+        if (byValue) remote.value = JSON.parse(JSON.stringify(value));
+        return remote;
+    }
+
+    /**
+     * Handles a WebInspector protocol request.
+     * @param {any} socket - The client socket.
+     * @param {{ method: string, params?: Object }} request - The request.
+     * @returns {Promise<{ result?: any, error?: { code: number, message: string } }>} The response members.
+     */
+    async function handleInspectorRequest(socket, request) {
+        const { method, params = {} } = request;
+
+        if (method === 'Network.enable') networkSockets.add(socket);
+        if (method === 'Network.disable') networkSockets.delete(socket);
+        if (method === 'Memory.startTracking') {
+            later(() => {
+                const categories = [
+                    { type: 'javascript', size: 4 * 1024 * 1024 },
+                    { type: 'page', size: 2 * 1024 * 1024 },
+                ];
+                const event = { timestamp: performance.now() / 1000, categories };
+                socket.send(JSON.stringify({ method: 'Memory.trackingUpdate', params: { event } }));
+            }, latency);
+            return { result: {} };
+        }
+        if (/\.(enable|disable)$/.test(method) || method === 'Inspector.initialized') {
+            return { result: {} };
+        }
+
+        if (stalled && method.startsWith('Runtime.')) await stalled.promise;
+        if (!page) return { error: { code: -32000, message: 'No page loaded' } };
+
+        switch (method) {
+            case 'Runtime.evaluate':
+                try {
+                    const value = vm.runInContext(params.expression, page.context);
+                    return { result: { result: toRemoteObject(value, params.returnByValue) } };
+                } catch (error) {
+                    return { result: { result: toRemoteObject(error), wasThrown: true } };
+                }
+            case 'Runtime.awaitPromise':
+                try {
+                    const value = await page.objects.get(params.promiseObjectId);
+                    return { result: { result: toRemoteObject(value, params.returnByValue) } };
+                } catch (error) {
+                    return { result: { result: toRemoteObject(error), wasThrown: true } };
+                }
+            case 'Runtime.callFunctionOn': {
+                const object = page.objects.get(params.objectId);
+                if (!object) return { error: { code: -32000, message: 'Unknown objectId' } };
+                try {
+                    const fn = vm.runInContext(`(${params.functionDeclaration})`, page.context);
+                    const args = (params.arguments || []).map((arg) => arg.value);
+                    const value = fn.apply(object, args);
+                    return { result: { result: toRemoteObject(value, params.returnByValue) } };
+                } catch (error) {
+                    return { result: { result: toRemoteObject(error), wasThrown: true } };
+                }
+            }
+            case 'Page.snapshotRect':
+                return {
+                    result: {
+                        dataURL: `data:image/png;base64,${MOCK_SCREENSHOT.toString('base64')}`,
+                    },
+                };
+            case 'Runtime.getProperties': {
+                const object = page.objects.get(params.objectId);
+                if (!object) return { error: { code: -32000, message: 'Unknown objectId' } };
+                const properties = Object.keys(object).map((name) => ({
+                    name,
+                    value: toRemoteObject(object[name]),
+                    enumerable: true,
+                    isOwn: true,
+                }));
+                return { result: { properties } };
+            }
+            default:
+                return { error: { code: METHOD_NOT_FOUND, message: `'${method}' was not found` } };
+        }
+    }
+
+    /**
+     * Sends a console message to all inspector clients.
+     * @param {MockConsoleMessage} message - The message.
+     */
+    function emitConsole(message) {
+        const payload = JSON.stringify({
+            method: 'Console.messageAdded',
+            params: {
+                message: {
+                    source: 'console-api',
+                    level: 'log',
+                    type: 'log',
+                    url: url || undefined,
+                    timestamp: Date.now() / 1000,
+                    ...message,
+                },
+            },
+        });
+        inspectorSockets.clients.forEach((socket) => socket.send(payload));
+    }
+
+    thunderSockets.on('connection', (socket) => {
+        socket.on('message', (data) => {
+            let request;
+            try {
+                request = JSON.parse(data.toString());
+            } catch (_) {
+                return;
+            }
+
+            received.push(request.method);
+            const response = handleThunderRequest(socket, request);
+            socket.send(JSON.stringify({ jsonrpc: '2.0', id: request.id, ...response }));
+        });
+        socket.on('close', () => subscriptions.delete(socket));
+    });
+
+    inspectorSockets.on('connection', (socket) => {
+        socket.on('message', async (data) => {
+            let request;
+            try {
+                request = JSON.parse(data.toString());
+            } catch (_) {
+                return;
+            }
+
+            received.push(request.method);
+            const response = await handleInspectorRequest(socket, request);
+            socket.send(JSON.stringify({ id: request.id, ...response }));
+        });
+        socket.on('close', () => networkSockets.delete(socket));
+    });
+
+    thunderServer.on('upgrade', (request, socket, head) => {
+        const requestUrl = new URL(request.url, 'http://localhost');
+        if (requestUrl.pathname !== '/jsonrpc') {
+            socket.destroy();
+            return;
+        }
+        if (token && requestUrl.searchParams.get('token') !== token) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            return;
+        }
+        thunderSockets.handleUpgrade(request, socket, head, (ws) => {
+            thunderSockets.emit('connection', ws, request);
+        });
+    });
+
+    // Like on a real device the inspector is only reachable while the browser runs
+    inspectorServer.on('upgrade', (request, socket, head) => {
+        if (!inspectorTargets().some((target) => target.path === request.url)) {
+            socket.destroy();
+            return;
+        }
+        inspectorSockets.handleUpgrade(request, socket, head, (ws) => {
+            inspectorSockets.emit('connection', ws, request);
+        });
+    });
+
+    /**
+     * Starts a server and resolves with the port it listens on.
+     * @param {http.Server} server - The server.
+     * @param {number} port - Requested port, 0 picks a free one.
+     * @returns {Promise<number>} The port.
+     */
+    function listen(server, port) {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                server.off('error', reject);
+                resolve(/** @type {import("node:net").AddressInfo} */ (server.address()).port);
+            });
+        });
+    }
+
+    /**
+     * Starts listening.
+     * @returns {Promise<MockDeviceAddress>} Resolves with the address of the device.
+     */
+    async function start() {
+        thunderPort = await listen(thunderServer, thunderPort);
+        inspectorPort = await listen(inspectorServer, inspectorPort);
+        return address();
+    }
+
+    /**
+     * Closes all connections and stops listening.
+     * @returns {Promise<void>} Resolves when both servers are closed.
+     */
+    async function stop() {
+        timers.forEach((timer) => clearTimeout(timer));
+        timers.clear();
+
+        [thunderSockets, inspectorSockets].forEach((server) => {
+            server.clients.forEach((socket) => socket.terminate());
+        });
+
+        await Promise.all(
+            [thunderServer, inspectorServer].map(
+                (server) =>
+                    new Promise((resolve) => {
+                        if (!server.listening) resolve();
+                        else server.close(() => resolve());
+                    })
+            )
+        );
+    }
+
+    /**
+     * Returns the address the device listens on.
+     * @returns {MockDeviceAddress} The address.
+     */
+    function address() {
+        return { host, thunderPort, inspectorPort };
+    }
+
+    /**
+     * Returns the state of a plugin.
+     * @param {string} [pluginCallsign] - Callsign of the plugin, defaults to the browser.
+     * @returns {string} The state.
+     */
+    function getState(pluginCallsign = callsign) {
+        return plugins.get(pluginCallsign)?.state;
+    }
+
+    return {
+        start,
+        stop,
+        address,
+        emitConsole,
+        crash: (reason = 'Failure') => {
+            if (plugins.get(callsign).state === 'deactivated') return;
+            unloadPage();
+            changeState(callsign, 'deactivated', { state: 'deactivated', reason });
+        },
+        crashPage: unloadPage,
+        hang,
+        getState,
+        currentUrl: () => url,
+        targetPath: () => `/socket/1/${targetId}/WebPage`,
+        requests: () => [...received],
+    };
+}
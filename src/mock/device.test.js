@@ -0,0 +1,416 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import WebSocket from 'ws';
+import { createMockDevice, MOCK_SCREENSHOT } from './device.js';
+import { createThunderWebkitAPI } from '../index.js';
+
+const PAGE_URL = 'http://example.com/app';
+
+describe('createMockDevice', () => {
+    let device;
+    let api;
+    let events;
+
+    beforeAll(() => {
+        // Node 20 has no global WebSocket yet
+        if (typeof globalThis.WebSocket === 'undefined') globalThis.WebSocket = WebSocket;
+    });
+
+    beforeEach(async () => {
+        device = createMockDevice({
+            plugins: [
+                { callsign: 'Monitor', state: 'activated' },
+                { callsign: 'ScreenCapture', state: 'activated' },
+            ],
+            console: [
+                { text: 'app started', delay: 5 },
+                { text: 'missing asset', level: 'error', delay: 10 },
+            ],
+        });
+        const { host, thunderPort, inspectorPort } = await device.start();
+
+        events = [];
+        api = createThunderWebkitAPI(
+            { host, callsign: 'WebKitBrowser', thunderPort, webInspectorPort: inspectorPort },
+            (event) => events.push(event)
+        );
+    });
+
+    afterEach(async () => {
+        await api.quit();
+        await device.stop();
+    });
+
+    /**
+     * Waits until an event of the given type arrived.
+     * @param {(event: Object) => boolean} predicate - Matches the event.
+     * @returns {Promise<Object>} The event.
+     */
+    async function waitForEvent(predicate) {
+        for (let i = 0; i < 200; i++) {
+            const event = events.find(predicate);
+            if (event) return event;
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        throw new Error('Event not received');
+    }
+
+    it('runs the start, launch, close and quit flow', async () => {
+        expect(await api.start()).toBe(true);
+        expect(await api.launch(PAGE_URL)).toBe(true);
+
+        expect(device.getState()).toBe('activated');
+        expect(device.currentUrl()).toBe(PAGE_URL);
+
+        const error = await waitForEvent((event) => event.message === 'missing asset');
+        expect(error.data).toMatchObject({ level: 'error', url: PAGE_URL });
+        const types = events.map((event) => event.type);
+        expect(types.filter((type) => type !== 'statechange')).toEqual([
+            'connected',
+            'url-launch',
+            'console',
+            'console',
+        ]);
+        expect(events.find((event) => event.type === 'statechange').message).toBe(
+            'WebKitBrowser activated (Requested)'
+        );
+
+        await api.close();
+        expect(device.getState()).toBe('deactivated');
+
+        await api.quit();
+        expect(events.map((event) => event.type).slice(-2)).toEqual(['closed', 'quit']);
+    });
+
+    it('evaluates expressions in the page', async () => {
+        await api.start();
+        await api.launch(PAGE_URL);
+
+        expect(await api.evaluate('location.href')).toEqual({ type: 'string', value: PAGE_URL });
+        expect(
+            await api.evaluate('Promise.resolve({ answer: 6 * 7 })', {
+                awaitPromise: true,
+                returnByValue: true,
+            })
+        ).toEqual({ answer: 42 });
+
+        await api.evaluate('console.warn("from the page")');
+        const warning = await waitForEvent((event) => event.message === 'from the page');
+        expect(warning.data.level).toBe('warn');
+    });
+
+    it('reports plugin states and state changes', async () => {
+        await api.start();
+
+        const plugins = await api.listPlugins();
+        expect(plugins.map((plugin) => plugin.callsign)).toEqual([
+            'WebKitBrowser',
+            'Monitor',
+            'ScreenCapture',
+        ]);
+        expect(await api.getState('Monitor')).toBe('activated');
+
+        const changes = [];
+        api.onStateChange((change) => changes.push(change));
+        await api.launch(PAGE_URL);
+
+        expect(changes).toContainEqual({
+            callsign: 'WebKitBrowser',
+            state: 'activated',
+            reason: 'Requested',
+        });
+    });
+
+    it('rejects URLs while the browser is deactivated', async () => {
+        const { host, thunderPort } = device.address();
+        const response = await fetch(`http://${host}:${thunderPort}/Service/WebKitBrowser/URL`, {
+            method: 'POST',
+            body: JSON.stringify({ url: PAGE_URL }),
+        });
+
+        expect(response.status).toBe(503);
+        expect(device.currentUrl()).toBe(null);
+    });
+
+    it('reports the page request when network capture is enabled', async () => {
+        const { host, thunderPort, inspectorPort } = device.address();
+        api = createThunderWebkitAPI(
+            {
+                host,
+                callsign: 'WebKitBrowser',
+                thunderPort,
+                webInspectorPort: inspectorPort,
+                network: true,
+            },
+            (event) => events.push(event)
+        );
+
+        await api.start();
+        await api.launch(PAGE_URL);
+
+        const response = await waitForEvent((event) => event.type === 'network-response');
+        expect(response.data).toMatchObject({
+            url: PAGE_URL,
+            status: 200,
+            resourceType: 'Document',
+        });
+        expect(api.exportHar().log.entries[0].request.url).toBe(PAGE_URL);
+    });
+
+    it('samples page and process memory when metrics are enabled', async () => {
+        const { host, thunderPort, inspectorPort } = device.address();
+        const output = path.join(os.tmpdir(), `metrics-${process.pid}.json`);
+        api = createThunderWebkitAPI(
+            {
+                host,
+                callsign: 'WebKitBrowser',
+                thunderPort,
+                webInspectorPort: inspectorPort,
+                metrics: { interval: 20, output },
+            },
+            (event) => events.push(event)
+        );
+
+        await api.start();
+        await api.launch(PAGE_URL);
+        const sample = await waitForEvent(
+            (event) => event.type === 'metrics' && event.data.jsHeap !== null
+        );
+        expect(sample.data).toMatchObject({ jsHeap: 4 * 1024 * 1024, resident: 51200 * 1024 });
+        expect(sample.message).toMatch(/^JS heap 4\.0 MB, page 6\.0 MB, resident 50\.0 MB/);
+
+        await api.quit();
+        try {
+            const { summary } = JSON.parse(fs.readFileSync(output, 'utf8'));
+            expect(summary.jsHeap.max).toBe(4 * 1024 * 1024);
+            expect(events.find((event) => event.type === 'metrics-summary').data).toEqual(summary);
+        } finally {
+            fs.rmSync(output, { force: true });
+        }
+    });
+
+    it('captures screenshots through the inspector and ScreenCapture', async () => {
+        const file = path.join(os.tmpdir(), `screenshot-${process.pid}`, 'page.png');
+        await api.start();
+        await api.launch(PAGE_URL);
+
+        try {
+            expect(await api.screenshot({ path: file })).toEqual(MOCK_SCREENSHOT);
+            expect(fs.readFileSync(file)).toEqual(MOCK_SCREENSHOT);
+        } finally {
+            fs.rmSync(path.dirname(file), { recursive: true, force: true });
+        }
+        expect(await api.screenshot({ source: 'screencapture' })).toEqual(MOCK_SCREENSHOT);
+        expect(device.requests()).toContain('Page.snapshotRect');
+    });
+
+    it('captures a screenshot for error events when configured', async () => {
+        const { host, thunderPort, inspectorPort } = device.address();
+        const directory = path.join(os.tmpdir(), `screenshots-${process.pid}`);
+        api = createThunderWebkitAPI(
+            {
+                host,
+                callsign: 'WebKitBrowser',
+                thunderPort,
+                webInspectorPort: inspectorPort,
+                screenshot: { onError: true, directory },
+            },
+            (event) => events.push(event)
+        );
+
+        await api.start();
+        await api.launch(PAGE_URL);
+        await api.start();
+
+        try {
+            const saved = await waitForEvent((event) => event.type === 'screenshot');
+            expect(saved.data.trigger).toBe('Session already started');
+            expect(fs.readFileSync(saved.data.path)).toEqual(MOCK_SCREENSHOT);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    it('requires the token on devices with the SecurityAgent enabled', async () => {
+        const secured = createMockDevice({ token: 'secret' });
+        const { host, thunderPort, inspectorPort } = await secured.start();
+        const config = {
+            host,
+            callsign: 'WebKitBrowser',
+            thunderPort,
+            webInspectorPort: inspectorPort,
+        };
+
+        try {
+            const denied = createThunderWebkitAPI(config, (event) => events.push(event));
+            expect(await denied.start()).toBe(false);
+            await denied.quit();
+
+            const withToken = createThunderWebkitAPI({ ...config, token: 'secret' });
+            expect(await withToken.start()).toBe(true);
+            expect(await withToken.launch(PAGE_URL)).toBe(true);
+            await withToken.quit();
+
+            const viaAgent = createThunderWebkitAPI({ ...config, securityAgent: true });
+            expect(await viaAgent.start()).toBe(true);
+            await viaAgent.quit();
+            expect(secured.requests()).toContain('SecurityAgent.1.createtoken');
+        } finally {
+            await secured.stop();
+        }
+    });
+
+    it('re-attaches to the new target when the page moved to another process', async () => {
+        const swapping = createMockDevice({
+            processSwap: true,
+            workers: ['http://example.com/sw.js'],
+            console: [{ text: 'after swap', delay: 100 }],
+        });
+        const { host, thunderPort, inspectorPort } = await swapping.start();
+        const swapEvents = [];
+        const session = createThunderWebkitAPI(
+            { host, callsign: 'WebKitBrowser', thunderPort, webInspectorPort: inspectorPort },
+            (event) => swapEvents.push(event)
+        );
+
+        try {
+            await session.start();
+            expect(await session.launch(PAGE_URL)).toBe(true);
+
+            const attached = swapEvents.find((event) => event.type === 'attached');
+            expect(attached.data).toMatchObject({
+                socketPath: swapping.targetPath(),
+                url: PAGE_URL,
+            });
+            expect(await session.evaluate('location.href')).toEqual({
+                type: 'string',
+                value: PAGE_URL,
+            });
+            for (let i = 0; i < 50 && !swapEvents.some((e) => e.message === 'after swap'); i++) {
+                await new Promise((resolve) => setTimeout(resolve, 10));
+            }
+            expect(swapEvents.some((event) => event.message === 'after swap')).toBe(true);
+
+            const targets = await session.listTargets();
+            expect(targets.map((target) => target.type)).toEqual(['WebPage', 'ServiceWorker']);
+            expect(await session.attach(targets[1])).toBe(true);
+            expect(swapEvents.at(-1).message).toBe(
+                'Attached to ServiceWorker 1:1000 http://example.com/sw.js'
+            );
+        } finally {
+            await session.quit();
+            await swapping.stop();
+        }
+    });
+
+    it('applies browser properties for a launch', async () => {
+        await api.start();
+        const launched = await api.launch(PAGE_URL, {
+            browser: {
+                useragent: 'RegionTest/1.0',
+                languages: ['de-DE', 'en'],
+                headers: { 'X-AB-Group': 'b' },
+            },
+        });
+
+        expect(launched).toBe(true);
+        expect(
+            await api.evaluate('[navigator.userAgent, navigator.languages]', {
+                returnByValue: true,
+            })
+        ).toEqual(['RegionTest/1.0', ['de-DE', 'en']]);
+        expect(await api.getBrowserProperty('headers')).toEqual([
+            { name: 'X-AB-Group', value: 'b' },
+        ]);
+        expect(await api.getBrowserProperty('fps')).toBe(60);
+
+        await api.setBrowserProperty('visibility', 'hidden');
+        expect(await api.getBrowserProperty('visibility')).toBe('hidden');
+
+        // Invalid values fail before the browser is touched
+        const requests = device.requests().length;
+        expect(await api.launch(PAGE_URL, { browser: { languages: ['german'] } })).toBe(false);
+        expect(device.requests()).toHaveLength(requests);
+        expect(events.at(-1).message).toBe(
+            'Failed to launch URL: Invalid browser property languages: "german" is not a language tag'
+        );
+    });
+
+    it('sends console messages on demand', async () => {
+        await api.start();
+        await api.launch(PAGE_URL);
+
+        device.emitConsole({ text: 'injected', level: 'info' });
+        const message = await waitForEvent((event) => event.message === 'injected');
+        expect(message.data.level).toBe('info');
+    });
+
+    describe('with the watchdog', () => {
+        let watched;
+
+        beforeEach(async () => {
+            const { host, thunderPort, inspectorPort } = device.address();
+            watched = createThunderWebkitAPI(
+                {
+                    host,
+                    callsign: 'WebKitBrowser',
+                    thunderPort,
+                    webInspectorPort: inspectorPort,
+                    watchdog: { interval: 50, timeout: 100, relaunch: true, maxRelaunches: 1 },
+                },
+                (event) => events.push(event)
+            );
+            await watched.start();
+            await watched.launch(PAGE_URL);
+            await waitForEvent((event) => event.message === 'missing asset');
+        });
+
+        afterEach(async () => {
+            await watched.quit();
+        });
+
+        it('reports a crash with the last console lines and relaunches the URL', async () => {
+            events.length = 0;
+            // The relaunched page crashes right away, before a heartbeat could count it as recovered
+            watched.once('url-launch', () => device.crash());
+            device.crash('Crash');
+
+            const crash = await waitForEvent((event) => event.type === 'crash');
+            expect(crash.message).toBe(`Browser crashed (Crash): ${PAGE_URL}, relaunching`);
+            expect(crash.data).toEqual({
+                reason: 'Crash',
+                url: PAGE_URL,
+                console: ['app started', 'missing asset'],
+                relaunch: true,
+            });
+
+            const second = await waitForEvent(
+                (event) => event.type === 'crash' && event.data.reason === 'Failure'
+            );
+            expect(second.data.relaunch).toBe(false);
+            expect(events.filter((event) => event.type === 'url-launch')).toHaveLength(1);
+            expect(device.getState()).toBe('deactivated');
+        });
+
+        it('reports a page that stopped answering the heartbeat', async () => {
+            events.length = 0;
+            device.hang();
+
+            const hang = await waitForEvent((event) => event.type === 'hang');
+            expect(hang.source).toBe('WebInspector');
+            expect(hang.data).toMatchObject({ reason: 'No response within 100ms', url: PAGE_URL });
+            await waitForEvent((event) => event.type === 'url-launch');
+            expect(await watched.evaluate('location.href')).toMatchObject({ value: PAGE_URL });
+        });
+
+        it('reports a web process crash the plugin does not notice', async () => {
+            device.crashPage();
+
+            const crash = await waitForEvent((event) => event.type === 'crash');
+            expect(crash.source).toBe('WebInspector');
+            expect(crash.data.reason).toBe('WebInspector disconnected');
+        });
+    });
+});
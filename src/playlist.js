@@ -0,0 +1,322 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { parse as parseYaml } from 'yaml';
+import { isCrash } from './lib/thunderSession.js';
+import { validateBrowserProperties } from './lib/browserProperties.js';
+
+/**
+ * @typedef {Object} PlaylistEntry
+ * @property {string} url - URL to launch.
+ * @property {string} [name] - Name shown in the report, the URL by default.
+ * @property {number} [dwell] - Time to stay on the URL in milliseconds, the playlist's `dwell` by default.
+ * @property {number} [repeat=1] - Number of times the entry is launched in a row.
+ * @property {string} [advanceOn] - Move on as soon as a console message matches this regular expression,
+ *   after `dwell` at the latest.
+ * @property {import("./lib/browserProperties.js").BrowserProperties} [browser] - Browser properties for the launch.
+ *
+ * @typedef {Object} Playlist
+ * @property {string} name - Name of the playlist.
+ * @property {PlaylistEntry[]} entries - The entries, launched in order.
+ * @property {number} [dwell=30000] - Default time to stay on an entry in milliseconds.
+ * @property {number} [cycles=1] - Number of times the whole list is played, 0 plays it until stopped.
+ *
+ * @typedef {Object} PlaylistOptions
+ * @property {string} [callsign='WebKitBrowser'] - Callsign of the browser, whose crashes are counted.
+ * @property {AbortSignal} [signal] - Stops the playlist, the entry that is playing is reported as stopped.
+ * @property {(result: EntryResult) => void} [onEntry] - Called after every entry.
+ *
+ * @typedef {Object} EntryResult
+ * @property {string} name - Name of the entry.
+ * @property {string} url - The launched URL.
+ * @property {number} cycle - 1-based cycle number.
+ * @property {number} iteration - 1-based repetition within the cycle.
+ * @property {'passed'|'failed'|'crashed'|'hung'|'stopped'} status - Failed when the launch failed, crashed when the
+ *   browser went down while the entry played and hung when the watchdog found the page not responding.
+ * @property {number|null} launchTime - Time until the URL was loaded in milliseconds, null when the launch failed.
+ * @property {number} duration - Time the entry took in total in milliseconds.
+ * @property {number} errors - Console errors reported while the entry played.
+ * @property {number} exceptions - Uncaught exceptions reported while the entry played.
+ * @property {boolean|null} advanced - Whether `advanceOn` matched, null for entries without it.
+ * @property {string|null} error - The launch error, the crash or the hang.
+ *
+ * @typedef {Object} PlaylistSummary
+ * @property {number} entries - Number of entries played.
+ * @property {number} passed - Entries that passed.
+ * @property {number} failed - Entries whose launch failed.
+ * @property {number} crashed - Entries during which the browser crashed.
+ * @property {number} hung - Entries whose page stopped responding.
+ * @property {number} errors - Console errors over all entries.
+ * @property {number} exceptions - Exceptions over all entries.
+ * @property {number|null} averageLaunchTime - Average launch time in milliseconds.
+ * @property {number|null} maxLaunchTime - Slowest launch in milliseconds.
+ *
+ * @typedef {Object} PlaylistReport
+ * @property {string} name - Name of the playlist.
+ * @property {boolean} passed - True when every entry passed or was stopped.
+ * @property {boolean} stopped - True when the playlist was stopped before it finished.
+ * @property {number} cycles - Number of cycles started.
+ * @property {number} duration - Time the playlist ran in milliseconds.
+ * @property {EntryResult[]} entries - Result of every entry played.
+ * @property {PlaylistSummary} summary - Totals over the entries.
+ *
+ * imports
+ * @typedef {import("./index.js").UnifiedAPI} UnifiedAPI
+ * @typedef {import("./index.js").SessionEvent} SessionEvent
+ */
+
+/** Default time in milliseconds to stay on an entry */
+const DEFAULT_DWELL = 30000;
+
+const ENTRY_KEYS = ['url', 'name', 'dwell', 'repeat', 'advanceOn', 'browser'];
+
+/**
+ * Error thrown for malformed playlists, `entry` is the 0-based index of the offending entry.
+ */
+export class PlaylistError extends Error {
+    /**
+     * @param {string} message - What is wrong.
+     * @param {number} [entry] - Index of the offending entry.
+     */
+    constructor(message, entry) {
+        super(entry === undefined ? message : `Entry ${entry + 1}: ${message}`);
+        this.name = 'PlaylistError';
+        this.entry = entry;
+    }
+}
+
+/**
+ * Checks the structure of a playlist. A plain list is taken as the entries, strings as URLs.
+ * @param {any} playlist - The parsed playlist.
+ * @returns {Playlist} The playlist with the entries as objects.
+ * @throws {PlaylistError} Throws on missing URLs and invalid options.
+ */
+export function validatePlaylist(playlist) {
+    if (Array.isArray(playlist)) playlist = { entries: playlist };
+    if (!playlist || typeof playlist !== 'object') {
+        throw new PlaylistError('Playlist must be an object or a list');
+    }
+    if (!Array.isArray(playlist.entries) || !playlist.entries.length) {
+        throw new PlaylistError('Playlist needs a non-empty "entries" list');
+    }
+
+    const isPositive = (value) => typeof value === 'number' && value > 0;
+    if (playlist.dwell !== undefined && !isPositive(playlist.dwell)) {
+        throw new PlaylistError('"dwell" must be a positive number of milliseconds');
+    }
+    if (
+        playlist.cycles !== undefined &&
+        !(Number.isInteger(playlist.cycles) && playlist.cycles >= 0)
+    ) {
+        throw new PlaylistError('"cycles" must be a whole number, 0 plays until stopped');
+    }
+
+    const entries = playlist.entries.map((entry, index) => {
+        if (typeof entry === 'string') entry = { url: entry };
+        if (!entry || typeof entry !== 'object') {
+            throw new PlaylistError('Entry must be a URL or an object', index);
+        }
+
+        const unknown = Object.keys(entry).find((key) => !ENTRY_KEYS.includes(key));
+        if (unknown) throw new PlaylistError(`Unknown key "${unknown}"`, index);
+        if (typeof entry.url !== 'string' || !entry.url.trim()) {
+            throw new PlaylistError('"url" must be a non-empty string', index);
+        }
+        if (entry.dwell !== undefined && !isPositive(entry.dwell)) {
+            throw new PlaylistError('"dwell" must be a positive number of milliseconds', index);
+        }
+        if (entry.repeat !== undefined && !(Number.isInteger(entry.repeat) && entry.repeat > 0)) {
+            throw new PlaylistError('"repeat" must be a positive whole number', index);
+        }
+        if (entry.advanceOn !== undefined) {
+            try {
+                new RegExp(entry.advanceOn);
+            } catch (error) {
+                throw new PlaylistError(`Invalid pattern: ${error.message}`, index);
+            }
+        }
+        if (entry.browser !== undefined) {
+            try {
+                validateBrowserProperties(entry.browser);
+            } catch (error) {
+                throw new PlaylistError(error.message, index);
+            }
+        }
+        return entry;
+    });
+
+    return { name: 'Playlist', ...playlist, entries };
+}
+
+/**
+ * Loads a playlist from a JSON or YAML file, the name defaults to the file name.
+ * @param {string} file - Path of the playlist, ".yaml" and ".yml" files are parsed as YAML.
+ * @returns {Playlist} The validated playlist.
+ * @throws {PlaylistError} Throws on unreadable or malformed playlists.
+ */
+export function loadPlaylist(file) {
+    let parsed;
+    try {
+        const text = fs.readFileSync(file, 'utf8');
+        parsed = /\.ya?ml$/i.test(file) ? parseYaml(text) : JSON.parse(text);
+    } catch (error) {
+        throw new PlaylistError(`Failed to load ${file}: ${error.message}`);
+    }
+
+    const playlist = validatePlaylist(parsed);
+    if (Array.isArray(parsed) || parsed.name === undefined) {
+        playlist.name = path.basename(file).replace(/\.\w+$/, '');
+    }
+    return playlist;
+}
+
+/**
+ * Computes the totals over the played entries.
+ * @param {EntryResult[]} results - The entries.
+ * @returns {PlaylistSummary} The summary.
+ */
+export function summarizePlaylist(results) {
+    const launchTimes = results.map((result) => result.launchTime).filter((time) => time !== null);
+    const count = (status) => results.filter((result) => result.status === status).length;
+    const sum = (key) => results.reduce((total, result) => total + result[key], 0);
+
+    return {
+        entries: results.length,
+        passed: count('passed'),
+        failed: count('failed'),
+        crashed: count('crashed'),
+        hung: count('hung'),
+        errors: sum('errors'),
+        exceptions: sum('exceptions'),
+        averageLaunchTime: launchTimes.length
+            ? Math.round(launchTimes.reduce((total, time) => total + time, 0) / launchTimes.length)
+            : null,
+        maxLaunchTime: launchTimes.length ? Math.max(...launchTimes) : null,
+    };
+}
+
+/**
+ * Plays a playlist on a started session: launches every entry, stays on it for its dwell time or
+ * until its console pattern matched, and counts the errors, exceptions and crashes meanwhile.
+ * Failed launches and crashes do not stop the playlist, the next entry launches the browser again,
+ * but a cycle in which no entry launched ends it.
+ * @param {UnifiedAPI} api - A started unified API.
+ * @param {Playlist} playlist - The playlist.
+ * @param {PlaylistOptions} [options={}] - Callsign, stop signal and progress callback.
+ * @returns {Promise<PlaylistReport>} Resolves with the report once all cycles played or the playlist was stopped.
+ */
+export async function runPlaylist(api, playlist, options = {}) {
+    const { callsign = 'WebKitBrowser', signal, onEntry = () => {} } = options;
+    const { entries, dwell: defaultDwell = DEFAULT_DWELL, cycles = 1 } = playlist;
+    const startedAt = Date.now();
+    /** @type {EntryResult[]} */
+    const results = [];
+    let cycle = 0;
+
+    const stopped = () => Boolean(signal?.aborted);
+
+    /**
+     * Launches an entry and watches the session events until it is done.
+     * @param {PlaylistEntry} entry - The entry.
+     * @param {number} iteration - 1-based repetition.
+     * @returns {Promise<EntryResult>} Resolves with the outcome.
+     */
+    async function play(entry, iteration) {
+        const pattern = entry.advanceOn === undefined ? null : new RegExp(entry.advanceOn);
+        /** @type {EntryResult} */
+        const result = {
+            name: entry.name || entry.url,
+            url: entry.url,
+            cycle,
+            iteration,
+            status: 'passed',
+            launchTime: null,
+            duration: 0,
+            errors: 0,
+            exceptions: 0,
+            advanced: pattern ? false : null,
+            error: null,
+        };
+        const entryStartedAt = Date.now();
+        /** Ends the dwell early, set while waiting */
+        let wake = () => {};
+        let lastError = null;
+
+        const removeHandler = api.on('*', (/** @type {SessionEvent} */ event) => {
+            if (event.type === 'error') lastError = event.message;
+            if (event.type === 'exception') result.exceptions++;
+            if (event.type === 'console') {
+                if (event.data?.level === 'error') result.errors++;
+                // The launch detaches from the previous page first, so every match is from this entry
+                if (pattern && pattern.test(event.message)) {
+                    result.advanced = true;
+                    wake();
+                }
+            }
+            // Without the watchdog crashes only show as state changes
+            const crashed =
+                event.type === 'crash' ||
+                (event.type === 'statechange' &&
+                    event.data?.callsign === callsign &&
+                    isCrash(event.data));
+            if ((crashed || event.type === 'hang') && result.status === 'passed') {
+                result.status = crashed ? 'crashed' : 'hung';
+                result.error = event.message;
+                wake();
+            }
+        });
+        const onAbort = () => wake();
+        signal?.addEventListener('abort', onAbort);
+
+        try {
+            const ok = await api.launch(entry.url, { browser: entry.browser });
+            if (!ok) {
+                result.status = 'failed';
+                result.error = lastError || 'Launch failed';
+                return result;
+            }
+            result.launchTime = Date.now() - entryStartedAt;
+
+            if (result.status === 'passed' && !result.advanced && !stopped()) {
+                await new Promise((resolve) => {
+                    const timer = setTimeout(resolve, entry.dwell ?? defaultDwell);
+                    wake = () => {
+                        clearTimeout(timer);
+                        resolve();
+                    };
+                });
+            }
+            if (result.status === 'passed' && stopped()) result.status = 'stopped';
+            return result;
+        } finally {
+            removeHandler();
+            signal?.removeEventListener('abort', onAbort);
+            result.duration = Date.now() - entryStartedAt;
+        }
+    }
+
+    let launched = true;
+    // Without a single launch in a cycle the device is gone, playing on would only repeat the failures
+    while (launched && !stopped() && (cycles === 0 || cycle < cycles)) {
+        cycle++;
+        launched = false;
+        for (const entry of entries) {
+            for (let iteration = 1; iteration <= (entry.repeat ?? 1) && !stopped(); iteration++) {
+                const result = await play(entry, iteration);
+                if (result.launchTime !== null) launched = true;
+                results.push(result);
+                onEntry(result);
+            }
+            if (stopped()) break;
+        }
+    }
+
+    return {
+        name: playlist.name,
+        passed: results.every((result) => ['passed', 'stopped'].includes(result.status)),
+        stopped: stopped(),
+        cycles: cycle,
+        duration: Date.now() - startedAt,
+        entries: results,
+        summary: summarizePlaylist(results),
+    };
+}
@@ -0,0 +1,270 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import WebSocket from 'ws';
+import { createMockDevice } from './mock/device.js';
+import { createThunderWebkitAPI } from './index.js';
+import { loadPlaylist, runPlaylist, summarizePlaylist, validatePlaylist } from './playlist.js';
+
+const HOME_URL = 'http://example.com/home';
+const VIDEO_URL = 'http://example.com/video';
+
+describe('validatePlaylist', () => {
+    it('should accept a list of URLs and entries', () => {
+        const playlist = validatePlaylist([
+            HOME_URL,
+            { url: VIDEO_URL, dwell: 1000, repeat: 2, advanceOn: 'playing' },
+        ]);
+        expect(playlist).toEqual({
+            name: 'Playlist',
+            entries: [
+                { url: HOME_URL },
+                { url: VIDEO_URL, dwell: 1000, repeat: 2, advanceOn: 'playing' },
+            ],
+        });
+    });
+
+    it('should report the offending entry', () => {
+        expect(() => validatePlaylist({ entries: [] })).toThrow('non-empty "entries" list');
+        expect(() => validatePlaylist({ entries: [HOME_URL], cycles: -1 })).toThrow(
+            '"cycles" must be a whole number'
+        );
+        expect(() => validatePlaylist([HOME_URL, { url: VIDEO_URL, wait: 1 }])).toThrow(
+            'Entry 2: Unknown key "wait"'
+        );
+        expect(() => validatePlaylist([{ name: 'Home' }])).toThrow(
+            'Entry 1: "url" must be a non-empty string'
+        );
+        expect(() => validatePlaylist([{ url: HOME_URL, repeat: 0 }])).toThrow(
+            'Entry 1: "repeat" must be a positive whole number'
+        );
+        expect(() => validatePlaylist([{ url: HOME_URL, advanceOn: '(' }])).toThrow(
+            'Entry 1: Invalid pattern'
+        );
+        expect(() => validatePlaylist([{ url: HOME_URL, browser: { fps: 30 } }])).toThrow(
+            'Entry 1: Invalid browser property fps: read-only'
+        );
+    });
+});
+
+describe('loadPlaylist', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'playlist-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true });
+    });
+
+    it('should load YAML and JSON playlists named after the file', () => {
+        const yamlFile = path.join(directory, 'soak.yml');
+        fs.writeFileSync(yamlFile, `dwell: 5000\nentries:\n  - ${HOME_URL}\n`);
+        const jsonFile = path.join(directory, 'apps.json');
+        fs.writeFileSync(jsonFile, JSON.stringify({ name: 'Apps', entries: [VIDEO_URL] }));
+
+        expect(loadPlaylist(yamlFile)).toEqual({
+            name: 'soak',
+            dwell: 5000,
+            entries: [{ url: HOME_URL }],
+        });
+        expect(loadPlaylist(jsonFile).name).toBe('Apps');
+    });
+
+    it('should report unreadable files', () => {
+        const file = path.join(directory, 'broken.yaml');
+        fs.writeFileSync(file, 'entries: [');
+        expect(() => loadPlaylist(file)).toThrow(`Failed to load ${file}`);
+    });
+});
+
+describe('summarizePlaylist', () => {
+    it('should total the entries and skip failed launches in the launch times', () => {
+        const entry = { errors: 1, exceptions: 0 };
+        expect(
+            summarizePlaylist([
+                { ...entry, status: 'passed', launchTime: 100 },
+                { ...entry, status: 'crashed', launchTime: 301 },
+                { ...entry, status: 'failed', launchTime: null, exceptions: 2 },
+                { ...entry, status: 'hung', launchTime: 202 },
+            ])
+        ).toEqual({
+            entries: 4,
+            passed: 1,
+            failed: 1,
+            crashed: 1,
+            hung: 1,
+            errors: 4,
+            exceptions: 2,
+            averageLaunchTime: 201,
+            maxLaunchTime: 301,
+        });
+    });
+});
+
+describe('runPlaylist', () => {
+    let device;
+    let api;
+
+    beforeAll(() => {
+        // Node 20 has no global WebSocket yet
+        if (typeof globalThis.WebSocket === 'undefined') globalThis.WebSocket = WebSocket;
+    });
+
+    beforeEach(async () => {
+        device = createMockDevice({
+            console: {
+                [HOME_URL]: [{ text: 'home ready', delay: 5 }],
+                [VIDEO_URL]: [
+                    { text: 'stream stalled', level: 'error', delay: 5 },
+                    { text: 'video playing', delay: 10 },
+                ],
+            },
+        });
+        const { host, thunderPort, inspectorPort } = await device.start();
+        api = createThunderWebkitAPI({
+            host,
+            callsign: 'WebKitBrowser',
+            thunderPort,
+            webInspectorPort: inspectorPort,
+        });
+        await api.start();
+    });
+
+    afterEach(async () => {
+        await api.quit();
+        await device.stop();
+    });
+
+    it('should play every entry, repeat it and advance on its pattern', async () => {
+        const played = [];
+        const report = await runPlaylist(
+            api,
+            {
+                name: 'Soak',
+                cycles: 2,
+                entries: [
+                    { url: HOME_URL, name: 'Home', dwell: 20 },
+                    { url: VIDEO_URL, repeat: 2, dwell: 5000, advanceOn: 'video playing' },
+                ],
+            },
+            { onEntry: (entry) => played.push(`${entry.name} ${entry.cycle}.${entry.iteration}`) }
+        );
+
+        expect(played).toEqual([
+            'Home 1.1',
+            `${VIDEO_URL} 1.1`,
+            `${VIDEO_URL} 1.2`,
+            'Home 2.1',
+            `${VIDEO_URL} 2.1`,
+            `${VIDEO_URL} 2.2`,
+        ]);
+        expect(report.passed).toBe(true);
+        expect(report.stopped).toBe(false);
+        expect(report.cycles).toBe(2);
+        expect(report.entries[0]).toMatchObject({ status: 'passed', errors: 0, advanced: null });
+        expect(report.entries[1]).toMatchObject({ status: 'passed', errors: 1, advanced: true });
+        expect(report.entries[1].duration).toBeLessThan(5000);
+        expect(report.entries.every((entry) => entry.launchTime >= 0)).toBe(true);
+        expect(report.summary).toMatchObject({ entries: 6, passed: 6, errors: 4 });
+    });
+
+    it('should report crashes and failed launches and carry on', async () => {
+        const removeHandler = api.on('url-launch', (event) => {
+            if (event.message.endsWith(HOME_URL)) setTimeout(() => device.crash('Crash'), 5);
+        });
+
+        const report = await runPlaylist(api, {
+            name: 'Unstable',
+            dwell: 1000,
+            entries: [
+                { url: HOME_URL },
+                { url: VIDEO_URL, browser: { visibility: 'gone' } },
+                { url: VIDEO_URL, advanceOn: 'playing' },
+            ],
+        });
+        removeHandler();
+
+        expect(report.passed).toBe(false);
+        expect(report.entries.map((entry) => entry.status)).toEqual([
+            'crashed',
+            'failed',
+            'passed',
+        ]);
+        expect(report.entries[0].error).toContain('WebKitBrowser');
+        expect(report.entries[1].error).toContain('Invalid browser property visibility');
+        expect(report.entries[1].launchTime).toBeNull();
+        expect(report.summary).toMatchObject({ passed: 1, failed: 1, crashed: 1 });
+    });
+
+    it('should count the pages the watchdog found hung', async () => {
+        const { host, thunderPort, inspectorPort } = device.address();
+        const watched = createThunderWebkitAPI({
+            host,
+            callsign: 'WebKitBrowser',
+            thunderPort,
+            webInspectorPort: inspectorPort,
+            watchdog: { interval: 20, timeout: 50 },
+        });
+        await watched.start();
+        watched.on('url-launch', (event) => {
+            if (event.message.endsWith(HOME_URL)) device.hang();
+        });
+
+        try {
+            const report = await runPlaylist(watched, {
+                name: 'Hangs',
+                dwell: 2000,
+                entries: [{ url: HOME_URL }, { url: VIDEO_URL, dwell: 20 }],
+            });
+
+            expect(report.entries.map((entry) => entry.status)).toEqual(['hung', 'passed']);
+            expect(report.entries[0].error).toBe(
+                `Page not responding (No response within 50ms): ${HOME_URL}`
+            );
+            expect(report.entries[0].duration).toBeLessThan(2000);
+            expect(report.summary.hung).toBe(1);
+        } finally {
+            await watched.quit();
+        }
+    });
+
+    it('should stop after the current entry when aborted', async () => {
+        const controller = new AbortController();
+        api.on('url-launch', (event) => {
+            if (event.message.endsWith(VIDEO_URL)) controller.abort();
+        });
+
+        const report = await runPlaylist(
+            api,
+            {
+                name: 'Endless',
+                cycles: 0,
+                dwell: 20,
+                entries: [{ url: HOME_URL }, { url: VIDEO_URL }],
+            },
+            { signal: controller.signal }
+        );
+
+        expect(report.stopped).toBe(true);
+        expect(report.passed).toBe(true);
+        expect(report.cycles).toBe(1);
+        expect(report.entries.map((entry) => entry.status)).toEqual(['passed', 'stopped']);
+    });
+
+    it('should end after a cycle without a single launch', async () => {
+        await api.quit();
+
+        const report = await runPlaylist(api, {
+            name: 'Offline',
+            cycles: 0,
+            entries: [{ url: HOME_URL }, { url: VIDEO_URL }],
+        });
+
+        expect(report.cycles).toBe(1);
+        expect(report.entries.map((entry) => entry.status)).toEqual(['failed', 'failed']);
+        expect(report.entries[0].error).toBe('Session not started');
+    });
+});
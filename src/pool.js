@@ -0,0 +1,109 @@
+import { createThunderWebkitAPI } from './index.js';
+import { resolveProfile } from './lib/configFile.js';
+
+/**
+ * @typedef {import("./index.js").config & { name?: string }} DeviceConfig - Device configuration, `name`
+ *   defaults to "<host>/<callsign>" of the resolved configuration and `callsign` to "WebKitBrowser".
+ *
+ * @typedef {import("./index.js").SessionEvent & { device: string }} PoolEvent - Session event tagged with the
+ *   name of the device that emitted it.
+ *
+ * @typedef {Object} DeviceResult
+ * @property {string} device - Name of the device.
+ * @property {boolean} ok - True when the operation succeeded on the device.
+ * @property {string|null} error - The last error reported by the device during the operation.
+ *
+ * @typedef {Object} DevicePool
+ * @property {(names?: string[]) => Promise<DeviceResult[]>} start - Starts the sessions of all or the named devices.
+ * @property {(url: string, names?: string[]) => Promise<DeviceResult[]>} launch - Launches a URL on all or the named devices.
+ * @property {(names?: string[]) => Promise<DeviceResult[]>} close - Closes the browser on all or the named devices.
+ * @property {(names?: string[]) => Promise<DeviceResult[]>} quit - Stops the sessions of all or the named devices.
+ * @property {() => string[]} devices - Lists the device names.
+ * @property {(name: string) => import("./index.js").UnifiedAPI} get - Returns the session of a single device.
+ */
+
+/**
+ * Creates a pool driving several devices in parallel. Every device keeps its own session and lifecycle,
+ * operations run on all (or the named) devices at once and resolve with a result per device instead of
+ * failing as a whole. Events of all devices are passed to one callback, tagged with the device name.
+ * @param {DeviceConfig[]} devices - Configuration of every device.
+ * @param {(event: PoolEvent) => void} onEvent - Callback receiving the events of all devices.
+ * @returns {DevicePool} The device pool.
+ * @throws {Error} Throws when two devices have the same name or a configuration cannot be resolved.
+ */
+export function createDevicePool(devices, onEvent) {
+    /** @type {Map<string, { api: import("./index.js").UnifiedAPI, lastError: string|null }>} */
+    const members = new Map();
+
+    devices.forEach(({ name, profile, ...settings }) => {
+        // Resolved here so the default name is the one of the device the profile points to
+        const config = {
+            callsign: 'WebKitBrowser',
+            ...(profile === undefined ? {} : resolveProfile(profile, { complete: false })),
+            ...settings,
+        };
+        const device = name || `${config.host}/${config.callsign}`;
+        if (members.has(device)) throw new Error(`Duplicate device name: ${device}`);
+
+        const member = { api: null, lastError: null };
+        member.api = createThunderWebkitAPI(config, (event) => {
+            if (event.type === 'error') member.lastError = event.message;
+            onEvent({ ...event, device });
+        });
+        members.set(device, member);
+    });
+
+    /**
+     * Resolves the devices an operation applies to.
+     * @param {string[]} [names] - Device names, all devices when omitted.
+     * @returns {string[]} The device names.
+     * @throws {Error} Throws on unknown names.
+     */
+    function select(names) {
+        if (!names) return [...members.keys()];
+
+        names.forEach((name) => {
+            if (!members.has(name)) throw new Error(`Unknown device: ${name}`);
+        });
+        return names;
+    }
+
+    /**
+     * Runs an operation on the selected devices in parallel.
+     * The lifecycle methods report failures through events, so the last error event is added to the result.
+     * @param {string[]|undefined} names - Device names, all devices when omitted.
+     * @param {(api: import("./index.js").UnifiedAPI) => Promise<boolean|void>} operation - The operation.
+     * @returns {Promise<DeviceResult[]>} Resolves with a result per device, in the order of the selection.
+     */
+    async function run(names, operation) {
+        const selected = select(names);
+
+        const settled = await Promise.allSettled(
+            selected.map((device) => {
+                const member = members.get(device);
+                member.lastError = null;
+                return operation(member.api);
+            })
+        );
+
+        return settled.map((outcome, index) => {
+            const { lastError } = members.get(selected[index]);
+            if (outcome.status === 'rejected') {
+                return { device: selected[index], ok: false, error: outcome.reason.message };
+            }
+
+            // start and launch resolve with false on failure, close and quit only report errors
+            const ok = outcome.value === undefined ? lastError === null : outcome.value;
+            return { device: selected[index], ok, error: ok ? null : lastError };
+        });
+    }
+
+    return {
+        start: (names) => run(names, (api) => api.start()),
+        launch: (url, names) => run(names, (api) => api.launch(url)),
+        close: (names) => run(names, (api) => api.close()),
+        quit: (names) => run(names, (api) => api.quit()),
+        devices: () => [...members.keys()],
+        get: (name) => members.get(select([name])[0]).api,
+    };
+}
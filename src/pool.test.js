@@ -0,0 +1,188 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createDevicePool } from './pool.js';
+import { createThunderWebkitAPI } from './index.js';
+
+vi.mock('./index.js', () => ({
+    createThunderWebkitAPI: vi.fn(),
+}));
+
+/**
+ * Creates a session double that reports failures for hosts listed in `failing`.
+ */
+function createFakeApi(config, onEvent, failing) {
+    const fail = (message) => {
+        onEvent({ type: 'error', source: 'Thunder', message });
+        return false;
+    };
+
+    return {
+        start: vi.fn(async () => {
+            if (failing.start) return fail('Failed to start Thunder session: ECONNREFUSED');
+            onEvent({ type: 'connected', source: 'Thunder', message: 'Session connected' });
+            return true;
+        }),
+        launch: vi.fn(async (url) => {
+            if (failing.launch) return fail('Failed to launch URL: load step failed');
+            onEvent({ type: 'console', source: 'WebInspector', message: `loaded ${url}` });
+            return true;
+        }),
+        close: vi.fn(async () => {
+            if (failing.close) fail('Failed to close instance');
+        }),
+        quit: vi.fn(async () => {
+            if (failing.quit) throw new Error('Socket hang up');
+        }),
+    };
+}
+
+describe('createDevicePool', () => {
+    let events;
+    let failing;
+
+    beforeEach(() => {
+        events = [];
+        failing = {};
+        vi.mocked(createThunderWebkitAPI).mockImplementation((config, onEvent) =>
+            createFakeApi(config, onEvent, failing[config.host] || {})
+        );
+    });
+
+    const createPool = () =>
+        createDevicePool(
+            [
+                { name: 'living-room', host: '10.0.0.1', callsign: 'WebKitBrowser' },
+                { host: '10.0.0.2', callsign: 'UX', webInspectorPort: 10000 },
+            ],
+            (event) => events.push(event)
+        );
+
+    it('should create a session per device with its own config', () => {
+        const pool = createPool();
+
+        expect(pool.devices()).toEqual(['living-room', '10.0.0.2/UX']);
+        expect(vi.mocked(createThunderWebkitAPI).mock.calls.map(([config]) => config)).toEqual([
+            { host: '10.0.0.1', callsign: 'WebKitBrowser' },
+            { host: '10.0.0.2', callsign: 'UX', webInspectorPort: 10000 },
+        ]);
+    });
+
+    it('should tag the events with the device name', async () => {
+        const pool = createPool();
+        await pool.start();
+        await pool.launch('https://example.com');
+
+        expect(events.filter((event) => event.type === 'console')).toEqual([
+            {
+                type: 'console',
+                source: 'WebInspector',
+                message: 'loaded https://example.com',
+                device: 'living-room',
+            },
+            {
+                type: 'console',
+                source: 'WebInspector',
+                message: 'loaded https://example.com',
+                device: '10.0.0.2/UX',
+            },
+        ]);
+    });
+
+    it('should report success and failure per device', async () => {
+        failing['10.0.0.2'] = { launch: true, quit: true };
+        const pool = createPool();
+
+        expect(await pool.start()).toEqual([
+            { device: 'living-room', ok: true, error: null },
+            { device: '10.0.0.2/UX', ok: true, error: null },
+        ]);
+        expect(await pool.launch('https://example.com')).toEqual([
+            { device: 'living-room', ok: true, error: null },
+            { device: '10.0.0.2/UX', ok: false, error: 'Failed to launch URL: load step failed' },
+        ]);
+        expect(await pool.quit()).toEqual([
+            { device: 'living-room', ok: true, error: null },
+            { device: '10.0.0.2/UX', ok: false, error: 'Socket hang up' },
+        ]);
+    });
+
+    it('should treat error events of close as a failure', async () => {
+        failing['10.0.0.1'] = { close: true };
+        const pool = createPool();
+
+        expect(await pool.close()).toEqual([
+            { device: 'living-room', ok: false, error: 'Failed to close instance' },
+            { device: '10.0.0.2/UX', ok: true, error: null },
+        ]);
+    });
+
+    it('should only run operations on the named devices', async () => {
+        const pool = createPool();
+        const results = await pool.launch('https://example.com', ['10.0.0.2/UX']);
+
+        expect(results).toEqual([{ device: '10.0.0.2/UX', ok: true, error: null }]);
+        expect(pool.get('living-room').launch).not.toHaveBeenCalled();
+        await expect(pool.start(['bedroom'])).rejects.toThrow('Unknown device: bedroom');
+    });
+
+    it('should reject duplicate device names', () => {
+        expect(() =>
+            createDevicePool(
+                [
+                    { host: '10.0.0.1', callsign: 'UX' },
+                    { host: '10.0.0.1', callsign: 'UX' },
+                ],
+                () => {}
+            )
+        ).toThrow('Duplicate device name: 10.0.0.1/UX');
+    });
+
+    describe('with profiles', () => {
+        let directory;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-'));
+            const file = path.join(directory, 'devices.json');
+            fs.writeFileSync(
+                file,
+                JSON.stringify({
+                    profiles: {
+                        a: { host: '10.0.0.3', callsign: 'UX' },
+                        b: { host: '10.0.0.4' },
+                    },
+                })
+            );
+            vi.stubEnv('THUNDERWPECONSOLE_CONFIG', file);
+        });
+
+        afterEach(() => {
+            vi.unstubAllEnvs();
+            fs.rmSync(directory, { recursive: true });
+        });
+
+        it('should name the devices after their resolved configuration', () => {
+            const pool = createDevicePool(
+                [
+                    { profile: 'a' },
+                    { profile: 'b' },
+                    { profile: 'a', host: '10.0.0.5' },
+                    { host: '10.0.0.1' },
+                ],
+                () => {}
+            );
+
+            expect(pool.devices()).toEqual([
+                '10.0.0.3/UX',
+                '10.0.0.4/WebKitBrowser',
+                '10.0.0.5/UX',
+                '10.0.0.1/WebKitBrowser',
+            ]);
+            expect(vi.mocked(createThunderWebkitAPI).mock.calls.at(-1)[0]).toEqual({
+                host: '10.0.0.1',
+                callsign: 'WebKitBrowser',
+            });
+        });
+    });
+});
@@ -0,0 +1,194 @@
+import repl from 'node:repl';
+import vm from 'node:vm';
+import os from 'node:os';
+import path from 'node:path';
+import { EvaluationError } from './lib/webInspector.js';
+import { formatRemoteObject } from './lib/remoteObject.js';
+
+/**
+ * @typedef {Object} ReplOptions
+ * @property {string} [url] - URL reloaded by `.reload` until another one is launched with `.launch`.
+ * @property {string|null} [historyFile] - File to persist the history in, null disables the history.
+ * @property {NodeJS.ReadableStream} [input=process.stdin] - Stream the user types in.
+ * @property {NodeJS.WritableStream} [output=process.stdout] - Stream results and console output are written to.
+ *
+ * @typedef {Object} ConsoleRepl
+ * @property {(line: string) => void} print - Prints a line above the prompt, used for device console output.
+ * @property {Promise<void>} closed - Resolves once the user leaves the REPL.
+ * @property {() => void} close - Closes the REPL.
+ *
+ * imports
+ * @typedef {import("./index.js").UnifiedAPI} UnifiedAPI
+ */
+
+export const DEFAULT_HISTORY_FILE = path.join(os.homedir(), '.thunderwpeconsole_history');
+
+/** Syntax errors that mean the input continues on the next line */
+const INCOMPLETE_INPUT = /^(Unexpected end of input|Unterminated template literal)/;
+
+/**
+ * Checks whether the code is an incomplete statement the user will continue on the next line.
+ * The code is only compiled locally, any other syntax error is left for the page to report.
+ * @param {string} code - The code typed so far.
+ * @returns {boolean} True when more input is needed.
+ */
+export function isIncompleteInput(code) {
+    try {
+        new vm.Script(code);
+        return false;
+    } catch (error) {
+        return error instanceof SyntaxError && INCOMPLETE_INPUT.test(error.message);
+    }
+}
+
+/**
+ * Wraps input like `{ a: 1 }` in parentheses so it is evaluated as an object literal, like Node does.
+ * @param {string} code - The code to evaluate.
+ * @returns {string} The code to send to the page.
+ */
+function toExpression(code) {
+    const trimmed = code.trim();
+    if (!trimmed.startsWith('{') || !trimmed.endsWith('}')) return trimmed;
+
+    try {
+        new vm.Script(`(${trimmed})`);
+        return `(${trimmed})`;
+    } catch (_) {
+        return trimmed;
+    }
+}
+
+/**
+ * Evaluates code in the page and formats the result, previewing objects with their own properties.
+ * @param {UnifiedAPI} api - The unified API.
+ * @param {string} code - The code to evaluate.
+ * @returns {Promise<string>} Printable result.
+ */
+export async function evaluateInPage(api, code) {
+    try {
+        const result = await api.evaluate(toExpression(code), { awaitPromise: true });
+        const properties =
+            result.type === 'object' && result.objectId
+                ? await api.getProperties(result.objectId)
+                : undefined;
+        return formatRemoteObject(result, properties);
+    } catch (error) {
+        if (error instanceof EvaluationError) return `Uncaught ${error.message}`;
+        return `Evaluation failed: ${error.message}`;
+    }
+}
+
+/**
+ * Starts an interactive REPL that evaluates lines in the page of the device.
+ * Besides the Node meta commands it supports `.launch <url>`, `.reload`, `.close` and `.screenshot [path]`.
+ * @param {UnifiedAPI} api - A started unified API.
+ * @param {ReplOptions} [options={}] - REPL options.
+ * @returns {ConsoleRepl} The running REPL.
+ */
+export function startRepl(api, options = {}) {
+    const {
+        input = process.stdin,
+        output = process.stdout,
+        historyFile = DEFAULT_HISTORY_FILE,
+    } = options;
+    let currentUrl = options.url;
+
+    const server = repl.start({
+        prompt: 'device> ',
+        input,
+        output,
+        writer: (result) => result,
+        eval: (code, _context, _filename, callback) => {
+            if (!code.trim()) {
+                callback(null);
+                return;
+            }
+
+            if (isIncompleteInput(code)) {
+                callback(new repl.Recoverable(new SyntaxError('Unexpected end of input')));
+                return;
+            }
+
+            evaluateInPage(api, code).then((result) => callback(null, result));
+        },
+    });
+
+    /**
+     * Runs a meta command and shows the prompt again once it finished.
+     * @param {() => Promise<any>} action - The command to run.
+     */
+    const runCommand = (action) => {
+        server.clearBufferedCommand();
+        action().finally(() => server.displayPrompt());
+    };
+
+    server.defineCommand('launch', {
+        help: 'Launch a URL in the browser',
+        action: (url) => {
+            if (!url.trim()) {
+                output.write('Usage: .launch <url>\n');
+                server.displayPrompt();
+                return;
+            }
+
+            currentUrl = url.trim();
+            runCommand(() => api.launch(currentUrl));
+        },
+    });
+
+    server.defineCommand('reload', {
+        help: 'Launch the last URL again',
+        action: () => {
+            if (!currentUrl) {
+                output.write('Nothing launched yet, use .launch <url>\n');
+                server.displayPrompt();
+                return;
+            }
+
+            runCommand(() => api.launch(currentUrl));
+        },
+    });
+
+    server.defineCommand('close', {
+        help: 'Close the browser instance',
+        action: () => runCommand(() => api.close()),
+    });
+
+    server.defineCommand('screenshot', {
+        help: 'Save a screenshot as PNG (default: screenshot-<time>.png)',
+        action: (file) => {
+            const target =
+                file.trim() || `screenshot-${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
+            runCommand(() =>
+                api.screenshot({ path: target }).then(
+                    () => output.write(`Screenshot saved: ${target}\n`),
+                    (error) => output.write(`Screenshot failed: ${error.message}\n`)
+                )
+            );
+        },
+    });
+
+    if (historyFile) {
+        server.setupHistory(historyFile, (error) => {
+            if (error) output.write(`History unavailable: ${error.message}\n`);
+        });
+    }
+
+    const closed = new Promise((resolve) => server.once('exit', () => resolve()));
+
+    /**
+     * Prints a line above the prompt without losing what the user typed so far.
+     * @param {string} line - The line to print.
+     */
+    function print(line) {
+        if (!server.terminal) {
+            output.write(`${line}\n`);
+            return;
+        }
+
+        output.write(`\r\x1b[K${line}\n`);
+        server.displayPrompt(true);
+    }
+
+    return { print, closed, close: () => server.close() };
+}
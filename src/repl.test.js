@@ -0,0 +1,83 @@
+// @ts-nocheck
+import { describe, it, expect, vi } from 'vitest';
+import { PassThrough } from 'node:stream';
+import { isIncompleteInput, evaluateInPage, startRepl } from './repl.js';
+import { EvaluationError } from './lib/webInspector.js';
+
+/**
+ * Creates a unified API double answering evaluations with `result`.
+ */
+function createFakeApi(result) {
+    return {
+        evaluate: vi.fn(async () => result),
+        getProperties: vi.fn(async () => [
+            { name: 'route', enumerable: true, value: { type: 'string', value: '/home' } },
+        ]),
+        launch: vi.fn(async () => true),
+        close: vi.fn(async () => {}),
+        screenshot: vi.fn(async () => Buffer.alloc(0)),
+    };
+}
+
+describe('REPL', () => {
+    it('should detect incomplete input', () => {
+        expect(isIncompleteInput('function foo() {')).toBe(true);
+        expect(isIncompleteInput('`multi')).toBe(true);
+        expect(isIncompleteInput('foo(1, 2)')).toBe(false);
+        expect(isIncompleteInput('await fetchFlags()')).toBe(false);
+        expect(isIncompleteInput('foo(1 2)')).toBe(false);
+    });
+
+    it('should preview objects with their properties', async () => {
+        const api = createFakeApi({ type: 'object', className: 'Object', objectId: '1' });
+
+        await expect(evaluateInPage(api, 'app.state\n')).resolves.toBe("{ route: '/home' }");
+        expect(api.evaluate).toHaveBeenCalledWith('app.state', { awaitPromise: true });
+        expect(api.getProperties).toHaveBeenCalledWith('1');
+    });
+
+    it('should evaluate braces as an object literal', async () => {
+        const api = createFakeApi({ type: 'number', value: 1 });
+
+        await evaluateInPage(api, '{ a: 1 }');
+        expect(api.evaluate).toHaveBeenCalledWith('({ a: 1 })', { awaitPromise: true });
+    });
+
+    it('should print exceptions thrown by the page', async () => {
+        const api = createFakeApi();
+        api.evaluate.mockRejectedValueOnce(
+            new EvaluationError({ type: 'object', description: 'ReferenceError: foo' })
+        );
+
+        await expect(evaluateInPage(api, 'foo')).resolves.toBe('Uncaught ReferenceError: foo');
+    });
+
+    it('should map the meta commands onto the unified API', async () => {
+        const api = createFakeApi();
+        const input = new PassThrough();
+        const output = new PassThrough();
+        const consoleRepl = startRepl(api, {
+            url: 'https://example.com',
+            input,
+            output,
+            historyFile: null,
+        });
+
+        input.write('.reload\n');
+        input.write('.launch https://example.com/other\n');
+        input.write('.close\n');
+        input.write('.screenshot home.png\n');
+        await vi.waitFor(() => expect(api.screenshot).toHaveBeenCalled());
+
+        expect(api.close).toHaveBeenCalled();
+        expect(api.screenshot).toHaveBeenCalledWith({ path: 'home.png' });
+
+        expect(api.launch.mock.calls).toEqual([
+            ['https://example.com'],
+            ['https://example.com/other'],
+        ]);
+
+        input.write('.exit\n');
+        await consoleRepl.closed;
+    });
+});
@@ -0,0 +1,418 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { isDeepStrictEqual } from 'node:util';
+import { parse as parseYaml } from 'yaml';
+import { createThunderWebkitAPI } from './index.js';
+import { delay } from './lib/util.js';
+import { validateBrowserProperties } from './lib/browserProperties.js';
+import { validateDeviceSettings } from './lib/configFile.js';
+
+/**
+ * @typedef {Object} ScenarioStep - A step has exactly one action key, the other keys are options.
+ * @property {string} [name] - Name shown in the report, derived from the action when omitted.
+ * @property {string} [launch] - Launch a URL.
+ * @property {string} [waitForConsole] - Wait for a console message matching the regular expression.
+ * @property {string} [evaluate] - Evaluate an expression in the page, promises are awaited.
+ * @property {boolean | { ignore?: string }} [assertNoErrors] - Fail when error messages or exceptions were reported.
+ * @property {number} [sleep] - Wait for the given number of milliseconds.
+ * @property {boolean} [close] - Close the browser instance.
+ * @property {any} [expect] - `evaluate`: the expected value, compared deeply.
+ * @property {string} [match] - `evaluate`: regular expression the value must match.
+ * @property {string} [level] - `waitForConsole`: only match messages of this level.
+ * @property {import("./lib/browserProperties.js").BrowserProperties} [browser] - `launch`: browser properties,
+ *   e.g. the user agent or languages.
+ * @property {number} [timeout] - `launch`, `waitForConsole`, `evaluate`: time the step may take in milliseconds.
+ *
+ * @typedef {Object} Scenario
+ * @property {string} name - Name of the scenario.
+ * @property {Partial<import("./index.js").config>} [device] - Device configuration, merged with the runner's.
+ * @property {number} [timeout=30000] - Default step timeout in milliseconds.
+ * @property {ScenarioStep[]} steps - The steps, run in order until one fails.
+ *
+ * @typedef {Object} StepResult
+ * @property {string} name - Name of the step.
+ * @property {string} action - The action of the step.
+ * @property {'passed'|'failed'|'skipped'} status - Outcome, steps after a failed one are skipped.
+ * @property {number} duration - Time the step took in milliseconds.
+ * @property {string|null} error - Why the step failed.
+ * @property {string} [screenshot] - Screenshot taken when the step failed, with `screenshot.onError` configured.
+ *
+ * @typedef {Object} ScenarioReport
+ * @property {string} name - Name of the scenario.
+ * @property {boolean} passed - True when every step passed.
+ * @property {number} duration - Time the scenario took in milliseconds.
+ * @property {StepResult[]} steps - Result of every step, preceded by the "start session" step.
+ * @property {import("./index.js").SessionEvent[]} events - Events recorded while the scenario ran.
+ */
+
+const ACTIONS = ['launch', 'waitForConsole', 'evaluate', 'assertNoErrors', 'sleep', 'close'];
+const OPTIONS = ['name', 'timeout', 'expect', 'match', 'level', 'browser'];
+/** The options each action takes besides `name` */
+const ACTION_OPTIONS = {
+    launch: ['timeout', 'browser'],
+    waitForConsole: ['timeout', 'level'],
+    evaluate: ['timeout', 'expect', 'match'],
+    assertNoErrors: [],
+    sleep: [],
+    close: [],
+};
+
+/** Default time in milliseconds a step may take */
+const DEFAULT_STEP_TIMEOUT = 30000;
+
+/**
+ * Error thrown for malformed scenarios, `step` is the 0-based index of the offending step.
+ */
+export class ScenarioError extends Error {
+    /**
+     * @param {string} message - What is wrong.
+     * @param {number} [step] - Index of the offending step.
+     */
+    constructor(message, step) {
+        super(step === undefined ? message : `Step ${step + 1}: ${message}`);
+        this.name = 'ScenarioError';
+        this.step = step;
+    }
+}
+
+/**
+ * Compiles a pattern, reporting invalid ones against the step.
+ * @param {string} pattern - The pattern.
+ * @param {number} index - Index of the step.
+ * @returns {RegExp} The regular expression.
+ */
+function compile(pattern, index) {
+    try {
+        return new RegExp(pattern);
+    } catch (error) {
+        throw new ScenarioError(`Invalid pattern: ${error.message}`, index);
+    }
+}
+
+/**
+ * Checks the structure of a scenario.
+ * @param {any} scenario - The parsed scenario.
+ * @returns {Scenario} The scenario.
+ * @throws {ScenarioError} Throws on unknown or missing actions and invalid options.
+ */
+export function validateScenario(scenario) {
+    if (!scenario || typeof scenario !== 'object') {
+        throw new ScenarioError('Scenario must be an object');
+    }
+    if (scenario.name !== undefined && !(typeof scenario.name === 'string' && scenario.name)) {
+        throw new ScenarioError('"name" must be a non-empty string');
+    }
+    if (
+        scenario.timeout !== undefined &&
+        !(typeof scenario.timeout === 'number' && scenario.timeout > 0)
+    ) {
+        throw new ScenarioError('"timeout" must be a positive number of milliseconds');
+    }
+    if (scenario.device !== undefined) {
+        try {
+            validateDeviceSettings(scenario.device, '"device"');
+        } catch (error) {
+            throw new ScenarioError(error.message);
+        }
+    }
+    if (!Array.isArray(scenario.steps) || !scenario.steps.length) {
+        throw new ScenarioError('Scenario needs a non-empty "steps" list');
+    }
+
+    scenario.steps.forEach((step, index) => {
+        if (!step || typeof step !== 'object') {
+            throw new ScenarioError('Step must be an object', index);
+        }
+
+        const keys = Object.keys(step);
+        const unknown = keys.find((key) => !ACTIONS.includes(key) && !OPTIONS.includes(key));
+        if (unknown) throw new ScenarioError(`Unknown key "${unknown}"`, index);
+
+        const actions = keys.filter((key) => ACTIONS.includes(key));
+        if (actions.length !== 1) {
+            throw new ScenarioError(`Expected exactly one of ${ACTIONS.join(', ')}`, index);
+        }
+
+        const action = actions[0];
+        const misplaced = keys.find(
+            (key) =>
+                OPTIONS.includes(key) && key !== 'name' && !ACTION_OPTIONS[action].includes(key)
+        );
+        if (misplaced) {
+            throw new ScenarioError(`"${misplaced}" does not apply to ${action}`, index);
+        }
+        if (step.name !== undefined && !(typeof step.name === 'string' && step.name)) {
+            throw new ScenarioError('"name" must be a non-empty string', index);
+        }
+        if (
+            ['launch', 'waitForConsole', 'evaluate'].includes(action) &&
+            typeof step[action] !== 'string'
+        ) {
+            throw new ScenarioError(`"${action}" must be a string`, index);
+        }
+        if (action === 'sleep' && !(typeof step.sleep === 'number' && step.sleep >= 0)) {
+            throw new ScenarioError('"sleep" must be a number of milliseconds', index);
+        }
+        if (step.timeout !== undefined && !(typeof step.timeout === 'number' && step.timeout > 0)) {
+            throw new ScenarioError('"timeout" must be a positive number of milliseconds', index);
+        }
+
+        if (step.browser !== undefined) {
+            try {
+                validateBrowserProperties(step.browser);
+            } catch (error) {
+                throw new ScenarioError(error.message, index);
+            }
+        }
+
+        if (action === 'waitForConsole') compile(step.waitForConsole, index);
+        if (step.match !== undefined) compile(step.match, index);
+        if (step.assertNoErrors?.ignore !== undefined) compile(step.assertNoErrors.ignore, index);
+    });
+
+    return { name: 'Scenario', ...scenario };
+}
+
+/**
+ * Loads a scenario from a JSON or YAML file, the name defaults to the file name.
+ * @param {string} file - Path of the scenario, ".yaml" and ".yml" files are parsed as YAML.
+ * @returns {Scenario} The validated scenario.
+ * @throws {ScenarioError} Throws on unreadable or malformed scenarios.
+ */
+export function loadScenario(file) {
+    let parsed;
+    try {
+        const text = fs.readFileSync(file, 'utf8');
+        parsed = /\.ya?ml$/i.test(file) ? parseYaml(text) : JSON.parse(text);
+    } catch (error) {
+        throw new ScenarioError(`Failed to load ${file}: ${error.message}`);
+    }
+
+    return validateScenario({ name: path.basename(file).replace(/\.\w+$/, ''), ...parsed });
+}
+
+/**
+ * Returns the action of a validated step.
+ * @param {ScenarioStep} step - The step.
+ * @returns {string} The action key.
+ */
+function actionOf(step) {
+    return ACTIONS.find((action) => action in step);
+}
+
+/**
+ * Describes a step for the report.
+ * @param {ScenarioStep} step - The step.
+ * @returns {string} The step name.
+ */
+function describeStep(step) {
+    if (step.name) return step.name;
+
+    const action = actionOf(step);
+    if (action === 'close') return 'close';
+    if (action === 'assertNoErrors') return 'assert no errors';
+    return `${action} ${step[action]}`;
+}
+
+/**
+ * Runs a scenario against a device: starts a session, runs the steps until one fails and quits.
+ * @param {Scenario} scenario - The scenario.
+ * @param {import("./index.js").config} device - Device configuration, overridden by the scenario's `device`.
+ * @param {(event: import("./index.js").SessionEvent) => void} [onEvent] - Receives the session events.
+ * @param {(result: StepResult) => void} [onStep] - Called after every step.
+ * @returns {Promise<ScenarioReport>} Resolves with the report, also when steps failed.
+ */
+export async function runScenario(scenario, device, onEvent = () => {}, onStep = () => {}) {
+    const events = [];
+    /** Index of the first event the next waitForConsole step looks at */
+    let cursor = 0;
+    /** @type {(() => void) | null} */
+    let notify = null;
+    const defaultTimeout = scenario.timeout ?? DEFAULT_STEP_TIMEOUT;
+
+    const config = { ...device, ...scenario.device };
+    const api = createThunderWebkitAPI(config, (event) => {
+        events.push(event);
+        onEvent(event);
+        if (notify) notify();
+    });
+
+    /**
+     * Returns the message of the last error event since an index.
+     * @param {number} since - Index of the first event to look at.
+     * @returns {string|undefined} The message.
+     */
+    const lastError = (since) =>
+        events
+            .slice(since)
+            .reverse()
+            .find((event) => event.type === 'error')?.message;
+
+    /**
+     * Waits for a console message matching the pattern.
+     * @param {RegExp} pattern - The pattern.
+     * @param {string|undefined} level - Only match messages of this level.
+     * @param {number} timeout - Time to wait in milliseconds.
+     * @returns {Promise<void>} Resolves once a message matched.
+     */
+    async function waitForConsole(pattern, level, timeout) {
+        const deadline = Date.now() + timeout;
+
+        for (;;) {
+            while (cursor < events.length) {
+                const event = events[cursor++];
+                if (event.type !== 'console' || (level && event.data?.level !== level)) continue;
+                if (pattern.test(event.message)) return;
+            }
+
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                throw new Error(`No console message matching ${pattern} within ${timeout}ms`);
+            }
+
+            await new Promise((resolve) => {
+                const timer = setTimeout(resolve, remaining);
+                notify = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+            });
+            notify = null;
+        }
+    }
+
+    /**
+     * Runs a single step.
+     * @param {ScenarioStep} step - The step.
+     * @returns {Promise<void>} Resolves when the step passed, rejects with the reason it failed.
+     */
+    async function runStep(step) {
+        const timeout = step.timeout ?? defaultTimeout;
+        const since = events.length;
+
+        switch (actionOf(step)) {
+            case 'launch':
+                // Messages of the previous page must not satisfy the next waitForConsole
+                cursor = events.length;
+                if (!(await api.launch(step.launch, { browser: step.browser, timeout }))) {
+                    throw new Error(lastError(since) || 'Launch failed');
+                }
+                return;
+            case 'waitForConsole':
+                return waitForConsole(new RegExp(step.waitForConsole), step.level, timeout);
+            case 'evaluate': {
+                const value = await api.evaluate(step.evaluate, {
+                    awaitPromise: true,
+                    returnByValue: true,
+                    timeout,
+                });
+                if ('expect' in step && !isDeepStrictEqual(value, step.expect)) {
+                    throw new Error(
+                        `Expected ${JSON.stringify(step.expect)} but got ${JSON.stringify(value)}`
+                    );
+                }
+                if (step.match !== undefined && !new RegExp(step.match).test(String(value))) {
+                    throw new Error(`Expected ${JSON.stringify(value)} to match /${step.match}/`);
+                }
+                return;
+            }
+            case 'assertNoErrors': {
+                const ignore =
+                    step.assertNoErrors?.ignore && new RegExp(step.assertNoErrors.ignore);
+                const errors = events.filter(
+                    (event) =>
+                        (event.type === 'exception' ||
+                            (event.type === 'console' && event.data?.level === 'error')) &&
+                        !(ignore && ignore.test(event.message))
+                );
+                if (errors.length) {
+                    throw new Error(
+                        `${errors.length} error(s) reported: ${errors.map((event) => event.message).join('; ')}`
+                    );
+                }
+                return;
+            }
+            case 'sleep':
+                return delay(step.sleep);
+            case 'close':
+                await api.close();
+                if (lastError(since)) throw new Error(lastError(since));
+                return;
+        }
+    }
+
+    /**
+     * Saves a screenshot of a failed step next to the automatic error screenshots.
+     * @param {number} index - Index of the step in the report.
+     * @returns {Promise<string|undefined>} Resolves with the path, undefined when capturing failed.
+     */
+    async function capture(index) {
+        const directory = config.screenshot.directory ?? 'screenshots';
+        const file = path.join(
+            directory,
+            `${scenario.name.replace(/[^\w.-]+/g, '_')}-step${index}.png`
+        );
+        try {
+            await api.screenshot({ path: file });
+            return file;
+        } catch (_) {
+            return undefined;
+        }
+    }
+
+    const startedAt = Date.now();
+    /** @type {StepResult[]} */
+    const results = [];
+    const report = (result) => {
+        results.push(result);
+        onStep(result);
+    };
+
+    // Starting the session is reported as the first step so a device that can't be reached fails the scenario
+    const started = await api.start();
+    report({
+        name: 'start session',
+        action: 'start',
+        status: started ? 'passed' : 'failed',
+        duration: Date.now() - startedAt,
+        error: started ? null : lastError(0) || 'Failed to start session',
+    });
+    let failed = !started;
+
+    for (const step of scenario.steps) {
+        /** @type {StepResult} */
+        const result = {
+            name: describeStep(step),
+            action: actionOf(step),
+            status: failed ? 'skipped' : 'passed',
+            duration: 0,
+            error: null,
+        };
+
+        if (!failed) {
+            const stepStartedAt = Date.now();
+            try {
+                await runStep(step);
+            } catch (error) {
+                result.status = 'failed';
+                result.error = error.message;
+                failed = true;
+            }
+            result.duration = Date.now() - stepStartedAt;
+            if (failed && config.screenshot?.onError) {
+                result.screenshot = await capture(results.length);
+            }
+        }
+        report(result);
+    }
+
+    await api.quit();
+
+    return {
+        name: scenario.name,
+        passed: results.every((result) => result.status === 'passed'),
+        duration: Date.now() - startedAt,
+        steps: results,
+        events,
+    };
+}
@@ -0,0 +1,253 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import WebSocket from 'ws';
+import { createMockDevice } from './mock/device.js';
+import { loadScenario, runScenario, validateScenario } from './scenario.js';
+
+const PAGE_URL = 'http://example.com/app';
+
+describe('validateScenario', () => {
+    it('should accept valid steps and default the name', () => {
+        const scenario = validateScenario({
+            steps: [
+                { launch: PAGE_URL },
+                { waitForConsole: 'ready', timeout: 5000 },
+                { close: true },
+            ],
+        });
+        expect(scenario.name).toBe('Scenario');
+    });
+
+    it('should check the scenario fields', () => {
+        const steps = [{ launch: PAGE_URL }];
+        expect(() => validateScenario({ name: 42, steps })).toThrow(
+            '"name" must be a non-empty string'
+        );
+        expect(() => validateScenario({ timeout: '5s', steps })).toThrow(
+            '"timeout" must be a positive number of milliseconds'
+        );
+        expect(() => validateScenario({ device: { hostname: 'tv' }, steps })).toThrow(
+            '"device": Unknown key "hostname"'
+        );
+        expect(() => validateScenario({ device: { thunderPort: 'http' }, steps })).toThrow(
+            '"device": Invalid "thunderPort"'
+        );
+    });
+
+    it('should report the offending step', () => {
+        expect(() => validateScenario({ steps: [] })).toThrow('non-empty "steps" list');
+        expect(() => validateScenario({ steps: [{ launch: PAGE_URL }, { click: '#ok' }] })).toThrow(
+            'Step 2: Unknown key "click"'
+        );
+        expect(() => validateScenario({ steps: [{ launch: PAGE_URL, close: true }] })).toThrow(
+            'Step 1: Expected exactly one of'
+        );
+        expect(() => validateScenario({ steps: [{ waitForConsole: '(' }] })).toThrow(
+            'Step 1: Invalid pattern'
+        );
+        expect(() => validateScenario({ steps: [{ sleep: 'long' }] })).toThrow(
+            'Step 1: "sleep" must be a number'
+        );
+        expect(() => validateScenario({ steps: [{ close: true, browser: {} }] })).toThrow(
+            'Step 1: "browser" does not apply to close'
+        );
+        expect(() => validateScenario({ steps: [{ launch: PAGE_URL, expect: true }] })).toThrow(
+            'Step 1: "expect" does not apply to launch'
+        );
+        expect(() => validateScenario({ steps: [{ close: true, timeout: 100 }] })).toThrow(
+            'Step 1: "timeout" does not apply to close'
+        );
+        expect(() => validateScenario({ steps: [{ sleep: 1, name: 42 }] })).toThrow(
+            'Step 1: "name" must be a non-empty string'
+        );
+        expect(() =>
+            validateScenario({ steps: [{ launch: PAGE_URL, browser: { visibility: 'gone' } }] })
+        ).toThrow('Step 1: Invalid browser property visibility');
+    });
+});
+
+describe('loadScenario', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scenario-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true });
+    });
+
+    it('should load YAML and JSON scenarios named after the file', () => {
+        const yamlFile = path.join(directory, 'smoke.yaml');
+        fs.writeFileSync(yamlFile, `steps:\n  - launch: ${PAGE_URL}\n  - sleep: 100\n`);
+        const jsonFile = path.join(directory, 'login.json');
+        fs.writeFileSync(jsonFile, JSON.stringify({ name: 'Login', steps: [{ close: true }] }));
+
+        expect(loadScenario(yamlFile)).toEqual({
+            name: 'smoke',
+            steps: [{ launch: PAGE_URL }, { sleep: 100 }],
+        });
+        expect(loadScenario(jsonFile).name).toBe('Login');
+    });
+
+    it('should report unreadable files', () => {
+        const file = path.join(directory, 'broken.json');
+        fs.writeFileSync(file, '{ steps: ');
+        expect(() => loadScenario(file)).toThrow(`Failed to load ${file}`);
+    });
+});
+
+describe('runScenario', () => {
+    let device;
+    let config;
+
+    beforeAll(() => {
+        // Node 20 has no global WebSocket yet
+        if (typeof globalThis.WebSocket === 'undefined') globalThis.WebSocket = WebSocket;
+    });
+
+    beforeEach(async () => {
+        device = createMockDevice({
+            console: [
+                { text: 'app started', delay: 5 },
+                { text: 'missing asset', level: 'error', delay: 10 },
+            ],
+        });
+        const { host, thunderPort, inspectorPort } = await device.start();
+        config = { host, callsign: 'WebKitBrowser', thunderPort, webInspectorPort: inspectorPort };
+    });
+
+    afterEach(async () => {
+        await device.stop();
+    });
+
+    it('should run the steps and report every one of them', async () => {
+        const steps = [];
+        const report = await runScenario(
+            {
+                name: 'Smoke',
+                steps: [
+                    { launch: PAGE_URL, browser: { languages: ['de-DE'] } },
+                    { waitForConsole: 'app (started|ready)' },
+                    { name: 'title', evaluate: 'location.href', expect: PAGE_URL },
+                    { name: 'language', evaluate: 'navigator.language', expect: 'de-DE' },
+                    { evaluate: 'Promise.resolve(6 * 7)', match: '^42$' },
+                    { sleep: 20 },
+                    { assertNoErrors: { ignore: 'missing asset' } },
+                    { close: true },
+                ],
+            },
+            config,
+            undefined,
+            (step) => steps.push(step.name)
+        );
+
+        expect(report.steps.filter((step) => step.status !== 'passed')).toEqual([]);
+        expect(report.passed).toBe(true);
+        expect(steps).toEqual([
+            'start session',
+            `launch ${PAGE_URL}`,
+            'waitForConsole app (started|ready)',
+            'title',
+            'language',
+            'evaluate Promise.resolve(6 * 7)',
+            'sleep 20',
+            'assert no errors',
+            'close',
+        ]);
+        expect(device.getState()).toBe('deactivated');
+    });
+
+    it('should fail on the first failing step and skip the rest', async () => {
+        const report = await runScenario(
+            {
+                name: 'Errors',
+                steps: [
+                    { launch: PAGE_URL },
+                    { waitForConsole: 'missing', level: 'error' },
+                    { assertNoErrors: true },
+                    { close: true },
+                ],
+            },
+            config
+        );
+
+        expect(report.passed).toBe(false);
+        expect(report.steps.map((step) => step.status)).toEqual([
+            'passed',
+            'passed',
+            'passed',
+            'failed',
+            'skipped',
+        ]);
+        expect(report.steps[3].error).toBe('1 error(s) reported: missing asset');
+        expect(report.steps[3].screenshot).toBeUndefined();
+    });
+
+    it('should save a screenshot of the failed step when configured', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scenario-'));
+        try {
+            const report = await runScenario(
+                {
+                    name: 'Smoke test',
+                    steps: [
+                        { launch: PAGE_URL },
+                        { evaluate: 'location.href', expect: 'about:blank' },
+                    ],
+                },
+                { ...config, screenshot: { onError: true, directory } }
+            );
+
+            expect(report.steps[2].screenshot).toBe(path.join(directory, 'Smoke_test-step2.png'));
+            expect(fs.existsSync(report.steps[2].screenshot)).toBe(true);
+        } finally {
+            fs.rmSync(directory, { recursive: true });
+        }
+    });
+
+    it('should fail steps whose evaluation or wait does not match', async () => {
+        const report = await runScenario(
+            {
+                name: 'Mismatch',
+                timeout: 100,
+                steps: [
+                    { launch: PAGE_URL },
+                    { evaluate: '({ ready: false })', expect: { ready: true } },
+                ],
+            },
+            config
+        );
+        expect(report.steps[2].error).toBe('Expected {"ready":true} but got {"ready":false}');
+
+        const timedOut = await runScenario(
+            {
+                name: 'Wait',
+                timeout: 100,
+                steps: [{ launch: PAGE_URL }, { waitForConsole: 'never' }],
+            },
+            config
+        );
+        expect(timedOut.steps[2].error).toBe('No console message matching /never/ within 100ms');
+
+        const slowLaunch = await runScenario(
+            { name: 'Slow', steps: [{ launch: PAGE_URL, timeout: 5 }] },
+            config
+        );
+        expect(slowLaunch.steps[1].error).toMatch(
+            /^Failed to launch URL: \w+ step failed: Timed out/
+        );
+    });
+
+    it('should fail the session step when the device is unreachable', async () => {
+        await device.stop();
+        const report = await runScenario(
+            { name: 'Offline', steps: [{ launch: PAGE_URL }] },
+            config
+        );
+
+        expect(report.steps.map((step) => step.status)).toEqual(['failed', 'skipped']);
+        expect(report.steps[0].error).toMatch(/^Failed to start Thunder session/);
+    });
+});